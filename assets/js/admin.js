@@ -45,25 +45,74 @@
 		});
 		console.groupEnd();
 	}
-	var bulkState = {
-		running: false,
-		ids: [],
-		current: 0,
-		generated: 0,
-		skipped: 0,
-		errors: 0,
-	};
 
 	// -------------------------------------------------------------------------
 	// Utility
 	// -------------------------------------------------------------------------
 
-	function isCreditError(message) {
-		if (!message) {
-			return false;
+	/**
+	 * Run a wp.hooks filter so other plugins can adjust previews and the
+	 * data sent when applying. See "Developer Hooks" in the README.
+	 *
+	 * @param {string} name  Filter name.
+	 * @param {*}      value Value to filter.
+	 * @return {*} Filtered value, or the value unchanged without wp.hooks.
+	 */
+	function applyFilters(name, value) {
+		if (typeof wp === 'undefined' || !wp.hooks) {
+			return value;
+		}
+		return wp.hooks.applyFilters.apply(wp.hooks, arguments);
+	}
+
+	/**
+	 * Run a wp.hooks action, if wp.hooks is loaded.
+	 *
+	 * @param {string} name Action name.
+	 */
+	function doAction(name) {
+		if (typeof wp !== 'undefined' && wp.hooks) {
+			wp.hooks.doAction.apply(wp.hooks, arguments);
 		}
-		var lower = message.toLowerCase();
-		return lower.indexOf('no credits') !== -1 || lower.indexOf('insufficient credits') !== -1;
+	}
+
+	/**
+	 * Call a visionati/v1 REST route with the logged-in user's cookie auth.
+	 *
+	 * Resolves with the same { success, data } shape as an admin-ajax
+	 * response, so callers handle both alike: a REST error becomes
+	 * success: false with its message (and debug trace) in data. Rejects
+	 * only when the request itself fails.
+	 *
+	 * @param {string} method HTTP method.
+	 * @param {string} path   Route path relative to the namespace, e.g. 'images'.
+	 * @param {Object} data   Request parameters.
+	 * @return {jQuery.Promise}
+	 */
+	function restRequest(method, path, data) {
+		var deferred = $.Deferred();
+
+		$.ajax({
+			url: admin.restUrl + path,
+			method: method,
+			data: data,
+			beforeSend: function (xhr) {
+				xhr.setRequestHeader('X-WP-Nonce', admin.restNonce);
+			},
+		})
+			.done(function (body) {
+				deferred.resolve({ success: true, data: body });
+			})
+			.fail(function (jqXHR, textStatus, errorThrown) {
+				var body = jqXHR.responseJSON;
+				if (body && body.code) {
+					deferred.resolve({ success: false, data: $.extend({}, body.data, { message: body.message }) });
+				} else {
+					deferred.reject(jqXHR, textStatus, errorThrown);
+				}
+			});
+
+		return deferred.promise();
 	}
 
 	function setStatus($el, message, type) {
@@ -174,7 +223,7 @@
 
 		// Use event delegation for buttons inside modals and list views.
 		// Generate button: calls the API and shows a preview (no saving).
-		$(document).on('click', '.visionati-media-actions .button', function (e) {
+		$(document).on('click', '.visionati-media-actions .button[data-context]', function (e) {
 			e.preventDefault();
 
 			var $button = $(this);
@@ -185,35 +234,33 @@
 				return;
 			}
 
-			var $previews = $button.closest('.compat-field-visionati, .visionati-field-row')
-				.find('.visionati-media-previews[data-attachment-id="' + attachmentId + '"]');
-			if (!$previews.length) {
-				$previews = $('.visionati-media-previews[data-attachment-id="' + attachmentId + '"]');
-			}
+			var $previews = findMediaPreviews($button, attachmentId);
 
 			var contextLabel = fieldLabels[context] || context;
-			log('analyze: starting', { attachmentId: attachmentId, context: context });
+			var variants = $button.closest('.visionati-media-actions').find('.visionati-media-variants').is(':checked');
+			log('analyze: starting', { attachmentId: attachmentId, context: context, variants: variants });
 			$button.addClass('is-loading').prop('disabled', true);
 
 			// Remove any existing preview for this context.
-			$previews.find('.visionati-media-preview[data-context="' + context + '"]').remove();
+			$previews.find('.visionati-media-preview[data-context="' + context + '"]').each(function () {
+				removeMediaPreview($(this));
+			});
 
-			$.post(admin.ajaxUrl, {
-				action: 'visionati_analyze',
-				nonce: admin.nonce,
-				attachment_id: attachmentId,
+			restRequest('POST', 'attachments/' + attachmentId + '/analyze', {
 				context: context,
+				variants: variants ? 1 : 0,
 			})
 				.done(function (response) {
 					log('analyze: response', { context: context, success: response.success, data: response.data });
 					logServerTrace(response.data);
 					if (response.success) {
-						var desc = response.data.description || '';
+						var data = applyFilters('visionati.previewData', response.data, { type: 'media', id: attachmentId, context: context });
+						var desc = data.description || '';
 						var creditsMsg = '';
-						if (response.data.credits !== undefined && response.data.credits !== null) {
-							creditsMsg = ' (' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', response.data.credits) + ')';
+						if (data.credits !== undefined && data.credits !== null) {
+							creditsMsg = ' (' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', data.credits) + ')';
 						}
-						addMediaPreview($previews, attachmentId, context, desc, creditsMsg);
+						addMediaPreview($previews, attachmentId, context, desc, creditsMsg, data.descriptions);
 					} else {
 						var $error = $('<div class="visionati-media-preview">').attr('data-context', context).append(
 							$('<span class="visionati-media-preview-status error">').text(contextLabel + ': ' + (response.data.message || 'Error'))
@@ -242,24 +289,20 @@
 			var $status = $preview.find('.visionati-media-preview-status');
 			var attachmentId = $button.data('attachment-id');
 			var context = $button.data('context');
-			var description = $preview.data('description');
+			var description = getMediaPreviewText($preview);
 			var contextLabel = fieldLabels[context] || context;
 
-			if (!attachmentId || !context || !description) {
+			if (!attachmentId || !context || !$.trim(description)) {
 				return;
 			}
 
-			log('apply field: starting', { attachmentId: attachmentId, context: context });
+			log('apply field: starting', { attachmentId: attachmentId, context: context, edited: description !== $preview.data('description') });
 			$button.prop('disabled', true);
 			$status.text(i18n.processing || 'Applying...').attr('class', 'visionati-media-preview-status loading');
 
-			$.post(admin.ajaxUrl, {
-				action: 'visionati_apply_field',
-				nonce: admin.nonce,
-				attachment_id: attachmentId,
-				context: context,
-				description: description,
-			})
+			restRequest('POST', 'attachments/' + attachmentId + '/fields/' + context, applyFilters('visionati.applyPayload', {
+				value: description,
+			}, { type: 'media', id: attachmentId, context: context }))
 				.done(function (response) {
 					log('apply field: response', response.data);
 					logServerTrace(response.data);
@@ -283,31 +326,94 @@
 		// Discard button on a preview: removes the preview.
 		$(document).on('click', '.visionati-media-discard-btn', function (e) {
 			e.preventDefault();
-			$(this).closest('.visionati-media-preview').remove();
+			removeMediaPreview($(this).closest('.visionati-media-preview'));
+		});
+
+		// Compare models: toggle the comparison panel for this attachment.
+		$(document).on('click', '.visionati-media-compare-btn', function (e) {
+			e.preventDefault();
+
+			var attachmentId = $(this).data('attachment-id');
+			var $previews = findMediaPreviews($(this), attachmentId);
+			var $panel = $previews.find('.visionati-compare-panel');
+
+			if ($panel.length) {
+				$panel.remove();
+				return;
+			}
+
+			$previews.prepend(buildComparePanel(attachmentId));
+		});
+
+		$(document).on('click', '.visionati-compare-run', function (e) {
+			e.preventDefault();
+			runComparison($(this).closest('.visionati-compare-panel'));
+		});
+
+		$(document).on('click', '.visionati-compare-apply', function (e) {
+			e.preventDefault();
+			applyComparisonColumn($(this).closest('.visionati-compare-column'));
+		});
+
+		// Live character counter on the alt text preview.
+		$(document).on('input', '.visionati-media-preview[data-context="alt_text"] .visionati-media-preview-input', function () {
+			updateAltCounter($(this).closest('.visionati-media-preview'));
 		});
 	}
 
+	var ALT_TEXT_LIMIT = 125;
+	var previewEditorCount = 0;
+
+	/**
+	 * Find the preview container that belongs to a Visionati button.
+	 */
+	function findMediaPreviews($button, attachmentId) {
+		var $previews = $button.closest('.compat-field-visionati, .visionati-field-row')
+			.find('.visionati-media-previews[data-attachment-id="' + attachmentId + '"]');
+		if (!$previews.length) {
+			$previews = $('.visionati-media-previews[data-attachment-id="' + attachmentId + '"]');
+		}
+		return $previews;
+	}
+
 	/**
-	 * Build and insert a preview block for a generated description.
+	 * Build and insert an editable preview block for a generated description.
+	 *
+	 * Alt text and caption get a plain textarea; the description gets a
+	 * small TinyMCE editor when wp.editor is available. The generated text
+	 * stays in .data('description') and Apply sends the edited text.
+	 * When several candidates are given, they are listed above the editor
+	 * and picking one loads it into the editor.
 	 */
-	function addMediaPreview($container, attachmentId, context, description, creditsMsg) {
+	function addMediaPreview($container, attachmentId, context, description, creditsMsg, candidates) {
 		var contextLabel = fieldLabels[context] || context;
+		var editorId = 'visionati-preview-' + attachmentId + '-' + context + '-' + (++previewEditorCount);
 
 		var $preview = $('<div class="visionati-media-preview" data-context="' + context + '">')
 			.data('description', description);
 
 		$preview.append(
 			$('<div class="visionati-media-preview-header">').append(
-				$('<strong>').text(contextLabel + ':'),
+				$('<label>').attr('for', editorId).append($('<strong>').text(contextLabel + ':')),
 				creditsMsg ? $('<span class="visionati-media-preview-credits">').text(creditsMsg) : ''
 			)
 		);
 
-		var displayText = (context === 'alt_text') ? description.substring(0, 125) : description;
-		if (context === 'description') {
-			$preview.append($('<div class="visionati-media-preview-text">').html(displayText));
-		} else {
-			$preview.append($('<div class="visionati-media-preview-text">').text(displayText));
+		var initialText = (context === 'alt_text') ? description.substring(0, ALT_TEXT_LIMIT) : description;
+		var $input = $('<textarea class="visionati-media-preview-input">')
+			.attr({ id: editorId, rows: context === 'description' ? 6 : 3 })
+			.val(initialText);
+
+		if (candidates && candidates.length > 1) {
+			$preview.append(buildOptionPicker(candidates, context === 'description', function (text) {
+				setMediaPreviewText($preview, context, text);
+			}));
+		}
+
+		$preview.append($input);
+
+		if (context === 'alt_text') {
+			$preview.append($('<p class="visionati-media-preview-count">'));
 		}
 
 		$preview.append(
@@ -322,6 +428,136 @@
 		);
 
 		$container.append($preview);
+
+		if (context === 'alt_text') {
+			updateAltCounter($preview);
+		}
+
+		doAction('visionati.previewRendered', $preview, { type: 'media', id: attachmentId, context: context });
+
+		// The editor can only attach once the textarea is in the DOM.
+		if (context === 'description' && typeof wp !== 'undefined' && wp.editor && typeof wp.editor.initialize === 'function') {
+			wp.editor.initialize(editorId, {
+				tinymce: {
+					toolbar1: 'bold,italic,bullist,numlist,link,unlink,undo,redo',
+					height: 140,
+				},
+				quicktags: true,
+			});
+			$preview.data('editor-id', editorId);
+			log('preview: rich editor initialized', { editorId: editorId });
+		}
+	}
+
+	/**
+	 * Get the current (possibly edited) text of a preview block.
+	 */
+	function getMediaPreviewText($preview) {
+		var editorId = $preview.data('editor-id');
+
+		if (editorId && typeof tinymce !== 'undefined') {
+			var editor = tinymce.get(editorId);
+			if (editor && !editor.isHidden()) {
+				return editor.getContent();
+			}
+		}
+
+		return $preview.find('.visionati-media-preview-input').val() || '';
+	}
+
+	/**
+	 * Replace the text of a preview block (e.g. when a candidate is picked).
+	 */
+	function setMediaPreviewText($preview, context, text) {
+		var editorId = $preview.data('editor-id');
+		var value = (context === 'alt_text') ? text.substring(0, ALT_TEXT_LIMIT) : text;
+
+		$preview.data('description', text);
+		$preview.find('.visionati-media-preview-input').val(value);
+
+		if (editorId && typeof tinymce !== 'undefined') {
+			var editor = tinymce.get(editorId);
+			if (editor) {
+				editor.setContent(value);
+			}
+		}
+
+		if (context === 'alt_text') {
+			updateAltCounter($preview);
+		}
+	}
+
+	/**
+	 * Build a side-by-side list of candidate descriptions to pick from.
+	 *
+	 * The first candidate starts selected. `onSelect` receives the text of
+	 * the candidate the user clicks.
+	 *
+	 * @param {Array}    candidates Objects with `text` and `source`.
+	 * @param {boolean}  isHtml     Whether candidate text contains HTML.
+	 * @param {Function} onSelect   Called with the picked text.
+	 * @return {jQuery}
+	 */
+	function buildOptionPicker(candidates, isHtml, onSelect) {
+		var $picker = $('<div class="visionati-options" role="radiogroup">')
+			.attr('aria-label', i18n.pickOption || 'Pick an option');
+
+		candidates.forEach(function (candidate, index) {
+			var label = (i18n.optionN || 'Option %d').replace('%d', index + 1);
+			if (candidate.source) {
+				label += ' · ' + candidate.source;
+			}
+
+			var $text = $('<span class="visionati-option-text">');
+			if (isHtml) {
+				$text.html(candidate.text);
+			} else {
+				$text.text(candidate.text);
+			}
+
+			var $option = $('<button type="button" class="visionati-option" role="radio">')
+				.attr('aria-checked', index === 0 ? 'true' : 'false')
+				.toggleClass('is-selected', index === 0)
+				.append($('<span class="visionati-option-label">').text(label), $text)
+				.on('click', function () {
+					$picker.find('.visionati-option').removeClass('is-selected').attr('aria-checked', 'false');
+					$option.addClass('is-selected').attr('aria-checked', 'true');
+					onSelect(candidate.text);
+				});
+
+			$picker.append($option);
+		});
+
+		return $picker;
+	}
+
+	/**
+	 * Remove a preview block, tearing down its rich editor first.
+	 */
+	function removeMediaPreview($preview) {
+		var editorId = $preview.data('editor-id');
+
+		if (editorId && typeof wp !== 'undefined' && wp.editor && typeof wp.editor.remove === 'function') {
+			wp.editor.remove(editorId);
+		}
+
+		$preview.remove();
+	}
+
+	function updateAltCounter($preview) {
+		var length = ($preview.find('.visionati-media-preview-input').val() || '').length;
+		var overLimit = length > ALT_TEXT_LIMIT;
+		var text = (i18n.charCount || '%1$d / %2$d characters')
+			.replace('%1$d', length)
+			.replace('%2$d', ALT_TEXT_LIMIT);
+
+		if (overLimit) {
+			text += ' ' + (i18n.altTooLong || 'Alt text is trimmed to 125 characters when applied.');
+		}
+
+		$preview.find('.visionati-media-preview-count')
+			.text(text)
+			.toggleClass('over-limit', overLimit);
 	}
 
 	/**
@@ -334,14 +570,14 @@
 	 * We try both approaches for each field.
 	 */
 	function updateMediaFields(attachmentId, data, context) {
-		if (!data || !data.description) {
+		if (!data || (!data.description && !data.restored)) {
 			log('updateMediaFields: no description in data, skipping', { attachmentId: attachmentId, context: context, data: data });
 			return;
 		}
 
-		log('updateMediaFields: starting', { attachmentId: attachmentId, context: context, descriptionLength: data.description.length, fields: data.fields });
+		log('updateMediaFields: starting', { attachmentId: attachmentId, context: context, descriptionLength: (data.description || '').length, fields: data.fields });
 
-		var text = data.description;
+		var text = data.description || '';
 		var fieldValue = (context === 'alt_text') ? text.substring(0, 125) : text;
 
 		// Data is already saved server-side by the AJAX handler. These updates
@@ -453,211 +689,548 @@
 	}
 
 	// -------------------------------------------------------------------------
-	// Bulk Generate (Media → Bulk Generate page)
+	// Media Library: Model Comparison
 	// -------------------------------------------------------------------------
 
-	function getSelectedBulkContexts() {
-		var contexts = [];
-		$('input[name="visionati_bulk_context"]:checked').each(function () {
-			contexts.push($(this).val());
+	/**
+	 * Build the compare panel: field picker, model checkboxes, and an
+	 * empty results area. The configured default model plus the next one
+	 * in the list start checked.
+	 */
+	function buildComparePanel(attachmentId) {
+		var backends = admin.backends || {};
+		var slugs = Object.keys(backends);
+		var defaultBackend = slugs.indexOf(admin.defaultBackend) !== -1 ? admin.defaultBackend : slugs[0];
+		var preselected = [defaultBackend];
+		var $panel = $('<div class="visionati-compare-panel">').attr('data-attachment-id', attachmentId);
+
+		slugs.forEach(function (slug) {
+			if (preselected.length < (admin.compareMin || 2) && preselected.indexOf(slug) === -1) {
+				preselected.push(slug);
+			}
 		});
-		return contexts;
-	}
 
-	var fieldLabels = i18n.fieldLabels || {
-		alt_text: 'alt text',
-		caption: 'caption',
-		description: 'description'
-	};
+		var $context = $('<select class="visionati-compare-context">');
+		['alt_text', 'caption', 'description'].forEach(function (context) {
+			$context.append($('<option>').val(context).text(fieldLabels[context] || context));
+		});
 
-	function formatFieldNames(fields) {
-		if (!fields || !fields.length) {
-			return '';
-		}
-		return fields.map(function (f) { return fieldLabels[f] || f; }).join(', ');
+		var $models = $('<fieldset class="visionati-compare-models">').append(
+			$('<legend>').text(i18n.models || 'Models')
+		);
+		slugs.forEach(function (slug) {
+			$models.append(
+				$('<label>').append(
+					$('<input type="checkbox" class="visionati-compare-backend">')
+						.val(slug)
+						.prop('checked', preselected.indexOf(slug) !== -1),
+					' ',
+					document.createTextNode(backends[slug])
+				)
+			);
+		});
+
+		$panel.append(
+			$('<div class="visionati-media-preview-header">').append(
+				$('<strong>').text((i18n.compareModels || 'Compare models') + ':')
+			),
+			$('<label class="visionati-compare-field">').append(
+				document.createTextNode((i18n.field || 'Field') + ' '),
+				$context
+			),
+			$models,
+			$('<div class="visionati-media-preview-actions">').append(
+				$('<button type="button" class="button visionati-compare-run">').text(i18n.runCompare || 'Run comparison'),
+				$('<span class="visionati-media-preview-status">')
+			),
+			$('<div class="visionati-compare-columns">')
+		);
+
+		return $panel;
 	}
 
-	function initBulkGenerate() {
-		var $startBtn = $('#visionati-bulk-start');
-		var $stopBtn = $('#visionati-bulk-stop');
+	function runComparison($panel) {
+		var attachmentId = $panel.data('attachment-id');
+		var context = $panel.find('.visionati-compare-context').val();
+		var $run = $panel.find('.visionati-compare-run');
+		var $status = $panel.find('.visionati-media-preview-actions .visionati-media-preview-status');
+		var $columns = $panel.find('.visionati-compare-columns');
+		var min = admin.compareMin || 2;
+		var max = admin.compareMax || 4;
+		var backends = [];
+
+		$panel.find('.visionati-compare-backend:checked').each(function () {
+			backends.push($(this).val());
+		});
 
-		if (!$startBtn.length) {
+		if (backends.length < min || backends.length > max) {
+			$status
+				.text((i18n.compareSelect || 'Select %1$d to %2$d models to compare.').replace('%1$d', min).replace('%2$d', max))
+				.attr('class', 'visionati-media-preview-status error');
 			return;
 		}
 
-		$startBtn.on('click', function () {
-			if (bulkState.running) {
-				return;
-			}
-
-			var contexts = getSelectedBulkContexts();
-			if (!contexts.length) {
-				showNotice(i18n.selectFields || 'Select at least one field to generate.', 'warning');
-				return;
-			}
+		log('compare: starting', { attachmentId: attachmentId, context: context, backends: backends });
+		$run.prop('disabled', true);
+		$columns.empty();
+		$status.text(i18n.generating || 'Generating...').attr('class', 'visionati-media-preview-status loading');
 
-			$startBtn.prop('disabled', true).text(i18n.processing || 'Processing...');
-			$stopBtn.prop('disabled', false);
+		$.post(admin.ajaxUrl, {
+			action: 'visionati_compare',
+			nonce: admin.nonce,
+			attachment_id: attachmentId,
+			context: context,
+			'backends[]': backends,
+		})
+			.done(function (response) {
+				log('compare: response', response.data);
+				logServerTrace(response.data);
+				if (!response.success) {
+					$status
+						.text((i18n.error || 'Error') + ': ' + (response.data.message || ''))
+						.attr('class', 'visionati-media-preview-status error');
+					return;
+				}
 
-			// Fetch the list of image IDs first.
-			$.post(admin.ajaxUrl, {
-				action: 'visionati_get_images',
-				nonce: admin.nonce,
-				'contexts[]': contexts,
-			})
-				.done(function (response) {
-					logServerTrace(response.data);
-					if (
-						response.success &&
-						response.data.ids &&
-						response.data.ids.length > 0
-					) {
-						var count = response.data.ids.length;
-						var overwrite = admin.overwriteFields || [];
-						var selectedContexts = getSelectedBulkContexts();
-						var hasOverwrite = selectedContexts.some(function (c) { return overwrite.indexOf(c) !== -1; });
-						var msg = hasOverwrite
-							? (i18n.confirmBulkOverwrite || 'Process %d images? Overwrite is enabled — existing content will be replaced. Each image uses at least 1 API credit per field.')
-							: (i18n.confirmBulk || 'Process %d images? Each image uses at least 1 API credit per field.');
-						msg = msg.replace('%d', count);
+				var statusText = i18n.generated || 'Generated.';
+				if (response.data.credits !== undefined && response.data.credits !== null) {
+					statusText += ' (' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', response.data.credits) + ')';
+				}
+				$status.text(statusText).attr('class', 'visionati-media-preview-status success');
 
-						if (!confirm(msg)) {
-							$startBtn.prop('disabled', false).text(i18n.start || 'Start');
-							$stopBtn.prop('disabled', true);
-							return;
-						}
-						startBulkProcessing(response.data.ids);
-					} else {
-						$startBtn
-							.prop('disabled', false)
-							.text(i18n.start || 'Start');
-						showNotice(i18n.noImages || 'No images found to process.', 'warning');
-					}
-				})
-				.fail(function () {
-					$startBtn
-						.prop('disabled', false)
-						.text(i18n.start || 'Start');
-					showNotice(i18n.error || 'Error');
+				response.data.results.forEach(function (result) {
+					$columns.append(buildCompareColumn(attachmentId, context, result));
 				});
-		});
-
-		$stopBtn.on('click', function () {
-			bulkState.running = false;
-			$stopBtn.prop('disabled', true);
-			$startBtn.prop('disabled', false).text(i18n.resume || 'Resume');
-		});
-
-		// Auto-start if pre-queued IDs exist from the Media Library bulk action.
-		if (typeof visionatiBulkQueue !== 'undefined' && visionatiBulkQueue.length > 0) {
-			$startBtn.prop('disabled', true).text(i18n.processing || 'Processing...');
-			$stopBtn.prop('disabled', false);
-			startBulkProcessing(visionatiBulkQueue);
-		}
+			})
+			.fail(function () {
+				$status.text(i18n.error || 'Error').attr('class', 'visionati-media-preview-status error');
+			})
+			.always(function () {
+				$run.prop('disabled', false);
+			});
 	}
 
-	function startBulkProcessing(ids) {
-		var isResume = $('.visionati-bulk-progress').is(':visible');
-
-		bulkState.running = true;
-		bulkState.ids = ids;
-		bulkState.current = 0;
-		bulkState.generated = isResume ? bulkState.generated : 0;
-		bulkState.skipped = isResume ? bulkState.skipped : 0;
-		bulkState.errors = isResume ? bulkState.errors : 0;
-
-		var $progress = $('.visionati-bulk-progress');
-		var $log = $('.visionati-bulk-log');
+	/**
+	 * Build one labelled result column with its estimated cost and an Apply button.
+	 */
+	function buildCompareColumn(attachmentId, context, result) {
+		var $header = $('<div class="visionati-compare-column-header">').append($('<strong>').text(result.label));
+		var $column = $('<div class="visionati-compare-column">')
+			.attr({ 'data-attachment-id': attachmentId, 'data-context': context })
+			.append($header);
+
+		if (result.error) {
+			return $column.append(
+				$('<span class="visionati-media-preview-status error">').text(result.error)
+			);
+		}
 
-		$progress.show();
-		$log.show();
+		if (result.cost !== undefined && result.cost !== null) {
+			$header.append(
+				$('<span class="visionati-media-preview-credits">')
+					.text((i18n.creditCost || '~%s credits').replace('%s', result.cost))
+			);
+		}
 
-		// Only clear log on fresh start, not resume — so previous results are preserved.
-		if (!isResume) {
-			$('#visionati-bulk-log-entries').empty();
+		var text = (context === 'alt_text') ? result.description.substring(0, ALT_TEXT_LIMIT) : result.description;
+		var $text = $('<div class="visionati-compare-text">');
+		if (context === 'description') {
+			$text.html(text);
+		} else {
+			$text.text(text);
 		}
 
-		updateBulkProgress();
-		processNextBulkItem();
+		$column.data({ description: result.description, backend: result.backend }).append(
+			$text,
+			$('<div class="visionati-media-preview-actions">').append(
+				$('<button type="button" class="button visionati-compare-apply">').text(i18n.apply || 'Apply'),
+				$('<span class="visionati-media-preview-status">')
+			)
+		);
+
+		return $column;
 	}
 
-	function processNextBulkItem() {
-		if (!bulkState.running || bulkState.current >= bulkState.ids.length) {
-			bulkFinished();
+	function applyComparisonColumn($column) {
+		var attachmentId = $column.data('attachment-id');
+		var context = $column.data('context');
+		var description = $column.data('description');
+		var $button = $column.find('.visionati-compare-apply');
+		var $status = $column.find('.visionati-media-preview-status');
+
+		if (!attachmentId || !context || !description) {
 			return;
 		}
 
-		var attachmentId = bulkState.ids[bulkState.current];
-		var contexts = getSelectedBulkContexts();
-		if (!contexts.length) {
-			contexts = ['alt_text'];
-		}
+		log('compare apply: starting', { attachmentId: attachmentId, context: context });
+		$button.prop('disabled', true);
+		$status.text(i18n.processing || 'Processing...').attr('class', 'visionati-media-preview-status loading');
 
-		$.post(admin.ajaxUrl, {
-			action: 'visionati_bulk_analyze',
-			nonce: admin.nonce,
-			attachment_id: attachmentId,
-			'contexts[]': contexts,
-		})
+		restRequest('POST', 'attachments/' + attachmentId + '/fields/' + context, applyFilters('visionati.applyPayload', {
+			value: description,
+			backend: $column.data('backend'),
+		}, { type: 'media', id: attachmentId, context: context }))
 			.done(function (response) {
 				logServerTrace(response.data);
 				if (response.success) {
-					if (response.data.status === 'skipped') {
-						bulkState.skipped++;
-						addLogEntry(response.data, response.data.message || (i18n.skipped || 'Skipped'), 'skipped');
-					} else {
-						bulkState.generated++;
-						var msg = formatFieldNames(response.data.fields) || (i18n.generated || 'Generated.');
-						addLogEntry(response.data, msg, 'generated');
-					}
-					updateCreditsDisplay(response.data.credits);
+					$status.text(i18n.complete || 'Applied.').attr('class', 'visionati-media-preview-status success');
+					$column.addClass('is-applied').siblings().removeClass('is-applied')
+						.find('.visionati-media-preview-status').not('.error').text('');
+					updateMediaFields(attachmentId, { description: description }, context);
 				} else {
-					var errorMsg = response.data.message || (i18n.failed || 'Failed');
-					bulkState.errors++;
-					addLogEntry(response.data, errorMsg, 'failed');
-
-					if (isCreditError(errorMsg)) {
-						addCreditErrorEntry();
-						bulkFinished();
-						return;
-					}
+					$status.text((i18n.error || 'Error') + ': ' + (response.data.message || '')).attr('class', 'visionati-media-preview-status error');
 				}
 			})
 			.fail(function () {
-				bulkState.errors++;
-				addLogEntry({ filename: '#' + attachmentId }, i18n.failed || 'Failed', 'failed');
+				$status.text(i18n.error || 'Error').attr('class', 'visionati-media-preview-status error');
 			})
 			.always(function () {
-				if (!bulkState.running) {
-					return;
-				}
-				bulkState.current++;
-				updateBulkProgress();
-				processNextBulkItem();
+				$button.prop('disabled', false);
 			});
 	}
 
-	function updateBulkProgress() {
-		var total = bulkState.ids.length;
-		var current = bulkState.current;
-		var percent = total > 0 ? Math.round((current / total) * 100) : 0;
+	// -------------------------------------------------------------------------
+	// Field History (Media Library and WooCommerce meta box)
+	// -------------------------------------------------------------------------
 
-		$('#visionati-bulk-current').text(current);
-		$('#visionati-bulk-total').text(total);
-		$('#visionati-bulk-percent').text(percent);
-		var valueText = current + ' ' + (i18n.of || 'of') + ' ' + total
-			+ ' — ' + bulkState.generated + ' ' + (i18n.generated || 'generated').toLowerCase()
-			+ ', ' + bulkState.skipped + ' ' + (i18n.skipped || 'skipped').toLowerCase()
-			+ ', ' + bulkState.errors + ' ' + (i18n.error || 'errors').toLowerCase();
+	function initHistory() {
+		// History button: toggle the history panel for this post.
+		$(document).on('click', '.visionati-history-btn', function (e) {
+			e.preventDefault();
 
-		$('.visionati-bulk-progress .visionati-progress-bar')
-			.css('width', percent + '%')
-			.attr('aria-valuenow', percent)
-			.attr('aria-valuetext', valueText);
+			var $button = $(this);
+			var $open = $button.data('historyPanel');
+
+			if ($open && $.contains(document, $open[0])) {
+				$open.remove();
+				$button.removeData('historyPanel');
+				return;
+			}
 
-		$('.visionati-summary-generated').text(bulkState.generated);
-		$('.visionati-summary-skipped').text(bulkState.skipped);
-		$('.visionati-summary-errors').text(bulkState.errors);
+			loadHistory($button);
+		});
+
+		$(document).on('click', '.visionati-history-restore', function (e) {
+			e.preventDefault();
+			restoreHistoryEntry($(this).closest('.visionati-history-entry'));
+		});
+	}
+
+	/**
+	 * Fetch a post's history and open the panel below its buttons.
+	 */
+	function loadHistory($button) {
+		var postId = $button.data('post-id');
+
+		if (!postId || $button.prop('disabled')) {
+			return;
+		}
+
+		$button.prop('disabled', true);
+
+		$.post(admin.ajaxUrl, {
+			action: 'visionati_history',
+			nonce: admin.nonce,
+			post_id: postId,
+		})
+			.done(function (response) {
+				logServerTrace(response.data);
+				if (!response.success) {
+					showNotice((response.data && response.data.message) || (i18n.error || 'Error'));
+					return;
+				}
+
+				var $panel = $('<div class="visionati-history-panel">')
+					.attr('data-post-id', postId)
+					.append(
+						$('<div class="visionati-history-header">').append(
+							$('<strong>').text(i18n.history || 'History'),
+							$('<span class="visionati-media-preview-status">')
+						)
+					);
+				renderHistoryEntries($panel, response.data.entries);
+
+				// Media modal: above the previews. Product meta box: below the actions.
+				if ($button.closest('.visionati-media-actions').length) {
+					findMediaPreviews($button, postId).prepend($panel);
+				} else {
+					$button.closest('.visionati-woo-actions').after($panel);
+				}
+				$button.data('historyPanel', $panel);
+			})
+			.fail(function () {
+				showNotice(i18n.error || 'Error');
+			})
+			.always(function () {
+				$button.prop('disabled', false);
+			});
+	}
+
+	/**
+	 * Render history entries (newest first). Each entry shows the value
+	 * it replaced and the value written; Restore puts the replaced value back.
+	 */
+	function renderHistoryEntries($panel, entries) {
+		$panel.find('.visionati-history-list, .visionati-history-empty').remove();
+
+		if (!entries || !entries.length) {
+			$panel.append($('<p class="visionati-history-empty">').text(i18n.noHistory || 'No changes recorded yet.'));
+			return;
+		}
+
+		var $list = $('<ol class="visionati-history-list">');
+
+		entries.forEach(function (entry) {
+			var meta = [entry.date, entry.action, entry.model, entry.role, entry.user].filter(Boolean).join(' · ');
+
+			$list.append(
+				$('<li class="visionati-history-entry">')
+					.attr({ 'data-entry-id': entry.id, 'data-field': entry.field, 'data-label': entry.label })
+					.append(
+						$('<div class="visionati-history-meta">').append(
+							$('<strong>').text(entry.label),
+							' ',
+							$('<span>').text(meta)
+						),
+						$('<del class="visionati-history-old">').text(entry.old || (i18n.emptyValue || '(empty)')),
+						$('<ins class="visionati-history-new">').text(entry.new || (i18n.emptyValue || '(empty)')),
+						$('<div class="visionati-media-preview-actions">').append(
+							$('<button type="button" class="button button-small visionati-history-restore">').text(i18n.restore || 'Restore')
+						)
+					)
+			);
+		});
+
+		$panel.append($list);
+	}
+
+	function restoreHistoryEntry($entry) {
+		var $panel = $entry.closest('.visionati-history-panel');
+		var $status = $panel.find('.visionati-history-header .visionati-media-preview-status');
+		var postId = $panel.data('post-id');
+		var field = $entry.data('field');
+
+		if (!confirm((i18n.confirmRestore || 'Restore the previous %s?').replace('%s', $entry.data('label')))) {
+			return;
+		}
+
+		log('history restore: starting', { postId: postId, field: field, entryId: $entry.data('entry-id') });
+		$panel.find('.visionati-history-restore').prop('disabled', true);
+		$status.text(i18n.processing || 'Processing...').attr('class', 'visionati-media-preview-status loading');
+
+		$.post(admin.ajaxUrl, {
+			action: 'visionati_history_restore',
+			nonce: admin.nonce,
+			post_id: postId,
+			entry_id: $entry.data('entry-id'),
+		})
+			.done(function (response) {
+				logServerTrace(response.data);
+				if (!response.success) {
+					$status.text((i18n.error || 'Error') + ': ' + (response.data.message || '')).attr('class', 'visionati-media-preview-status error');
+					return;
+				}
+
+				$status.text(i18n.restored || 'Restored.').attr('class', 'visionati-media-preview-status success');
+				renderHistoryEntries($panel, response.data.entries);
+
+				// Show the restored value in the edit screen.
+				var data = { restored: true };
+				if (field === 'short_description' || field === 'long_description') {
+					data[field] = response.data.value;
+					updateWooEditorFields(data);
+				} else if (admin.seoMetaKeys && admin.seoMetaKeys[field]) {
+					data[field] = response.data.value;
+					updateWooSeoFields(data);
+				} else if (field === 'product_tags') {
+					updateWooTagsBox(response.data.value);
+				} else if (field === 'product_attributes') {
+					$status.text((i18n.restored || 'Restored.') + ' ' + (i18n.reloadForAttributes || 'Reload the page before saving the product to keep the new attribute values.'));
+				} else {
+					data.description = response.data.value;
+					updateMediaFields(postId, data, field);
+				}
+			})
+			.fail(function () {
+				$status.text(i18n.error || 'Error').attr('class', 'visionati-media-preview-status error');
+			})
+			.always(function () {
+				$panel.find('.visionati-history-restore').prop('disabled', false);
+			});
+	}
+
+	// -------------------------------------------------------------------------
+	// Bulk Generate (Media → Bulk Generate page)
+	// -------------------------------------------------------------------------
+
+	function getSelectedBulkContexts() {
+		var contexts = [];
+		$('input[name="visionati_bulk_context"]:checked').each(function () {
+			contexts.push($(this).val());
+		});
+		return contexts;
+	}
+
+	var fieldLabels = i18n.fieldLabels || {
+		alt_text: 'alt text',
+		caption: 'caption',
+		description: 'description'
+	};
+
+	function formatFieldNames(fields) {
+		if (!fields || !fields.length) {
+			return '';
+		}
+		return fields.map(function (f) { return fieldLabels[f] || f; }).join(', ');
+	}
+
+	/**
+	 * Collect the non-empty Bulk Generate filters, keyed by filter name.
+	 */
+	function getBulkFilters() {
+		var filters = {};
+		$('[name="visionati_bulk_filter"]').each(function () {
+			var value = $.trim($(this).val());
+			if (value) {
+				filters[$(this).data('filter')] = value;
+			}
+		});
+		return filters;
+	}
+
+	function refreshBulkStats() {
+		var $stats = $('#visionati-bulk-stats');
+
+		if (!$stats.length) {
+			return;
+		}
+
+		$.post(admin.ajaxUrl, $.extend({
+			action: 'visionati_bulk_get_stats',
+			nonce: admin.nonce,
+		}, getBulkFilters())).done(function (response) {
+			logServerTrace(response.data);
+			if (response.success) {
+				var d = response.data;
+				var msg = (i18n.bulkStats || '%1$d missing alt text, %2$d missing captions, %3$d missing descriptions out of %4$d images.')
+					.replace('%1$d', d.alt_text)
+					.replace('%2$d', d.caption)
+					.replace('%3$d', d.description)
+					.replace('%4$d', d.total);
+				$stats.text(msg);
+			}
+		});
+	}
+
+	function initBulkGenerate() {
+		var $startBtn = $('#visionati-bulk-start');
+
+		if (!$startBtn.length) {
+			return;
+		}
+
+		// Refresh stats when a filter changes.
+		$(document).on('change', '[name="visionati_bulk_filter"]', refreshBulkStats);
+
+		initJobControls('media', function () {
+			var contexts = getSelectedBulkContexts();
+			if (!contexts.length) {
+				showNotice(i18n.selectFields || 'Select at least one field to generate.', 'warning');
+				return;
+			}
+
+			$startBtn.prop('disabled', true).text(i18n.processing || 'Processing...');
+
+			// Count the images first so the user can confirm the credit spend.
+			restRequest('GET', 'images', $.extend({
+				'contexts[]': contexts,
+			}, getBulkFilters()))
+				.done(function (response) {
+					logServerTrace(response.data);
+					if (
+						response.success &&
+						response.data.ids &&
+						response.data.ids.length > 0
+					) {
+						var count = response.data.ids.length;
+						var overwrite = admin.overwriteFields || [];
+						var hasOverwrite = contexts.some(function (c) { return overwrite.indexOf(c) !== -1; });
+						var msg = hasOverwrite
+							? (i18n.confirmBulkOverwrite || 'Process %d images? Overwrite is enabled — existing content will be replaced. Each image uses at least 1 API credit per field.')
+							: (i18n.confirmBulk || 'Process %d images? Each image uses at least 1 API credit per field.');
+						msg = msg.replace('%d', count) + formatEstimate(response.data.estimate, getBudgetCap('media'));
+
+						if (!confirm(msg)) {
+							$startBtn.prop('disabled', false).text(i18n.start || 'Start');
+							return;
+						}
+						startJob('media', $.extend({
+							action: 'visionati_bulk_start',
+							'contexts[]': contexts,
+							concurrency: getBulkConcurrency(),
+						}, getBulkFilters()));
+					} else {
+						$startBtn
+							.prop('disabled', false)
+							.text(i18n.start || 'Start');
+						showNotice(i18n.noImages || 'No images found to process.', 'warning');
+					}
+				})
+				.fail(function () {
+					$startBtn
+						.prop('disabled', false)
+						.text(i18n.start || 'Start');
+					showNotice(i18n.error || 'Error');
+				});
+		});
+	}
+
+	/**
+	 * Format a bulk run cost estimate for the start confirmation.
+	 *
+	 * @param {Object} estimate Estimate with total, breakdown and balance.
+	 * @param {number} budget   Budget cap in credits, 0 for none.
+	 * @return {string} Text to append to the confirmation message.
+	 */
+	function formatEstimate(estimate, budget) {
+		if (!estimate) {
+			return '';
+		}
+
+		var text = '\n\n' + (i18n.estimate || 'Estimated cost: about %s credits.').replace('%s', estimate.total);
+
+		(estimate.breakdown || []).forEach(function (line) {
+			text += '\n' + (i18n.estimateLine || '%1$s: %2$d × %3$s credits (%4$s)')
+				.replace('%1$s', line.label)
+				.replace('%2$d', line.count)
+				.replace('%3$s', line.credits)
+				.replace('%4$s', line.model);
+			if (line.estimated) {
+				text += ' — ' + (i18n.estimateGuess || 'price not measured yet');
+			}
+		});
+
+		if (estimate.estimated) {
+			text += '\n\n' + (i18n.estimateUnknown || 'Some models have not been priced yet, so their lines assume 1 credit per request and the total may be off. Run Compare models on those models to measure their price.');
+		}
+
+		if (estimate.balance !== null && estimate.total > estimate.balance) {
+			text += '\n\n' + (i18n.overBalance || 'Warning: this is more than your remaining balance of %d credits.').replace('%d', estimate.balance);
+		}
+
+		if (budget) {
+			text += '\n' + (i18n.budgetNote || 'The run stops once it has used %d credits.').replace('%d', budget);
+		}
+
+		return text;
+	}
+
+	function getBulkConcurrency() {
+		var value = parseInt($('#visionati-bulk-concurrency').val(), 10);
+		if (isNaN(value) || value < 1) {
+			return 1;
+		}
+		return value;
 	}
 
 	function addLogEntry(data, message, status) {
@@ -667,6 +1240,8 @@
 		}
 		var id = data.attachment_id || data.product_id || '';
 		var name = data.filename || ('Image #' + id);
+		// Variations link to their parent product.
+		var editId = data.edit_id || id;
 
 		var $entry = $('<div>').addClass('visionati-log-entry');
 
@@ -685,7 +1260,7 @@
 			$entry.append(
 				$('<a>')
 					.addClass('visionati-log-name')
-					.attr({ href: admin.adminUrl + 'post.php?post=' + id + '&action=edit', target: '_blank', rel: 'noopener' })
+					.attr({ href: admin.adminUrl + 'post.php?post=' + editId + '&action=edit', target: '_blank', rel: 'noopener' })
 					.text(name)
 			);
 		} else {
@@ -721,94 +1296,473 @@
 		$log.scrollTop($log[0].scrollHeight);
 	}
 
-	function bulkFinished() {
-		bulkState.running = false;
-
-		var $startBtn = $('#visionati-bulk-start');
-		var $stopBtn = $('#visionati-bulk-stop');
-
-		$startBtn.prop('disabled', false).text(i18n.start || 'Start');
-		$stopBtn.prop('disabled', true);
+	// -------------------------------------------------------------------------
+	// Background Bulk Jobs (shared by the Media and WooCommerce bulk pages)
+	// -------------------------------------------------------------------------
 
-		updateBulkProgress();
+	var JOB_POLL_INTERVAL = 3000;
 
-		$('.visionati-bulk-progress .visionati-progress-summary').trigger('focus');
-	}
+	/**
+	 * Page elements for each bulk job type.
+	 *
+	 * `fieldsInLog` shows the generated field names in the results log
+	 * instead of a plain "Generated." message. `review` is the "Generate
+	 * for review" checkbox.
+	 */
+	var bulkPages = {
+		media: {
+			start: '#visionati-bulk-start',
+			pause: '#visionati-bulk-stop',
+			cancel: '#visionati-bulk-cancel',
+			revert: '#visionati-bulk-revert',
+			retry: '#visionati-bulk-retry',
+			budget: '#visionati-bulk-budget',
+			review: '#visionati-bulk-review',
+			progress: '.visionati-bulk-progress',
+			log: '.visionati-bulk-log',
+			entries: '#visionati-bulk-log-entries',
+			fieldsInLog: true,
+		},
+		woo: {
+			start: '#visionati-woo-bulk-start',
+			pause: '#visionati-woo-bulk-stop',
+			cancel: '#visionati-woo-bulk-cancel',
+			revert: '#visionati-woo-bulk-revert',
+			retry: '#visionati-woo-bulk-retry',
+			budget: '#visionati-woo-bulk-budget',
+			review: '#visionati-woo-bulk-review',
+			progress: '.visionati-woo-bulk-progress',
+			log: '.visionati-woo-bulk-log',
+			entries: '#visionati-woo-bulk-log-entries',
+			fieldsInLog: false,
+		},
+	};
 
-	// -------------------------------------------------------------------------
-	// WooCommerce: Single Product Meta Box
-	// -------------------------------------------------------------------------
+	/**
+	 * Job monitor state per type.
+	 *
+	 * Bulk runs are processed server-side, so the page only starts a job
+	 * and polls its status. `since` is the sequence number of the last log
+	 * entry received; each poll only returns newer entries.
+	 */
+	var jobState = {};
 
-	function initWooMetaBox() {
-		$(document).on('click', '.visionati-woo-generate-btn', function (e) {
-			e.preventDefault();
+	/**
+	 * Wire up the Start / Pause / Cancel / Revert buttons for a bulk page and pick
+	 * up a job that is already in progress (e.g. queued from a list table
+	 * bulk action, or started before the page was reloaded).
+	 *
+	 * @param {string}   type    Job type ('media' or 'woo').
+	 * @param {Function} onStart Called when Start is clicked with no resumable job.
+	 */
+	function initJobControls(type, onStart) {
+		var page = bulkPages[type];
+		var $startBtn = $(page.start);
 
-			var $button = $(this);
-			var $status = $button.siblings('.visionati-woo-status');
-			var $results = $button.closest('.visionati-woo-meta-box').find('.visionati-woo-results');
-			var productId = $button.data('product-id');
+		jobState[type] = { id: 0, status: '', since: 0, timer: null, creditShown: false };
 
-			if (!productId || $button.hasClass('is-loading')) {
+		$startBtn.on('click', function () {
+			var state = jobState[type];
+			if (state.status === 'paused' || state.status === 'stopped') {
+				jobAction(type, 'visionati_job_resume');
+				return;
+			}
+			if (state.status === 'running') {
 				return;
 			}
+			onStart();
+		});
 
-			log('woo generate: starting', { productId: productId });
-			$button.addClass('is-loading').prop('disabled', true);
-			$status.text(i18n.generating || 'Generating...').addClass('loading');
-			$results.hide();
-			// Reset per-field state from any previous generation.
-			$results.find('.visionati-field-applied').removeClass('visionati-field-applied');
-			$results.find('.visionati-woo-apply-single-btn').show();
-			$results.find('.visionati-woo-field-status').text('').attr('class', 'visionati-woo-field-status');
+		$(page.pause).on('click', function () {
+			jobAction(type, 'visionati_job_pause');
+		});
 
-			$.post(admin.ajaxUrl, {
-				action: 'visionati_woo_generate',
-				nonce: admin.nonce,
-				product_id: productId,
-			})
-				.done(function (response) {
-					log('woo generate: response', response.data);
-					logServerTrace(response.data);
-					if (response.success) {
-						var genMsg = i18n.generated || 'Generated.';
-						if (response.data.credits !== undefined && response.data.credits !== null) {
-							genMsg += ' (' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', response.data.credits) + ')';
-						}
-						$status.text(genMsg).removeClass('loading').addClass('success');
-						log('woo generate: preview data', {
-							hasShort: !!response.data.short_description,
-							shortLength: response.data.short_description ? response.data.short_description.length : 0,
-							hasLong: !!response.data.long_description,
-							longLength: response.data.long_description ? response.data.long_description.length : 0,
-						});
-						// Store preview data so Apply can send it back without re-generating.
-						$results.data('preview', response.data);
-						showWooPreview($results, response.data);
-					} else {
-						$status
-							.text((i18n.error || 'Error') + ': ' + response.data.message)
-							.removeClass('loading')
-							.addClass('error');
-					}
-				})
-				.fail(function () {
-					$status
-						.text(i18n.error || 'Error')
-						.removeClass('loading')
-						.addClass('error');
-				})
-				.always(function () {
-					$button.removeClass('is-loading').prop('disabled', false);
-				});
+		$(page.cancel).on('click', function () {
+			if (confirm(i18n.confirmCancel || 'Cancel this bulk job? Items already processed keep their results.')) {
+				jobAction(type, 'visionati_job_cancel');
+			}
 		});
 
-		// Per-field Apply button: save just one description.
-		$(document).on('click', '.visionati-woo-apply-single-btn', function (e) {
-			e.preventDefault();
+		$(page.retry).on('click', function () {
+			jobAction(type, 'visionati_job_retry');
+		});
 
-			var $button = $(this);
-			var $previewBlock = $button.closest('.visionati-woo-preview-short, .visionati-woo-preview-long');
-			var $fieldStatus = $previewBlock.find('.visionati-woo-field-status');
+		$(page.revert).on('click', function () {
+			if (confirm(i18n.confirmRevert || 'Revert every field this run wrote? Fields edited since the run are left alone.')) {
+				jobAction(type, 'visionati_job_revert');
+			}
+		});
+
+		$.post(admin.ajaxUrl, {
+			action: 'visionati_job_status',
+			nonce: admin.nonce,
+			type: type,
+		}).done(function (response) {
+			logServerTrace(response.data);
+			if (response.success && response.data.job) {
+				log('jobs: resuming monitor', { type: type, id: response.data.job.id, status: response.data.job.status });
+				showJob(type, response.data.job, true);
+			}
+		});
+	}
+
+	/**
+	 * Create a job via the page's start endpoint and begin monitoring it.
+	 *
+	 * @param {string} type Job type.
+	 * @param {Object} data POST data including the start `action`.
+	 */
+	function startJob(type, data) {
+		var page = bulkPages[type];
+		var $startBtn = $(page.start);
+
+		$.post(admin.ajaxUrl, $.extend({
+			nonce: admin.nonce,
+			budget: getBudgetCap(type),
+			review: $(page.review).is(':checked') ? 1 : 0,
+		}, data))
+			.done(function (response) {
+				logServerTrace(response.data);
+				if (response.success && response.data.job) {
+					log('jobs: started', { type: type, id: response.data.job.id, total: response.data.job.total });
+					showJob(type, response.data.job, true);
+				} else {
+					$startBtn.prop('disabled', false).text(i18n.start || 'Start');
+					showNotice((response.data && response.data.message) || (i18n.error || 'Error'));
+				}
+			})
+			.fail(function () {
+				$startBtn.prop('disabled', false).text(i18n.start || 'Start');
+				showNotice(i18n.error || 'Error');
+			});
+	}
+
+	/**
+	 * Pause, resume, cancel, retry or revert the monitored job.
+	 *
+	 * @param {string} type   Job type.
+	 * @param {string} action AJAX action name.
+	 */
+	function jobAction(type, action) {
+		var state = jobState[type];
+		var page = bulkPages[type];
+
+		if (!state.id) {
+			return;
+		}
+
+		$([page.start, page.pause, page.cancel, page.retry, page.revert].join(', ')).prop('disabled', true);
+
+		var data = {
+			action: action,
+			nonce: admin.nonce,
+			job_id: state.id,
+		};
+
+		// Resuming or retrying picks up a changed budget cap.
+		if (action === 'visionati_job_resume' || action === 'visionati_job_retry') {
+			data.budget = getBudgetCap(type);
+		}
+
+		$.post(admin.ajaxUrl, data)
+			.done(function (response) {
+				logServerTrace(response.data);
+				if (response.success && response.data.job) {
+					if (action === 'visionati_job_resume' || action === 'visionati_job_retry') {
+						state.creditShown = false;
+					}
+					if (action === 'visionati_job_cancel') {
+						showNotice(i18n.cancelled || 'Cancelled.', 'info');
+					}
+					if (action === 'visionati_job_revert') {
+						showNotice(
+							(i18n.reverted || 'Reverted %1$d fields. %2$d left unchanged because they were edited after the run.')
+								.replace('%1$d', response.data.reverted)
+								.replace('%2$d', response.data.skipped),
+							'success'
+						);
+					}
+					showJob(type, response.data.job, false);
+				} else {
+					showNotice((response.data && response.data.message) || (i18n.error || 'Error'));
+					pollJob(type);
+				}
+			})
+			.fail(function () {
+				showNotice(i18n.error || 'Error');
+				pollJob(type);
+			});
+	}
+
+	/**
+	 * Render a job status payload and keep polling while it is running.
+	 *
+	 * @param {string}  type  Job type.
+	 * @param {Object}  job   Status payload from the server.
+	 * @param {boolean} fresh Whether this is a newly loaded job (clears the log).
+	 */
+	function showJob(type, job, fresh) {
+		var state = jobState[type];
+		var page = bulkPages[type];
+
+		if (fresh) {
+			state.since = 0;
+			state.creditShown = false;
+			$(page.entries).empty();
+			$(page.budget).val(job.budget || '');
+		}
+
+		var review = !!(job.args && job.args.review);
+		$(page.review).prop('checked', review);
+		$(page.progress).find('.visionati-review-link').toggle(review);
+
+		state.id = job.id;
+		state.status = job.status;
+
+		$(page.progress).show();
+		$(page.log).show();
+
+		// Export links download the report of everything processed so far.
+		$(page.log).find('.visionati-bulk-export a').attr('href', function () {
+			return admin.ajaxUrl + '?' + $.param({
+				action: 'visionati_job_export',
+				nonce: admin.nonce,
+				job_id: job.id,
+				format: $(this).data('format'),
+			});
+		});
+
+		renderJob(type, job);
+
+		clearTimeout(state.timer);
+		state.timer = null;
+
+		// Keep polling while the runner is working, including a batch
+		// that is still finishing after Pause was clicked.
+		if (job.status === 'running' || job.busy) {
+			state.timer = setTimeout(function () {
+				pollJob(type);
+			}, JOB_POLL_INTERVAL);
+		} else if (job.status === 'completed' || job.status === 'cancelled') {
+			$(page.progress + ' .visionati-progress-summary').trigger('focus');
+		}
+	}
+
+	/**
+	 * Read a bulk page's budget cap input.
+	 *
+	 * @param {string} type Job type.
+	 * @return {number} Cap in credits, 0 for no cap.
+	 */
+	function getBudgetCap(type) {
+		var value = parseInt($(bulkPages[type].budget).val(), 10);
+		return isNaN(value) || value < 1 ? 0 : value;
+	}
+
+	/**
+	 * Show credits spent against the job's budget cap, or why the
+	 * runner stopped when the cap was reached.
+	 *
+	 * @param {string} type Job type.
+	 * @param {Object} job  Job status from the server.
+	 */
+	function updateBudgetDisplay(type, job) {
+		var $status = $(bulkPages[type].progress).find('.visionati-budget-status');
+
+		if (job.status === 'stopped' && !job.credit_error && job.message) {
+			$status.text(job.message).show();
+		} else if (job.budget) {
+			$status.text(
+				(i18n.budgetStatus || '%1$d of %2$d budgeted credits used.')
+					.replace('%1$d', job.spent || 0)
+					.replace('%2$d', job.budget)
+			).show();
+		} else {
+			$status.hide();
+		}
+	}
+
+	function pollJob(type) {
+		var state = jobState[type];
+
+		$.post(admin.ajaxUrl, {
+			action: 'visionati_job_status',
+			nonce: admin.nonce,
+			job_id: state.id,
+			since: state.since,
+		})
+			.done(function (response) {
+				logServerTrace(response.data);
+				if (response.success && response.data.job) {
+					showJob(type, response.data.job, false);
+				}
+			})
+			.fail(function () {
+				// Transient network error: try again on the next interval.
+				state.timer = setTimeout(function () {
+					pollJob(type);
+				}, JOB_POLL_INTERVAL);
+			});
+	}
+
+	function renderJob(type, job) {
+		var state = jobState[type];
+		var page = bulkPages[type];
+		var $progress = $(page.progress);
+
+		$progress.find('.visionati-bulk-current').text(job.processed);
+		$progress.find('.visionati-bulk-total').text(job.total);
+		$progress.find('.visionati-bulk-percent').text(job.percent);
+		var valueText = job.processed + ' ' + (i18n.of || 'of') + ' ' + job.total
+			+ ' — ' + job.generated + ' ' + (i18n.generated || 'generated').toLowerCase()
+			+ ', ' + job.skipped + ' ' + (i18n.skipped || 'skipped').toLowerCase()
+			+ ', ' + job.errors + ' ' + (i18n.error || 'errors').toLowerCase();
+
+		$progress.find('.visionati-progress-bar')
+			.css('width', job.percent + '%')
+			.attr('aria-valuenow', job.percent)
+			.attr('aria-valuetext', valueText);
+
+		$progress.find('.visionati-summary-generated').text(job.generated);
+		$progress.find('.visionati-summary-skipped').text(job.skipped);
+		$progress.find('.visionati-summary-errors').text(job.errors);
+
+		updateCreditsDisplay(job.credits);
+		updateBudgetDisplay(type, job);
+
+		(job.items || []).forEach(function (item) {
+			var message;
+			var status = item.status;
+			if (item.status === 'pending') {
+				// Transient error: the server retries the item after a delay.
+				status = 'retrying';
+				message = (i18n.retrying || 'Retry %1$d of %2$d in %3$ds: %4$s')
+					.replace('%1$d', item.retry)
+					.replace('%2$d', item.max_retries)
+					.replace('%3$d', item.retry_in)
+					.replace('%4$s', item.message || '');
+			} else if (item.status === 'generated') {
+				message = (page.fieldsInLog && formatFieldNames(item.fields)) || (i18n.generated || 'Generated.');
+			} else if (item.status === 'skipped') {
+				message = item.message || (i18n.skipped || 'Skipped');
+			} else {
+				message = item.message || (i18n.failed || 'Failed');
+			}
+			if (item.retries) {
+				message += ' ' + (i18n.afterRetries || '(after %d retries)').replace('%d', item.retries);
+			}
+			addLogEntry(item, message, status);
+			state.since = Math.max(state.since, item.seq);
+		});
+
+		// The runner stops itself when credits run out; show the
+		// "add credits" entry once per stop.
+		if (job.credit_error && !state.creditShown) {
+			state.creditShown = true;
+			addCreditErrorEntry();
+		}
+
+		var $startBtn = $(page.start);
+		var $pauseBtn = $(page.pause);
+		var $cancelBtn = $(page.cancel);
+		var isActive = job.status === 'running' || job.status === 'paused' || job.status === 'stopped';
+
+		if (job.status === 'running') {
+			$startBtn.prop('disabled', true).text(i18n.processing || 'Processing...');
+			$pauseBtn.prop('disabled', false);
+		} else if (isActive && job.busy) {
+			$startBtn.prop('disabled', true).text(i18n.pausing || 'Pausing...');
+			$pauseBtn.prop('disabled', true);
+		} else if (isActive) {
+			$startBtn.prop('disabled', false).text(i18n.resume || 'Resume');
+			$pauseBtn.prop('disabled', true);
+		} else {
+			$startBtn.prop('disabled', false).text(i18n.start || 'Start');
+			$pauseBtn.prop('disabled', true);
+		}
+
+		$cancelBtn.prop('disabled', !isActive);
+		$(page.retry).prop('disabled', false).toggle(job.status !== 'running' && !job.busy && job.errors > 0);
+		$(page.revert).prop('disabled', false).toggle(!!job.revertable && !job.busy);
+	}
+
+	// -------------------------------------------------------------------------
+	// WooCommerce: Single Product Meta Box
+	// -------------------------------------------------------------------------
+
+	function initWooMetaBox() {
+		$(document).on('click', '.visionati-woo-generate-btn', function (e) {
+			e.preventDefault();
+
+			var $button = $(this);
+			var $status = $button.siblings('.visionati-woo-status');
+			var $results = $button.closest('.visionati-woo-meta-box').find('.visionati-woo-results');
+			var productId = $button.data('product-id');
+
+			if (!productId || $button.hasClass('is-loading')) {
+				return;
+			}
+
+			var variants = $button.closest('.visionati-woo-meta-box').find('.visionati-woo-variants').is(':checked');
+			var template = $button.closest('.visionati-woo-meta-box').find('.visionati-woo-template').val() || '';
+			log('woo generate: starting', { productId: productId, variants: variants, template: template });
+			$button.addClass('is-loading').prop('disabled', true);
+			$status.text(i18n.generating || 'Generating...').addClass('loading');
+			$results.hide();
+			// Reset per-field state from any previous generation.
+			$results.find('.visionati-field-applied').removeClass('visionati-field-applied');
+			$results.find('.visionati-woo-apply-single-btn').show();
+			$results.find('.visionati-woo-field-status').text('').attr('class', 'visionati-woo-field-status');
+
+			restRequest('POST', 'products/' + productId + '/generate', {
+				variants: variants ? 1 : 0,
+				template: template,
+			})
+				.done(function (response) {
+					log('woo generate: response', response.data);
+					logServerTrace(response.data);
+					if (response.success) {
+						var genMsg = i18n.generated || 'Generated.';
+						if (response.data.credits !== undefined && response.data.credits !== null) {
+							genMsg += ' (' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', response.data.credits) + ')';
+						}
+						$status.text(genMsg).removeClass('loading').addClass('success');
+						log('woo generate: preview data', {
+							hasShort: !!response.data.short_description,
+							shortLength: response.data.short_description ? response.data.short_description.length : 0,
+							hasLong: !!response.data.long_description,
+							longLength: response.data.long_description ? response.data.long_description.length : 0,
+						});
+						// Store preview data so Apply can send it back without re-generating.
+						var preview = applyFilters('visionati.previewData', response.data, { type: 'woo', id: productId });
+						$results.data('preview', preview);
+						showWooPreview($results, preview);
+						doAction('visionati.previewRendered', $results, { type: 'woo', id: productId });
+					} else {
+						$status
+							.text((i18n.error || 'Error') + ': ' + response.data.message)
+							.removeClass('loading')
+							.addClass('error');
+					}
+				})
+				.fail(function () {
+					$status
+						.text(i18n.error || 'Error')
+						.removeClass('loading')
+						.addClass('error');
+				})
+				.always(function () {
+					$button.removeClass('is-loading').prop('disabled', false);
+				});
+		});
+
+		// Per-field Apply button: save just one description or SEO field.
+		$(document).on('click', '.visionati-woo-apply-single-btn', function (e) {
+			e.preventDefault();
+
+			var $button = $(this);
+			var $previewBlock = $button.closest('.visionati-woo-preview-short, .visionati-woo-preview-long, .visionati-woo-preview-seo');
+			var $fieldStatus = $previewBlock.find('.visionati-woo-field-status');
 			var $metaBox = $button.closest('.visionati-woo-meta-box');
 			var $results = $metaBox.find('.visionati-woo-results');
 			var productId = $button.data('product-id');
@@ -819,10 +1773,16 @@
 				return;
 			}
 
-			var shortVal = (field === 'short') ? (preview.short_description || '') : '';
-			var longVal = (field === 'long') ? (preview.long_description || '') : '';
+			var payload = {
+				short_description: (field === 'short') ? (preview.short_description || '') : '',
+				long_description: (field === 'long') ? (preview.long_description || '') : '',
+			};
+
+			if (field !== 'short' && field !== 'long') {
+				payload[field] = preview[field] || '';
+			}
 
-			if (!shortVal && !longVal) {
+			if (!payload.short_description && !payload.long_description && !payload[field]) {
 				return;
 			}
 
@@ -830,13 +1790,7 @@
 			$button.prop('disabled', true);
 			$fieldStatus.text(i18n.processing || 'Processing...').attr('class', 'visionati-woo-field-status loading');
 
-			$.post(admin.ajaxUrl, {
-				action: 'visionati_woo_apply',
-				nonce: admin.nonce,
-				product_id: productId,
-				short_description: shortVal,
-				long_description: longVal,
-			})
+			restRequest('POST', 'products/' + productId + '/descriptions', applyFilters('visionati.applyPayload', payload, { type: 'woo', id: productId }))
 				.done(function (response) {
 					log('woo apply single: response', response.data);
 					logServerTrace(response.data);
@@ -848,6 +1802,7 @@
 						$previewBlock.addClass('visionati-field-applied');
 
 						updateWooEditorFields(response.data);
+						updateWooSeoFields(response.data);
 					} else {
 						$fieldStatus
 							.text((i18n.error || 'Error') + ': ' + (response.data.message || ''))
@@ -884,8 +1839,24 @@
 				? '' : (preview.short_description || '');
 			var longVal = $results.find('.visionati-woo-preview-long').hasClass('visionati-field-applied')
 				? '' : (preview.long_description || '');
+			var payload = {
+				short_description: shortVal,
+				long_description: longVal,
+			};
+			var hasSeo = false;
+
+			// SEO fields with an Apply button (an SEO plugin stores them) that
+			// weren't individually applied.
+			$results.find('.visionati-woo-preview-seo').each(function () {
+				var $block = $(this);
+				var field = $block.data('field');
+				if (preview[field] && $block.find('.visionati-woo-apply-single-btn').length && !$block.hasClass('visionati-field-applied')) {
+					payload[field] = preview[field];
+					hasSeo = true;
+				}
+			});
 
-			if (!shortVal && !longVal) {
+			if (!shortVal && !longVal && !hasSeo) {
 				$status.text(i18n.complete || 'Complete.').attr('class', 'visionati-woo-status success');
 				return;
 			}
@@ -901,13 +1872,7 @@
 			$button.prop('disabled', true);
 			$status.text(i18n.processing || 'Processing...').attr('class', 'visionati-woo-status loading');
 
-			$.post(admin.ajaxUrl, {
-				action: 'visionati_woo_apply',
-				nonce: admin.nonce,
-				product_id: productId,
-				short_description: shortVal,
-				long_description: longVal,
-			})
+			restRequest('POST', 'products/' + productId + '/descriptions', applyFilters('visionati.applyPayload', payload, { type: 'woo', id: productId }))
 				.done(function (response) {
 					log('woo apply: response', response.data);
 					logServerTrace(response.data);
@@ -916,6 +1881,7 @@
 
 						// Update the post editor fields if available.
 						updateWooEditorFields(response.data);
+						updateWooSeoFields(response.data);
 					} else {
 						$status
 							.text((i18n.error || 'Error') + ': ' + response.data.message)
@@ -945,6 +1911,29 @@
 	}
 
 	function showWooPreview($results, data) {
+		// Candidate pickers ("Generate 3 options"). Picking one swaps the
+		// preview text and the value Apply sends.
+		$results.find('.visionati-woo-options').each(function () {
+			var $options = $(this).empty();
+			var field = $options.data('field');
+			var candidates = data[field + '_options'];
+
+			if (!candidates || candidates.length < 2) {
+				return;
+			}
+
+			$options.append(buildOptionPicker(candidates, field === 'long', function (text) {
+				var preview = $results.data('preview');
+				if (field === 'short') {
+					preview.short_description = text;
+					$results.find('#visionati-woo-short-preview').text(text);
+				} else {
+					preview.long_description = text;
+					$results.find('#visionati-woo-long-preview').html(text);
+				}
+			}));
+		});
+
 		if (data.short_description) {
 			$results.find('#visionati-woo-short-preview').text(data.short_description);
 			$results.find('.visionati-woo-preview-short').show();
@@ -959,24 +1948,58 @@
 			$results.find('.visionati-woo-preview-long').hide();
 		}
 
+		$results.find('.visionati-woo-preview-seo').each(function () {
+			var $block = $(this);
+			var text = data[$block.data('field')];
+
+			$block.find('.visionati-woo-preview-text').text(text || '');
+			$block.toggle(!!text);
+		});
+
 		$results.show();
 	}
 
+	/**
+	 * Copy applied SEO fields into the SEO plugin's meta box inputs.
+	 *
+	 * Yoast SEO and SEOPress post their fields with the edit form, named after
+	 * the meta key without its leading underscore. Without this, updating the
+	 * product would save the old values over the applied ones.
+	 */
+	function updateWooSeoFields(data) {
+		var metaKeys = admin.seoMetaKeys || {};
+
+		Object.keys(metaKeys).forEach(function (field) {
+			if (typeof data[field] !== 'string' || (!data[field] && !data.restored)) {
+				return;
+			}
+
+			var $input = $('[name="' + metaKeys[field].replace(/^_/, '') + '"]');
+			if ($input.length) {
+				$input.val(data[field]).trigger('change');
+				log('updateWooSeoFields: input set', { field: field });
+			}
+		});
+	}
+
 	/**
 	 * Attempt to update the WooCommerce product editor fields after applying descriptions.
 	 */
 	function updateWooEditorFields(data) {
 		var updated = false;
+		// A restore from history may set a field back to empty.
+		var hasShort = !!data.short_description || (data.restored && typeof data.short_description === 'string');
+		var hasLong = !!data.long_description || (data.restored && typeof data.long_description === 'string');
 
 		log('updateWooEditorFields: starting', {
-			hasShort: !!data.short_description,
-			hasLong: !!data.long_description,
+			hasShort: hasShort,
+			hasLong: hasLong,
 		});
 
 		// Short description: WooCommerce wraps #excerpt in its own TinyMCE
 		// instance. Update both the visual editor and the raw textarea so
 		// the value is correct regardless of which tab is active.
-		if (data.short_description) {
+		if (hasShort) {
 			if (typeof tinymce !== 'undefined') {
 				var excerptEditor = tinymce.get('excerpt');
 				if (excerptEditor && !excerptEditor.isHidden()) {
@@ -1001,7 +2024,7 @@
 		}
 
 		// Long description: TinyMCE or the raw textarea.
-		if (data.long_description) {
+		if (hasLong) {
 			if (typeof tinymce !== 'undefined') {
 				var editor = tinymce.get('content');
 				if (editor && !editor.isHidden()) {
@@ -1035,7 +2058,7 @@
 				wp.autosave.server.tempBlockSave();
 			}
 			$(window).off('beforeunload.edit-post');
-		} else if (data.short_description || data.long_description) {
+		} else if (hasShort || hasLong) {
 			// Block editor or new WooCommerce product editor: classic fields
 			// not found. Data is already saved server-side via $product->save(),
 			// so reload to display the saved descriptions.
@@ -1045,71 +2068,437 @@
 	}
 
 	// -------------------------------------------------------------------------
-	// WooCommerce: Bulk Product Descriptions
+	// WooCommerce: Variation Panels
 	// -------------------------------------------------------------------------
 
-	var wooBulkState = {
-		running: false,
-		ids: [],
-		current: 0,
-		generated: 0,
-		skipped: 0,
-		errors: 0,
-	};
-
-	function getSelectedWooStatuses() {
-		var statuses = [];
-		$('input[name="visionati_woo_bulk_status"]:checked').each(function () {
-			statuses.push($(this).val());
-		});
-		return statuses;
-	}
+	/**
+	 * Generate a description or image alt text from a variation's panel on
+	 * the product edit screen. Variations are loaded over AJAX, so the
+	 * handlers are delegated.
+	 */
+	function initWooVariations() {
+		var labels = {
+			variation_description: i18n.variationDescription || 'Variation description',
+			alt_text: fieldLabels.alt_text || 'Alt Text',
+		};
 
-	function refreshWooStats() {
-		var statuses = getSelectedWooStatuses();
-		var $stats = $('#visionati-woo-bulk-stats');
+		function addVariationPreview($panel, field, attachmentId, text) {
+			var $previews = $panel.find('.visionati-woo-variation-previews');
+			var inputId = 'visionati-variation-' + $panel.data('variation-id') + '-' + field;
 
-		if (!$stats.length) {
-			return;
-		}
+			$previews.find('.visionati-woo-variation-preview[data-field="' + field + '"]').remove();
 
-		if (!statuses.length) {
-			$stats.text(i18n.selectStatuses || 'Select at least one product status.');
-			return;
-		}
+			var $input = $('<textarea class="visionati-woo-variation-input">')
+				.attr({ id: inputId, rows: field === 'alt_text' ? 2 : 3 })
+				.val(field === 'alt_text' ? text.substring(0, ALT_TEXT_LIMIT) : text);
 
-		$.post(admin.ajaxUrl, {
-			action: 'visionati_woo_get_stats',
-			nonce: admin.nonce,
-			'statuses[]': statuses,
-		}).done(function (response) {
-			logServerTrace(response.data);
-			if (response.success) {
-				var d = response.data;
-				var msg = (i18n.wooStats || '%1$d of %2$d products with images are missing descriptions.')
-					.replace('%1$d', d.missing)
-					.replace('%2$d', d.total);
-				$stats.text(msg);
+			if (field === 'alt_text') {
+				$input.attr('maxlength', ALT_TEXT_LIMIT);
 			}
-		});
-	}
 
-	function initWooBulkGenerate() {
-		var $startBtn = $('#visionati-woo-bulk-start');
-		var $stopBtn = $('#visionati-woo-bulk-stop');
+			$('<div class="visionati-woo-variation-preview">')
+				.attr('data-field', field)
+				.data('attachment-id', attachmentId)
+				.append(
+					$('<label>').attr('for', inputId).text(labels[field]),
+					$input,
+					$('<button type="button" class="button visionati-woo-variation-apply">').text(i18n.apply || 'Apply'),
+					' ',
+					$('<button type="button" class="button visionati-woo-variation-discard">').text(i18n.discard || 'Discard'),
+					' ',
+					$('<span class="visionati-status">')
+				)
+				.appendTo($previews);
+		}
 
-		if (!$startBtn.length) {
-			return;
+		$(document).on('click', '.visionati-woo-variation-generate', function (e) {
+			e.preventDefault();
+
+			var $button = $(this);
+			var $panel = $button.closest('.visionati-woo-variation');
+			var $status = $button.siblings('.visionati-status');
+			var variationId = $panel.data('variation-id');
+			var attachmentId = $button.data('attachment-id');
+			var field = $button.data('field');
+
+			if (!variationId || $button.hasClass('is-loading')) {
+				return;
+			}
+
+			log('woo variation generate: starting', { variationId: variationId, field: field });
+			$button.addClass('is-loading').prop('disabled', true);
+			setStatus($status, i18n.generating || 'Generating...', 'loading');
+
+			var request = field === 'alt_text'
+				? restRequest('POST', 'attachments/' + attachmentId + '/analyze', { context: 'alt_text' })
+				: $.post(admin.ajaxUrl, {
+					action: 'visionati_woo_variation_generate',
+					nonce: admin.nonce,
+					variation_id: variationId,
+				});
+
+			request
+				.done(function (response) {
+					log('woo variation generate: response', response.data);
+					logServerTrace(response.data);
+					if (!response.success) {
+						setStatus($status, (i18n.error || 'Error') + ': ' + (response.data.message || ''), 'error');
+						return;
+					}
+
+					var data = applyFilters('visionati.previewData', response.data, { type: 'woo_variation', id: variationId, context: field });
+					var text = field === 'alt_text' ? data.description : data.variation_description;
+					var message = i18n.generated || 'Generated.';
+
+					if (data.credits !== undefined && data.credits !== null) {
+						message += ' (' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', data.credits) + ')';
+					}
+
+					addVariationPreview($panel, field, attachmentId, text || '');
+					setStatus($status, message, 'success');
+				})
+				.fail(function () {
+					setStatus($status, i18n.error || 'Error', 'error');
+				})
+				.always(function () {
+					$button.removeClass('is-loading').prop('disabled', false);
+				});
+		});
+
+		$(document).on('click', '.visionati-woo-variation-apply', function (e) {
+			e.preventDefault();
+
+			var $button = $(this);
+			var $preview = $button.closest('.visionati-woo-variation-preview');
+			var $panel = $preview.closest('.visionati-woo-variation');
+			var $status = $preview.find('.visionati-status');
+			var variationId = $panel.data('variation-id');
+			var field = $preview.data('field');
+			var text = $preview.find('.visionati-woo-variation-input').val();
+
+			if (!$.trim(text)) {
+				return;
+			}
+
+			log('woo variation apply: starting', { variationId: variationId, field: field });
+			$button.prop('disabled', true);
+			setStatus($status, i18n.processing || 'Processing...', 'loading');
+
+			var request = field === 'alt_text'
+				? restRequest('POST', 'attachments/' + $preview.data('attachment-id') + '/fields/alt_text', applyFilters('visionati.applyPayload', {
+					value: text,
+				}, { type: 'media', id: $preview.data('attachment-id'), context: 'alt_text' }))
+				: $.post(admin.ajaxUrl, {
+					action: 'visionati_woo_variation_apply',
+					nonce: admin.nonce,
+					variation_id: variationId,
+					description: text,
+				});
+
+			request
+				.done(function (response) {
+					log('woo variation apply: response', response.data);
+					logServerTrace(response.data);
+					if (!response.success) {
+						setStatus($status, (i18n.error || 'Error') + ': ' + (response.data.message || ''), 'error');
+						$button.prop('disabled', false);
+						return;
+					}
+
+					// Already saved; put it in the variation's own field too, so the
+					// next "Save changes" on the variations form doesn't post the old text.
+					if (field === 'variation_description') {
+						$('#variable_description' + $panel.data('loop'))
+							.val(response.data.variation_description)
+							.trigger('change');
+					}
+
+					$preview.find('.visionati-woo-variation-input').prop('readonly', true);
+					$preview.find('.visionati-woo-variation-apply, .visionati-woo-variation-discard').remove();
+					setStatus($status, labels[field] + ': ' + (i18n.applied || 'Applied.'), 'success');
+				})
+				.fail(function () {
+					setStatus($status, i18n.error || 'Error', 'error');
+					$button.prop('disabled', false);
+				});
+		});
+
+		$(document).on('click', '.visionati-woo-variation-discard', function (e) {
+			e.preventDefault();
+			$(this).closest('.visionati-woo-variation-preview').remove();
+		});
+	}
+
+	// -------------------------------------------------------------------------
+	// WooCommerce: Tag and Attribute Suggestions
+	// -------------------------------------------------------------------------
+
+	function renderWooTerms($list, data) {
+		var productId = data.product_id;
+
+		$list.empty();
+
+		if (data.tags && data.tags.length) {
+			var $tags = $('<fieldset class="visionati-woo-terms-group">')
+				.append($('<legend>').text(i18n.tagsHeading || 'Tags'));
+
+			$.each(data.tags, function (i, tag) {
+				var $label = $('<label>').append(
+					$('<input type="checkbox" class="visionati-woo-term" checked>')
+						.attr('data-taxonomy', 'product_tag')
+						.val(tag.name),
+					' ',
+					document.createTextNode(tag.name)
+				);
+
+				if (!tag.exists) {
+					$label.append(' ', $('<span class="visionati-woo-term-new">').text(i18n.newTag || '(new)'));
+				}
+
+				$tags.append($label);
+			});
+
+			$list.append($tags);
 		}
 
-		// Refresh stats when status checkboxes change.
-		$(document).on('change', 'input[name="visionati_woo_bulk_status"]', refreshWooStats);
+		$.each(data.attributes || [], function (i, attribute) {
+			var $group = $('<fieldset class="visionati-woo-terms-group">')
+				.append($('<legend>').text(attribute.label));
+
+			$.each(attribute.terms, function (j, term) {
+				$group.append(
+					$('<label>').append(
+						$('<input type="checkbox" class="visionati-woo-term" checked>')
+							.attr('data-taxonomy', attribute.taxonomy)
+							.val(term.id),
+						' ',
+						document.createTextNode(term.name)
+					)
+				);
+			});
 
-		$startBtn.on('click', function () {
-			if (wooBulkState.running) {
+			$list.append($group);
+		});
+
+		doAction('visionati.previewRendered', $list, { type: 'woo_terms', id: productId });
+	}
+
+	function initWooTerms() {
+		$(document).on('click', '.visionati-woo-suggest-terms-btn', function (e) {
+			e.preventDefault();
+
+			var $button = $(this);
+			var $metaBox = $button.closest('.visionati-woo-meta-box');
+			var $status = $button.siblings('.visionati-status');
+			var $panel = $metaBox.find('.visionati-woo-terms');
+			var productId = $button.data('product-id');
+
+			if (!productId || $button.hasClass('is-loading')) {
+				return;
+			}
+
+			log('woo suggest terms: starting', { productId: productId });
+			$button.addClass('is-loading').prop('disabled', true);
+			$panel.hide();
+			setStatus($status, i18n.generating || 'Generating...', 'loading');
+
+			$.post(admin.ajaxUrl, {
+				action: 'visionati_woo_suggest_terms',
+				nonce: admin.nonce,
+				product_id: productId,
+			})
+				.done(function (response) {
+					log('woo suggest terms: response', response.data);
+					logServerTrace(response.data);
+					if (!response.success) {
+						setStatus($status, (i18n.error || 'Error') + ': ' + (response.data.message || ''), 'error');
+						return;
+					}
+
+					var data = applyFilters('visionati.previewData', response.data, { type: 'woo_terms', id: productId });
+
+					if (!(data.tags && data.tags.length) && !(data.attributes && data.attributes.length)) {
+						setStatus($status, i18n.noTermSuggestions || 'No new tags or attribute values found.', 'info');
+						return;
+					}
+
+					var message = i18n.generated || 'Generated.';
+					if (data.credits !== undefined && data.credits !== null) {
+						message += ' (' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', data.credits) + ')';
+					}
+
+					renderWooTerms($panel.find('.visionati-woo-terms-list'), data);
+					$panel.find('.visionati-woo-assign-terms-btn').prop('disabled', false);
+					$panel.show();
+					setStatus($status, message, 'success');
+				})
+				.fail(function () {
+					setStatus($status, i18n.error || 'Error', 'error');
+				})
+				.always(function () {
+					$button.removeClass('is-loading').prop('disabled', false);
+				});
+		});
+
+		$(document).on('click', '.visionati-woo-assign-terms-btn', function (e) {
+			e.preventDefault();
+
+			var $button = $(this);
+			var $metaBox = $button.closest('.visionati-woo-meta-box');
+			var $panel = $metaBox.find('.visionati-woo-terms');
+			var $status = $metaBox.find('.visionati-woo-terms-actions .visionati-status');
+			var productId = $button.data('product-id');
+			var payload = {
+				action: 'visionati_woo_assign_terms',
+				nonce: admin.nonce,
+				product_id: productId,
+				'tags[]': [],
+			};
+			var count = 0;
+
+			$panel.find('.visionati-woo-term:checked').each(function () {
+				var taxonomy = $(this).data('taxonomy');
+				var key = taxonomy === 'product_tag' ? 'tags[]' : 'attributes[' + taxonomy + '][]';
+
+				payload[key] = payload[key] || [];
+				payload[key].push($(this).val());
+				count++;
+			});
+
+			if (!productId || !count) {
+				setStatus($status, i18n.noTermsSelected || 'Select at least one tag or attribute value.', 'error');
 				return;
 			}
 
+			log('woo assign terms: starting', { productId: productId, count: count });
+			$button.prop('disabled', true);
+			setStatus($status, i18n.processing || 'Processing...', 'loading');
+
+			$.post(admin.ajaxUrl, applyFilters('visionati.applyPayload', payload, { type: 'woo_terms', id: productId }))
+				.done(function (response) {
+					log('woo assign terms: response', response.data);
+					logServerTrace(response.data);
+					if (!response.success) {
+						setStatus($status, (i18n.error || 'Error') + ': ' + (response.data.message || ''), 'error');
+						$button.prop('disabled', false);
+						return;
+					}
+
+					var message = i18n.termsAssigned || 'Tags and attributes assigned.';
+
+					// Keep the Tags box in sync so saving the product doesn't drop the new tags.
+					if (response.data.fields.indexOf('product_tags') !== -1) {
+						updateWooTagsBox(response.data.product_tags);
+					}
+
+					// The Attributes panel can't be refreshed in place; saving it
+					// as loaded would remove the new values.
+					if (response.data.fields.indexOf('product_attributes') !== -1) {
+						message += ' ' + (i18n.reloadForAttributes || 'Reload the page before saving the product to keep the new attribute values.');
+					}
+
+					$panel.hide();
+					setStatus($status, message, 'success');
+				})
+				.fail(function () {
+					setStatus($status, i18n.error || 'Error', 'error');
+					$button.prop('disabled', false);
+				});
+		});
+
+		$(document).on('click', '.visionati-woo-terms-discard-btn', function (e) {
+			e.preventDefault();
+
+			var $metaBox = $(this).closest('.visionati-woo-meta-box');
+			$metaBox.find('.visionati-woo-terms').hide();
+			setStatus($metaBox.find('.visionati-woo-terms-actions .visionati-status'), '', '');
+		});
+	}
+
+	function updateWooTagsBox(tags) {
+		var $textarea = $('#tax-input-product_tag');
+
+		if (!$textarea.length) {
+			return;
+		}
+
+		$textarea.val(tags);
+
+		if (window.tagBox) {
+			window.tagBox.quickClicks($textarea.closest('.tagsdiv'));
+		}
+	}
+
+	// -------------------------------------------------------------------------
+	// WooCommerce: Bulk Product Descriptions
+	// -------------------------------------------------------------------------
+
+	function getSelectedWooStatuses() {
+		var statuses = [];
+		$('input[name="visionati_woo_bulk_status"]:checked').each(function () {
+			statuses.push($(this).val());
+		});
+		return statuses;
+	}
+
+	function getWooBulkVariations() {
+		return $('#visionati-woo-bulk-variations').is(':checked') ? 1 : 0;
+	}
+
+	function getWooBulkTags() {
+		return $('#visionati-woo-bulk-tags').is(':checked') ? 1 : 0;
+	}
+
+	function refreshWooStats() {
+		var statuses = getSelectedWooStatuses();
+		var $stats = $('#visionati-woo-bulk-stats');
+
+		if (!$stats.length) {
+			return;
+		}
+
+		if (!statuses.length) {
+			$stats.text(i18n.selectStatuses || 'Select at least one product status.');
+			return;
+		}
+
+		$.post(admin.ajaxUrl, {
+			action: 'visionati_woo_get_stats',
+			nonce: admin.nonce,
+			'statuses[]': statuses,
+			variations: getWooBulkVariations(),
+			tags: getWooBulkTags(),
+		}).done(function (response) {
+			logServerTrace(response.data);
+			if (response.success) {
+				var d = response.data;
+				var msg = (i18n.wooStats || '%1$d of %2$d products with images are missing descriptions.')
+					.replace('%1$d', d.missing)
+					.replace('%2$d', d.total);
+				if (d.variations_total !== undefined) {
+					msg += ' ' + (i18n.wooVariationStats || '%1$d of %2$d variations with their own image are missing descriptions.')
+						.replace('%1$d', d.variations_missing)
+						.replace('%2$d', d.variations_total);
+				}
+				if (d.untagged !== undefined) {
+					msg += ' ' + (i18n.wooTagStats || '%d products have no tags.').replace('%d', d.untagged);
+				}
+				$stats.text(msg);
+			}
+		});
+	}
+
+	function initWooBulkGenerate() {
+		var $startBtn = $('#visionati-woo-bulk-start');
+
+		if (!$startBtn.length) {
+			return;
+		}
+
+		// Refresh stats when status checkboxes change.
+		$(document).on('change', 'input[name="visionati_woo_bulk_status"], #visionati-woo-bulk-variations, #visionati-woo-bulk-tags', refreshWooStats);
+
+		initJobControls('woo', function () {
 			var statuses = getSelectedWooStatuses();
 
 			if (!statuses.length) {
@@ -1118,12 +2507,14 @@
 			}
 
 			$startBtn.prop('disabled', true).text(i18n.processing || 'Processing...');
-			$stopBtn.prop('disabled', false);
 
+			// Count the products first so the user can confirm the credit spend.
 			$.post(admin.ajaxUrl, {
 				action: 'visionati_woo_get_products',
 				nonce: admin.nonce,
 				'statuses[]': statuses,
+				variations: getWooBulkVariations(),
+				tags: getWooBulkTags(),
 			})
 				.done(function (response) {
 					logServerTrace(response.data);
@@ -1138,14 +2529,18 @@
 						var msg = hasOverwrite
 							? (i18n.confirmWooBulkOverwrite || 'Process %d products? Overwrite is enabled — existing descriptions will be replaced. Each product uses at least 2 API credits.')
 							: (i18n.confirmWooBulk || 'Process %d products? Each product uses at least 2 API credits (short + long description).');
-						msg = msg.replace('%d', count);
+						msg = msg.replace('%d', count) + formatEstimate(response.data.estimate, getBudgetCap('woo'));
 
 						if (!confirm(msg)) {
 							$startBtn.prop('disabled', false).text(i18n.start || 'Start');
-							$stopBtn.prop('disabled', true);
 							return;
 						}
-						startWooBulkProcessing(response.data.ids);
+						startJob('woo', {
+							action: 'visionati_woo_bulk_start',
+							'statuses[]': statuses,
+							variations: getWooBulkVariations(),
+							tags: getWooBulkTags(),
+						});
 					} else {
 						$startBtn
 							.prop('disabled', false)
@@ -1160,129 +2555,924 @@
 					showNotice(i18n.error || 'Error');
 				});
 		});
+	}
 
-		$stopBtn.on('click', function () {
-			wooBulkState.running = false;
-			$stopBtn.prop('disabled', true);
-			$startBtn.prop('disabled', false).text(i18n.resume || 'Resume');
-		});
+	// -------------------------------------------------------------------------
+	// Classic Editor: Pre-publish Alt Text Check
+	// -------------------------------------------------------------------------
 
-		// Auto-start if pre-queued IDs exist from the Products bulk action.
-		if (typeof visionatiWooBulkQueue !== 'undefined' && visionatiWooBulkQueue.length > 0) {
-			$startBtn.prop('disabled', true).text(i18n.processing || 'Processing...');
-			$stopBtn.prop('disabled', false);
-			startWooBulkProcessing(visionatiWooBulkQueue);
+	/**
+	 * The classic editor's TinyMCE instance, or null when the Text tab is active.
+	 */
+	function getVisualEditor() {
+		if (typeof tinymce === 'undefined') {
+			return null;
 		}
+		var editor = tinymce.get('content');
+		return editor && !editor.isHidden() ? editor : null;
+	}
+
+	function getAttribute(tag, name) {
+		var match = tag.match(new RegExp('\\s' + name + '\\s*=\\s*("([^"]*)"|\'([^\']*)\')', 'i'));
+		return match ? (match[2] || match[3] || '') : null;
 	}
 
-	function startWooBulkProcessing(ids) {
-		var isResume = $('.visionati-woo-bulk-progress').is(':visible');
+	/**
+	 * Find images in the post content with a missing or empty alt attribute.
+	 *
+	 * Images inserted from the Media Library carry a wp-image-{id} class;
+	 * others are listed with id 0 and cannot be generated for.
+	 *
+	 * @return {Array} One entry per image with id and src, duplicates removed.
+	 */
+	function findImagesMissingAlt() {
+		var editor = getVisualEditor();
+		var content = editor ? editor.getContent() : ($('#content').val() || '');
+		var seen = {};
+		var images = [];
+
+		(content.match(/<img\b[^>]*>/gi) || []).forEach(function (tag) {
+			if ((getAttribute(tag, 'alt') || '').trim()) {
+				return;
+			}
+			var idMatch = tag.match(/wp-image-(\d+)/);
+			var id = idMatch ? parseInt(idMatch[1], 10) : 0;
+			var src = getAttribute(tag, 'src') || '';
+			var key = id || src;
+
+			if (!seen[key]) {
+				seen[key] = true;
+				images.push({ id: id, src: src });
+			}
+		});
 
-		wooBulkState.running = true;
-		wooBulkState.ids = ids;
-		wooBulkState.current = 0;
-		wooBulkState.generated = isResume ? wooBulkState.generated : 0;
-		wooBulkState.skipped = isResume ? wooBulkState.skipped : 0;
-		wooBulkState.errors = isResume ? wooBulkState.errors : 0;
+		return images;
+	}
 
-		$('.visionati-woo-bulk-progress').show();
-		$('.visionati-woo-bulk-log').show();
+	/**
+	 * Write alt text into every copy of an image in the post content.
+	 *
+	 * @param {number} id  Attachment ID.
+	 * @param {string} alt Alt text.
+	 */
+	function setContentImageAlt(id, alt) {
+		var editor = getVisualEditor();
 
-		if (!isResume) {
-			$('#visionati-woo-bulk-log-entries').empty();
+		if (editor) {
+			editor.dom.setAttrib(editor.dom.select('img.wp-image-' + id), 'alt', alt);
+			editor.undoManager.add();
+			editor.setDirty(true);
+			return;
 		}
 
-		updateWooBulkProgress();
-		processNextWooBulkItem();
+		var escaped = alt.replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+		var classPattern = new RegExp('wp-image-' + id + '\\b');
+		var $content = $('#content');
+
+		$content.val($content.val().replace(/<img\b[^>]*>/gi, function (tag) {
+			if (!classPattern.test(tag)) {
+				return tag;
+			}
+			return tag
+				.replace(/\salt\s*=\s*("[^"]*"|'[^']*')/i, '')
+				.replace(/^<img\b/i, '<img alt="' + escaped + '"');
+		}));
+	}
+
+	/**
+	 * Generate alt text for an attachment and save it, without a preview.
+	 *
+	 * @param {number} id Attachment ID.
+	 * @return {jQuery.Promise} Resolves with the saved alt text, rejects with an error message.
+	 */
+	function generateAndApplyAlt(id) {
+		return restRequest('POST', 'attachments/' + id + '/analyze', {
+			context: 'alt_text',
+		}).then(function (response) {
+			logServerTrace(response.data);
+			if (!response.success) {
+				return $.Deferred().reject((response.data && response.data.message) || i18n.error || 'Error');
+			}
+			if (response.data.credits !== undefined) {
+				updateCreditsDisplay(response.data.credits);
+			}
+			return restRequest('POST', 'attachments/' + id + '/fields/alt_text', applyFilters('visionati.applyPayload', {
+				value: response.data.description,
+			}, { type: 'media', id: id, context: 'alt_text' }));
+		}).then(function (response) {
+			logServerTrace(response.data);
+			if (!response.success) {
+				return $.Deferred().reject((response.data && response.data.message) || i18n.error || 'Error');
+			}
+			return response.data.value;
+		}, function (error) {
+			return $.Deferred().reject(typeof error === 'string' ? error : (i18n.error || 'Error'));
+		});
 	}
 
-	function processNextWooBulkItem() {
-		if (!wooBulkState.running || wooBulkState.current >= wooBulkState.ids.length) {
-			wooBulkFinished();
+	function initClassicAltCheck() {
+		var $box = $('.visionati-alt-check');
+
+		if (!$box.length) {
 			return;
 		}
 
-		var productId = wooBulkState.ids[wooBulkState.current];
+		var $list = $box.find('.visionati-alt-check-list');
+		var $summary = $box.find('.visionati-alt-check-summary');
+		var $all = $box.find('.visionati-alt-check-all');
+		var warned = false;
+
+		function generateItem($item) {
+			var id = $item.data('id');
+			var $status = $item.find('.visionati-alt-check-status');
+
+			$item.find('button').prop('disabled', true);
+			setStatus($status, i18n.generating || 'Generating...', 'loading');
+
+			return generateAndApplyAlt(id)
+				.done(function (alt) {
+					setContentImageAlt(id, alt);
+					$item.find('button').remove();
+					setStatus($status, alt, 'success');
+					$item.addClass('is-done');
+					updateSummary();
+				})
+				.fail(function (message) {
+					$item.find('button').prop('disabled', false);
+					setStatus($status, message, 'error');
+				});
+		}
 
-		$.post(admin.ajaxUrl, {
-			action: 'visionati_woo_bulk_generate',
-			nonce: admin.nonce,
-			product_id: productId,
-		})
-			.done(function (response) {
-				logServerTrace(response.data);
-				if (response.success) {
-					if (response.data.status === 'skipped') {
-						wooBulkState.skipped++;
-						addLogEntry(response.data, response.data.message || (i18n.skipped || 'Skipped'), 'skipped');
-					} else {
-						wooBulkState.generated++;
-						addLogEntry(response.data, i18n.generated || 'Generated.', 'generated');
-					}
-					updateCreditsDisplay(response.data.credits);
+		function updateSummary(warning) {
+			var missing = $list.find('.visionati-alt-check-item').not('.is-done').length;
+
+			if (!missing) {
+				$summary.text(i18n.altCheckDone || 'All images have alt text.');
+			} else if (warning) {
+				$summary.text((i18n.altCheckWarning || '%d images have no alt text. Generate it below, or click Publish again to publish anyway.').replace('%d', missing));
+			} else {
+				$summary.text((i18n.altCheckMissing || '%d images have no alt text.').replace('%d', missing));
+			}
+
+			$box.toggleClass('has-warning', !!(missing && warning));
+			$all.toggle($list.find('.visionati-alt-check-item button').length > 1);
+		}
+
+		function scan(warning) {
+			var images = findImagesMissingAlt();
+
+			$list.empty();
+			images.forEach(function (image) {
+				var $item = $('<li class="visionati-alt-check-item"></li>').attr('data-id', image.id);
+				if (image.src) {
+					$item.append($('<img class="visionati-alt-check-thumb" alt="" />').attr('src', image.src));
+				}
+				var $body = $('<div class="visionati-alt-check-body"></div>').appendTo($item);
+				if (image.id) {
+					$('<button type="button" class="button button-small"></button>')
+						.text(i18n.generate || 'Generate')
+						.on('click', function () {
+							generateItem($item);
+						})
+						.appendTo($body);
 				} else {
-					var errorMsg = response.data.message || (i18n.failed || 'Failed');
-					wooBulkState.errors++;
-					addLogEntry(response.data, errorMsg, 'failed');
+					$body.append($('<span class="description"></span>').text(i18n.notInLibrary || 'Not in the Media Library. Add alt text by hand.'));
+				}
+				$body.append('<span class="visionati-status visionati-alt-check-status"></span>');
+				$list.append($item);
+			});
+
+			updateSummary(warning);
+			return images.length;
+		}
+
+		$box.find('.visionati-alt-check-scan').on('click', function () {
+			scan(false);
+		});
+
+		// One at a time to keep the request rate the same as clicking through.
+		$all.on('click', function () {
+			var $items = $list.find('.visionati-alt-check-item').filter(function () {
+				return $(this).find('button').length > 0;
+			});
+			var chain = $.Deferred().resolve();
+
+			$all.prop('disabled', true);
+			$items.each(function () {
+				var $item = $(this);
+				chain = chain.then(function () {
+					return generateItem($item).then(null, function () {
+						return $.Deferred().resolve();
+					});
+				});
+			});
+			chain.always(function () {
+				$all.prop('disabled', false);
+			});
+		});
+
+		// Stop the first publish once when images are missing alt text.
+		// Clicking Publish again goes ahead.
+		$('#publish').on('click', function (e) {
+			if ($(this).attr('name') !== 'publish' || warned) {
+				return;
+			}
+			if (scan(true) > 0) {
+				warned = true;
+				e.preventDefault();
+				log('alt check: publish held', { missing: $list.children().length });
+				$('html, body').animate({ scrollTop: $box.closest('.postbox').offset().top - 50 }, 200);
+			}
+		});
+	}
+
+	// -------------------------------------------------------------------------
+	// Content Alt Text (Media → Content Alt Text page)
+	// -------------------------------------------------------------------------
+
+	function initContentAlt() {
+		var $scanBtn = $('#visionati-content-alt-scan');
+
+		if (!$scanBtn.length) {
+			return;
+		}
+
+		var $status = $('#visionati-content-alt-status');
+		var $table = $('.visionati-content-alt-table');
+		var $tbody = $('#visionati-content-alt-posts');
+		var $previewAll = $('#visionati-content-alt-preview-all');
+		var $saveAll = $('#visionati-content-alt-save-all');
+
+		function ajaxError(response) {
+			return (response && response.data && response.data.message) || (i18n.error || 'Error');
+		}
 
-					if (isCreditError(errorMsg)) {
-						addCreditErrorEntry();
-						wooBulkFinished();
+		function addPostRow(post) {
+			var $row = $('<tr class="visionati-content-alt-post"></tr>').attr('data-post-id', post.post_id);
+			var $actions = $('<td></td>');
+
+			$('<td></td>')
+				.append($('<a target="_blank" rel="noopener"></a>').attr('href', post.edit_url).text(post.title || ('#' + post.post_id)))
+				.appendTo($row);
+			$('<td></td>').text(post.type).appendTo($row);
+			$('<td class="visionati-content-alt-missing"></td>').text(post.missing).appendTo($row);
+			$('<button type="button" class="button button-small visionati-content-alt-preview-btn"></button>')
+				.text(i18n.preview || 'Preview')
+				.appendTo($actions);
+			$actions.append(' <span class="visionati-status"></span>');
+			$row.append($actions);
+			$tbody.append($row);
+		}
+
+		function scanPage(offset) {
+			$.post(admin.ajaxUrl, {
+				action: 'visionati_content_alt_scan',
+				nonce: admin.nonce,
+				offset: offset,
+			})
+				.done(function (response) {
+					logServerTrace(response.data);
+					if (!response.success) {
+						setStatus($status, ajaxError(response), 'error');
+						$scanBtn.prop('disabled', false);
 						return;
 					}
+
+					response.data.posts.forEach(addPostRow);
+
+					if (response.data.next !== null) {
+						scanPage(response.data.next);
+						return;
+					}
+
+					var found = $tbody.children('.visionati-content-alt-post').length;
+					log('content alt: scan complete', { posts: found });
+					$scanBtn.prop('disabled', false);
+					$table.toggle(found > 0);
+					$previewAll.toggle(found > 0);
+					setStatus(
+						$status,
+						found ? (i18n.contentAltFound || '%d posts have images without alt text.').replace('%d', found) : (i18n.contentAltNone || 'No images without alt text were found.'),
+						found ? 'loading' : 'success'
+					);
+				})
+				.fail(function () {
+					setStatus($status, i18n.error || 'Error', 'error');
+					$scanBtn.prop('disabled', false);
+				});
+		}
+
+		function renderPreview($row, data) {
+			var $detail = $('<tr class="visionati-content-alt-detail"><td colspan="4"></td></tr>')
+				.attr('data-post-id', data.post_id)
+				.data('hash', data.hash);
+			var $cell = $detail.find('td');
+			var $list = $('<ul class="visionati-content-alt-images"></ul>').appendTo($cell);
+
+			data.images.forEach(function (image) {
+				var $item = $('<li class="visionati-alt-check-item"></li>');
+				var $body = $('<div class="visionati-content-alt-image-body"></div>');
+				var note = image.source === 'library'
+					? (i18n.fromLibrary || 'From the Media Library')
+					: (!image.attachment_id ? (i18n.externalImage || 'External image') : '');
+
+				if (image.thumb) {
+					$('<img class="visionati-alt-check-thumb" alt="" />').attr('src', image.thumb).appendTo($item);
+				}
+				if (note) {
+					$('<span class="description"></span>').text(note).appendTo($body);
 				}
+				$('<input type="text" class="large-text visionati-content-alt-input" maxlength="125" />')
+					.attr('data-index', image.index)
+					.attr('placeholder', i18n.leaveEmpty || 'Leave empty to skip this image.')
+					.val(image.alt)
+					.appendTo($body);
+				if (image.message) {
+					$('<span class="visionati-status error"></span>').text(image.message).appendTo($body);
+				}
+				$list.append($item.append($body));
+			});
+
+			$('<div class="visionati-content-alt-diff"></div>').html(data.diff).appendTo($cell);
+			$('<p class="description visionati-content-alt-outdated" style="display: none;"></p>')
+				.text(i18n.diffOutdated || 'Alt text was edited. Update the diff to review the change before saving.')
+				.appendTo($cell);
+
+			$('<p class="visionati-content-alt-actions"></p>')
+				.append($('<button type="button" class="button button-primary visionati-content-alt-save"></button>').text(i18n.save || 'Save'))
+				.append(' ')
+				.append($('<button type="button" class="button visionati-content-alt-update-diff" style="display: none;"></button>').text(i18n.updateDiff || 'Update diff'))
+				.append(' ')
+				.append($('<button type="button" class="button visionati-content-alt-discard"></button>').text(i18n.discard || 'Discard'))
+				.append(' <span class="visionati-status"></span>')
+				.appendTo($cell);
+
+			$row.after($detail);
+			$saveAll.show();
+		}
+
+		function getAlts($detail) {
+			var alts = {};
+			$detail.find('.visionati-content-alt-input').each(function () {
+				alts[$(this).data('index')] = $(this).val();
+			});
+			return alts;
+		}
+
+		function previewPost($row) {
+			var $btn = $row.find('.visionati-content-alt-preview-btn');
+			var $rowStatus = $row.find('.visionati-status');
+
+			$row.next('.visionati-content-alt-detail').remove();
+			$btn.prop('disabled', true);
+			setStatus($rowStatus, i18n.generating || 'Generating...', 'loading');
+
+			return $.post(admin.ajaxUrl, {
+				action: 'visionati_content_alt_preview',
+				nonce: admin.nonce,
+				post_id: $row.data('post-id'),
 			})
-			.fail(function () {
-				wooBulkState.errors++;
-				addLogEntry({ filename: '#' + productId }, i18n.failed || 'Failed', 'failed');
+				.done(function (response) {
+					logServerTrace(response.data);
+					$btn.prop('disabled', false);
+					if (!response.success) {
+						setStatus($rowStatus, ajaxError(response), 'error');
+						return;
+					}
+					if (response.data.credits !== undefined) {
+						updateCreditsDisplay(response.data.credits);
+					}
+					$rowStatus.attr('class', 'visionati-status').text('');
+					renderPreview($row, response.data);
+				})
+				.fail(function () {
+					$btn.prop('disabled', false);
+					setStatus($rowStatus, i18n.error || 'Error', 'error');
+				});
+		}
+
+		function savePost($detail) {
+			var $row = $detail.prev('.visionati-content-alt-post');
+			var $detailStatus = $detail.find('.visionati-content-alt-actions .visionati-status');
+
+			$detail.find('button').prop('disabled', true);
+			setStatus($detailStatus, i18n.processing || 'Processing...', 'loading');
+
+			return $.post(admin.ajaxUrl, {
+				action: 'visionati_content_alt_apply',
+				nonce: admin.nonce,
+				post_id: $detail.data('post-id'),
+				hash: $detail.data('hash'),
+				alts: getAlts($detail),
 			})
-			.always(function () {
-				if (!wooBulkState.running) {
-					return;
-				}
-				wooBulkState.current++;
-				updateWooBulkProgress();
-				processNextWooBulkItem();
+				.done(function (response) {
+					logServerTrace(response.data);
+					if (!response.success) {
+						$detail.find('button').prop('disabled', false);
+						setStatus($detailStatus, ajaxError(response), 'error');
+						return;
+					}
+					$detail.remove();
+					$row.find('.visionati-content-alt-missing').text(response.data.remaining);
+					setStatus(
+						$row.find('.visionati-status'),
+						(i18n.contentAltSaved || 'Saved. %d images now have alt text.').replace('%d', response.data.fixed),
+						'success'
+					);
+					if (!response.data.remaining) {
+						$row.addClass('is-done').find('.visionati-content-alt-preview-btn').remove();
+					}
+					$saveAll.toggle($tbody.children('.visionati-content-alt-detail').length > 0);
+				})
+				.fail(function () {
+					$detail.find('button').prop('disabled', false);
+					setStatus($detailStatus, i18n.error || 'Error', 'error');
+				});
+		}
+
+		// Run a task for each element, one request at a time.
+		function runInSequence($elements, task, $button) {
+			var chain = $.Deferred().resolve();
+
+			$button.prop('disabled', true);
+			$elements.each(function () {
+				var $el = $(this);
+				chain = chain.then(function () {
+					return task($el).then(null, function () {
+						return $.Deferred().resolve();
+					});
+				});
+			});
+			chain.always(function () {
+				$button.prop('disabled', false);
+			});
+		}
+
+		$scanBtn.on('click', function () {
+			$scanBtn.prop('disabled', true);
+			$tbody.empty();
+			$previewAll.hide();
+			$saveAll.hide();
+			setStatus($status, i18n.scanning || 'Scanning...', 'loading');
+			scanPage(0);
+		});
+
+		$previewAll.on('click', function () {
+			var $rows = $tbody.children('.visionati-content-alt-post').not('.is-done').filter(function () {
+				return !$(this).next().hasClass('visionati-content-alt-detail');
 			});
+			runInSequence($rows, previewPost, $previewAll);
+		});
+
+		$saveAll.on('click', function () {
+			runInSequence($tbody.children('.visionati-content-alt-detail'), savePost, $saveAll);
+		});
+
+		$tbody.on('click', '.visionati-content-alt-preview-btn', function () {
+			previewPost($(this).closest('tr'));
+		});
+
+		$tbody.on('input', '.visionati-content-alt-input', function () {
+			var $detail = $(this).closest('tr');
+			$detail.find('.visionati-content-alt-outdated, .visionati-content-alt-update-diff').show();
+		});
+
+		$tbody.on('click', '.visionati-content-alt-update-diff', function () {
+			var $detail = $(this).closest('tr');
+			var $button = $(this).prop('disabled', true);
+
+			$.post(admin.ajaxUrl, {
+				action: 'visionati_content_alt_diff',
+				nonce: admin.nonce,
+				post_id: $detail.data('post-id'),
+				alts: getAlts($detail),
+			})
+				.done(function (response) {
+					logServerTrace(response.data);
+					$button.prop('disabled', false);
+					if (response.success) {
+						$detail.find('.visionati-content-alt-diff').html(response.data.diff);
+						$detail.find('.visionati-content-alt-outdated, .visionati-content-alt-update-diff').hide();
+					}
+				})
+				.fail(function () {
+					$button.prop('disabled', false);
+				});
+		});
+
+		$tbody.on('click', '.visionati-content-alt-save', function () {
+			savePost($(this).closest('tr'));
+		});
+
+		$tbody.on('click', '.visionati-content-alt-discard', function () {
+			$(this).closest('tr').remove();
+			$saveAll.toggle($tbody.children('.visionati-content-alt-detail').length > 0);
+		});
 	}
 
-	function updateWooBulkProgress() {
-		var total = wooBulkState.ids.length;
-		var current = wooBulkState.current;
-		var percent = total > 0 ? Math.round((current / total) * 100) : 0;
+	// -------------------------------------------------------------------------
+	// Auto-generate Badges (media grid and modal)
+	// -------------------------------------------------------------------------
 
-		$('.visionati-woo-bulk-progress .visionati-bulk-current').text(current);
-		$('.visionati-woo-bulk-progress .visionati-bulk-total').text(total);
-		$('.visionati-woo-bulk-progress .visionati-bulk-percent').text(percent);
-		var valueText = current + ' ' + (i18n.of || 'of') + ' ' + total
-			+ ' — ' + wooBulkState.generated + ' ' + (i18n.generated || 'generated').toLowerCase()
-			+ ', ' + wooBulkState.skipped + ' ' + (i18n.skipped || 'skipped').toLowerCase()
-			+ ', ' + wooBulkState.errors + ' ' + (i18n.error || 'errors').toLowerCase();
+	var AUTO_POLL_INTERVAL = 5000;
 
-		$('.visionati-woo-bulk-progress .visionati-progress-bar')
-			.css('width', percent + '%')
-			.attr('aria-valuenow', percent)
-			.attr('aria-valuetext', valueText);
+	/**
+	 * Show a badge on attachments queued for auto-generate on upload and
+	 * update it as the background job finishes each one.
+	 *
+	 * The status comes from `visionatiAutoGenerate` in the attachment data
+	 * (see Visionati_Media::add_auto_generate_status_to_js()); pending ones
+	 * are polled until they finish.
+	 */
+	function initAutoGenerateBadges() {
+		if (typeof wp === 'undefined' || !wp.media || !wp.media.view || !wp.media.view.Attachment) {
+			return;
+		}
+
+		var pending = {};
+		var timer = null;
+		var labels = {
+			queued: i18n.autoGenerating || 'Generating…',
+			generating: i18n.autoGenerating || 'Generating…',
+			generated: i18n.autoGenerated || 'Generated',
+			review: i18n.autoReview || 'Ready for review',
+			skipped: i18n.autoSkipped || 'Nothing to generate',
+			failed: i18n.autoFailed || 'Generation failed',
+		};
+
+		function isPending(status) {
+			return !!status && (status.status === 'queued' || status.status === 'generating');
+		}
+
+		function renderBadge(view) {
+			var status = view.model.get('visionatiAutoGenerate');
+
+			view.$el.find('.visionati-auto-badge').remove();
+
+			if (!status || !labels[status.status]) {
+				return;
+			}
+
+			$('<span class="visionati-auto-badge"></span>')
+				.addClass('is-' + status.status)
+				.text(labels[status.status])
+				.attr('title', status.message || '')
+				.appendTo(view.$el.find('.attachment-preview'));
+
+			if (isPending(status)) {
+				pending[view.model.id] = view.model;
+				schedulePoll();
+			}
+		}
 
-		$('.visionati-woo-bulk-progress .visionati-summary-generated').text(wooBulkState.generated);
-		$('.visionati-woo-bulk-progress .visionati-summary-skipped').text(wooBulkState.skipped);
-		$('.visionati-woo-bulk-progress .visionati-summary-errors').text(wooBulkState.errors);
+		function schedulePoll() {
+			if (!timer) {
+				timer = setTimeout(poll, AUTO_POLL_INTERVAL);
+			}
+		}
+
+		function poll() {
+			var ids = Object.keys(pending);
+
+			timer = null;
+			if (!ids.length) {
+				return;
+			}
+
+			$.post(admin.ajaxUrl, {
+				action: 'visionati_auto_generate_status',
+				nonce: admin.nonce,
+				ids: ids,
+			})
+				.done(function (response) {
+					logServerTrace(response.data);
+					if (!response.success) {
+						return;
+					}
+
+					$.each(response.data.statuses, function (id, status) {
+						var model = pending[id];
+
+						if (!model || isPending(status)) {
+							return;
+						}
+
+						delete pending[id];
+						log('auto-generate: finished', { id: id, status: status && status.status });
+						if (status && status.attributes) {
+							model.set(status.attributes);
+						}
+						model.set('visionatiAutoGenerate', status);
+					});
+				})
+				.always(function () {
+					if (Object.keys(pending).length) {
+						schedulePoll();
+					}
+				});
+		}
+
+		var render = wp.media.view.Attachment.prototype.render;
+
+		wp.media.view.Attachment.prototype.render = function () {
+			render.apply(this, arguments);
+
+			if (!this.visionatiListening) {
+				this.visionatiListening = true;
+				this.listenTo(this.model, 'change:visionatiAutoGenerate', this.render);
+			}
+
+			renderBadge(this);
+			return this;
+		};
 	}
 
-	function wooBulkFinished() {
-		wooBulkState.running = false;
+	// -------------------------------------------------------------------------
+	// Review Suggestions (Media → Review Suggestions page)
+	// -------------------------------------------------------------------------
 
-		var $startBtn = $('#visionati-woo-bulk-start');
-		var $stopBtn = $('#visionati-woo-bulk-stop');
+	function initReview() {
+		var $table = $('.visionati-review-table');
+
+		if (!$table.length) {
+			return;
+		}
+
+		var $selectAll = $('#visionati-review-select-all');
+		var $batchButtons = $('.visionati-review-approve-selected, .visionati-review-reject-selected');
+		var $batchStatus = $('.visionati-review-batch-status');
 
-		$startBtn.prop('disabled', false).text(i18n.start || 'Start');
-		$stopBtn.prop('disabled', true);
+		function updateBatchButtons() {
+			var $boxes = $table.find('.visionati-review-select');
+			var selected = $boxes.filter(':checked').length;
+			$batchButtons.prop('disabled', selected === 0);
+			$selectAll.prop('checked', $boxes.length > 0 && selected === $boxes.length);
+		}
+
+		function getItem($row, decision) {
+			var item = {
+				post_id: $row.data('post-id'),
+				field: $row.data('field'),
+			};
+			if (decision === 'approve') {
+				item.value = $row.find('.visionati-review-value').val();
+			}
+			return item;
+		}
+
+		/**
+		 * Send one decision for a set of rows. Rows that succeed are
+		 * removed; failures stay with their error message.
+		 *
+		 * @param {jQuery}   $rows    Table rows.
+		 * @param {string}   decision 'approve' or 'reject'.
+		 * @param {Function} done     Called with the number of succeeded and failed items.
+		 */
+		function decide($rows, decision, done) {
+			var items = $rows.map(function () {
+				return getItem($(this), decision);
+			}).get();
+
+			$rows.find('button').prop('disabled', true);
+			$rows.each(function () {
+				setStatus($(this).find('.visionati-review-status'), i18n.processing || 'Processing...', 'loading');
+			});
+
+			$.post(admin.ajaxUrl, {
+				action: 'visionati_review_decide',
+				nonce: admin.nonce,
+				decision: decision,
+				items: items,
+			})
+				.done(function (response) {
+					logServerTrace(response.data);
+					if (!response.success) {
+						$rows.find('button').prop('disabled', false);
+						$rows.each(function () {
+							setStatus($(this).find('.visionati-review-status'), (response.data && response.data.message) || (i18n.error || 'Error'), 'error');
+						});
+						done(0, $rows.length);
+						return;
+					}
+
+					var succeeded = 0;
+					response.data.results.forEach(function (result) {
+						var $row = $rows.filter(function () {
+							return $(this).data('post-id') === result.post_id && $(this).data('field') === result.field;
+						});
+
+						if (result.success) {
+							succeeded++;
+							$row.fadeOut(200, function () {
+								$row.remove();
+								updateBatchButtons();
+								if (!$table.find('tbody tr').length) {
+									$table.replaceWith($('<p></p>').text(i18n.noSuggestions || 'There are no suggestions waiting for review.'));
+									$('.visionati-review-batch').remove();
+								}
+							});
+							setStatus($row.find('.visionati-review-status'), decision === 'approve' ? (i18n.approved || 'Approved.') : (i18n.rejected || 'Rejected.'), 'success');
+						} else {
+							$row.find('button').prop('disabled', false);
+							setStatus($row.find('.visionati-review-status'), result.message || (i18n.error || 'Error'), 'error');
+						}
+					});
+
+					log('review: ' + decision, { items: items.length, succeeded: succeeded });
+					updateMenuCount(response.data.pending);
+					done(succeeded, items.length - succeeded);
+				})
+				.fail(function () {
+					$rows.find('button').prop('disabled', false);
+					$rows.each(function () {
+						setStatus($(this).find('.visionati-review-status'), i18n.error || 'Error', 'error');
+					});
+					done(0, $rows.length);
+				});
+		}
+
+		function updateMenuCount(pending) {
+			var $count = $('a[href$="page=visionati-review"] .awaiting-mod');
+			if (pending) {
+				$count.text(pending);
+			} else {
+				$count.remove();
+			}
+		}
 
-		updateWooBulkProgress();
+		function decideSelected(decision) {
+			var $rows = $table.find('.visionati-review-select:checked').closest('tr');
 
-		$('.visionati-woo-bulk-progress .visionati-progress-summary').trigger('focus');
+			if (!$rows.length) {
+				return;
+			}
+			if (decision === 'reject' && !confirm((i18n.confirmReject || 'Reject %d suggestions?').replace('%d', $rows.length))) {
+				return;
+			}
+
+			$batchButtons.prop('disabled', true);
+			setStatus($batchStatus, i18n.processing || 'Processing...', 'loading');
+
+			decide($rows, decision, function (succeeded, failed) {
+				setStatus(
+					$batchStatus,
+					(i18n.reviewBatchDone || '%1$d done, %2$d failed.').replace('%1$d', succeeded).replace('%2$d', failed),
+					failed ? 'error' : 'success'
+				);
+				updateBatchButtons();
+			});
+		}
+
+		$table.on('click', '.visionati-review-approve', function () {
+			decide($(this).closest('tr'), 'approve', $.noop);
+		});
+
+		$table.on('click', '.visionati-review-reject', function () {
+			decide($(this).closest('tr'), 'reject', $.noop);
+		});
+
+		$table.on('change', '.visionati-review-select', updateBatchButtons);
+
+		$selectAll.on('change', function () {
+			$table.find('.visionati-review-select').prop('checked', $(this).is(':checked'));
+			updateBatchButtons();
+		});
+
+		$('.visionati-review-approve-selected').on('click', function () {
+			decideSelected('approve');
+		});
+
+		$('.visionati-review-reject-selected').on('click', function () {
+			decideSelected('reject');
+		});
 	}
 
+	// -------------------------------------------------------------------------
+	// Media Library Column and Alt Text Filter
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Add the alt text filter to the Media Library grid toolbar.
+	 *
+	 * Runs at load rather than DOM ready: the grid is built on DOM ready, so
+	 * the views have to be extended before then. The selected filter goes
+	 * out as `query[visionati_alt]` and is applied server-side by
+	 * Visionati_Media_List::filter_grid_query().
+	 */
+	function initAttachmentFilters() {
+		if (typeof wp === 'undefined' || !wp.media || !wp.media.view || !wp.media.view.AttachmentsBrowser || !wp.media.view.MediaFrame.Manage) {
+			return;
+		}
+
+		var AltTextFilter = wp.media.view.AttachmentFilters.extend({
+			id: 'visionati-attachment-filter',
+
+			createFilters: function () {
+				var filters = {
+					all: {
+						text: i18n.altFilterAll || 'All alt text',
+						props: { visionati_alt: null },
+						priority: 10,
+					},
+				};
+				var priority = 10;
+
+				$.each(i18n.altFilters || {}, function (value, text) {
+					priority += 10;
+					filters[value] = {
+						text: text,
+						props: { visionati_alt: value },
+						priority: priority,
+					};
+				});
+
+				this.filters = filters;
+			},
+		});
+
+		var createToolbar = wp.media.view.AttachmentsBrowser.prototype.createToolbar;
+
+		wp.media.view.AttachmentsBrowser.prototype.createToolbar = function () {
+			createToolbar.apply(this, arguments);
+
+			// Only the Media Library grid, not the media modals.
+			if (!this.options.filters || !(this.controller instanceof wp.media.view.MediaFrame.Manage)) {
+				return;
+			}
+
+			this.toolbar.set('visionatiAltFilterLabel', new wp.media.view.Label({
+				value: i18n.altFilterLabel || 'Filter by alt text',
+				attributes: { 'for': 'visionati-attachment-filter' },
+				priority: -70,
+			}).render());
+
+			this.toolbar.set('visionatiAltFilter', new AltTextFilter({
+				controller: this.controller,
+				model: this.collection.props,
+				priority: -70,
+			}).render());
+		};
+	}
+
+	/**
+	 * Generate missing fields from the Visionati column in the Media
+	 * Library list view, then redraw the cell.
+	 */
+	function initMediaColumn() {
+		$(document).on('click', '.visionati-column-generate', function (e) {
+			e.preventDefault();
+
+			var $button = $(this);
+			var $cell = $button.closest('td');
+			var $status = $button.siblings('.visionati-status');
+			var attachmentId = $button.data('attachment-id');
+			var contexts = String($button.data('contexts') || '').split(',');
+
+			if (!attachmentId || $button.prop('disabled')) {
+				return;
+			}
+
+			log('media column: generating', { attachmentId: attachmentId, contexts: contexts });
+			$button.prop('disabled', true);
+			setStatus($status, i18n.generating || 'Generating...', 'loading');
+
+			$.post(admin.ajaxUrl, {
+				action: 'visionati_bulk_analyze',
+				nonce: admin.nonce,
+				attachment_id: attachmentId,
+				contexts: contexts,
+			})
+				.done(function (response) {
+					logServerTrace(response.data);
+					if (!response.success) {
+						setStatus($status, (i18n.error || 'Error') + ': ' + (response.data.message || ''), 'error');
+						$button.prop('disabled', false);
+						return;
+					}
+
+					updateCreditsDisplay(response.data.credits);
+
+					$.post(admin.ajaxUrl, {
+						action: 'visionati_media_column',
+						nonce: admin.nonce,
+						attachment_id: attachmentId,
+					}).done(function (columnResponse) {
+						if (columnResponse.success) {
+							$cell.html(columnResponse.data.html);
+						} else {
+							setStatus($status, i18n.generated || 'Generated.', 'success');
+						}
+					});
+				})
+				.fail(function () {
+					setStatus($status, i18n.error || 'Error', 'error');
+					$button.prop('disabled', false);
+				});
+		});
+	}
+
+	initAttachmentFilters();
+
 	// -------------------------------------------------------------------------
 	// Init
 	// -------------------------------------------------------------------------
@@ -1291,9 +3481,17 @@
 		log('init: starting', { debug: isDebug, overwriteFields: admin.overwriteFields });
 		initVerifyKey();
 		initMediaButtons();
+		initAutoGenerateBadges();
+		initHistory();
 		initBulkGenerate();
 		initWooMetaBox();
+		initWooVariations();
+		initWooTerms();
 		initWooBulkGenerate();
+		initClassicAltCheck();
+		initContentAlt();
+		initReview();
+		initMediaColumn();
 		log('init: complete');
 	});
 })(jQuery);
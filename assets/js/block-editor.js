@@ -0,0 +1,493 @@
+/**
+ * Visionati Block Editor
+ *
+ * Adds a Visionati panel to the Image, Gallery and Cover block sidebars,
+ * and a pre-publish panel listing images without alt text. Alt text and
+ * captions are generated and applied through the same visionati/v1 REST
+ * routes as the media modal; applying also updates the block.
+ *
+ * @package Visionati
+ */
+
+(function (wp) {
+	'use strict';
+
+	var settings = window.visionatiBlockEditor || {};
+	var i18n = settings.i18n || {};
+	var isDebug = settings.debug || false;
+
+	var el = wp.element.createElement;
+	var Fragment = wp.element.Fragment;
+	var useState = wp.element.useState;
+	var useSelect = wp.data.useSelect;
+	var InspectorControls = wp.blockEditor.InspectorControls;
+	var PanelBody = wp.components.PanelBody;
+	var Button = wp.components.Button;
+	var TextareaControl = wp.components.TextareaControl;
+	var SelectControl = wp.components.SelectControl;
+	var Notice = wp.components.Notice;
+	var Spinner = wp.components.Spinner;
+
+	var BLOCKS = ['core/image', 'core/gallery', 'core/cover'];
+	var ALT_MAX_LENGTH = 125;
+
+	function log() {
+		if (isDebug && typeof console !== 'undefined' && console.log) {
+			var args = Array.prototype.slice.call(arguments);
+			args.unshift('[Visionati]');
+
+			console.log.apply(console, args);
+		}
+	}
+
+	/**
+	 * Log the PHP-side debug trace from a REST response.
+	 * See logServerTrace() in admin.js.
+	 */
+	function logServerTrace(data) {
+		if (!isDebug || !data || !data._debug || !data._debug.length) {
+			return;
+		}
+		console.groupCollapsed('[Visionati] Server trace (' + data._debug.length + ' entries)');
+		data._debug.forEach(function (entry) {
+			if (entry.context) {
+				console.log(entry.message, entry.context);
+			} else {
+				console.log(entry.message);
+			}
+		});
+		console.groupEnd();
+	}
+
+	/**
+	 * POST to a visionati/v1 REST route with the logged-in user's cookie auth.
+	 *
+	 * @param {string} path Route path relative to the namespace, e.g. 'attachments/12/analyze'.
+	 * @param {Object} data Request parameters.
+	 * @return {Promise<Object>} Resolves with the response data, rejects with an Error on failure.
+	 */
+	function post(path, data) {
+		return window.fetch(settings.restUrl + path, {
+			method: 'POST',
+			credentials: 'same-origin',
+			headers: {
+				'Content-Type': 'application/json',
+				'X-WP-Nonce': settings.restNonce,
+			},
+			body: JSON.stringify(data),
+		})
+			.then(function (response) {
+				return response.json().then(function (body) {
+					return { ok: response.ok, body: body };
+				});
+			})
+			.then(function (result) {
+				var body = result.body || {};
+				// A REST error carries its debug trace in data.
+				logServerTrace(result.ok ? body : body.data);
+				if (!result.ok) {
+					throw new Error(body.message || i18n.error || 'Error');
+				}
+				return body;
+			});
+	}
+
+	// Captions are rich text, so plain generated text must be escaped.
+	function escapeHtml(text) {
+		return String(text)
+			.replace(/&/g, '&amp;')
+			.replace(/</g, '&lt;')
+			.replace(/>/g, '&gt;');
+	}
+
+	/**
+	 * Images the panel can work on for a block.
+	 *
+	 * Each target has the attachment `id`, a `label`, whether the block has a
+	 * `caption`, and an `update` function that writes block attributes.
+	 *
+	 * @param {Object} props       Block edit props.
+	 * @param {Array}  innerBlocks The block's inner blocks.
+	 * @return {Array}
+	 */
+	function getTargets(props, innerBlocks) {
+		var attributes = props.attributes;
+
+		if (props.name === 'core/image') {
+			return attributes.id ? [{
+				id: attributes.id,
+				label: i18n.image || 'Image',
+				caption: true,
+				update: props.setAttributes,
+			}] : [];
+		}
+
+		if (props.name === 'core/cover') {
+			if (!attributes.id || (attributes.backgroundType && attributes.backgroundType !== 'image')) {
+				return [];
+			}
+			return [{
+				id: attributes.id,
+				label: i18n.image || 'Image',
+				caption: false,
+				update: props.setAttributes,
+			}];
+		}
+
+		// Galleries hold Image blocks since WordPress 5.9.
+		var images = innerBlocks.filter(function (block) {
+			return block.name === 'core/image' && block.attributes.id;
+		});
+
+		if (images.length) {
+			return images.map(function (block, index) {
+				return {
+					id: block.attributes.id,
+					label: (i18n.imageN || 'Image %d').replace('%d', index + 1),
+					caption: true,
+					update: function (attrs) {
+						wp.data.dispatch('core/block-editor').updateBlockAttributes(block.clientId, attrs);
+					},
+				};
+			});
+		}
+
+		// Older galleries keep their images in an attribute.
+		return (attributes.images || []).filter(function (image) {
+			return image.id;
+		}).map(function (image, index) {
+			return {
+				id: parseInt(image.id, 10),
+				label: (i18n.imageN || 'Image %d').replace('%d', index + 1),
+				caption: true,
+				update: function (attrs) {
+					props.setAttributes({
+						images: attributes.images.map(function (item) {
+							return item.id === image.id ? Object.assign({}, item, attrs) : item;
+						}),
+					});
+				},
+			};
+		});
+	}
+
+	/**
+	 * Generate / preview / apply controls for one field of one image.
+	 */
+	function FieldControl(props) {
+		var target = props.target;
+		var context = props.context;
+		var preview = props.preview || {};
+		var label = context === 'alt_text' ? (i18n.altText || 'Alt Text') : (i18n.caption || 'Caption');
+		var busy = preview.state === 'generating' || preview.state === 'applying';
+
+		function generate() {
+			props.onChange({ state: 'generating' });
+			log('block editor: generate', { attachment_id: target.id, context: context });
+
+			post('attachments/' + target.id + '/analyze', { context: context })
+				.then(function (data) {
+					props.onChange({ state: 'preview', text: data.description, credits: data.credits });
+				})
+				.catch(function (error) {
+					props.onChange({ state: 'error', message: error.message });
+				});
+		}
+
+		function apply() {
+			props.onChange(Object.assign({}, preview, { state: 'applying' }));
+
+			post('attachments/' + target.id + '/fields/' + context, { value: preview.text })
+				.then(function (data) {
+					var value = typeof data.value === 'string' ? data.value : preview.text;
+					target.update(context === 'alt_text' ? { alt: value } : { caption: escapeHtml(value) });
+					props.onChange({ state: 'applied', credits: preview.credits });
+				})
+				.catch(function (error) {
+					props.onChange(Object.assign({}, preview, { state: 'preview', message: error.message }));
+				});
+		}
+
+		var children = [
+			el(Button, {
+				key: 'generate',
+				variant: 'secondary',
+				isBusy: preview.state === 'generating',
+				disabled: busy,
+				onClick: generate,
+			}, label),
+		];
+
+		if (busy) {
+			children.push(el(Spinner, { key: 'spinner' }));
+		}
+
+		if (preview.message) {
+			children.push(el(Notice, { key: 'error', status: 'error', isDismissible: false }, preview.message));
+		}
+
+		if (preview.state === 'preview' || preview.state === 'applying') {
+			children.push(el(TextareaControl, {
+				key: 'text',
+				label: label,
+				value: preview.text,
+				help: context === 'alt_text' && preview.text.length > ALT_MAX_LENGTH ? (i18n.altTooLong || 'Alt text is trimmed to 125 characters when applied.') : '',
+				onChange: function (text) {
+					props.onChange(Object.assign({}, preview, { text: text }));
+				},
+			}));
+			children.push(el('div', { key: 'actions' },
+				el(Button, { variant: 'primary', disabled: busy || !preview.text.trim(), onClick: apply }, i18n.apply || 'Apply'),
+				' ',
+				el(Button, { variant: 'tertiary', disabled: busy, onClick: function () { props.onChange(null); } }, i18n.discard || 'Discard')
+			));
+		}
+
+		if (preview.state === 'applied') {
+			var status = i18n.applied || 'Applied.';
+			if (typeof preview.credits === 'number') {
+				status += ' ' + (i18n.creditsRemaining || '%d credits remaining').replace('%d', preview.credits);
+			}
+			children.push(el('p', { key: 'status' }, status));
+		}
+
+		return el('div', { className: 'visionati-block-field', style: { marginBottom: '16px' } }, children);
+	}
+
+	/**
+	 * Sidebar panel for a supported block.
+	 */
+	function VisionatiPanel(props) {
+		var innerBlocks = useSelect(function (select) {
+			var block = select('core/block-editor').getBlock(props.clientId);
+			return block ? block.innerBlocks : [];
+		}, [props.clientId]);
+		var selectedState = useState(0);
+		var previewsState = useState({});
+
+		var targets = getTargets(props, innerBlocks);
+		var previews = previewsState[0];
+
+		if (!targets.length) {
+			return el(PanelBody, { title: i18n.panelTitle || 'Visionati' },
+				el('p', null, i18n.noImage || 'Select an image from the Media Library to generate text for it.')
+			);
+		}
+
+		var target = targets.filter(function (item) {
+			return item.id === selectedState[0];
+		})[0] || targets[0];
+
+		function setPreview(context, value) {
+			previewsState[1](function (current) {
+				var next = Object.assign({}, current);
+				next[target.id + ':' + context] = value;
+				return next;
+			});
+		}
+
+		var contexts = target.caption ? ['alt_text', 'caption'] : ['alt_text'];
+
+		return el(PanelBody, { title: i18n.panelTitle || 'Visionati' },
+			targets.length > 1 ? el(SelectControl, {
+				label: i18n.image || 'Image',
+				value: target.id,
+				options: targets.map(function (item) {
+					return { label: item.label, value: item.id };
+				}),
+				onChange: function (value) {
+					selectedState[1](parseInt(value, 10));
+				},
+			}) : null,
+			contexts.map(function (context) {
+				return el(FieldControl, {
+					key: target.id + ':' + context,
+					target: target,
+					context: context,
+					preview: previews[target.id + ':' + context],
+					onChange: function (value) {
+						setPreview(context, value);
+					},
+				});
+			})
+		);
+	}
+
+	var withVisionatiPanel = wp.compose.createHigherOrderComponent(function (BlockEdit) {
+		return function (props) {
+			if (BLOCKS.indexOf(props.name) === -1 || !props.isSelected) {
+				return el(BlockEdit, props);
+			}
+
+			return el(Fragment, null,
+				el(BlockEdit, props),
+				el(InspectorControls, null, el(VisionatiPanel, props))
+			);
+		};
+	}, 'withVisionatiPanel');
+
+	wp.hooks.addFilter('editor.BlockEdit', 'visionati/block-panel', withVisionatiPanel);
+
+	// -------------------------------------------------------------------------
+	// Pre-publish alt text check
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Collect images with empty alt text from a block tree.
+	 *
+	 * @param {Array} blocks Blocks to scan, including nested ones.
+	 * @param {Array} found  Accumulator.
+	 * @return {Array} Entries with `key`, attachment `id` (0 if not from the
+	 *                 Media Library), `url` and an `update` function.
+	 */
+	function findImagesMissingAlt(blocks, found) {
+		blocks.forEach(function (block) {
+			var attributes = block.attributes;
+			var isImage = block.name === 'core/image' ||
+				(block.name === 'core/cover' && (!attributes.backgroundType || attributes.backgroundType === 'image'));
+
+			if (isImage && attributes.url && !(attributes.alt || '').trim()) {
+				found.push({
+					key: block.clientId,
+					id: attributes.id || 0,
+					url: attributes.url,
+					update: function (alt) {
+						wp.data.dispatch('core/block-editor').updateBlockAttributes(block.clientId, { alt: alt });
+					},
+				});
+			}
+
+			// Older galleries keep their images in an attribute.
+			if (block.name === 'core/gallery' && attributes.images) {
+				attributes.images.forEach(function (image, index) {
+					if ((image.alt || '').trim()) {
+						return;
+					}
+					found.push({
+						key: block.clientId + ':' + index,
+						id: parseInt(image.id, 10) || 0,
+						url: image.url,
+						update: function (alt) {
+							var current = wp.data.select('core/block-editor').getBlock(block.clientId);
+							wp.data.dispatch('core/block-editor').updateBlockAttributes(block.clientId, {
+								images: current.attributes.images.map(function (item, i) {
+									return i === index ? Object.assign({}, item, { alt: alt }) : item;
+								}),
+							});
+						},
+					});
+				});
+			}
+
+			findImagesMissingAlt(block.innerBlocks || [], found);
+		});
+
+		return found;
+	}
+
+	/**
+	 * Generate alt text for an attachment and save it, without a preview.
+	 *
+	 * @param {number} id Attachment ID.
+	 * @return {Promise<string>} Resolves with the saved alt text.
+	 */
+	function generateAndApplyAlt(id) {
+		return post('attachments/' + id + '/analyze', { context: 'alt_text' })
+			.then(function (data) {
+				return post('attachments/' + id + '/fields/alt_text', { value: data.description });
+			})
+			.then(function (data) {
+				return data.value;
+			});
+	}
+
+	function AltCheckPanel() {
+		var blocks = useSelect(function (select) {
+			return select('core/block-editor').getBlocks();
+		}, []);
+		var statusState = useState({});
+		var busyAllState = useState(false);
+
+		var items = findImagesMissingAlt(blocks, []);
+		var statuses = statusState[0];
+
+		function setStatus(key, value) {
+			statusState[1](function (current) {
+				var next = Object.assign({}, current);
+				next[key] = value;
+				return next;
+			});
+		}
+
+		function generate(item) {
+			setStatus(item.key, { state: 'generating' });
+			log('alt check: generate', { attachment_id: item.id });
+
+			return generateAndApplyAlt(item.id)
+				.then(function (alt) {
+					item.update(alt);
+					setStatus(item.key, null);
+				})
+				.catch(function (error) {
+					setStatus(item.key, { state: 'error', message: error.message });
+				});
+		}
+
+		// One at a time to keep the request rate the same as clicking through.
+		function generateAll() {
+			busyAllState[1](true);
+			items.filter(function (item) {
+				return item.id;
+			}).reduce(function (chain, item) {
+				return chain.then(function () {
+					return generate(item);
+				});
+			}, Promise.resolve()).then(function () {
+				busyAllState[1](false);
+			});
+		}
+
+		if (!items.length) {
+			return el(PluginPrePublishPanel, { title: i18n.altCheckTitle || 'Visionati: image alt text', initialOpen: false },
+				el('p', null, i18n.altCheckDone || 'All images have alt text.')
+			);
+		}
+
+		return el(PluginPrePublishPanel, { title: i18n.altCheckTitle || 'Visionati: image alt text', initialOpen: true },
+			el(Notice, { status: 'warning', isDismissible: false },
+				(i18n.altCheckMissing || '%d images have no alt text. You can still publish, but screen reader users will not know what they show.').replace('%d', items.length)
+			),
+			el('ul', null, items.map(function (item) {
+				var status = statuses[item.key] || {};
+				var generating = status.state === 'generating';
+
+				return el('li', { key: item.key, style: { display: 'flex', gap: '8px', alignItems: 'center' } },
+					el('img', { src: item.url, alt: '', width: 48, height: 48, style: { objectFit: 'cover', flexShrink: 0 } }),
+					item.id ? el(Button, {
+						variant: 'secondary',
+						isBusy: generating,
+						disabled: generating || busyAllState[0],
+						onClick: function () {
+							generate(item);
+						},
+					}, i18n.generate || 'Generate') : el('span', null, i18n.notInLibrary || 'Not in the Media Library. Add alt text by hand.'),
+					generating ? el(Spinner) : null,
+					status.state === 'error' ? el('span', { style: { color: '#d63638' } }, status.message) : null
+				);
+			})),
+			items.filter(function (item) { return item.id; }).length > 1 ? el(Button, {
+				variant: 'primary',
+				isBusy: busyAllState[0],
+				disabled: busyAllState[0],
+				onClick: generateAll,
+			}, i18n.generateAll || 'Generate all') : null
+		);
+	}
+
+	var PluginPrePublishPanel = (wp.editor && wp.editor.PluginPrePublishPanel) ||
+		(wp.editPost && wp.editPost.PluginPrePublishPanel);
+
+	if (wp.plugins && PluginPrePublishPanel) {
+		wp.plugins.registerPlugin('visionati-alt-check', { render: AltCheckPanel });
+	}
+})(window.wp);
@@ -170,6 +170,28 @@ class Visionati_Admin {
 			);
 		}
 
+		if ( class_exists( 'WooCommerce' ) ) {
+			register_setting( 'visionati', 'visionati_woo_tag_backend', array(
+				'type'              => 'string',
+				'sanitize_callback' => array( $this, 'sanitize_tag_backend' ),
+				'default'           => Visionati_Woo::DEFAULT_TAG_BACKEND,
+			) );
+
+			add_settings_field(
+				'visionati_woo_tag_backend',
+				__( 'WooCommerce Tagging Model', 'visionati' ),
+				array( $this, 'render_field_backend_select' ),
+				'visionati',
+				'visionati_section_context_roles',
+				array(
+					'option_name' => 'visionati_woo_tag_backend',
+					'default'     => Visionati_Woo::DEFAULT_TAG_BACKEND,
+					'backends'    => Visionati_API::get_tagging_backends(),
+					'description' => __( 'Finds the tags and colors behind tag and attribute suggestions. Description models do not return tags.', 'visionati' ),
+				)
+			);
+		}
+
 		// --- Custom Prompts ---
 		add_settings_section(
 			'visionati_section_prompts',
@@ -208,6 +230,22 @@ class Visionati_Admin {
 			);
 		}
 
+		if ( class_exists( 'WooCommerce' ) ) {
+			register_setting( 'visionati', 'visionati_woo_templates', array(
+				'type'              => 'array',
+				'sanitize_callback' => array( $this, 'sanitize_woo_templates' ),
+				'default'           => array(),
+			) );
+
+			add_settings_field(
+				'visionati_woo_templates',
+				__( 'WooCommerce Description Templates', 'visionati' ),
+				array( $this, 'render_field_woo_templates' ),
+				'visionati',
+				'visionati_section_prompts'
+			);
+		}
+
 		// --- Automation ---
 		add_settings_section(
 			'visionati_section_automation',
@@ -222,6 +260,12 @@ class Visionati_Admin {
 			'default'           => array(),
 		) );
 
+		register_setting( 'visionati', 'visionati_auto_generate_review', array(
+			'type'              => 'boolean',
+			'sanitize_callback' => 'rest_sanitize_boolean',
+			'default'           => false,
+		) );
+
 		add_settings_field(
 			'visionati_auto_generate_fields',
 			__( 'Auto-generate on Upload', 'visionati' ),
@@ -244,6 +288,20 @@ class Visionati_Admin {
 			'visionati_section_automation'
 		);
 
+		register_setting( 'visionati', 'visionati_media_include_context', array(
+			'type'              => 'boolean',
+			'sanitize_callback' => 'rest_sanitize_boolean',
+			'default'           => false,
+		) );
+
+		add_settings_field(
+			'visionati_media_include_context',
+			__( 'Media Post Context', 'visionati' ),
+			array( $this, 'render_field_media_include_context' ),
+			'visionati',
+			'visionati_section_automation'
+		);
+
 		if ( class_exists( 'WooCommerce' ) ) {
 			register_setting( 'visionati', 'visionati_woo_include_context', array(
 				'type'              => 'boolean',
@@ -258,6 +316,34 @@ class Visionati_Admin {
 				'visionati',
 				'visionati_section_automation'
 			);
+
+			register_setting( 'visionati', 'visionati_woo_gallery_images', array(
+				'type'              => 'integer',
+				'sanitize_callback' => array( $this, 'sanitize_woo_gallery_images' ),
+				'default'           => 0,
+			) );
+
+			add_settings_field(
+				'visionati_woo_gallery_images',
+				__( 'WooCommerce Gallery Images', 'visionati' ),
+				array( $this, 'render_field_woo_gallery_images' ),
+				'visionati',
+				'visionati_section_automation'
+			);
+
+			register_setting( 'visionati', 'visionati_woo_seo_fields', array(
+				'type'              => 'array',
+				'sanitize_callback' => array( $this, 'sanitize_woo_seo_fields' ),
+				'default'           => array(),
+			) );
+
+			add_settings_field(
+				'visionati_woo_seo_fields',
+				__( 'WooCommerce SEO Fields', 'visionati' ),
+				array( $this, 'render_field_woo_seo_fields' ),
+				'visionati',
+				'visionati_section_automation'
+			);
 		}
 
 		// --- Debug ---
@@ -292,6 +378,8 @@ class Visionati_Admin {
 		$plugin_pages = array(
 			'settings_page_visionati',
 			'media_page_visionati-bulk-generate',
+			'media_page_visionati-content-alt',
+			'media_page_visionati-review',
 			'product_page_visionati-woo-bulk',
 		);
 
@@ -324,10 +412,22 @@ class Visionati_Admin {
 			$css_ver
 		);
 
+		// Rich editor for the description preview in the media modal.
+		if ( $is_media_page ) {
+			wp_enqueue_editor();
+		}
+
+		// Load after the media views when they are on the page, so admin.js can
+		// extend them before the Media Library grid is built.
+		$js_deps = array( 'jquery', 'wp-hooks' );
+		if ( wp_script_is( 'media-views', 'enqueued' ) ) {
+			$js_deps[] = 'media-views';
+		}
+
 		wp_enqueue_script(
 			'visionati-admin',
 			VISIONATI_PLUGIN_URL . 'assets/js/admin.js',
-			array( 'jquery' ),
+			$js_deps,
 			$js_ver,
 			true
 		);
@@ -341,8 +441,15 @@ class Visionati_Admin {
 			'ajaxUrl'          => admin_url( 'admin-ajax.php' ),
 			'adminUrl'         => admin_url(),
 			'nonce'            => wp_create_nonce( 'visionati_nonce' ),
+			'restUrl'          => esc_url_raw( rest_url( Visionati_API::REST_NAMESPACE . '/' ) ),
+			'restNonce'        => wp_create_nonce( 'wp_rest' ),
 			'overwriteFields'  => $overwrite_fields,
 			'debug'            => Visionati_API::is_debug(),
+			'backends'         => Visionati_API::get_description_backends(),
+			'defaultBackend'   => get_option( 'visionati_backends', 'gemini' ),
+			'compareMin'       => Visionati_Media::MIN_COMPARE_BACKENDS,
+			'compareMax'       => Visionati_Media::MAX_COMPARE_BACKENDS,
+			'seoMetaKeys'      => class_exists( 'Visionati_Woo' ) ? Visionati_Woo::get_seo_meta_keys() : array(),
 			'i18n'     => array(
 				'verifying'       => __( 'Verifying...', 'visionati' ),
 				'connected'       => __( 'Connected.', 'visionati' ),
@@ -356,6 +463,8 @@ class Visionati_Admin {
 				'discard'         => __( 'Discard', 'visionati' ),
 				'applied'         => __( 'Applied.', 'visionati' ),
 				'stopped'         => __( 'Stopped.', 'visionati' ),
+				'pausing'         => __( 'Pausing...', 'visionati' ),
+				'cancelled'       => __( 'Cancelled.', 'visionati' ),
 				'noImages'        => __( 'No images found to process.', 'visionati' ),
 				'noProducts'      => __( 'No products found to process.', 'visionati' ),
 				'of'              => __( 'of', 'visionati' ),
@@ -367,10 +476,24 @@ class Visionati_Admin {
 				'start'           => __( 'Start', 'visionati' ),
 				'stop'            => __( 'Stop', 'visionati' ),
 				'resume'          => __( 'Resume', 'visionati' ),
+				'confirmCancel'   => __( 'Cancel this bulk job? Items already processed keep their results.', 'visionati' ),
 				'selectFields'    => __( 'Select at least one field to generate.', 'visionati' ),
 				'selectStatuses'  => __( 'Select at least one product status.', 'visionati' ),
+				/* translators: 1: images missing alt text, 2: missing captions, 3: missing descriptions, 4: total */
+				'bulkStats'       => __( '%1$d missing alt text, %2$d missing captions, %3$d missing descriptions out of %4$d images.', 'visionati' ),
 				/* translators: 1: number of products missing descriptions, 2: total products with images */
 				'wooStats'        => __( '%1$d of %2$d products with images are missing descriptions.', 'visionati' ),
+				/* translators: 1: number of variations missing descriptions, 2: total variations with their own image */
+				'wooVariationStats' => __( '%1$d of %2$d variations with their own image are missing descriptions.', 'visionati' ),
+				'variationDescription' => __( 'Variation description', 'visionati' ),
+				/* translators: %d: number of products without tags */
+				'wooTagStats'     => __( '%d products have no tags.', 'visionati' ),
+				'tagsHeading'     => __( 'Tags', 'visionati' ),
+				'newTag'          => __( '(new)', 'visionati' ),
+				'noTermSuggestions' => __( 'No new tags or attribute values found.', 'visionati' ),
+				'noTermsSelected' => __( 'Select at least one tag or attribute value.', 'visionati' ),
+				'termsAssigned'   => __( 'Tags and attributes assigned.', 'visionati' ),
+				'reloadForAttributes' => __( 'Reload the page before saving the product to keep the new attribute values.', 'visionati' ),
 				/* translators: %d: number of images to process */
 				'confirmBulk'     => __( 'Process %d images?', 'visionati' ),
 				/* translators: %d: number of images to process */
@@ -379,6 +502,83 @@ class Visionati_Admin {
 				'confirmWooBulk'  => __( 'Process %d products?', 'visionati' ),
 				/* translators: %d: number of products to process */
 				'confirmWooBulkOverwrite' => __( 'Process %d products? Overwrite is enabled — existing descriptions will be replaced.', 'visionati' ),
+				/* translators: %s: estimated number of credits */
+				'estimate'        => __( 'Estimated cost: about %s credits.', 'visionati' ),
+				/* translators: 1: field name, 2: number of requests, 3: credits per request, 4: AI model */
+				'estimateLine'    => __( '%1$s: %2$d × %3$s credits (%4$s)', 'visionati' ),
+				'estimateGuess'   => __( 'price not measured yet', 'visionati' ),
+				'estimateUnknown' => __( 'Some models have not been priced yet, so their lines assume 1 credit per request and the total may be off. Run Compare models on those models to measure their price.', 'visionati' ),
+				/* translators: %d: remaining credit balance */
+				'overBalance'     => __( 'Warning: this is more than your remaining balance of %d credits.', 'visionati' ),
+				/* translators: %d: budget cap in credits */
+				'budgetNote'      => __( 'The run stops once it has used %d credits.', 'visionati' ),
+				/* translators: 1: credits spent so far, 2: budget cap in credits */
+				'budgetStatus'    => __( '%1$d of %2$d budgeted credits used.', 'visionati' ),
+				/* translators: 1: current number of characters, 2: recommended maximum */
+				'charCount'       => __( '%1$d / %2$d characters', 'visionati' ),
+				'altTooLong'      => __( 'Alt text is trimmed to 125 characters when applied.', 'visionati' ),
+				/* translators: %d: candidate number */
+				'optionN'         => __( 'Option %d', 'visionati' ),
+				'pickOption'      => __( 'Pick an option', 'visionati' ),
+				'compareModels'   => __( 'Compare models', 'visionati' ),
+				'runCompare'      => __( 'Run comparison', 'visionati' ),
+				'field'           => __( 'Field', 'visionati' ),
+				'models'          => __( 'Models', 'visionati' ),
+				/* translators: 1: minimum number of models, 2: maximum number of models */
+				'compareSelect'   => __( 'Select %1$d to %2$d models to compare.', 'visionati' ),
+				/* translators: %s: estimated number of credits used */
+				'creditCost'      => __( '~%s credits', 'visionati' ),
+				'history'         => __( 'History', 'visionati' ),
+				'noHistory'       => __( 'No changes recorded yet.', 'visionati' ),
+				'restore'         => __( 'Restore', 'visionati' ),
+				'restored'        => __( 'Restored.', 'visionati' ),
+				'emptyValue'      => __( '(empty)', 'visionati' ),
+				'close'           => __( 'Close', 'visionati' ),
+				/* translators: %s: field label */
+				'confirmRestore'  => __( 'Restore the previous %s?', 'visionati' ),
+				/* translators: 1: retry number, 2: maximum retries, 3: seconds until the retry, 4: error message */
+				'retrying'        => __( 'Retry %1$d of %2$d in %3$ds: %4$s', 'visionati' ),
+				/* translators: %d: number of retries */
+				'afterRetries'    => __( '(after %d retries)', 'visionati' ),
+				'confirmRevert'   => __( 'Revert every field this run wrote? Fields edited since the run are left alone.', 'visionati' ),
+				/* translators: 1: number of fields reverted, 2: number of fields left alone */
+				'reverted'        => __( 'Reverted %1$d fields. %2$d left unchanged because they were edited after the run.', 'visionati' ),
+				'generate'        => __( 'Generate', 'visionati' ),
+				/* translators: %d: number of images */
+				'altCheckMissing' => __( '%d images have no alt text.', 'visionati' ),
+				/* translators: %d: number of images */
+				'altCheckWarning' => __( '%d images have no alt text. Generate it below, or click Publish again to publish anyway.', 'visionati' ),
+				'altCheckDone'    => __( 'All images have alt text.', 'visionati' ),
+				'notInLibrary'    => __( 'Not in the Media Library. Add alt text by hand.', 'visionati' ),
+				'scanning'        => __( 'Scanning...', 'visionati' ),
+				/* translators: %d: number of posts */
+				'contentAltFound' => __( '%d posts have images without alt text.', 'visionati' ),
+				'contentAltNone'  => __( 'No images without alt text were found.', 'visionati' ),
+				'preview'         => __( 'Preview', 'visionati' ),
+				'save'            => __( 'Save', 'visionati' ),
+				'saved'           => __( 'Saved.', 'visionati' ),
+				'updateDiff'      => __( 'Update diff', 'visionati' ),
+				'diffOutdated'    => __( 'Alt text was edited. Update the diff to review the change before saving.', 'visionati' ),
+				'fromLibrary'     => __( 'From the Media Library', 'visionati' ),
+				'externalImage'   => __( 'External image', 'visionati' ),
+				'leaveEmpty'      => __( 'Leave empty to skip this image.', 'visionati' ),
+				/* translators: %d: number of images fixed */
+				'contentAltSaved' => __( 'Saved. %d images now have alt text.', 'visionati' ),
+				'approved'        => __( 'Approved.', 'visionati' ),
+				'rejected'        => __( 'Rejected.', 'visionati' ),
+				/* translators: %d: number of suggestions */
+				'confirmReject'   => __( 'Reject %d suggestions?', 'visionati' ),
+				/* translators: 1: number of suggestions handled, 2: number that failed */
+				'reviewBatchDone' => __( '%1$d done, %2$d failed.', 'visionati' ),
+				'noSuggestions'   => __( 'There are no suggestions waiting for review.', 'visionati' ),
+				'autoGenerating'  => __( 'Generating…', 'visionati' ),
+				'autoGenerated'   => __( 'Generated', 'visionati' ),
+				'autoReview'      => __( 'Ready for review', 'visionati' ),
+				'autoSkipped'     => __( 'Nothing to generate', 'visionati' ),
+				'autoFailed'      => __( 'Generation failed', 'visionati' ),
+				'altFilterLabel'  => __( 'Filter by alt text', 'visionati' ),
+				'altFilterAll'    => __( 'All alt text', 'visionati' ),
+				'altFilters'      => Visionati_Media_List::get_filters(),
 				'fieldLabels'     => array(
 					'alt_text'    => __( 'Alt Text', 'visionati' ),
 					'caption'     => __( 'Caption', 'visionati' ),
@@ -386,36 +586,6 @@ class Visionati_Admin {
 				),
 			),
 		) );
-
-		// On the Bulk Generate page, check for pre-queued IDs from the Media Library bulk action.
-		if ( 'media_page_visionati-bulk-generate' === $hook_suffix ) {
-			$user_id = get_current_user_id();
-			$queued  = get_transient( 'visionati_bulk_queue_' . $user_id );
-
-			if ( ! empty( $queued ) && is_array( $queued ) ) {
-				delete_transient( 'visionati_bulk_queue_' . $user_id );
-				wp_add_inline_script(
-					'visionati-admin',
-					'var visionatiBulkQueue = ' . wp_json_encode( array_map( 'absint', $queued ) ) . ';',
-					'before'
-				);
-			}
-		}
-
-		// On the WooCommerce Bulk Descriptions page, check for pre-queued IDs from the Products bulk action.
-		if ( 'product_page_visionati-woo-bulk' === $hook_suffix ) {
-			$user_id = get_current_user_id();
-			$queued  = get_transient( 'visionati_woo_bulk_queue_' . $user_id );
-
-			if ( ! empty( $queued ) && is_array( $queued ) ) {
-				delete_transient( 'visionati_woo_bulk_queue_' . $user_id );
-				wp_add_inline_script(
-					'visionati-admin',
-					'var visionatiWooBulkQueue = ' . wp_json_encode( array_map( 'absint', $queued ) ) . ';',
-					'before'
-				);
-			}
-		}
 	}
 
 	/**
@@ -518,9 +688,11 @@ class Visionati_Admin {
 	}
 
 	/**
-	 * Render a backend dropdown. Reused for both AI Model and WooCommerce AI Model.
+	 * Render a backend dropdown. Reused for AI Model and WooCommerce Tagging Model.
 	 *
-	 * @param array $args Field arguments including option_name and default.
+	 * @param array $args Field arguments including option_name and default, and
+	 *                    optionally backends (slug => label; description backends
+	 *                    by default) and description.
 	 */
 	public function render_field_backend_select( $args ) {
 		$option_name = $args['option_name'];
@@ -532,7 +704,7 @@ class Visionati_Admin {
 			$selected = ! empty( $selected ) ? $selected[0] : $default;
 		}
 
-		$backends = Visionati_API::get_description_backends();
+		$backends = isset( $args['backends'] ) ? $args['backends'] : Visionati_API::get_description_backends();
 
 		printf( '<select id="%s" name="%s">', esc_attr( $option_name ), esc_attr( $option_name ) );
 		foreach ( $backends as $slug => $label ) {
@@ -544,6 +716,10 @@ class Visionati_Admin {
 			);
 		}
 		echo '</select>';
+
+		if ( ! empty( $args['description'] ) ) {
+			echo '<p class="description">' . esc_html( $args['description'] ) . '</p>';
+		}
 	}
 
 	/**
@@ -639,7 +815,11 @@ class Visionati_Admin {
 
 		if ( 'visionati_prompt_woocommerce' === $option_name ) {
 			echo '<p class="description">';
-			echo esc_html__( 'Available placeholders: {product_name}, {categories}, {price}', 'visionati' );
+			echo esc_html__( 'Available placeholders: {product_name}, {categories}, {price}, {sku}, {attributes}, {brand}, {tags}, {regular_price}, {sale_price}', 'visionati' );
+			echo '</p>';
+		} else {
+			echo '<p class="description">';
+			echo esc_html__( 'Available placeholders: {post_title}, {post_excerpt}, {categories}, {tags}, {surrounding_text}, {filename}, {site_name}, {focus_keyword}', 'visionati' );
 			echo '</p>';
 		}
 	}
@@ -671,7 +851,12 @@ class Visionati_Admin {
 			);
 		}
 		echo '</div>';
-		echo '<p class="description">' . esc_html__( 'Automatically generate selected fields when images are uploaded.', 'visionati' ) . '</p>';
+		echo '<p class="description">' . esc_html__( 'Automatically generate selected fields when images are uploaded. Generation runs in the background, so uploads are not slowed down.', 'visionati' ) . '</p>';
+		printf(
+			'<p><label><input type="checkbox" name="visionati_auto_generate_review" value="1" %s /> %s</label></p>',
+			checked( get_option( 'visionati_auto_generate_review', false ), true, false ),
+			esc_html__( 'Generate for review: queue the text under Media > Review Suggestions instead of saving it.', 'visionati' )
+		);
 		echo '</fieldset>';
 	}
 
@@ -719,6 +904,18 @@ class Visionati_Admin {
 		);
 	}
 
+	/**
+	 * Render the media post context checkbox.
+	 */
+	public function render_field_media_include_context() {
+		printf(
+			'<label><input type="checkbox" id="visionati_media_include_context" name="visionati_media_include_context" value="1" %s /> %s</label>',
+			checked( get_option( 'visionati_media_include_context', false ), true, false ),
+			esc_html__( 'Include the title, excerpt, categories, and tags of the post an image is attached to, and the text next to the image, in media prompts.', 'visionati' )
+		);
+		echo '<p class="description">' . esc_html__( 'Custom prompts without placeholders get these details added at the end. Custom prompts with placeholders only get the details they ask for.', 'visionati' ) . '</p>';
+	}
+
 	/**
 	 * Render the WooCommerce include context checkbox.
 	 */
@@ -734,6 +931,152 @@ class Visionati_Admin {
 		);
 	}
 
+	/**
+	 * Render the WooCommerce gallery images field.
+	 */
+	public function render_field_woo_gallery_images() {
+		printf(
+			'<input type="number" id="visionati_woo_gallery_images" name="visionati_woo_gallery_images" value="%1$d" min="0" max="%2$d" class="small-text" />',
+			absint( get_option( 'visionati_woo_gallery_images', 0 ) ),
+			absint( Visionati_Woo::MAX_GALLERY_IMAGES )
+		);
+		echo '<p class="description">' . esc_html(
+			sprintf(
+				/* translators: %d: maximum number of gallery images */
+				__( 'Number of product gallery images (up to %d) sent with the featured image when generating descriptions, so every view of the product is covered. They go in each description and SEO request, and each image is billed per request. 0 uses the featured image only.', 'visionati' ),
+				Visionati_Woo::MAX_GALLERY_IMAGES
+			)
+		) . '</p>';
+	}
+
+	/**
+	 * Render the WooCommerce SEO fields checkboxes.
+	 */
+	public function render_field_woo_seo_fields() {
+		$fields  = Visionati_Woo::get_seo_fields();
+		$labels  = Visionati_History::get_fields();
+		$plugins = array(
+			'yoast'    => 'Yoast SEO',
+			'rankmath' => 'Rank Math',
+			'seopress' => 'SEOPress',
+		);
+		$plugin  = Visionati_Woo::get_seo_plugin();
+
+		echo '<fieldset class="visionati-checkbox-group">';
+		echo '<div style="display:flex;gap:16px;align-items:center;flex-wrap:wrap">';
+		foreach ( Visionati_Woo::SEO_FIELDS as $value ) {
+			printf(
+				'<label style="white-space:nowrap"><input type="checkbox" name="visionati_woo_seo_fields[]" value="%s" %s /> %s</label>',
+				esc_attr( $value ),
+				checked( in_array( $value, $fields, true ), true, false ),
+				esc_html( $labels[ $value ] )
+			);
+		}
+		echo '</div>';
+		echo '<p class="description">' . esc_html__( 'Generate the selected SEO fields with the product descriptions, in the product meta box and in bulk runs. Bulk runs fill in empty fields, or every field when overwriting descriptions is on.', 'visionati' ) . '</p>';
+
+		if ( isset( $plugins[ $plugin ] ) ) {
+			echo '<p class="description">' . esc_html(
+				sprintf(
+					/* translators: %s: SEO plugin name */
+					__( 'Applied fields are saved to %s.', 'visionati' ),
+					$plugins[ $plugin ]
+				)
+			) . '</p>';
+		} else {
+			echo '<p class="description">' . esc_html__( 'No supported SEO plugin (Yoast SEO, Rank Math, or SEOPress) is active. The meta box shows the generated text to copy, and bulk runs skip these fields.', 'visionati' ) . '</p>';
+		}
+		echo '</fieldset>';
+	}
+
+	/**
+	 * Render the WooCommerce description template editor.
+	 *
+	 * Each saved template is editable, followed by an empty one to add a new
+	 * template.
+	 */
+	public function render_field_woo_templates() {
+		$templates  = Visionati_Woo::get_templates();
+		$categories = get_terms( array(
+			'taxonomy'   => 'product_cat',
+			'hide_empty' => false,
+		) );
+
+		if ( is_wp_error( $categories ) ) {
+			$categories = array();
+		}
+
+		$templates['']  = array(
+			'name'         => '',
+			'sections'     => array(),
+			'heading_tag'  => 'h3',
+			'short_words'  => 0,
+			'long_words'   => 0,
+			'instructions' => '',
+			'categories'   => array(),
+		);
+		$index = 0;
+
+		foreach ( $templates as $slug => $template ) {
+			$name = 'visionati_woo_templates[' . $index . ']';
+			$id   = 'visionati-woo-template-' . $index;
+			?>
+			<fieldset class="visionati-woo-template-editor">
+				<legend>
+					<?php echo '' === $slug ? esc_html__( 'New template', 'visionati' ) : esc_html( $template['name'] ); ?>
+				</legend>
+				<input type="hidden" name="<?php echo esc_attr( $name ); ?>[slug]" value="<?php echo esc_attr( $slug ); ?>" />
+				<p>
+					<label for="<?php echo esc_attr( $id ); ?>-name"><?php esc_html_e( 'Name', 'visionati' ); ?></label><br />
+					<input type="text" id="<?php echo esc_attr( $id ); ?>-name" name="<?php echo esc_attr( $name ); ?>[name]" value="<?php echo esc_attr( $template['name'] ); ?>" class="regular-text" />
+				</p>
+				<p>
+					<label for="<?php echo esc_attr( $id ); ?>-sections"><?php esc_html_e( 'Long description sections', 'visionati' ); ?></label><br />
+					<textarea id="<?php echo esc_attr( $id ); ?>-sections" name="<?php echo esc_attr( $name ); ?>[sections]" rows="4" class="large-text" placeholder="<?php echo esc_attr__( "Overview | paragraph | What it is and who it's for\nFeatures | list\nMaterials & Care | Fabric, washing and storage", 'visionati' ); ?>"><?php echo esc_textarea( Visionati_Woo::format_template_sections( $template['sections'] ) ); ?></textarea>
+					<span class="description"><?php esc_html_e( 'One section per line: Heading | paragraph or list | instructions. The format and instructions are optional.', 'visionati' ); ?></span>
+				</p>
+				<p>
+					<label for="<?php echo esc_attr( $id ); ?>-heading"><?php esc_html_e( 'Section heading tag', 'visionati' ); ?></label>
+					<select id="<?php echo esc_attr( $id ); ?>-heading" name="<?php echo esc_attr( $name ); ?>[heading_tag]">
+						<?php foreach ( Visionati_Woo::TEMPLATE_HEADING_TAGS as $tag ) : ?>
+							<option value="<?php echo esc_attr( $tag ); ?>" <?php selected( $template['heading_tag'], $tag ); ?>><?php echo esc_html( '<' . $tag . '>' ); ?></option>
+						<?php endforeach; ?>
+					</select>
+				</p>
+				<p>
+					<label for="<?php echo esc_attr( $id ); ?>-short-words"><?php esc_html_e( 'Short description limit (words)', 'visionati' ); ?></label>
+					<input type="number" id="<?php echo esc_attr( $id ); ?>-short-words" name="<?php echo esc_attr( $name ); ?>[short_words]" value="<?php echo absint( $template['short_words'] ); ?>" min="0" class="small-text" />
+					<label for="<?php echo esc_attr( $id ); ?>-long-words"><?php esc_html_e( 'Long description limit (words)', 'visionati' ); ?></label>
+					<input type="number" id="<?php echo esc_attr( $id ); ?>-long-words" name="<?php echo esc_attr( $name ); ?>[long_words]" value="<?php echo absint( $template['long_words'] ); ?>" min="0" class="small-text" />
+					<span class="description"><?php esc_html_e( '0 for no limit.', 'visionati' ); ?></span>
+				</p>
+				<p>
+					<label for="<?php echo esc_attr( $id ); ?>-instructions"><?php esc_html_e( 'Extra instructions', 'visionati' ); ?></label><br />
+					<textarea id="<?php echo esc_attr( $id ); ?>-instructions" name="<?php echo esc_attr( $name ); ?>[instructions]" rows="2" class="large-text"><?php echo esc_textarea( $template['instructions'] ); ?></textarea>
+				</p>
+				<?php if ( $categories ) : ?>
+					<p>
+						<label for="<?php echo esc_attr( $id ); ?>-categories"><?php esc_html_e( 'Product categories', 'visionati' ); ?></label><br />
+						<select id="<?php echo esc_attr( $id ); ?>-categories" name="<?php echo esc_attr( $name ); ?>[categories][]" multiple size="4">
+							<?php foreach ( $categories as $category ) : ?>
+								<option value="<?php echo absint( $category->term_id ); ?>" <?php selected( in_array( (int) $category->term_id, array_map( 'intval', $template['categories'] ), true ) ); ?>><?php echo esc_html( $category->name ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</p>
+				<?php endif; ?>
+				<?php if ( '' !== $slug ) : ?>
+					<p>
+						<label><input type="checkbox" name="<?php echo esc_attr( $name ); ?>[delete]" value="1" /> <?php esc_html_e( 'Delete this template', 'visionati' ); ?></label>
+					</p>
+				<?php endif; ?>
+			</fieldset>
+			<?php
+			++$index;
+		}
+
+		echo '<p class="description">' . esc_html__( 'Templates give long descriptions fixed sections and HTML, and set length limits for both descriptions. Products use the first template assigned to one of their categories (or a parent category); another template can be picked in the product meta box. Extra instructions and section instructions support the WooCommerce placeholders.', 'visionati' ) . '</p>';
+	}
+
 	// -------------------------------------------------------------------------
 	// Sanitization
 	// -------------------------------------------------------------------------
@@ -748,6 +1091,94 @@ class Visionati_Admin {
 		return $this->sanitize_field_list( $input );
 	}
 
+	/**
+	 * Sanitize the number of WooCommerce gallery images.
+	 *
+	 * @param mixed $input Raw input value.
+	 * @return int Between 0 and Visionati_Woo::MAX_GALLERY_IMAGES.
+	 */
+	public function sanitize_woo_gallery_images( $input ) {
+		return min( absint( $input ), Visionati_Woo::MAX_GALLERY_IMAGES );
+	}
+
+	/**
+	 * Sanitize the WooCommerce SEO fields array.
+	 *
+	 * @param mixed $input Raw input value.
+	 * @return array Sanitized array of SEO field slugs.
+	 */
+	public function sanitize_woo_seo_fields( $input ) {
+		if ( ! is_array( $input ) ) {
+			return array();
+		}
+
+		return array_values( array_intersect( Visionati_Woo::SEO_FIELDS, array_map( 'sanitize_key', $input ) ) );
+	}
+
+	/**
+	 * Sanitize the WooCommerce description templates.
+	 *
+	 * Templates without a name, or marked for deletion, are dropped. Saved
+	 * templates keep their slug; new ones get one from their name. Accepts
+	 * the stored form as well, so sanitizing twice gives the same result.
+	 *
+	 * @param mixed $input Raw input value.
+	 * @return array Template slug => template. See Visionati_Woo::get_templates().
+	 */
+	public function sanitize_woo_templates( $input ) {
+		if ( ! is_array( $input ) ) {
+			return array();
+		}
+
+		$templates = array();
+
+		foreach ( $input as $key => $template ) {
+			if ( ! is_array( $template ) || ! empty( $template['delete'] ) ) {
+				continue;
+			}
+
+			// The stored form (update_option() runs this callback on it too) is
+			// keyed by slug with parsed sections; bring it back to the form shape.
+			if ( is_string( $key ) && ! isset( $template['slug'] ) ) {
+				$template['slug'] = $key;
+			}
+			if ( isset( $template['sections'] ) && is_array( $template['sections'] ) ) {
+				$template['sections'] = Visionati_Woo::format_template_sections( $template['sections'] );
+			}
+
+			$name = isset( $template['name'] ) ? sanitize_text_field( $template['name'] ) : '';
+			if ( '' === $name ) {
+				continue;
+			}
+
+			$slug = ! empty( $template['slug'] ) ? sanitize_key( $template['slug'] ) : sanitize_key( sanitize_title( $name ) );
+			if ( '' === $slug || 'none' === $slug ) {
+				$slug = 'template';
+			}
+
+			$base   = $slug;
+			$suffix = 2;
+			while ( isset( $templates[ $slug ] ) ) {
+				$slug = $base . '-' . $suffix;
+				++$suffix;
+			}
+
+			$heading_tag = isset( $template['heading_tag'] ) ? sanitize_key( $template['heading_tag'] ) : '';
+
+			$templates[ $slug ] = array(
+				'name'         => $name,
+				'sections'     => Visionati_Woo::parse_template_sections( isset( $template['sections'] ) ? $template['sections'] : '' ),
+				'heading_tag'  => in_array( $heading_tag, Visionati_Woo::TEMPLATE_HEADING_TAGS, true ) ? $heading_tag : 'h3',
+				'short_words'  => isset( $template['short_words'] ) ? absint( $template['short_words'] ) : 0,
+				'long_words'   => isset( $template['long_words'] ) ? absint( $template['long_words'] ) : 0,
+				'instructions' => isset( $template['instructions'] ) ? sanitize_textarea_field( $template['instructions'] ) : '',
+				'categories'   => isset( $template['categories'] ) ? array_values( array_filter( array_map( 'absint', (array) $template['categories'] ) ) ) : array(),
+			);
+		}
+
+		return $templates;
+	}
+
 	/**
 	 * Sanitize the auto-generate fields array.
 	 *
@@ -804,6 +1235,22 @@ class Visionati_Admin {
 		return 'gemini';
 	}
 
+	/**
+	 * Sanitize the WooCommerce tagging backend selection.
+	 *
+	 * @param mixed $input Raw input value.
+	 * @return string Sanitized backend slug.
+	 */
+	public function sanitize_tag_backend( $input ) {
+		$input = sanitize_key( (string) $input );
+
+		if ( array_key_exists( $input, Visionati_API::get_tagging_backends() ) ) {
+			return $input;
+		}
+
+		return Visionati_Woo::DEFAULT_TAG_BACKEND;
+	}
+
 	/**
 	 * Sanitize a per-context backend override.
 	 *
@@ -0,0 +1,77 @@
+<?php
+/**
+ * Visionati Alt Text Check (Classic Editor)
+ *
+ * Adds a meta box to the classic editor that lists images in the post
+ * content with empty alt attributes and generates alt text for them.
+ * Publishing is interrupted once with a warning when any are found
+ * (see initClassicAltCheck() in admin.js). The block editor has the
+ * same check as a pre-publish panel (see block-editor.js).
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Visionati_Alt_Check {
+
+	/**
+	 * Constructor. Register hooks.
+	 */
+	public function __construct() {
+		add_action( 'add_meta_boxes', array( $this, 'add_meta_box' ), 10, 2 );
+	}
+
+	/**
+	 * Register the meta box for post types edited with the classic editor.
+	 *
+	 * @param string  $post_type Post type.
+	 * @param WP_Post $post      Post being edited.
+	 */
+	public function add_meta_box( $post_type, $post ) {
+		$api_key = get_option( 'visionati_api_key', '' );
+		if ( empty( $api_key ) || ! current_user_can( 'upload_files' ) ) {
+			return;
+		}
+
+		if ( 'attachment' === $post_type || ! post_type_supports( $post_type, 'editor' ) ) {
+			return;
+		}
+
+		add_meta_box(
+			'visionati-alt-check',
+			__( 'Visionati: Image Alt Text', 'visionati' ),
+			array( $this, 'render_meta_box' ),
+			$post_type,
+			'side',
+			'high',
+			array( '__back_compat_meta_box' => true )
+		);
+	}
+
+	/**
+	 * Render the meta box content. The image list is filled in by admin.js.
+	 *
+	 * @param WP_Post $post The post being edited.
+	 */
+	public function render_meta_box( $post ) {
+		?>
+		<div class="visionati-alt-check" data-post-id="<?php echo absint( $post->ID ); ?>">
+			<p class="visionati-alt-check-summary">
+				<?php esc_html_e( 'Checks the content for images without alt text before you publish.', 'visionati' ); ?>
+			</p>
+			<ul class="visionati-alt-check-list"></ul>
+			<div class="visionati-alt-check-actions">
+				<button type="button" class="button visionati-alt-check-scan">
+					<?php esc_html_e( 'Check images', 'visionati' ); ?>
+				</button>
+				<button type="button" class="button button-primary visionati-alt-check-all" style="display: none;">
+					<?php esc_html_e( 'Generate all', 'visionati' ); ?>
+				</button>
+			</div>
+		</div>
+		<?php
+	}
+}
\ No newline at end of file
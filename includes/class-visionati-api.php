@@ -42,6 +42,44 @@ class Visionati_API {
 	 */
 	const HTTP_TIMEOUT = 30;
 
+	/**
+	 * Number of candidate descriptions requested in "Generate 3 options" mode.
+	 *
+	 * @var int
+	 */
+	const VARIANT_COUNT = 3;
+
+	/**
+	 * Credits assumed for one description request on a backend whose
+	 * price has not been observed yet.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_REQUEST_CREDITS = 1;
+
+	/**
+	 * Namespace of the plugin's REST routes.
+	 *
+	 * @var string
+	 */
+	const REST_NAMESPACE = 'visionati/v1';
+
+	/**
+	 * WP_Error codes for transient failures that are worth retrying.
+	 *
+	 * visionati_http_error is only retried for 429 and 5xx responses.
+	 *
+	 * @var array
+	 */
+	const RETRYABLE_ERROR_CODES = array(
+		'visionati_connection_failed',
+		'visionati_request_failed',
+		'visionati_invalid_json',
+		'visionati_invalid_response',
+		'visionati_http_error',
+		'visionati_timeout',
+	);
+
 	/**
 	 * Supported image MIME types.
 	 *
@@ -171,6 +209,46 @@ class Visionati_API {
 		wp_send_json_error( $data );
 	}
 
+	/**
+	 * Build a REST response, attaching debug entries when debug is on.
+	 *
+	 * The REST counterpart of send_json_success() and send_json_error().
+	 * Errors without an HTTP status are treated as a failure of the
+	 * Visionati API (502). visionati_http_error carries the Visionati
+	 * API's own status, which is moved to 'api_status' so it is not
+	 * mistaken for this request's.
+	 *
+	 * @param array|WP_Error $result Response data or error.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public static function rest_response( $result ) {
+		if ( is_wp_error( $result ) ) {
+			$data = $result->get_error_data();
+			$data = is_array( $data ) ? $data : array();
+
+			if ( 'visionati_http_error' === $result->get_error_code() && isset( $data['status'] ) ) {
+				$data['api_status'] = $data['status'];
+				unset( $data['status'] );
+			}
+
+			if ( empty( $data['status'] ) ) {
+				$data['status'] = 502;
+			}
+
+			if ( self::is_debug() ) {
+				$data['_debug'] = self::$debug_entries;
+			}
+
+			return new WP_Error( $result->get_error_code(), $result->get_error_message(), $data );
+		}
+
+		if ( self::is_debug() && is_array( $result ) ) {
+			$result['_debug'] = self::$debug_entries;
+		}
+
+		return rest_ensure_response( $result );
+	}
+
 	/**
 	 * Constructor.
 	 *
@@ -260,6 +338,22 @@ class Visionati_API {
 	 * @return array|WP_Error Raw API response on success, WP_Error on failure.
 	 */
 	public function submit_attachment( $attachment_id, $options = array() ) {
+		return $this->submit_attachments( array( $attachment_id ), $options );
+	}
+
+	/**
+	 * Submit several attachments in one request without polling for results.
+	 *
+	 * The API sees all the images together, e.g. a product's featured image
+	 * and its gallery. The first attachment is the main one: its
+	 * description is the one get_first_description() returns. Each image
+	 * is billed as one asset.
+	 *
+	 * @param int[] $attachment_ids Attachment post IDs, main image first.
+	 * @param array $options        Analysis options. See submit_attachment().
+	 * @return array|WP_Error Raw API response on success, WP_Error on failure.
+	 */
+	public function submit_attachments( $attachment_ids, $options = array() ) {
 		if ( empty( $this->api_key ) ) {
 			return new WP_Error(
 				'visionati_no_api_key',
@@ -267,19 +361,88 @@ class Visionati_API {
 			);
 		}
 
-		$validation = $this->validate_attachment( $attachment_id );
-		if ( is_wp_error( $validation ) ) {
-			return $validation;
+		$attachment_ids = array_values( array_unique( array_map( 'absint', (array) $attachment_ids ) ) );
+		$files          = array();
+		$file_names     = array();
+
+		if ( empty( $attachment_ids ) ) {
+			return new WP_Error( 'visionati_missing_attachment', __( 'No attachment ID provided.', 'visionati' ) );
 		}
 
-		$file_path = get_attached_file( $attachment_id );
-		$file_name = basename( $file_path );
+		foreach ( $attachment_ids as $attachment_id ) {
+			$validation = $this->validate_attachment( $attachment_id );
+			if ( is_wp_error( $validation ) ) {
+				return $validation;
+			}
+
+			$file_path = get_attached_file( $attachment_id );
+
+			$base64 = $this->base64_encode_file( $file_path );
+			if ( is_wp_error( $base64 ) ) {
+				return $base64;
+			}
+
+			$files[]      = $base64;
+			$file_names[] = basename( $file_path );
+		}
+
+		$data              = $this->build_request_data( $options );
+		$data['file']      = $files;
+		$data['file_name'] = $file_names;
+
+		/**
+		 * Filters the request sent to the Visionati API for an attachment.
+		 *
+		 * @param array $data           Request payload: feature, role, language, file,
+		 *                              file_name, and optional prompt and backend.
+		 * @param int   $attachment_id  Attachment ID (the main one when several are sent).
+		 * @param array $options        Options the payload was built from.
+		 * @param int[] $attachment_ids All attachment IDs in the request, main one first.
+		 */
+		$data = apply_filters( 'visionati_request_payload', $data, $attachment_ids[0], $options, $attachment_ids );
+
+		return $this->submit( $data );
+	}
+
+	/**
+	 * Submit an image URL for analysis without polling for results.
+	 *
+	 * Used for images that are not in the Media Library (e.g. external
+	 * images embedded in post content). The API fetches the URL itself,
+	 * so it must be publicly reachable.
+	 *
+	 * @param string $url     Image URL.
+	 * @param array  $options Analysis options. See submit_attachment().
+	 * @return array|WP_Error Raw API response on success, WP_Error on failure.
+	 */
+	public function submit_url( $url, $options = array() ) {
+		if ( empty( $this->api_key ) ) {
+			return new WP_Error(
+				'visionati_no_api_key',
+				__( 'No API key configured.', 'visionati' )
+			);
+		}
 
-		$base64 = $this->base64_encode_file( $file_path );
-		if ( is_wp_error( $base64 ) ) {
-			return $base64;
+		if ( ! wp_http_validate_url( $url ) ) {
+			return new WP_Error(
+				'visionati_invalid_url',
+				__( 'Image URL is not publicly reachable.', 'visionati' )
+			);
 		}
 
+		$data        = $this->build_request_data( $options );
+		$data['url'] = array( $url );
+
+		return $this->submit( $data );
+	}
+
+	/**
+	 * Build the request fields shared by attachment and URL submissions.
+	 *
+	 * @param array $options Analysis options. See submit_attachment().
+	 * @return array Request payload without the image.
+	 */
+	private function build_request_data( $options ) {
 		$role     = isset( $options['role'] ) ? $options['role'] : 'general';
 		$prompt   = isset( $options['prompt'] ) ? $options['prompt'] : '';
 		$language = isset( $options['language'] ) ? $options['language'] : get_option( 'visionati_language', 'English' );
@@ -292,11 +455,9 @@ class Visionati_API {
 		$features = isset( $options['features'] ) ? $options['features'] : array( 'descriptions' );
 
 		$data = array(
-			'file'      => array( $base64 ),
-			'file_name' => array( $file_name ),
-			'feature'   => $features,
-			'role'      => $role,
-			'language'  => $language,
+			'feature'  => $features,
+			'role'     => $role,
+			'language' => $language,
 		);
 
 		if ( ! empty( $prompt ) ) {
@@ -307,7 +468,7 @@ class Visionati_API {
 			$data['backend'] = array( $backend );
 		}
 
-		return $this->submit( $data );
+		return $data;
 	}
 
 	/**
@@ -342,6 +503,278 @@ class Visionati_API {
 		);
 	}
 
+	/**
+	 * Analyze an attachment several times and collect the distinct descriptions.
+	 *
+	 * Submits the same request $count times, then polls all of them in one
+	 * round-robin loop, so N candidates take about as long as one.
+	 *
+	 * @param int   $attachment_id The attachment post ID.
+	 * @param array $options       Analysis options. See submit_attachment().
+	 * @param int   $count         Number of requests to send.
+	 * @return array|WP_Error Array with 'descriptions' (see collect_descriptions())
+	 *                        and 'credits' (int|null), or WP_Error if every request failed.
+	 */
+	public function analyze_attachment_variants( $attachment_id, $options = array(), $count = self::VARIANT_COUNT ) {
+		$pending   = array();
+		$responses = array();
+		$error     = null;
+
+		for ( $i = 0; $i < $count; $i++ ) {
+			$submitted = $this->submit_attachment( $attachment_id, $options );
+
+			if ( is_wp_error( $submitted ) ) {
+				// Validation errors (missing file, bad key) fail every request the same way.
+				return $submitted;
+			}
+
+			if ( ! empty( $submitted['response_uri'] ) ) {
+				$pending[ $i ] = $submitted['response_uri'];
+			} elseif ( ! empty( $submitted['all']['assets'] ) ) {
+				$responses[ $i ] = $submitted;
+			}
+		}
+
+		if ( ! empty( $pending ) ) {
+			$responses += $this->poll_multiple( $pending );
+		}
+
+		$credits = null;
+		foreach ( $responses as $response ) {
+			if ( is_wp_error( $response ) ) {
+				$error = $response;
+				continue;
+			}
+			// Balances only go down, so the lowest value seen is the most recent.
+			$response_credits = self::extract_credits( $response );
+			if ( null !== $response_credits && ( null === $credits || $response_credits < $credits ) ) {
+				$credits = $response_credits;
+			}
+		}
+
+		$descriptions = self::collect_descriptions( $responses );
+
+		if ( empty( $descriptions ) ) {
+			return $error ? $error : new WP_Error(
+				'visionati_no_results',
+				__( 'No description returned from the API.', 'visionati' )
+			);
+		}
+
+		return array(
+			'descriptions' => $descriptions,
+			'credits'      => $credits,
+		);
+	}
+
+	/**
+	 * Analyze an attachment with several backends in parallel.
+	 *
+	 * Every backend gets the same options; all requests are submitted
+	 * first and then polled together with poll_multiple().
+	 *
+	 * @param int      $attachment_id The attachment post ID.
+	 * @param array    $options       Analysis options. See submit_attachment(). 'backends' is ignored.
+	 * @param string[] $backends      Backend slugs from get_description_backends().
+	 * @return array Array of per-backend results, in the order given. Each has
+	 *               'backend', 'label', and either 'description', 'credits'
+	 *               (balance after the request) and 'cost' (estimated credits
+	 *               spent, or null if unknown), or 'error'.
+	 */
+	public function compare_backends( $attachment_id, $options, $backends ) {
+		$labels    = self::get_description_backends();
+		$baseline  = self::get_last_credits();
+		$pending   = array();
+		$responses = array();
+
+		foreach ( $backends as $backend ) {
+			$submitted = $this->submit_attachment( $attachment_id, array_merge( $options, array( 'backends' => $backend ) ) );
+
+			if ( is_wp_error( $submitted ) ) {
+				$responses[ $backend ] = $submitted;
+			} elseif ( ! empty( $submitted['response_uri'] ) ) {
+				$pending[ $backend ] = $submitted['response_uri'];
+			} elseif ( ! empty( $submitted['all']['assets'] ) ) {
+				$responses[ $backend ] = $submitted;
+			} else {
+				$responses[ $backend ] = new WP_Error(
+					'visionati_unexpected_response',
+					__( 'Unexpected API response format.', 'visionati' )
+				);
+			}
+		}
+
+		if ( ! empty( $pending ) ) {
+			$responses = array_merge( $responses, $this->poll_multiple( $pending ) );
+		}
+
+		$results = array();
+		foreach ( $backends as $backend ) {
+			$result = array(
+				'backend' => $backend,
+				'label'   => isset( $labels[ $backend ] ) ? $labels[ $backend ] : $backend,
+			);
+
+			$response    = $responses[ $backend ];
+			$description = is_wp_error( $response ) ? '' : self::get_first_description( $response );
+
+			if ( is_wp_error( $response ) ) {
+				$result['error'] = $response->get_error_message();
+			} elseif ( '' === $description ) {
+				$result['error'] = __( 'No description returned from the API.', 'visionati' );
+			} else {
+				$result['description'] = $description;
+				$result['credits']     = self::extract_credits( $response );
+				$result['cost']        = null;
+			}
+
+			$results[] = $result;
+		}
+
+		$results = self::estimate_costs( $results, $baseline );
+		self::remember_backend_costs( $results );
+
+		return $results;
+	}
+
+	/**
+	 * Estimate what each backend in a comparison cost.
+	 *
+	 * The API only reports the remaining balance, so costs are inferred:
+	 * results are ordered by balance (highest first) and each drop from the
+	 * previous balance is that backend's cost. Backends reporting the same
+	 * balance split the drop evenly. The first drop is measured from the
+	 * last balance seen before the comparison, so with no earlier balance,
+	 * or if the account was used elsewhere meanwhile, costs stay null.
+	 *
+	 * @param array    $results  Per-backend results from compare_backends().
+	 * @param int|null $baseline Balance before the comparison.
+	 * @return array Results with 'cost' filled in where it could be estimated.
+	 */
+	private static function estimate_costs( $results, $baseline ) {
+		$groups = array();
+		foreach ( $results as $index => $result ) {
+			if ( isset( $result['credits'] ) && null !== $result['credits'] ) {
+				$groups[ $result['credits'] ][] = $index;
+			}
+		}
+
+		krsort( $groups );
+
+		$previous = $baseline;
+		foreach ( $groups as $balance => $indexes ) {
+			if ( null !== $previous && $previous >= $balance ) {
+				$cost = round( ( $previous - $balance ) / count( $indexes ), 1 );
+				foreach ( $indexes as $index ) {
+					$results[ $index ]['cost'] = $cost;
+				}
+			}
+			$previous = $balance;
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Store the per-request costs measured in a comparison.
+	 *
+	 * These feed the bulk cost estimate (see get_request_credits()).
+	 *
+	 * @param array $results Results from estimate_costs().
+	 */
+	private static function remember_backend_costs( $results ) {
+		$costs = get_option( 'visionati_backend_costs', array() );
+		if ( ! is_array( $costs ) ) {
+			$costs = array();
+		}
+
+		foreach ( $results as $result ) {
+			if ( isset( $result['cost'] ) && $result['cost'] > 0 ) {
+				$costs[ $result['backend'] ] = (float) $result['cost'];
+			}
+		}
+
+		update_option( 'visionati_backend_costs', $costs, false );
+	}
+
+	/**
+	 * Get the credits one description request on a backend is expected to cost.
+	 *
+	 * The API does not publish prices, so this is the cost last measured
+	 * for the backend in a model comparison, or DEFAULT_REQUEST_CREDITS.
+	 *
+	 * @param string $backend Backend slug.
+	 * @return float
+	 */
+	public static function get_request_credits( $backend ) {
+		if ( ! self::is_request_credits_measured( $backend ) ) {
+			return (float) self::DEFAULT_REQUEST_CREDITS;
+		}
+
+		$costs = get_option( 'visionati_backend_costs', array() );
+
+		return (float) $costs[ $backend ];
+	}
+
+	/**
+	 * Whether the cost of a request on a backend has been measured.
+	 *
+	 * When it has not, get_request_credits() is only a guess.
+	 *
+	 * @param string $backend Backend slug.
+	 * @return bool
+	 */
+	public static function is_request_credits_measured( $backend ) {
+		$costs = get_option( 'visionati_backend_costs', array() );
+
+		return is_array( $costs ) && isset( $costs[ $backend ] );
+	}
+
+	/**
+	 * Build a bulk run cost estimate.
+	 *
+	 * Lines on a backend whose price has not been measured use
+	 * DEFAULT_REQUEST_CREDITS and are flagged 'estimated', and so is the
+	 * whole estimate when any line is.
+	 *
+	 * @param array $lines List of arrays with 'label' (what is generated),
+	 *                     'count' (number of requests) and 'backend' (slug).
+	 * @return array Associative array with 'total' credits, per-line 'breakdown'
+	 *               (label, count, model, credits each, estimated), whether any
+	 *               line is 'estimated', and the last known 'balance'.
+	 */
+	public static function build_estimate( $lines ) {
+		$labels    = self::get_description_backends();
+		$breakdown = array();
+		$total     = 0;
+		$estimated = false;
+
+		foreach ( $lines as $line ) {
+			if ( $line['count'] < 1 ) {
+				continue;
+			}
+
+			$each        = self::get_request_credits( $line['backend'] );
+			$guess       = ! self::is_request_credits_measured( $line['backend'] );
+			$estimated   = $estimated || $guess;
+			$total      += $line['count'] * $each;
+			$breakdown[] = array(
+				'label'     => $line['label'],
+				'count'     => (int) $line['count'],
+				'model'     => isset( $labels[ $line['backend'] ] ) ? $labels[ $line['backend'] ] : $line['backend'],
+				'credits'   => $each,
+				'estimated' => $guess,
+			);
+		}
+
+		return array(
+			'total'     => round( $total, 1 ),
+			'breakdown' => $breakdown,
+			'estimated' => $estimated,
+			'balance'   => self::get_last_credits(),
+		);
+	}
+
 	/**
 	 * Submit a request to the Visionati API.
 	 *
@@ -397,7 +830,8 @@ class Visionati_API {
 					/* translators: %d: HTTP status code */
 					__( 'API returned HTTP %d.', 'visionati' ),
 					$code
-				)
+				),
+				array( 'status' => $code )
 			);
 		}
 
@@ -479,6 +913,7 @@ class Visionati_API {
 				// Done: results are ready.
 				if ( isset( $decoded['status'] ) && 'completed' === $decoded['status'] ) {
 					if ( ! empty( $decoded['all']['assets'] ) ) {
+						self::remember_credits( $decoded );
 						$results[ $key ] = $decoded;
 					} else {
 						$errors = ! empty( $decoded['all']['errors'] ) ? implode( ', ', $decoded['all']['errors'] ) : '';
@@ -593,6 +1028,7 @@ class Visionati_API {
 			// Done: results are ready.
 			if ( isset( $decoded['status'] ) && 'completed' === $decoded['status'] ) {
 				if ( ! empty( $decoded['all']['assets'] ) ) {
+					self::remember_credits( $decoded );
 					return $decoded;
 				}
 
@@ -742,6 +1178,65 @@ class Visionati_API {
 		return null;
 	}
 
+	/**
+	 * Store the credit balance reported by a completed response.
+	 *
+	 * Keeps the last known balance so features that need a starting point
+	 * (e.g. per-backend cost in compare mode) have one between requests.
+	 *
+	 * @param array $response Parsed API response.
+	 */
+	private static function remember_credits( $response ) {
+		$credits = self::extract_credits( $response );
+		if ( null !== $credits ) {
+			update_option( 'visionati_last_credits', $credits, false );
+		}
+	}
+
+	/**
+	 * Get the last credit balance reported by the API.
+	 *
+	 * @return int|null Balance, or null if no response has reported one yet.
+	 */
+	public static function get_last_credits() {
+		$credits = get_option( 'visionati_last_credits', null );
+		return is_numeric( $credits ) ? (int) $credits : null;
+	}
+
+	/**
+	 * Check whether an error message means the account is out of credits.
+	 *
+	 * Background jobs stop on these instead of burning through the
+	 * rest of the queue with requests that will all fail.
+	 *
+	 * @param string $message Error message from the API.
+	 * @return bool
+	 */
+	public static function is_credit_error( $message ) {
+		$lower = strtolower( (string) $message );
+		return false !== strpos( $lower, 'no credits' ) || false !== strpos( $lower, 'insufficient credits' );
+	}
+
+	/**
+	 * Check whether an error is transient and the request can be retried.
+	 *
+	 * @param WP_Error $error Error returned by the API client.
+	 * @return bool
+	 */
+	public static function is_retryable_error( $error ) {
+		if ( ! is_wp_error( $error ) || ! in_array( $error->get_error_code(), self::RETRYABLE_ERROR_CODES, true ) ) {
+			return false;
+		}
+
+		if ( 'visionati_http_error' === $error->get_error_code() ) {
+			$data   = $error->get_error_data();
+			$status = isset( $data['status'] ) ? (int) $data['status'] : 0;
+			return 429 === $status || $status >= 500;
+		}
+
+		return ! self::is_credit_error( $error->get_error_message() );
+	}
+
 	/**
 	 * Extract descriptions from an API response.
 	 *
@@ -773,6 +1268,101 @@ class Visionati_API {
 		return $descriptions;
 	}
 
+	/**
+	 * Extract tags (or colors) from an API response.
+	 *
+	 * Entries are either a list of objects with a name and score, or keyed
+	 * by name with one score per backend; both are accepted. A name
+	 * reported by several backends is listed once with its best score.
+	 *
+	 * @param array  $response Parsed API response.
+	 * @param string $feature  Optional. 'tags' or 'colors'. Default 'tags'.
+	 * @return array Array of arrays with 'name' and 'score' (0 when not
+	 *               reported) keys, highest score first.
+	 */
+	public static function extract_tags( $response, $feature = 'tags' ) {
+		if ( empty( $response['all']['assets'][0][ $feature ] ) || ! is_array( $response['all']['assets'][0][ $feature ] ) ) {
+			return array();
+		}
+
+		$tags = array();
+
+		foreach ( $response['all']['assets'][0][ $feature ] as $key => $entry ) {
+			$scores = array();
+
+			if ( is_string( $key ) ) {
+				$name = $key;
+				foreach ( (array) $entry as $source ) {
+					if ( is_array( $source ) && isset( $source['score'] ) ) {
+						$scores[] = (float) $source['score'];
+					}
+				}
+			} elseif ( is_array( $entry ) ) {
+				$name = isset( $entry['name'] ) ? $entry['name'] : ( isset( $entry['tag'] ) ? $entry['tag'] : '' );
+				if ( isset( $entry['score'] ) ) {
+					$scores[] = (float) $entry['score'];
+				} elseif ( isset( $entry['confidence'] ) ) {
+					$scores[] = (float) $entry['confidence'];
+				}
+			} else {
+				$name = (string) $entry;
+			}
+
+			$name = trim( sanitize_text_field( (string) $name ) );
+			if ( '' === $name ) {
+				continue;
+			}
+
+			$lower = mb_strtolower( $name );
+			$score = $scores ? max( $scores ) : 0;
+
+			if ( ! isset( $tags[ $lower ] ) || $score > $tags[ $lower ]['score'] ) {
+				$tags[ $lower ] = array(
+					'name'  => $name,
+					'score' => $score,
+				);
+			}
+		}
+
+		$tags = array_values( $tags );
+		usort( $tags, function ( $a, $b ) {
+			return $b['score'] <=> $a['score'];
+		} );
+
+		return $tags;
+	}
+
+	/**
+	 * Collect the distinct descriptions from several API responses.
+	 *
+	 * Failed responses (WP_Error) are skipped. Identical texts are only
+	 * listed once, keeping the first source that returned them.
+	 *
+	 * @param array $responses Parsed API responses and/or WP_Error objects.
+	 * @return array Array of arrays with 'text' and 'source' keys.
+	 */
+	public static function collect_descriptions( $responses ) {
+		$descriptions = array();
+		$seen         = array();
+
+		foreach ( $responses as $response ) {
+			if ( is_wp_error( $response ) ) {
+				continue;
+			}
+
+			foreach ( self::extract_descriptions( $response ) as $description ) {
+				$key = strtolower( trim( $description['text'] ) );
+				if ( isset( $seen[ $key ] ) ) {
+					continue;
+				}
+				$seen[ $key ]   = true;
+				$descriptions[] = $description;
+			}
+		}
+
+		return $descriptions;
+	}
+
 	/**
 	 * Get the first description text from an API response.
 	 *
@@ -873,6 +1463,20 @@ class Visionati_API {
 		);
 	}
 
+	/**
+	 * Get the backends that return tags and colors.
+	 *
+	 * @return array Associative array of backend_slug => display_label.
+	 */
+	public static function get_tagging_backends() {
+		return array(
+			'clarifai'     => 'Clarifai',
+			'googlevision' => 'Google Vision',
+			'imagga'       => 'Imagga',
+			'rekognition'  => 'Amazon Rekognition',
+		);
+	}
+
 	/**
 	 * Get supported languages.
 	 *
@@ -0,0 +1,90 @@
+<?php
+/**
+ * Visionati Block Editor Integration
+ *
+ * Adds a Visionati panel to the Image, Gallery and Cover block sidebars
+ * for generating, previewing and applying alt text and captions, and a
+ * pre-publish panel listing images without alt text. Both use the same
+ * visionati/v1 analyze and apply routes as the media modal, so settings,
+ * history and credits work the same way.
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Visionati_Block_Editor {
+
+	/**
+	 * Constructor. Register hooks.
+	 */
+	public function __construct() {
+		add_action( 'enqueue_block_editor_assets', array( $this, 'enqueue_assets' ) );
+	}
+
+	/**
+	 * Enqueue the block editor script.
+	 *
+	 * Skipped when no API key is configured or the user cannot upload
+	 * files (the REST routes require upload_files).
+	 */
+	public function enqueue_assets() {
+		$api_key = get_option( 'visionati_api_key', '' );
+		if ( empty( $api_key ) || ! current_user_can( 'upload_files' ) ) {
+			return;
+		}
+
+		$js_path  = VISIONATI_PLUGIN_DIR . 'assets/js/block-editor.js';
+		$is_debug = ( defined( 'SCRIPT_DEBUG' ) && SCRIPT_DEBUG ) || ( defined( 'WP_DEBUG' ) && WP_DEBUG );
+		$js_ver   = $is_debug ? filemtime( $js_path ) : VISIONATI_VERSION;
+
+		$deps = array( 'wp-hooks', 'wp-compose', 'wp-element', 'wp-block-editor', 'wp-components', 'wp-data', 'wp-plugins' );
+
+		// The pre-publish alt text check needs the post editor's slot.
+		$screen = get_current_screen();
+		if ( $screen && 'post' === $screen->base ) {
+			$deps[] = 'wp-edit-post';
+		}
+
+		wp_enqueue_script(
+			'visionati-block-editor',
+			VISIONATI_PLUGIN_URL . 'assets/js/block-editor.js',
+			$deps,
+			$js_ver,
+			true
+		);
+
+		wp_localize_script( 'visionati-block-editor', 'visionatiBlockEditor', array(
+			'restUrl'   => esc_url_raw( rest_url( Visionati_API::REST_NAMESPACE . '/' ) ),
+			'restNonce' => wp_create_nonce( 'wp_rest' ),
+			'debug'     => Visionati_API::is_debug(),
+			'i18n'      => array(
+				'panelTitle'       => __( 'Visionati', 'visionati' ),
+				'altText'          => __( 'Alt Text', 'visionati' ),
+				'caption'          => __( 'Caption', 'visionati' ),
+				'image'            => __( 'Image', 'visionati' ),
+				/* translators: %d: position of the image in the gallery */
+				'imageN'           => __( 'Image %d', 'visionati' ),
+				'generating'       => __( 'Generating...', 'visionati' ),
+				'applying'         => __( 'Applying...', 'visionati' ),
+				'apply'            => __( 'Apply', 'visionati' ),
+				'discard'          => __( 'Discard', 'visionati' ),
+				'applied'          => __( 'Applied.', 'visionati' ),
+				'error'            => __( 'Error', 'visionati' ),
+				'noImage'          => __( 'Select an image from the Media Library to generate text for it.', 'visionati' ),
+				'altTooLong'       => __( 'Alt text is trimmed to 125 characters when applied.', 'visionati' ),
+				/* translators: %d: number of credits remaining */
+				'creditsRemaining' => __( '%d credits remaining', 'visionati' ),
+				'altCheckTitle'    => __( 'Visionati: image alt text', 'visionati' ),
+				/* translators: %d: number of images */
+				'altCheckMissing'  => __( '%d images have no alt text. You can still publish, but screen reader users will not know what they show.', 'visionati' ),
+				'altCheckDone'     => __( 'All images have alt text.', 'visionati' ),
+				'generate'         => __( 'Generate', 'visionati' ),
+				'generateAll'      => __( 'Generate all', 'visionati' ),
+				'notInLibrary'     => __( 'Not in the Media Library. Add alt text by hand.', 'visionati' ),
+			),
+		) );
+	}
+}
\ No newline at end of file
@@ -0,0 +1,471 @@
+<?php
+/**
+ * Visionati WP-CLI Commands
+ *
+ * Runs single-image generation and bulk runs from the shell, for
+ * maintenance and deploy scripts. Items are processed in the current
+ * process rather than as a background job, so a run ends when the
+ * command does. The exit code is non-zero when any item fails.
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Generate alt text, captions, and descriptions with Visionati.
+ */
+class Visionati_CLI {
+
+	/**
+	 * Output formats supported by every command.
+	 *
+	 * @var array
+	 */
+	const FORMATS = array( 'table', 'json', 'csv' );
+
+	/**
+	 * Media integration that does the generating.
+	 *
+	 * @var Visionati_Media
+	 */
+	private $media;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Visionati_Media $media Media integration instance.
+	 */
+	public function __construct( $media ) {
+		$this->media = $media;
+	}
+
+	/**
+	 * Generate fields for specific images.
+	 *
+	 * Fields that already have content are skipped unless overwrite is on
+	 * for them in settings, or --overwrite is set.
+	 *
+	 * ## OPTIONS
+	 *
+	 * <ids>...
+	 * : One or more attachment IDs.
+	 *
+	 * [--fields=<fields>]
+	 * : Comma-separated fields to generate: alt_text, caption, description.
+	 * ---
+	 * default: alt_text
+	 * ---
+	 *
+	 * [--overwrite]
+	 * : Replace existing content in the selected fields.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp visionati generate 12 34 --fields=alt_text,caption
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function generate( $args, $assoc_args ) {
+		$ids      = array_values( array_filter( wp_parse_id_list( $args ) ) );
+		$contexts = self::parse_fields( $assoc_args );
+		$format   = self::get_format( $assoc_args );
+
+		if ( empty( $ids ) ) {
+			WP_CLI::error( __( 'No valid attachment IDs given.', 'visionati' ) );
+		}
+
+		$overwrite = \WP_CLI\Utils\get_flag_value( $assoc_args, 'overwrite', false ) ? $contexts : self::get_overwrite_fields();
+
+		self::finish( $this->run( $ids, $contexts, $overwrite ), $format, count( $ids ) );
+	}
+
+	/**
+	 * Generate fields for every image that needs them.
+	 *
+	 * Selects images the same way as Media > Bulk Generate: images missing
+	 * any of the selected fields, or every image when overwrite is on for
+	 * one of them in settings.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--fields=<fields>]
+	 * : Comma-separated fields to generate: alt_text, caption, description.
+	 * ---
+	 * default: alt_text
+	 * ---
+	 *
+	 * [--missing-only]
+	 * : Only fill empty fields, even where overwrite is on in settings.
+	 *
+	 * [--limit=<number>]
+	 * : Process at most this many images.
+	 *
+	 * [--dry-run]
+	 * : List the images and fields that would be generated, with a credit estimate, without calling the API.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp visionati bulk --fields=alt_text,caption --missing-only --limit=100
+	 *     wp visionati bulk --dry-run --format=json
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function bulk( $args, $assoc_args ) {
+		$contexts  = self::parse_fields( $assoc_args );
+		$format    = self::get_format( $assoc_args );
+		$overwrite = \WP_CLI\Utils\get_flag_value( $assoc_args, 'missing-only', false ) ? array() : self::get_overwrite_fields();
+
+		$ids = $this->media->query_image_ids( $contexts, (bool) array_intersect( $contexts, $overwrite ) );
+		$ids = self::apply_limit( $ids, $assoc_args );
+
+		if ( empty( $ids ) ) {
+			self::finish( array(), $format, 0 );
+			return;
+		}
+
+		if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false ) ) {
+			$this->dry_run( $ids, $contexts, $overwrite, $format );
+			return;
+		}
+
+		self::finish( $this->run( $ids, $contexts, $overwrite ), $format, count( $ids ) );
+	}
+
+	/**
+	 * Check that the API key in settings is valid.
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp visionati verify
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function verify( $args, $assoc_args ) {
+		$api    = new Visionati_API();
+		$result = $api->test_connection();
+
+		if ( is_wp_error( $result ) ) {
+			WP_CLI::error( $result->get_error_message() );
+		}
+
+		WP_CLI::success( __( 'API key verified.', 'visionati' ) );
+	}
+
+	/**
+	 * Generate the selected fields for each attachment, one at a time.
+	 *
+	 * Stops early when the account runs out of credits; the remaining
+	 * attachments are left out of the results.
+	 *
+	 * @param int[]    $ids       Attachment IDs.
+	 * @param string[] $contexts  Fields to generate.
+	 * @param string[] $overwrite Fields whose existing content is replaced.
+	 * @return array Result rows. See format_row().
+	 */
+	private function run( $ids, $contexts, $overwrite ) {
+		$rows     = array();
+		$progress = \WP_CLI\Utils\make_progress_bar( __( 'Generating', 'visionati' ), count( $ids ) );
+
+		foreach ( $ids as $attachment_id ) {
+			$result = array(
+				'attachment_id' => $attachment_id,
+				'fields'        => array(),
+				'message'       => '',
+			);
+
+			foreach ( $contexts as $context ) {
+				if ( ! in_array( $context, $overwrite, true ) && Visionati_Media::field_has_content( $attachment_id, $context ) ) {
+					continue;
+				}
+
+				$generated = $this->media->generate_for_attachment( $attachment_id, $context, in_array( $context, $overwrite, true ) );
+
+				if ( is_wp_error( $generated ) ) {
+					$result['message'] = $generated->get_error_message();
+					break;
+				}
+
+				$result['fields'] = array_merge( $result['fields'], $generated['fields'] );
+
+				if ( isset( $generated['credits'] ) ) {
+					$result['credits'] = $generated['credits'];
+				}
+			}
+
+			if ( ! empty( $result['message'] ) ) {
+				$result['status'] = 'failed';
+			} elseif ( ! empty( $result['fields'] ) ) {
+				$result['status'] = 'generated';
+			} else {
+				$result['status']  = 'skipped';
+				$result['message'] = __( 'All selected fields already exist.', 'visionati' );
+			}
+
+			/** This action is documented in includes/class-visionati-jobs.php */
+			do_action( 'visionati_bulk_item_processed', $attachment_id, $result, 'media', 0 );
+
+			$rows[] = self::format_row( $attachment_id, Visionati_Media::get_attachment_meta( $attachment_id ), $result );
+			$progress->tick();
+
+			if ( 'failed' === $result['status'] && Visionati_API::is_credit_error( $result['message'] ) ) {
+				break;
+			}
+		}
+
+		$progress->finish();
+
+		return $rows;
+	}
+
+	/**
+	 * Print the fields a bulk run would generate, and what it would cost.
+	 *
+	 * @param int[]    $ids       Attachment IDs.
+	 * @param string[] $contexts  Fields to generate.
+	 * @param string[] $overwrite Fields whose existing content is replaced.
+	 * @param string   $format    Output format.
+	 */
+	private function dry_run( $ids, $contexts, $overwrite, $format ) {
+		$rows   = array();
+		$counts = array_fill_keys( $contexts, 0 );
+
+		foreach ( $ids as $attachment_id ) {
+			$fields = array();
+
+			foreach ( $contexts as $context ) {
+				if ( in_array( $context, $overwrite, true ) || ! Visionati_Media::field_has_content( $attachment_id, $context ) ) {
+					$fields[] = $context;
+					++$counts[ $context ];
+				}
+			}
+
+			$meta   = Visionati_Media::get_attachment_meta( $attachment_id );
+			$rows[] = array(
+				'ID'       => $attachment_id,
+				'filename' => $meta['filename'],
+				'fields'   => implode( ',', $fields ),
+			);
+		}
+
+		$labels = Visionati_History::get_fields();
+		$lines  = array();
+
+		foreach ( $counts as $context => $count ) {
+			$options = Visionati_Media::get_options_for_context( $context );
+			$lines[] = array(
+				'label'   => $labels[ $context ],
+				'count'   => $count,
+				'backend' => isset( $options['backends'] ) ? $options['backends'] : get_option( 'visionati_backends', 'gemini' ),
+			);
+		}
+
+		\WP_CLI\Utils\format_items( $format, $rows, array( 'ID', 'filename', 'fields' ) );
+		self::print_estimate( Visionati_API::build_estimate( $lines ), $format );
+	}
+
+	/**
+	 * Build an output row from a generation result.
+	 *
+	 * @param int   $id     Attachment or product ID.
+	 * @param array $meta   Display metadata with 'filename'.
+	 * @param array $result Result with status, fields, message, and optional credits.
+	 * @return array Row with ID, filename, status, fields, credits, message.
+	 */
+	public static function format_row( $id, $meta, $result ) {
+		return array(
+			'ID'       => $id,
+			'filename' => isset( $meta['filename'] ) ? $meta['filename'] : '',
+			'status'   => $result['status'],
+			'fields'   => isset( $result['fields'] ) ? implode( ',', array_unique( $result['fields'] ) ) : '',
+			'credits'  => isset( $result['credits'] ) ? $result['credits'] : '',
+			'message'  => isset( $result['message'] ) ? $result['message'] : '',
+		);
+	}
+
+	/**
+	 * Print the result rows and a summary, and exit non-zero on failures.
+	 *
+	 * The summary goes to STDOUT only for table output, so JSON and CSV
+	 * stay machine-readable. Failures are reported on STDERR.
+	 *
+	 * @param array  $rows   Result rows from format_row().
+	 * @param string $format Output format.
+	 * @param int    $total  Number of items the run was started with.
+	 */
+	public static function finish( $rows, $format, $total ) {
+		\WP_CLI\Utils\format_items( $format, $rows, array( 'ID', 'filename', 'status', 'fields', 'credits', 'message' ) );
+
+		$statuses = array_count_values( wp_list_pluck( $rows, 'status' ) );
+		$failed   = isset( $statuses['failed'] ) ? $statuses['failed'] : 0;
+		$summary  = sprintf(
+			/* translators: 1: generated count, 2: skipped count, 3: failed count */
+			__( '%1$d generated, %2$d skipped, %3$d failed.', 'visionati' ),
+			isset( $statuses['generated'] ) ? $statuses['generated'] : 0,
+			isset( $statuses['skipped'] ) ? $statuses['skipped'] : 0,
+			$failed
+		);
+
+		if ( count( $rows ) < $total ) {
+			$summary .= ' ' . sprintf(
+				/* translators: %d: number of items not processed */
+				__( 'Stopped early: out of credits, %d not processed.', 'visionati' ),
+				$total - count( $rows )
+			);
+		}
+
+		if ( $failed || count( $rows ) < $total ) {
+			WP_CLI::error( $summary );
+		}
+
+		if ( 'table' === $format ) {
+			WP_CLI::success( $summary );
+		}
+	}
+
+	/**
+	 * Print a credit estimate from Visionati_API::build_estimate().
+	 *
+	 * Only for table output; JSON and CSV carry just the rows.
+	 *
+	 * @param array  $estimate Estimate with total, breakdown, and balance.
+	 * @param string $format   Output format.
+	 */
+	public static function print_estimate( $estimate, $format ) {
+		if ( 'table' !== $format ) {
+			return;
+		}
+
+		foreach ( $estimate['breakdown'] as $line ) {
+			$text = sprintf(
+				/* translators: 1: field name, 2: number of requests, 3: credits per request, 4: AI model */
+				__( '%1$s: %2$d × %3$s credits (%4$s)', 'visionati' ),
+				$line['label'],
+				$line['count'],
+				$line['credits'],
+				$line['model']
+			);
+			if ( ! empty( $line['estimated'] ) ) {
+				$text .= ' — ' . __( 'price not measured yet', 'visionati' );
+			}
+			WP_CLI::log( $text );
+		}
+
+		WP_CLI::log( sprintf(
+			/* translators: %s: estimated credits */
+			__( 'Estimated cost: about %s credits.', 'visionati' ),
+			$estimate['total']
+		) );
+
+		if ( ! empty( $estimate['estimated'] ) ) {
+			WP_CLI::log( __( 'Some models have not been priced yet, so their lines assume 1 credit per request and the total may be off. Run Compare models on those models to measure their price.', 'visionati' ) );
+		}
+
+		if ( null !== $estimate['balance'] && $estimate['total'] > $estimate['balance'] ) {
+			WP_CLI::warning( sprintf(
+				/* translators: %d: remaining credit balance */
+				__( 'Warning: this is more than your remaining balance of %d credits.', 'visionati' ),
+				$estimate['balance']
+			) );
+		}
+	}
+
+	/**
+	 * Read and validate --format.
+	 *
+	 * @param array $assoc_args Associative arguments.
+	 * @return string
+	 */
+	public static function get_format( $assoc_args ) {
+		$format = isset( $assoc_args['format'] ) ? $assoc_args['format'] : 'table';
+
+		if ( ! in_array( $format, self::FORMATS, true ) ) {
+			WP_CLI::error( sprintf(
+				/* translators: %s: list of formats */
+				__( 'Invalid format. Use one of: %s.', 'visionati' ),
+				implode( ', ', self::FORMATS )
+			) );
+		}
+
+		return $format;
+	}
+
+	/**
+	 * Apply --limit to a list of IDs.
+	 *
+	 * @param int[] $ids        IDs.
+	 * @param array $assoc_args Associative arguments.
+	 * @return int[]
+	 */
+	public static function apply_limit( $ids, $assoc_args ) {
+		if ( ! isset( $assoc_args['limit'] ) ) {
+			return $ids;
+		}
+
+		$limit = absint( $assoc_args['limit'] );
+
+		if ( ! $limit ) {
+			WP_CLI::error( __( '--limit must be a positive number.', 'visionati' ) );
+		}
+
+		return array_slice( $ids, 0, $limit );
+	}
+
+	/**
+	 * Read and validate --fields.
+	 *
+	 * @param array $assoc_args Associative arguments.
+	 * @return string[] Field contexts.
+	 */
+	private static function parse_fields( $assoc_args ) {
+		$fields  = isset( $assoc_args['fields'] ) ? wp_parse_list( $assoc_args['fields'] ) : array( 'alt_text' );
+		$valid   = Visionati_Media::get_valid_contexts();
+		$invalid = array_diff( $fields, $valid );
+
+		if ( empty( $fields ) || ! empty( $invalid ) ) {
+			WP_CLI::error( sprintf(
+				/* translators: %s: list of fields */
+				__( 'Invalid fields. Use any of: %s.', 'visionati' ),
+				implode( ', ', $valid )
+			) );
+		}
+
+		return array_values( array_unique( $fields ) );
+	}
+
+	/**
+	 * Fields with "overwrite existing" turned on in settings.
+	 *
+	 * @return string[]
+	 */
+	public static function get_overwrite_fields() {
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+
+		return is_array( $overwrite_fields ) ? $overwrite_fields : array();
+	}
+}
\ No newline at end of file
@@ -0,0 +1,617 @@
+<?php
+/**
+ * Visionati Content Alt Text
+ *
+ * Bulk mode that fixes alt text inside post content. Attachment alt text
+ * (_wp_attachment_image_alt) only applies to images inserted after it is
+ * set; images already embedded in posts keep the alt attribute saved in
+ * the HTML. This scans posts and pages for <img> tags (including those
+ * inside Image, Gallery and Cover blocks, whose alt is read from the
+ * markup) with empty alt, generates alt text, shows a per-post diff, and
+ * rewrites the content, saving a revision first.
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Visionati_Content_Alt {
+
+	/**
+	 * Posts checked per scan request.
+	 *
+	 * @var int
+	 */
+	const SCAN_PAGE_SIZE = 100;
+
+	/**
+	 * Post types scanned.
+	 *
+	 * @var string[]
+	 */
+	const POST_TYPES = array( 'post', 'page' );
+
+	/**
+	 * Post statuses scanned.
+	 *
+	 * @var string[]
+	 */
+	const POST_STATUSES = array( 'publish', 'future', 'draft', 'pending', 'private' );
+
+	/**
+	 * Constructor. Register hooks.
+	 */
+	public function __construct() {
+		add_action( 'admin_menu', array( $this, 'register_page' ) );
+		add_action( 'wp_ajax_visionati_content_alt_scan', array( $this, 'ajax_scan' ) );
+		add_action( 'wp_ajax_visionati_content_alt_preview', array( $this, 'ajax_preview' ) );
+		add_action( 'wp_ajax_visionati_content_alt_diff', array( $this, 'ajax_diff' ) );
+		add_action( 'wp_ajax_visionati_content_alt_apply', array( $this, 'ajax_apply' ) );
+	}
+
+	/**
+	 * Register the Content Alt Text admin page under Media.
+	 */
+	public function register_page() {
+		add_media_page(
+			__( 'Visionati Content Alt Text', 'visionati' ),
+			__( 'Content Alt Text', 'visionati' ),
+			'edit_posts',
+			'visionati-content-alt',
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * AJAX handler: find posts with images missing alt text, one page at a time.
+	 *
+	 * Only posts the current user can edit are returned. The client keeps
+	 * requesting with the returned 'next' offset until it is null.
+	 */
+	public function ajax_scan() {
+		global $wpdb;
+
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$offset = isset( $_POST['offset'] ) ? absint( $_POST['offset'] ) : 0;
+
+		$type_placeholders   = implode( ', ', array_fill( 0, count( self::POST_TYPES ), '%s' ) );
+		$status_placeholders = implode( ', ', array_fill( 0, count( self::POST_STATUSES ), '%s' ) );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT ID, post_type, post_content
+				FROM {$wpdb->posts}
+				WHERE post_type IN ($type_placeholders)
+					AND post_status IN ($status_placeholders)
+					AND post_content LIKE %s
+				ORDER BY ID DESC
+				LIMIT %d OFFSET %d",
+				...array_merge(
+					self::POST_TYPES,
+					self::POST_STATUSES,
+					array( '%' . $wpdb->esc_like( '<img' ) . '%', self::SCAN_PAGE_SIZE, $offset )
+				)
+			)
+		);
+		// phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+
+		$posts = array();
+		foreach ( $rows as $row ) {
+			$missing = count( self::find_images( $row->post_content ) );
+			if ( ! $missing || ! current_user_can( 'edit_post', $row->ID ) ) {
+				continue;
+			}
+
+			$type_object = get_post_type_object( $row->post_type );
+			$posts[]     = array(
+				'post_id'  => (int) $row->ID,
+				'title'    => get_the_title( $row->ID ),
+				'type'     => $type_object ? $type_object->labels->singular_name : $row->post_type,
+				'edit_url' => get_edit_post_link( $row->ID, 'raw' ),
+				'missing'  => $missing,
+			);
+		}
+
+		Visionati_API::send_json_success( array(
+			'posts' => $posts,
+			'next'  => count( $rows ) === self::SCAN_PAGE_SIZE ? $offset + self::SCAN_PAGE_SIZE : null,
+		) );
+	}
+
+	/**
+	 * AJAX handler: generate alt text for a post's images and return a diff.
+	 *
+	 * Nothing is saved. Images from the Media Library that already have
+	 * alt text reuse it without an API call; the rest are generated in
+	 * parallel. The returned hash is checked on apply so a post edited
+	 * in the meantime is not overwritten.
+	 */
+	public function ajax_preview() {
+		$post = $this->get_requested_post();
+
+		$images = self::find_images( $post->post_content );
+		if ( empty( $images ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'No images without alt text were found in this post.', 'visionati' ) ) );
+		}
+
+		Visionati_API::debug_log( 'content_alt: preview', array(
+			'post_id' => $post->ID,
+			'images'  => count( $images ),
+		) );
+
+		list( $sources, $credits ) = $this->generate_alts( $images );
+
+		$alts  = array();
+		$items = array();
+		foreach ( $images as $index => $image ) {
+			$source = $sources[ self::get_source_key( $image ) ];
+
+			$alts[ $index ] = $source['alt'];
+			$items[]        = array(
+				'index'         => $index,
+				'attachment_id' => $image['id'],
+				'src'           => $image['src'],
+				'thumb'         => $image['id'] ? wp_get_attachment_image_url( $image['id'], 'thumbnail' ) : $image['src'],
+				'alt'           => $source['alt'],
+				'source'        => $source['source'],
+				'message'       => isset( $source['message'] ) ? $source['message'] : '',
+			);
+		}
+
+		$result = array(
+			'post_id' => $post->ID,
+			'hash'    => md5( $post->post_content ),
+			'images'  => $items,
+			'diff'    => self::get_diff( $post->post_content, self::rewrite_content( $post->post_content, $alts ) ),
+		);
+
+		if ( null !== $credits ) {
+			$result['credits'] = $credits;
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: rebuild the diff after alt text was edited in the preview.
+	 */
+	public function ajax_diff() {
+		$post = $this->get_requested_post();
+		$alts = $this->get_requested_alts();
+
+		Visionati_API::send_json_success( array(
+			'post_id' => $post->ID,
+			'diff'    => self::get_diff( $post->post_content, self::rewrite_content( $post->post_content, $alts ) ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: write the previewed alt text into the post content.
+	 *
+	 * The current content is saved as a revision first, so the change can
+	 * be undone from the post's Revisions screen.
+	 */
+	public function ajax_apply() {
+		$post = $this->get_requested_post();
+		$alts = $this->get_requested_alts();
+		$hash = isset( $_POST['hash'] ) ? sanitize_key( $_POST['hash'] ) : ''; // phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in get_requested_post().
+
+		if ( md5( $post->post_content ) !== $hash ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'This post was changed after the preview was generated. Generate a new preview.', 'visionati' ) ) );
+		}
+
+		$content = self::rewrite_content( $post->post_content, $alts );
+		if ( $content === $post->post_content ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Nothing to save.', 'visionati' ) ) );
+		}
+
+		wp_save_post_revision( $post->ID );
+
+		$updated = wp_update_post( wp_slash( array(
+			'ID'           => $post->ID,
+			'post_content' => $content,
+		) ), true );
+
+		if ( is_wp_error( $updated ) ) {
+			Visionati_API::send_json_error( array( 'message' => $updated->get_error_message() ) );
+		}
+
+		$fixed = count( array_filter( $alts, 'strlen' ) );
+
+		Visionati_API::debug_log( 'content_alt: saved', array(
+			'post_id' => $post->ID,
+			'images'  => $fixed,
+		) );
+
+		Visionati_API::send_json_success( array(
+			'post_id'   => $post->ID,
+			'fixed'     => $fixed,
+			'remaining' => count( self::find_images( get_post_field( 'post_content', $post->ID ) ) ),
+		) );
+	}
+
+	/**
+	 * Load the post referenced by the request and check permissions.
+	 *
+	 * Sends a JSON error and exits on failure.
+	 *
+	 * @return WP_Post
+	 */
+	private function get_requested_post() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$post    = $post_id ? get_post( $post_id ) : null;
+
+		if ( ! $post || ! in_array( $post->post_type, self::POST_TYPES, true ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Post not found.', 'visionati' ) ) );
+		}
+
+		if ( ! current_user_can( 'edit_post', $post->ID ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		return $post;
+	}
+
+	/**
+	 * Read the alt text list sent with a diff or apply request.
+	 *
+	 * @return array Image index => alt text. Empty text leaves the image unchanged.
+	 */
+	private function get_requested_alts() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Verified in get_requested_post(); sanitized below.
+		$raw  = isset( $_POST['alts'] ) && is_array( $_POST['alts'] ) ? wp_unslash( $_POST['alts'] ) : array();
+		$alts = array();
+
+		foreach ( $raw as $index => $alt ) {
+			$alts[ absint( $index ) ] = Visionati_API::truncate( sanitize_text_field( $alt ), 125 );
+		}
+
+		return $alts;
+	}
+
+	/**
+	 * Generate alt text for each distinct image.
+	 *
+	 * @param array $images Images from find_images().
+	 * @return array Two items: source key => array with 'alt', 'source'
+	 *               ('library', 'generated' or 'error') and optional
+	 *               'message'; and the last credit balance (int|null).
+	 */
+	private function generate_alts( $images ) {
+		$api     = new Visionati_API();
+		$options = Visionati_Media::get_options_for_context( 'alt_text' );
+		$sources = array();
+		$pending = array();
+		$credits = null;
+
+		// Phase 1: reuse Media Library alt text, submit everything else.
+		foreach ( $images as $image ) {
+			$key = self::get_source_key( $image );
+			if ( isset( $sources[ $key ] ) || isset( $pending[ $key ] ) ) {
+				continue;
+			}
+
+			if ( $image['id'] ) {
+				$library_alt = get_post_meta( $image['id'], '_wp_attachment_image_alt', true );
+				if ( '' !== trim( (string) $library_alt ) ) {
+					$sources[ $key ] = array(
+						'alt'    => $library_alt,
+						'source' => 'library',
+					);
+					continue;
+				}
+				$submitted = $api->submit_attachment( $image['id'], $options );
+			} else {
+				$submitted = $api->submit_url( self::get_absolute_url( $image['src'] ), $options );
+			}
+
+			if ( is_wp_error( $submitted ) ) {
+				$sources[ $key ] = self::error_source( $submitted );
+			} elseif ( ! empty( $submitted['response_uri'] ) ) {
+				$pending[ $key ] = $submitted['response_uri'];
+			} else {
+				$sources[ $key ] = self::response_source( $submitted );
+				$credits         = self::lower_credits( $credits, $submitted );
+			}
+		}
+
+		// Phase 2: poll every submission in one round-robin loop.
+		if ( ! empty( $pending ) ) {
+			foreach ( $api->poll_multiple( $pending ) as $key => $response ) {
+				if ( is_wp_error( $response ) ) {
+					$sources[ $key ] = self::error_source( $response );
+				} else {
+					$sources[ $key ] = self::response_source( $response );
+					$credits         = self::lower_credits( $credits, $response );
+				}
+			}
+		}
+
+		return array( $sources, $credits );
+	}
+
+	/**
+	 * Build a source entry from an API response.
+	 *
+	 * @param array $response Parsed API response.
+	 * @return array
+	 */
+	private static function response_source( $response ) {
+		$description = Visionati_API::get_first_description( $response );
+
+		if ( empty( $description ) ) {
+			return array(
+				'alt'     => '',
+				'source'  => 'error',
+				'message' => __( 'No description returned from the API.', 'visionati' ),
+			);
+		}
+
+		return array(
+			'alt'    => Visionati_API::truncate( sanitize_text_field( wp_strip_all_tags( $description ) ), 125 ),
+			'source' => 'generated',
+		);
+	}
+
+	/**
+	 * Build a source entry for a failed request.
+	 *
+	 * @param WP_Error $error The error.
+	 * @return array
+	 */
+	private static function error_source( $error ) {
+		return array(
+			'alt'     => '',
+			'source'  => 'error',
+			'message' => $error->get_error_message(),
+		);
+	}
+
+	/**
+	 * Keep the lowest (most recent) credit balance seen.
+	 *
+	 * @param int|null $credits  Balance so far.
+	 * @param array    $response Parsed API response.
+	 * @return int|null
+	 */
+	private static function lower_credits( $credits, $response ) {
+		$reported = Visionati_API::extract_credits( $response );
+
+		if ( null === $reported ) {
+			return $credits;
+		}
+
+		return null === $credits ? $reported : min( $credits, $reported );
+	}
+
+	/**
+	 * Key identifying the image behind an <img> tag, so repeated images
+	 * are only generated once.
+	 *
+	 * @param array $image Image from find_images().
+	 * @return string
+	 */
+	private static function get_source_key( $image ) {
+		return $image['id'] ? 'id:' . $image['id'] : 'url:' . $image['src'];
+	}
+
+	/**
+	 * Turn a root-relative or protocol-relative src into an absolute URL.
+	 *
+	 * @param string $src Image src attribute.
+	 * @return string
+	 */
+	private static function get_absolute_url( $src ) {
+		if ( 0 === strpos( $src, '//' ) ) {
+			return set_url_scheme( $src );
+		}
+
+		if ( 0 === strpos( $src, '/' ) ) {
+			return home_url( $src );
+		}
+
+		return $src;
+	}
+
+	/**
+	 * Find <img> tags with a missing or empty alt attribute.
+	 *
+	 * Block markup needs no special handling: the Image, Gallery and Cover
+	 * blocks read their alt attribute from the <img> tag they save.
+	 *
+	 * @param string $content Post content.
+	 * @return array List of arrays with 'id' (attachment ID, or 0 for images
+	 *               outside the Media Library) and 'src', in document order.
+	 */
+	public static function find_images( $content ) {
+		$images = array();
+
+		if ( ! preg_match_all( '/<img\b[^>]*>/i', $content, $matches ) ) {
+			return $images;
+		}
+
+		foreach ( $matches[0] as $tag ) {
+			if ( ! self::is_missing_alt( $tag ) ) {
+				continue;
+			}
+
+			$src = (string) self::get_attribute( $tag, 'src' );
+			if ( '' === $src ) {
+				continue;
+			}
+
+			$images[] = array(
+				'id'  => self::get_attachment_id( $tag, $src ),
+				'src' => $src,
+			);
+		}
+
+		return $images;
+	}
+
+	/**
+	 * Write alt text into the <img> tags found by find_images().
+	 *
+	 * @param string $content Post content.
+	 * @param array  $alts    Image index (as returned by find_images()) => alt text.
+	 *                        Images with empty or missing text are left unchanged.
+	 * @return string Rewritten content.
+	 */
+	public static function rewrite_content( $content, $alts ) {
+		$index = 0;
+
+		return preg_replace_callback(
+			'/<img\b[^>]*>/i',
+			function ( $match ) use ( &$index, $alts ) {
+				$tag = $match[0];
+
+				if ( ! self::is_missing_alt( $tag ) || '' === (string) self::get_attribute( $tag, 'src' ) ) {
+					return $tag;
+				}
+
+				$current = $index++;
+				if ( empty( $alts[ $current ] ) ) {
+					return $tag;
+				}
+
+				$tag = preg_replace( '/\salt(?:\s*=\s*(?:"[^"]*"|\'[^\']*\'|[^\s>]+))?(?=[\s\/>])/i', '', $tag, 1 );
+
+				return preg_replace( '/^<img\b/i', '<img alt="' . esc_attr( $alts[ $current ] ) . '"', $tag, 1 );
+			},
+			$content
+		);
+	}
+
+	/**
+	 * Check whether an <img> tag has no alt text.
+	 *
+	 * @param string $tag The <img> tag.
+	 * @return bool
+	 */
+	private static function is_missing_alt( $tag ) {
+		return '' === trim( (string) self::get_attribute( $tag, 'alt' ) );
+	}
+
+	/**
+	 * Read an attribute from an HTML tag.
+	 *
+	 * @param string $tag  HTML tag.
+	 * @param string $name Attribute name.
+	 * @return string|null Decoded value, or null if the attribute is absent.
+	 */
+	private static function get_attribute( $tag, $name ) {
+		if ( ! preg_match( '/\s' . preg_quote( $name, '/' ) . '\s*=\s*(?:"([^"]*)"|\'([^\']*)\'|([^\s>]+))/i', $tag, $match ) ) {
+			return null;
+		}
+
+		$value = '';
+		foreach ( array( 1, 2, 3 ) as $group ) {
+			if ( isset( $match[ $group ] ) && '' !== $match[ $group ] ) {
+				$value = $match[ $group ];
+				break;
+			}
+		}
+
+		return html_entity_decode( $value, ENT_QUOTES, 'UTF-8' );
+	}
+
+	/**
+	 * Find the attachment an <img> tag shows.
+	 *
+	 * Uses the wp-image-{id} class added by the editors, falling back to
+	 * looking up the URL.
+	 *
+	 * @param string $tag The <img> tag.
+	 * @param string $src The tag's src.
+	 * @return int Attachment ID, or 0 if the image is not in the Media Library.
+	 */
+	private static function get_attachment_id( $tag, $src ) {
+		$class = (string) self::get_attribute( $tag, 'class' );
+		$id    = preg_match( '/\bwp-image-(\d+)\b/', $class, $match ) ? absint( $match[1] ) : attachment_url_to_postid( $src );
+
+		return $id && wp_attachment_is_image( $id ) ? $id : 0;
+	}
+
+	/**
+	 * Render a diff between two versions of post content.
+	 *
+	 * @param string $old Current content.
+	 * @param string $new Rewritten content.
+	 * @return string Diff table HTML, empty if nothing changed.
+	 */
+	private static function get_diff( $old, $new ) {
+		return (string) wp_text_diff( $old, $new, array(
+			'title_left'  => __( 'Current', 'visionati' ),
+			'title_right' => __( 'With alt text', 'visionati' ),
+		) );
+	}
+
+	/**
+	 * Render the Content Alt Text admin page.
+	 */
+	public function render_page() {
+		if ( ! current_user_can( 'edit_posts' ) ) {
+			return;
+		}
+
+		$api_key = get_option( 'visionati_api_key', '' );
+		?>
+		<div class="wrap">
+			<h1><?php esc_html_e( 'Visionati Content Alt Text', 'visionati' ); ?></h1>
+
+			<?php if ( empty( $api_key ) ) : ?>
+				<div class="notice notice-warning">
+					<p>
+						<?php esc_html_e( 'No API key configured.', 'visionati' ); ?>
+						<a href="<?php echo esc_url( admin_url( 'options-general.php?page=visionati' ) ); ?>">
+							<?php esc_html_e( 'Add your API key in Settings.', 'visionati' ); ?>
+						</a>
+					</p>
+				</div>
+			<?php else : ?>
+				<p>
+					<?php esc_html_e( 'Images already embedded in posts and pages keep the alt text they were inserted with, even after the image gets alt text in the Media Library. Scan your content for images with empty alt text, preview the changes for each post, then save them. The current version of each post is kept as a revision.', 'visionati' ); ?>
+				</p>
+
+				<div class="visionati-bulk-controls visionati-content-alt-controls">
+					<div class="visionati-bulk-actions">
+						<button type="button" class="button button-primary" id="visionati-content-alt-scan">
+							<?php esc_html_e( 'Scan content', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-content-alt-preview-all" style="display: none;">
+							<?php esc_html_e( 'Preview all', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-content-alt-save-all" style="display: none;">
+							<?php esc_html_e( 'Save all previewed', 'visionati' ); ?>
+						</button>
+						<span class="visionati-status" id="visionati-content-alt-status"></span>
+					</div>
+					<p class="visionati-credits-remaining" style="display: none;"></p>
+				</div>
+
+				<table class="widefat striped visionati-content-alt-table" style="display: none;">
+					<thead>
+						<tr>
+							<th scope="col"><?php esc_html_e( 'Title', 'visionati' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Type', 'visionati' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Images without alt text', 'visionati' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Actions', 'visionati' ); ?></th>
+						</tr>
+					</thead>
+					<tbody id="visionati-content-alt-posts"></tbody>
+				</table>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+}
\ No newline at end of file
@@ -0,0 +1,516 @@
+<?php
+/**
+ * Visionati Field History
+ *
+ * Records every value Visionati writes (alt text, captions, descriptions,
+ * product descriptions) together with the value it replaced, so earlier
+ * versions can be restored from the media modal or product meta box and
+ * whole bulk runs can be reverted.
+ *
+ * History is stored per post in the _visionati_history meta key.
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Visionati_History {
+
+	/**
+	 * Post meta key holding the history entries.
+	 *
+	 * @var string
+	 */
+	const META_KEY = '_visionati_history';
+
+	/**
+	 * Post meta key indexing which bulk jobs wrote to a post (one row per job).
+	 *
+	 * @var string
+	 */
+	const JOB_META_KEY = '_visionati_history_job';
+
+	/**
+	 * Maximum entries kept per post. Oldest entries are dropped first.
+	 *
+	 * @var int
+	 */
+	const MAX_ENTRIES = 50;
+
+	/**
+	 * Bulk job currently writing, or 0 outside a job run.
+	 *
+	 * @var int
+	 */
+	private static $job_id = 0;
+
+	/**
+	 * Constructor. Register hooks.
+	 */
+	public function __construct() {
+		add_action( 'wp_ajax_visionati_history', array( $this, 'ajax_get' ) );
+		add_action( 'wp_ajax_visionati_history_restore', array( $this, 'ajax_restore' ) );
+	}
+
+	/**
+	 * Set the bulk job that subsequent writes belong to.
+	 *
+	 * @param int $job_id Job ID, or 0 to clear.
+	 */
+	public static function set_job( $job_id ) {
+		self::$job_id = absint( $job_id );
+	}
+
+	/**
+	 * Get the bulk job that writes currently belong to.
+	 *
+	 * @return int Job ID, or 0 outside a job run.
+	 */
+	public static function get_job() {
+		return self::$job_id;
+	}
+
+	/**
+	 * Get the fields history can track.
+	 *
+	 * @return array Associative array of field slug => label.
+	 */
+	public static function get_fields() {
+		return array(
+			'alt_text'              => __( 'Alt Text', 'visionati' ),
+			'caption'               => __( 'Caption', 'visionati' ),
+			'description'           => __( 'Description', 'visionati' ),
+			'short_description'     => __( 'Short description', 'visionati' ),
+			'long_description'      => __( 'Long description', 'visionati' ),
+			'variation_description' => __( 'Variation description', 'visionati' ),
+			'seo_title'             => __( 'SEO title', 'visionati' ),
+			'seo_description'       => __( 'Meta description', 'visionati' ),
+			'focus_keyword'         => __( 'Focus keyword', 'visionati' ),
+			'product_tags'          => __( 'Tags', 'visionati' ),
+			'product_attributes'    => __( 'Attributes', 'visionati' ),
+		);
+	}
+
+	/**
+	 * Read the current value of a tracked field.
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $field   Field slug. See get_fields().
+	 * @return string
+	 */
+	public static function get_value( $post_id, $field ) {
+		if ( 'alt_text' === $field ) {
+			return (string) get_post_meta( $post_id, '_wp_attachment_image_alt', true );
+		}
+
+		if ( 'variation_description' === $field ) {
+			return (string) get_post_meta( $post_id, '_variation_description', true );
+		}
+
+		if ( self::is_seo_field( $field ) ) {
+			$meta_key = self::get_seo_meta_key( $field );
+			return $meta_key ? (string) get_post_meta( $post_id, $meta_key, true ) : '';
+		}
+
+		if ( self::is_terms_field( $field ) ) {
+			return class_exists( 'Visionati_Woo' ) ? Visionati_Woo::get_terms_value( $post_id, $field ) : '';
+		}
+
+		$post = get_post( $post_id );
+		if ( ! $post ) {
+			return '';
+		}
+
+		if ( in_array( $field, array( 'caption', 'short_description' ), true ) ) {
+			return (string) $post->post_excerpt;
+		}
+
+		return (string) $post->post_content;
+	}
+
+	/**
+	 * Record a write to a tracked field and fire visionati_field_saved.
+	 *
+	 * Does nothing when the value did not change.
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $field   Field slug. See get_fields().
+	 * @param string $old     Value before the write.
+	 * @param string $new     Value after the write.
+	 * @param array  $source  {
+	 *     Optional. Where the value came from.
+	 *
+	 *     @type string $action  'generate' (default), 'restore' or 'revert'.
+	 *     @type string $backend Model slug that generated the value.
+	 *     @type string $role    Role used for the request.
+	 * }
+	 */
+	public static function record( $post_id, $field, $old, $new, $source = array() ) {
+		if ( (string) $old === (string) $new ) {
+			return;
+		}
+
+		$entries = self::get_entries( $post_id );
+
+		$entries[] = array(
+			'id'      => strtolower( wp_generate_password( 12, false ) ),
+			'field'   => $field,
+			'old'     => (string) $old,
+			'new'     => (string) $new,
+			'action'  => isset( $source['action'] ) ? $source['action'] : 'generate',
+			'backend' => isset( $source['backend'] ) ? $source['backend'] : '',
+			'role'    => isset( $source['role'] ) ? $source['role'] : '',
+			'job_id'  => self::$job_id,
+			'user_id' => get_current_user_id(),
+			'time'    => time(),
+		);
+
+		if ( count( $entries ) > self::MAX_ENTRIES ) {
+			$entries = array_slice( $entries, -self::MAX_ENTRIES );
+		}
+
+		update_post_meta( $post_id, self::META_KEY, wp_slash( $entries ) );
+
+		if ( self::$job_id && ! in_array( (string) self::$job_id, get_post_meta( $post_id, self::JOB_META_KEY ), true ) ) {
+			add_post_meta( $post_id, self::JOB_META_KEY, self::$job_id );
+		}
+
+		/**
+		 * Fires after Visionati saves a changed value to a field.
+		 *
+		 * Covers attachment fields and product descriptions, whether
+		 * generated, restored from history, or reverted with a bulk run.
+		 *
+		 * @param int    $post_id Attachment or product ID.
+		 * @param string $field   Field slug. See Visionati_History::get_fields().
+		 * @param string $new     Value after the write.
+		 * @param string $old     Value before the write.
+		 * @param array  $source  Where the value came from: action, backend, role.
+		 */
+		do_action( 'visionati_field_saved', $post_id, $field, (string) $new, (string) $old, $source );
+	}
+
+	/**
+	 * Get a post's history entries, oldest first.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array
+	 */
+	public static function get_entries( $post_id ) {
+		$entries = get_post_meta( $post_id, self::META_KEY, true );
+		return is_array( $entries ) ? $entries : array();
+	}
+
+	/**
+	 * Restore the value a history entry replaced.
+	 *
+	 * The restore is recorded as a new entry, so it can be undone too.
+	 *
+	 * @param int    $post_id  Post ID.
+	 * @param string $entry_id History entry ID.
+	 * @return array|WP_Error Array with 'field' and the restored 'value', or WP_Error.
+	 */
+	public static function restore( $post_id, $entry_id ) {
+		foreach ( self::get_entries( $post_id ) as $entry ) {
+			if ( $entry['id'] !== $entry_id ) {
+				continue;
+			}
+
+			$current = self::get_value( $post_id, $entry['field'] );
+			$saved   = self::write_value( $post_id, $entry['field'], $entry['old'] );
+
+			if ( is_wp_error( $saved ) ) {
+				return $saved;
+			}
+
+			$value = self::get_value( $post_id, $entry['field'] );
+			self::record( $post_id, $entry['field'], $current, $value, array( 'action' => 'restore' ) );
+
+			return array(
+				'field' => $entry['field'],
+				'value' => $value,
+			);
+		}
+
+		return new WP_Error( 'visionati_history_not_found', __( 'History entry not found.', 'visionati' ) );
+	}
+
+	/**
+	 * Revert every write a bulk job made.
+	 *
+	 * For each field the job wrote, puts back the value from before the
+	 * job's first write, so fields written more than once (e.g. retried)
+	 * still return to where they started. Fields edited again after the
+	 * job are left alone and counted as skipped.
+	 *
+	 * @param int $job_id Job ID.
+	 * @return array Associative array with 'reverted' and 'skipped' counts.
+	 */
+	public static function revert_job( $job_id ) {
+		$counts   = array(
+			'reverted' => 0,
+			'skipped'  => 0,
+		);
+		$post_ids = get_posts( array(
+			'post_type'        => 'any',
+			'post_status'      => 'any',
+			'posts_per_page'   => -1,
+			'fields'           => 'ids',
+			'suppress_filters' => true,
+			// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_query -- Indexed lookup by job ID; only runs on explicit revert.
+			'meta_query'       => array(
+				array(
+					'key'   => self::JOB_META_KEY,
+					'value' => absint( $job_id ),
+				),
+			),
+		) );
+
+		foreach ( $post_ids as $post_id ) {
+			// Field => array( 'old' => value before the job's first write, 'new' => value after its last ).
+			$fields = array();
+
+			foreach ( self::get_entries( $post_id ) as $entry ) {
+				if ( (int) $entry['job_id'] !== (int) $job_id || 'generate' !== $entry['action'] ) {
+					continue;
+				}
+
+				if ( ! isset( $fields[ $entry['field'] ] ) ) {
+					$fields[ $entry['field'] ] = array( 'old' => $entry['old'] );
+				}
+				$fields[ $entry['field'] ]['new'] = $entry['new'];
+			}
+
+			foreach ( $fields as $field => $values ) {
+				$current = self::get_value( $post_id, $field );
+				if ( $current !== $values['new'] ) {
+					$counts['skipped']++;
+					continue;
+				}
+
+				if ( is_wp_error( self::write_value( $post_id, $field, $values['old'] ) ) ) {
+					$counts['skipped']++;
+					continue;
+				}
+
+				self::record( $post_id, $field, $current, self::get_value( $post_id, $field ), array( 'action' => 'revert' ) );
+				$counts['reverted']++;
+			}
+
+			// A run can only be reverted once.
+			delete_post_meta( $post_id, self::JOB_META_KEY, absint( $job_id ) );
+		}
+
+		Visionati_API::debug_log( 'history: job reverted', array_merge( array( 'job_id' => $job_id ), $counts ) );
+
+		return $counts;
+	}
+
+	/**
+	 * Write a value to a tracked field.
+	 *
+	 * Products are saved through WooCommerce so its caches and lookup
+	 * tables stay in sync.
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $field   Field slug.
+	 * @param string $value   Value to write.
+	 * @return true|WP_Error
+	 */
+	private static function write_value( $post_id, $field, $value ) {
+		if ( 'alt_text' === $field ) {
+			update_post_meta( $post_id, '_wp_attachment_image_alt', sanitize_text_field( $value ) );
+			return true;
+		}
+
+		$is_excerpt = in_array( $field, array( 'caption', 'short_description' ), true );
+
+		if ( self::is_seo_field( $field ) ) {
+			$meta_key = self::get_seo_meta_key( $field );
+			if ( ! $meta_key ) {
+				return new WP_Error( 'visionati_no_seo_plugin', __( 'No supported SEO plugin is active.', 'visionati' ) );
+			}
+			update_post_meta( $post_id, $meta_key, sanitize_text_field( $value ) );
+			if ( class_exists( 'Visionati_Woo' ) ) {
+				Visionati_Woo::refresh_seo_plugin( $post_id );
+			}
+			return true;
+		}
+
+		if ( self::is_terms_field( $field ) ) {
+			if ( ! class_exists( 'Visionati_Woo' ) ) {
+				return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ) );
+			}
+			return Visionati_Woo::set_terms_value( $post_id, $field, $value );
+		}
+
+		if ( 'variation_description' === $field ) {
+			$variation = function_exists( 'wc_get_product' ) ? wc_get_product( $post_id ) : false;
+			if ( ! $variation ) {
+				return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ) );
+			}
+			$variation->set_description( wp_kses_post( $value ) );
+			try {
+				$variation->save();
+			} catch ( Exception $e ) {
+				return new WP_Error( 'visionati_save_failed', $e->getMessage() );
+			}
+			return true;
+		}
+
+		if ( 'product' === get_post_type( $post_id ) && function_exists( 'wc_get_product' ) ) {
+			$product = wc_get_product( $post_id );
+			if ( $product ) {
+				if ( $is_excerpt ) {
+					$product->set_short_description( $value );
+				} else {
+					$product->set_description( $value );
+				}
+				try {
+					$product->save();
+				} catch ( Exception $e ) {
+					return new WP_Error( 'visionati_save_failed', $e->getMessage() );
+				}
+				return true;
+			}
+		}
+
+		$post_data = array( 'ID' => $post_id );
+		if ( $is_excerpt ) {
+			$post_data['post_excerpt'] = sanitize_text_field( $value );
+		} else {
+			$post_data['post_content'] = wp_kses_post( $value );
+		}
+
+		$result = wp_update_post( wp_slash( $post_data ), true );
+
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		clean_post_cache( $post_id );
+
+		return true;
+	}
+
+	/**
+	 * Check whether a field is a product SEO field stored by an SEO plugin.
+	 *
+	 * @param string $field Field slug.
+	 * @return bool
+	 */
+	private static function is_seo_field( $field ) {
+		return in_array( $field, array( 'seo_title', 'seo_description', 'focus_keyword' ), true );
+	}
+
+	/**
+	 * Check whether a field holds a product's tags or attribute values.
+	 *
+	 * @param string $field Field slug.
+	 * @return bool
+	 */
+	private static function is_terms_field( $field ) {
+		return in_array( $field, array( 'product_tags', 'product_attributes' ), true );
+	}
+
+	/**
+	 * Get the post meta key an SEO field is stored under.
+	 *
+	 * @param string $field SEO field slug.
+	 * @return string Meta key, or '' when WooCommerce or a supported SEO plugin is inactive.
+	 */
+	private static function get_seo_meta_key( $field ) {
+		return class_exists( 'Visionati_Woo' ) ? Visionati_Woo::get_seo_meta_key( $field ) : '';
+	}
+
+	/**
+	 * Format entries for the History panel, newest first.
+	 *
+	 * @param array $entries Raw history entries.
+	 * @return array
+	 */
+	private static function format_entries( $entries ) {
+		$fields   = self::get_fields();
+		$backends = Visionati_API::get_description_backends();
+		$actions  = array(
+			'generate' => __( 'Generated', 'visionati' ),
+			'restore'  => __( 'Restored', 'visionati' ),
+			'revert'   => __( 'Run reverted', 'visionati' ),
+		);
+		$formatted = array();
+
+		foreach ( array_reverse( $entries ) as $entry ) {
+			$user        = $entry['user_id'] ? get_userdata( $entry['user_id'] ) : false;
+			$formatted[] = array(
+				'id'     => $entry['id'],
+				'field'  => $entry['field'],
+				'label'  => isset( $fields[ $entry['field'] ] ) ? $fields[ $entry['field'] ] : $entry['field'],
+				'action' => isset( $actions[ $entry['action'] ] ) ? $actions[ $entry['action'] ] : $entry['action'],
+				'model'  => isset( $backends[ $entry['backend'] ] ) ? $backends[ $entry['backend'] ] : $entry['backend'],
+				'role'   => $entry['role'],
+				'job_id' => (int) $entry['job_id'],
+				'user'   => $user ? $user->display_name : '',
+				'date'   => wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $entry['time'] ),
+				'old'    => wp_html_excerpt( wp_strip_all_tags( $entry['old'] ), 200, "\u{2026}" ),
+				'new'    => wp_html_excerpt( wp_strip_all_tags( $entry['new'] ), 200, "\u{2026}" ),
+			);
+		}
+
+		return $formatted;
+	}
+
+	// -------------------------------------------------------------------------
+	// AJAX Handlers
+	// -------------------------------------------------------------------------
+
+	/**
+	 * AJAX handler: return a post's history for the History panel.
+	 */
+	public function ajax_get() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		$post_id = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+
+		if ( ! $post_id || ! current_user_can( 'edit_post', $post_id ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		Visionati_API::send_json_success( array(
+			'post_id' => $post_id,
+			'entries' => self::format_entries( self::get_entries( $post_id ) ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: restore the value a history entry replaced.
+	 */
+	public function ajax_restore() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		$post_id  = isset( $_POST['post_id'] ) ? absint( $_POST['post_id'] ) : 0;
+		$entry_id = isset( $_POST['entry_id'] ) ? sanitize_key( $_POST['entry_id'] ) : '';
+
+		if ( ! $post_id || ! current_user_can( 'edit_post', $post_id ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$restored = self::restore( $post_id, $entry_id );
+
+		if ( is_wp_error( $restored ) ) {
+			Visionati_API::send_json_error( array( 'message' => $restored->get_error_message() ) );
+		}
+
+		Visionati_API::debug_log( 'history: restored', array(
+			'post_id'  => $post_id,
+			'entry_id' => $entry_id,
+			'field'    => $restored['field'],
+		) );
+
+		Visionati_API::send_json_success( array_merge( $restored, array(
+			'post_id' => $post_id,
+			'entries' => self::format_entries( self::get_entries( $post_id ) ),
+		) ) );
+	}
+}
\ No newline at end of file
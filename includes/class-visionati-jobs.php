@@ -0,0 +1,1516 @@
+<?php
+/**
+ * Visionati Background Jobs
+ *
+ * Stores bulk runs as server-side job records and processes them in the
+ * background with Action Scheduler (when available) or WP-Cron, so bulk
+ * generation keeps going after the admin page is closed. The bulk pages
+ * only create jobs and poll their status.
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Visionati_Jobs {
+
+	/**
+	 * Database schema version. Bump when the table definitions change.
+	 *
+	 * @var string
+	 */
+	const DB_VERSION = '2';
+
+	/**
+	 * Hook fired by WP-Cron / Action Scheduler to process a job slice.
+	 *
+	 * @var string
+	 */
+	const RUN_HOOK = 'visionati_run_job';
+
+	/**
+	 * Seconds a runner keeps starting new batches before handing off
+	 * to a fresh request. Keeps each slice well within typical
+	 * max_execution_time limits.
+	 *
+	 * @var int
+	 */
+	const SLICE_SECONDS = 20;
+
+	/**
+	 * Seconds a runner lock is held. Long enough to cover a batch that
+	 * polls for the full Visionati_API::MAX_POLL_ATTEMPTS.
+	 *
+	 * @var int
+	 */
+	const LOCK_SECONDS = 600;
+
+	/**
+	 * Seconds without progress before a status poll runs a slice itself.
+	 * Covers sites where WP-Cron never fires (DISABLE_WP_CRON without a
+	 * system cron).
+	 *
+	 * @var int
+	 */
+	const STALL_SECONDS = 120;
+
+	/**
+	 * Times a transient failure is retried before the item is marked failed.
+	 *
+	 * @var int
+	 */
+	const MAX_RETRIES = 3;
+
+	/**
+	 * Seconds before the first retry. Doubles on each further attempt.
+	 *
+	 * @var int
+	 */
+	const RETRY_DELAY = 30;
+
+	/**
+	 * Days finished jobs are kept before being purged.
+	 *
+	 * @var int
+	 */
+	const RETENTION_DAYS = 30;
+
+	/**
+	 * Maximum log entries returned per status poll.
+	 *
+	 * @var int
+	 */
+	const STATUS_PAGE_SIZE = 500;
+
+	/**
+	 * Job statuses that block a new job of the same type.
+	 *
+	 * 'stopped' means the runner halted on its own (e.g. out of credits)
+	 * and the job can be resumed.
+	 *
+	 * @var array
+	 */
+	const ACTIVE_STATUSES = array( 'running', 'paused', 'stopped' );
+
+	/**
+	 * Registered job types.
+	 *
+	 * @var array Associative array of type => config with 'capability' and 'process'.
+	 */
+	private static $types = array();
+
+	/**
+	 * Constructor. Register hooks.
+	 */
+	public function __construct() {
+		add_action( self::RUN_HOOK, array( $this, 'run_job' ) );
+		add_action( 'wp_ajax_visionati_job_status', array( $this, 'ajax_status' ) );
+		add_action( 'wp_ajax_visionati_job_pause', array( $this, 'ajax_pause' ) );
+		add_action( 'wp_ajax_visionati_job_resume', array( $this, 'ajax_resume' ) );
+		add_action( 'wp_ajax_visionati_job_cancel', array( $this, 'ajax_cancel' ) );
+		add_action( 'wp_ajax_visionati_job_revert', array( $this, 'ajax_revert' ) );
+		add_action( 'wp_ajax_visionati_job_export', array( $this, 'ajax_export' ) );
+		add_action( 'wp_ajax_visionati_job_retry', array( $this, 'ajax_retry' ) );
+	}
+
+	/**
+	 * Register a job type.
+	 *
+	 * The process callback receives an array of object IDs and the job args,
+	 * and must return an associative array of object_id => result array.
+	 * Each result has a 'status' key ('generated', 'skipped' or 'failed')
+	 * and may include 'message', 'fields', 'credits', 'filename' and 'thumb'.
+	 * The text written to each field in 'fields' is keyed by the field name
+	 * (e.g. 'alt_text') and ends up in the run report. A failed result with
+	 * 'retryable' set (see Visionati_API::is_retryable_error()) is requeued
+	 * with backoff up to MAX_RETRIES times. A third argument maps each item
+	 * being retried to the fields earlier attempts already saved, so the
+	 * callback can skip them; the runner merges those into the new result.
+	 *
+	 * @param string $type   Job type slug (e.g. 'media', 'woo').
+	 * @param array  $config {
+	 *     @type string   $capability   Capability required to manage jobs of this type.
+	 *     @type callable $process      Batch processing callback.
+	 *     @type bool     $fail_on_stop Optional. When the runner stops the job (budget
+	 *                                  reached or out of credits), mark the remaining
+	 *                                  items failed and complete the job instead of
+	 *                                  waiting for a resume. For queues no bulk page
+	 *                                  shows, such as auto-generate on upload.
+	 * }
+	 */
+	public static function register_type( $type, $config ) {
+		self::$types[ $type ] = $config;
+	}
+
+	// -------------------------------------------------------------------------
+	// Schema
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Get the jobs table name.
+	 *
+	 * @return string
+	 */
+	private static function jobs_table() {
+		global $wpdb;
+		return $wpdb->prefix . 'visionati_jobs';
+	}
+
+	/**
+	 * Get the job items table name.
+	 *
+	 * @return string
+	 */
+	private static function items_table() {
+		global $wpdb;
+		return $wpdb->prefix . 'visionati_job_items';
+	}
+
+	/**
+	 * Create or update the job tables.
+	 */
+	public static function install() {
+		global $wpdb;
+
+		require_once ABSPATH . 'wp-admin/includes/upgrade.php';
+
+		$charset_collate = $wpdb->get_charset_collate();
+		$jobs_table      = self::jobs_table();
+		$items_table     = self::items_table();
+
+		dbDelta( "CREATE TABLE {$jobs_table} (
+			id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+			type varchar(20) NOT NULL default '',
+			status varchar(20) NOT NULL default 'running',
+			user_id bigint(20) unsigned NOT NULL default 0,
+			args longtext NOT NULL,
+			message text NOT NULL,
+			credits int(11) default NULL,
+			locked_until bigint(20) unsigned NOT NULL default 0,
+			created_at datetime NOT NULL,
+			updated_at datetime NOT NULL,
+			PRIMARY KEY  (id),
+			KEY type_status (type,status)
+		) {$charset_collate};" );
+
+		dbDelta( "CREATE TABLE {$items_table} (
+			id bigint(20) unsigned NOT NULL AUTO_INCREMENT,
+			job_id bigint(20) unsigned NOT NULL,
+			object_id bigint(20) unsigned NOT NULL,
+			status varchar(20) NOT NULL default 'pending',
+			seq bigint(20) unsigned NOT NULL default 0,
+			attempts smallint(5) unsigned NOT NULL default 0,
+			retry_at bigint(20) unsigned NOT NULL default 0,
+			result longtext,
+			updated_at datetime default NULL,
+			PRIMARY KEY  (id),
+			KEY job_status (job_id,status),
+			KEY job_seq (job_id,seq)
+		) {$charset_collate};" );
+
+		update_option( 'visionati_db_version', self::DB_VERSION );
+	}
+
+	/**
+	 * Create the tables if the stored schema version is out of date.
+	 *
+	 * Runs on every load so updates that skip the activation hook
+	 * (e.g. automatic updates) still get the tables.
+	 */
+	public static function maybe_install() {
+		if ( self::DB_VERSION !== get_option( 'visionati_db_version' ) ) {
+			self::install();
+		}
+	}
+
+	// -------------------------------------------------------------------------
+	// Data access
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Create a job and schedule it to run in the background.
+	 *
+	 * @param string $type       Registered job type.
+	 * @param int[]  $object_ids IDs to process, in order.
+	 * @param array  $args       Type-specific arguments stored with the job.
+	 * @return int|WP_Error New job ID, or WP_Error if the type is unknown,
+	 *                      no IDs were given, or a job of this type is already active.
+	 */
+	public static function create( $type, $object_ids, $args = array() ) {
+		global $wpdb;
+
+		if ( ! isset( self::$types[ $type ] ) ) {
+			return new WP_Error( 'visionati_job_invalid_type', __( 'Unknown job type.', 'visionati' ) );
+		}
+
+		$object_ids = array_values( array_unique( array_filter( array_map( 'absint', (array) $object_ids ) ) ) );
+
+		if ( empty( $object_ids ) ) {
+			return new WP_Error( 'visionati_job_empty', __( 'Nothing to process.', 'visionati' ) );
+		}
+
+		if ( self::get_active( $type ) ) {
+			return new WP_Error(
+				'visionati_job_busy',
+				__( 'A bulk job is already in progress. Wait for it to finish or cancel it first.', 'visionati' )
+			);
+		}
+
+		self::purge_old_jobs();
+
+		// Balance the budget cap is measured against (see get_spent()).
+		$args['start_credits'] = Visionati_API::get_last_credits();
+
+		$now = current_time( 'mysql', true );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery -- Custom table.
+		$wpdb->insert(
+			self::jobs_table(),
+			array(
+				'type'       => $type,
+				'status'     => 'running',
+				'user_id'    => get_current_user_id(),
+				'args'       => wp_json_encode( $args ),
+				'message'    => '',
+				'created_at' => $now,
+				'updated_at' => $now,
+			),
+			array( '%s', '%s', '%d', '%s', '%s', '%s', '%s' )
+		);
+
+		$job_id = (int) $wpdb->insert_id;
+
+		if ( ! $job_id ) {
+			return new WP_Error( 'visionati_job_create_failed', __( 'Could not create the bulk job.', 'visionati' ) );
+		}
+
+		self::insert_items( $job_id, $object_ids );
+
+		Visionati_API::debug_log( 'jobs: created', array(
+			'job_id' => $job_id,
+			'type'   => $type,
+			'total'  => count( $object_ids ),
+		) );
+
+		self::schedule( $job_id );
+
+		return $job_id;
+	}
+
+	/**
+	 * Add IDs to the active job of a type, creating a job if there is none.
+	 *
+	 * For queues that keep receiving work, such as auto-generate on upload.
+	 * A paused or stopped job keeps its status: the new items wait until
+	 * it is resumed. Concurrent calls are serialized with a database lock,
+	 * so parallel uploads never create two jobs.
+	 *
+	 * @param string $type       Registered job type.
+	 * @param int[]  $object_ids IDs to process.
+	 * @param array  $args       Type-specific arguments, used when a job is created.
+	 * @return int|WP_Error Job ID, or WP_Error. See create().
+	 */
+	public static function enqueue( $type, $object_ids, $args = array() ) {
+		global $wpdb;
+
+		$object_ids = array_values( array_unique( array_filter( array_map( 'absint', (array) $object_ids ) ) ) );
+
+		if ( empty( $object_ids ) ) {
+			return new WP_Error( 'visionati_job_empty', __( 'Nothing to process.', 'visionati' ) );
+		}
+
+		$lock    = $wpdb->prefix . 'visionati_enqueue_' . $type;
+		$current = null;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Named lock, no table.
+		if ( 1 !== (int) $wpdb->get_var( $wpdb->prepare( 'SELECT GET_LOCK( %s, %d )', $lock, 10 ) ) ) {
+			return new WP_Error( 'visionati_job_busy', __( 'Could not queue the item. Try again.', 'visionati' ) );
+		}
+
+		$job = self::get_active( $type );
+
+		if ( $job ) {
+			self::insert_items( $job->id, $object_ids );
+
+			// The runner may have completed the job between get_active() and the insert.
+			$current = self::get( $job->id );
+			if ( $current && 'completed' === $current->status ) {
+				self::update( $job->id, array( 'status' => 'running' ) );
+			}
+
+			Visionati_API::debug_log( 'jobs: enqueued', array(
+				'job_id' => $job->id,
+				'type'   => $type,
+				'status' => $current ? $current->status : '(deleted)',
+				'added'  => count( $object_ids ),
+			) );
+
+			$job_id = $job->id;
+		} else {
+			$job_id = self::create( $type, $object_ids, $args );
+		}
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Named lock, no table.
+		$wpdb->query( $wpdb->prepare( 'SELECT RELEASE_LOCK( %s )', $lock ) );
+
+		if ( $job && ( ! $current || in_array( $current->status, array( 'running', 'completed' ), true ) ) ) {
+			self::schedule( $job_id );
+		}
+
+		return $job_id;
+	}
+
+	/**
+	 * Insert pending items for a job.
+	 *
+	 * @param int   $job_id     Job ID.
+	 * @param int[] $object_ids Sanitized object IDs.
+	 */
+	private static function insert_items( $job_id, $object_ids ) {
+		global $wpdb;
+
+		// Insert items in chunks to keep each query a reasonable size.
+		$items_table = self::items_table();
+		foreach ( array_chunk( $object_ids, 500 ) as $chunk ) {
+			$rows   = array();
+			$values = array();
+			foreach ( $chunk as $object_id ) {
+				$rows[]   = '(%d, %d, %s)';
+				$values[] = $job_id;
+				$values[] = $object_id;
+				$values[] = 'pending';
+			}
+			// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQL.NotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+			$wpdb->query(
+				$wpdb->prepare(
+					"INSERT INTO {$items_table} (job_id, object_id, status) VALUES " . implode( ', ', $rows ),
+					...$values
+				)
+			);
+			// phpcs:enable
+		}
+	}
+
+	/**
+	 * Get a job record.
+	 *
+	 * @param int $job_id Job ID.
+	 * @return object|null Job row with decoded args, or null if not found.
+	 */
+	public static function get( $job_id ) {
+		global $wpdb;
+
+		$jobs_table = self::jobs_table();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$job = $wpdb->get_row( $wpdb->prepare( "SELECT * FROM {$jobs_table} WHERE id = %d", $job_id ) );
+
+		if ( ! $job ) {
+			return null;
+		}
+
+		$job->id      = (int) $job->id;
+		$job->user_id = (int) $job->user_id;
+		$args         = json_decode( $job->args, true );
+		$job->args    = is_array( $args ) ? $args : array();
+
+		return $job;
+	}
+
+	/**
+	 * Get the active (running, paused or stopped) job of a type, if any.
+	 *
+	 * @param string $type Job type.
+	 * @return object|null
+	 */
+	public static function get_active( $type ) {
+		global $wpdb;
+
+		$jobs_table   = self::jobs_table();
+		$placeholders = implode( ', ', array_fill( 0, count( self::ACTIVE_STATUSES ), '%s' ) );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$job_id = $wpdb->get_var(
+			$wpdb->prepare(
+				"SELECT id FROM {$jobs_table}
+				WHERE type = %s AND status IN ($placeholders)
+				ORDER BY id DESC LIMIT 1",
+				$type,
+				...self::ACTIVE_STATUSES
+			)
+		);
+		// phpcs:enable
+
+		return $job_id ? self::get( $job_id ) : null;
+	}
+
+	/**
+	 * Update a job's status, message or credits.
+	 *
+	 * @param int   $job_id Job ID.
+	 * @param array $data   Column => value pairs.
+	 */
+	private static function update( $job_id, $data ) {
+		global $wpdb;
+
+		$data['updated_at'] = current_time( 'mysql', true );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Custom table.
+		$wpdb->update( self::jobs_table(), $data, array( 'id' => $job_id ) );
+	}
+
+	/**
+	 * Count a job's items by status.
+	 *
+	 * @param int $job_id Job ID.
+	 * @return array Associative array with keys: total, pending, generated, skipped, failed.
+	 */
+	public static function count_items( $job_id ) {
+		global $wpdb;
+
+		$items_table = self::items_table();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results( $wpdb->prepare( "SELECT status, COUNT(*) AS count FROM {$items_table} WHERE job_id = %d GROUP BY status", $job_id ) );
+
+		$counts = array(
+			'total'     => 0,
+			'pending'   => 0,
+			'generated' => 0,
+			'skipped'   => 0,
+			'failed'    => 0,
+		);
+
+		foreach ( $rows as $row ) {
+			$counts[ $row->status ] = (int) $row->count;
+			$counts['total']       += (int) $row->count;
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Get finished items logged after a given sequence number.
+	 *
+	 * @param int $job_id Job ID.
+	 * @param int $since  Only return items with a higher sequence number.
+	 * @param int $limit  Maximum number of items.
+	 * @return array Array of item arrays (object_id, status, seq plus the stored result).
+	 */
+	public static function get_items_since( $job_id, $since = 0, $limit = self::STATUS_PAGE_SIZE ) {
+		global $wpdb;
+
+		$items_table = self::items_table();
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT object_id, status, seq, result FROM {$items_table}
+				WHERE job_id = %d AND seq > %d
+				ORDER BY seq ASC LIMIT %d",
+				$job_id,
+				$since,
+				$limit
+			)
+		);
+		// phpcs:enable
+
+		$items = array();
+		foreach ( $rows as $row ) {
+			$result  = json_decode( (string) $row->result, true );
+			$items[] = array_merge(
+				is_array( $result ) ? $result : array(),
+				array(
+					'object_id' => (int) $row->object_id,
+					'status'    => $row->status,
+					'seq'       => (int) $row->seq,
+				)
+			);
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Build the status payload returned to the bulk pages.
+	 *
+	 * @param object $job   Job record.
+	 * @param int    $since Sequence number of the last log entry the client has.
+	 * @return array
+	 */
+	public static function get_status( $job, $since = 0 ) {
+		$counts    = self::count_items( $job->id );
+		$processed = $counts['total'] - $counts['pending'];
+
+		return array(
+			'id'           => $job->id,
+			'type'         => $job->type,
+			'status'       => $job->status,
+			'busy'         => (int) $job->locked_until >= time(),
+			'message'      => $job->message,
+			'credit_error' => 'stopped' === $job->status && Visionati_API::is_credit_error( $job->message ),
+			'credits'      => null !== $job->credits ? (int) $job->credits : null,
+			'budget'       => ! empty( $job->args['budget'] ) ? (int) $job->args['budget'] : 0,
+			'spent'        => self::get_spent( $job ),
+			'total'        => $counts['total'],
+			'processed'    => $processed,
+			'generated'    => $counts['generated'],
+			'skipped'      => $counts['skipped'],
+			'errors'       => $counts['failed'],
+			'percent'      => $counts['total'] > 0 ? (int) floor( $processed / $counts['total'] * 100 ) : 0,
+			'args'         => $job->args,
+			'revertable'   => 'running' !== $job->status && $counts['generated'] > 0 && empty( $job->args['reverted'] ),
+			'items'        => self::get_items_since( $job->id, $since ),
+		);
+	}
+
+	/**
+	 * Build the run report: one row per finished item.
+	 *
+	 * @param object $job Job record.
+	 * @return array Array of rows with id, name, status, fields, text, message and credits.
+	 */
+	public static function get_report( $job ) {
+		$counts = self::count_items( $job->id );
+		$rows   = array();
+
+		foreach ( self::get_items_since( $job->id, 0, max( 1, $counts['total'] ) ) as $item ) {
+			// Items waiting for a retry are not finished yet.
+			if ( 'pending' === $item['status'] ) {
+				continue;
+			}
+
+			$fields = isset( $item['fields'] ) ? (array) $item['fields'] : array();
+			$text   = array();
+
+			foreach ( $fields as $field ) {
+				if ( isset( $item[ $field ] ) && is_string( $item[ $field ] ) ) {
+					$text[ $field ] = $item[ $field ];
+				}
+			}
+
+			$rows[] = array(
+				'id'      => $item['object_id'],
+				'name'    => isset( $item['filename'] ) ? $item['filename'] : '',
+				'status'  => $item['status'],
+				'fields'  => $fields,
+				'text'    => $text,
+				'message' => isset( $item['message'] ) ? $item['message'] : '',
+				'credits' => isset( $item['credits'] ) ? $item['credits'] : null,
+			);
+		}
+
+		return $rows;
+	}
+
+	/**
+	 * Delete finished jobs older than the retention period.
+	 */
+	private static function purge_old_jobs() {
+		global $wpdb;
+
+		$jobs_table  = self::jobs_table();
+		$items_table = self::items_table();
+		$cutoff      = gmdate( 'Y-m-d H:i:s', time() - self::RETENTION_DAYS * DAY_IN_SECONDS );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE i FROM {$items_table} i
+				INNER JOIN {$jobs_table} j ON i.job_id = j.id
+				WHERE j.status IN ('completed', 'cancelled') AND j.updated_at < %s",
+				$cutoff
+			)
+		);
+		$wpdb->query(
+			$wpdb->prepare(
+				"DELETE FROM {$jobs_table} WHERE status IN ('completed', 'cancelled') AND updated_at < %s",
+				$cutoff
+			)
+		);
+		// phpcs:enable
+	}
+
+	// -------------------------------------------------------------------------
+	// Runner
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Schedule a job slice to run as soon as possible, or at a given time.
+	 *
+	 * Uses Action Scheduler when it is loaded (WooCommerce bundles it),
+	 * otherwise a single WP-Cron event. Does nothing if a run is already queued.
+	 *
+	 * @param int $job_id    Job ID.
+	 * @param int $timestamp Optional. Unix time to run at. Default now.
+	 */
+	public static function schedule( $job_id, $timestamp = 0 ) {
+		$args = array( (int) $job_id );
+		$now  = time();
+
+		if ( function_exists( 'as_enqueue_async_action' ) ) {
+			if ( ! as_has_scheduled_action( self::RUN_HOOK, $args, 'visionati' ) ) {
+				if ( $timestamp > $now ) {
+					as_schedule_single_action( $timestamp, self::RUN_HOOK, $args, 'visionati' );
+				} else {
+					as_enqueue_async_action( self::RUN_HOOK, $args, 'visionati' );
+				}
+			}
+			return;
+		}
+
+		if ( ! wp_next_scheduled( self::RUN_HOOK, $args ) ) {
+			wp_schedule_single_event( max( $now, $timestamp ), self::RUN_HOOK, $args );
+		}
+		if ( $timestamp <= $now ) {
+			spawn_cron();
+		}
+	}
+
+	/**
+	 * Unschedule all pending job runs. Used on deactivation.
+	 */
+	public static function unschedule_all() {
+		if ( function_exists( 'as_unschedule_all_actions' ) ) {
+			as_unschedule_all_actions( self::RUN_HOOK, array(), 'visionati' );
+		}
+		wp_unschedule_hook( self::RUN_HOOK );
+	}
+
+	/**
+	 * Atomically acquire the runner lock for a job.
+	 *
+	 * @param int $job_id Job ID.
+	 * @return bool True if the lock was acquired.
+	 */
+	private static function acquire_lock( $job_id ) {
+		global $wpdb;
+
+		$jobs_table = self::jobs_table();
+		$now        = time();
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$locked = $wpdb->query(
+			$wpdb->prepare(
+				"UPDATE {$jobs_table} SET locked_until = %d
+				WHERE id = %d AND status = 'running' AND locked_until < %d",
+				$now + self::LOCK_SECONDS,
+				$job_id,
+				$now
+			)
+		);
+		// phpcs:enable
+
+		return 1 === $locked;
+	}
+
+	/**
+	 * Release the runner lock for a job.
+	 *
+	 * @param int $job_id Job ID.
+	 */
+	private static function release_lock( $job_id ) {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Custom table.
+		$wpdb->update( self::jobs_table(), array( 'locked_until' => 0 ), array( 'id' => $job_id ) );
+	}
+
+	/**
+	 * Process a slice of a job.
+	 *
+	 * Claims batches of pending items (batch size = the job's concurrency)
+	 * and hands them to the job type's process callback until the slice
+	 * time budget runs out, then schedules the next slice. Pausing or
+	 * cancelling takes effect before the next batch starts.
+	 *
+	 * @param int $job_id Job ID.
+	 */
+	public function run_job( $job_id ) {
+		$job_id = absint( $job_id );
+		$job    = self::get( $job_id );
+
+		if ( ! $job || 'running' !== $job->status || ! isset( self::$types[ $job->type ] ) ) {
+			return;
+		}
+
+		if ( ! self::acquire_lock( $job_id ) ) {
+			Visionati_API::debug_log( 'jobs: runner already active, skipping', array( 'job_id' => $job_id ) );
+			return;
+		}
+
+		// Run as the user who started the job so saves are attributed to them.
+		if ( $job->user_id && get_current_user_id() !== $job->user_id ) {
+			wp_set_current_user( $job->user_id );
+		}
+
+		if ( function_exists( 'set_time_limit' ) ) {
+			// phpcs:ignore Squiz.PHP.DiscouragedFunctions.Discouraged, WordPress.PHP.NoSilencedErrors.Discouraged -- Background runner; batches may poll for several minutes.
+			@set_time_limit( self::LOCK_SECONDS );
+		}
+
+		$process    = self::$types[ $job->type ]['process'];
+		$batch_size = ! empty( $job->args['concurrency'] ) ? max( 1, absint( $job->args['concurrency'] ) ) : 1;
+		$started    = time();
+		$seq        = self::get_max_seq( $job_id );
+		$next_run   = 0;
+
+		Visionati_API::debug_log( 'jobs: slice starting', array(
+			'job_id'     => $job_id,
+			'type'       => $job->type,
+			'batch_size' => $batch_size,
+		) );
+
+		while ( time() - $started < self::SLICE_SECONDS ) {
+			if ( self::budget_reached( $job ) ) {
+				self::stop( $job, sprintf(
+					/* translators: 1: budget cap in credits, 2: credits spent so far */
+					__( 'Budget of %1$d credits reached (%2$d spent).', 'visionati' ),
+					$job->args['budget'],
+					self::get_spent( $job )
+				) );
+				break;
+			}
+
+			$items = self::claim_pending( $job_id, $batch_size );
+
+			if ( empty( $items ) ) {
+				// Items still waiting out a retry delay: come back for them.
+				$next_run = self::get_next_retry( $job_id );
+				if ( ! $next_run ) {
+					self::update( $job_id, array( 'status' => 'completed' ) );
+
+					// Items enqueued while completing (see enqueue()) still get processed.
+					$counts = self::count_items( $job_id );
+					if ( $counts['pending'] ) {
+						self::update( $job_id, array( 'status' => 'running' ) );
+					}
+				}
+				break;
+			}
+
+			// Fields saved by earlier attempts of retried items.
+			$done = array();
+			foreach ( $items as $object_id => $item ) {
+				if ( ! empty( $item['previous']['fields'] ) ) {
+					$done[ $object_id ] = $item['previous']['fields'];
+				}
+			}
+
+			// Tag history entries with this job so the run can be reverted.
+			Visionati_History::set_job( $job_id );
+			$results = call_user_func( $process, array_keys( $items ), $job->args, $done );
+			Visionati_History::set_job( 0 );
+
+			$halt = '';
+
+			foreach ( $items as $object_id => $item ) {
+				$result = isset( $results[ $object_id ] ) ? $results[ $object_id ] : array(
+					'status'  => 'failed',
+					'message' => __( 'No result returned.', 'visionati' ),
+				);
+
+				if ( ! empty( $item['previous']['fields'] ) ) {
+					$result = self::merge_previous_result( $item['previous'], $result );
+				}
+
+				$seq++;
+
+				if ( 'failed' === $result['status'] && ! empty( $result['retryable'] ) && $item['attempts'] < self::MAX_RETRIES ) {
+					self::requeue_item( $item['id'], $result, $seq, $item['attempts'] + 1 );
+					continue;
+				}
+
+				unset( $result['retryable'] );
+				if ( $item['attempts'] ) {
+					$result['retries'] = $item['attempts'];
+				}
+				self::save_item_result( $item['id'], $result, $seq );
+
+				/**
+				 * Fires after a bulk item is processed and its result saved.
+				 *
+				 * Not fired for attempts that are queued for a retry.
+				 *
+				 * @param int    $object_id Attachment or product ID.
+				 * @param array  $result    Item result: status ('generated', 'skipped' or
+				 *                          'failed'), fields, message, and credits when known.
+				 * @param string $type      Job type: 'media', 'woo', or 'auto' (auto-generate on upload).
+				 * @param int    $job_id    Job ID, or 0 for a WP-CLI run.
+				 */
+				do_action( 'visionati_bulk_item_processed', $object_id, $result, $job->type, $job_id );
+
+				if ( isset( $result['credits'] ) ) {
+					self::update( $job_id, array( 'credits' => (int) $result['credits'] ) );
+
+					// No balance was known when the job was created: measure from the first one reported.
+					if ( ! isset( $job->args['start_credits'] ) ) {
+						$job->args['start_credits'] = (int) $result['credits'];
+						self::update( $job_id, array( 'args' => wp_json_encode( $job->args ) ) );
+					}
+				}
+
+				if ( 'failed' === $result['status'] && ! empty( $result['message'] ) && Visionati_API::is_credit_error( $result['message'] ) ) {
+					$halt = $result['message'];
+				}
+			}
+
+			// Out of credits: stop claiming items until the user resumes.
+			if ( $halt ) {
+				self::stop( $job, $halt );
+				break;
+			}
+
+			// Pick up pause/cancel requests made while this batch was running.
+			$current = self::get( $job_id );
+			if ( ! $current || 'running' !== $current->status ) {
+				break;
+			}
+			$job = $current;
+
+			self::update( $job_id, array( 'locked_until' => time() + self::LOCK_SECONDS ) );
+		}
+
+		self::release_lock( $job_id );
+
+		$job = self::get( $job_id );
+		if ( $job && 'running' === $job->status ) {
+			self::schedule( $job_id, $next_run );
+		}
+
+		Visionati_API::debug_log( 'jobs: slice finished', array(
+			'job_id' => $job_id,
+			'status' => $job ? $job->status : '(deleted)',
+		) );
+	}
+
+	/**
+	 * Stop a job that cannot go on (budget reached or out of credits).
+	 *
+	 * The job waits for a resume, unless its type sets 'fail_on_stop': then
+	 * the remaining items are failed with the same message, each firing
+	 * visionati_bulk_item_processed, and the job is completed.
+	 *
+	 * @param object $job     Job record.
+	 * @param string $message Why the job stopped.
+	 */
+	private static function stop( $job, $message ) {
+		global $wpdb;
+
+		if ( empty( self::$types[ $job->type ]['fail_on_stop'] ) ) {
+			self::update( $job->id, array(
+				'status'  => 'stopped',
+				'message' => $message,
+			) );
+			return;
+		}
+
+		$items_table = self::items_table();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results( $wpdb->prepare( "SELECT id, object_id FROM {$items_table} WHERE job_id = %d AND status = 'pending' ORDER BY id ASC", $job->id ) );
+		$seq  = self::get_max_seq( $job->id );
+
+		foreach ( $rows as $row ) {
+			$result = array(
+				'status'  => 'failed',
+				'message' => $message,
+			);
+			self::save_item_result( (int) $row->id, $result, ++$seq );
+
+			/** This action is documented in includes/class-visionati-jobs.php */
+			do_action( 'visionati_bulk_item_processed', (int) $row->object_id, $result, $job->type, $job->id );
+		}
+
+		self::update( $job->id, array(
+			'status'  => 'completed',
+			'message' => $message,
+		) );
+
+		Visionati_API::debug_log( 'jobs: stopped, remaining items failed', array(
+			'job_id' => $job->id,
+			'failed' => count( $rows ),
+		) );
+	}
+
+	/**
+	 * Get the credits a job has used so far.
+	 *
+	 * The API only reports the remaining balance, so this is the drop from
+	 * the balance when the job started to the last balance it saw. Credits
+	 * spent elsewhere on the account during the run are included.
+	 *
+	 * @param object $job Job record.
+	 * @return int|null Credits spent, or null if no balance is known yet.
+	 */
+	private static function get_spent( $job ) {
+		if ( ! isset( $job->args['start_credits'] ) ) {
+			return null;
+		}
+
+		if ( null === $job->credits ) {
+			return 0;
+		}
+
+		return max( 0, (int) $job->args['start_credits'] - (int) $job->credits );
+	}
+
+	/**
+	 * Check whether a job has used up its budget cap.
+	 *
+	 * The cap is checked between batches, so a run can overshoot it by
+	 * at most one batch.
+	 *
+	 * @param object $job Job record.
+	 * @return bool
+	 */
+	private static function budget_reached( $job ) {
+		if ( empty( $job->args['budget'] ) ) {
+			return false;
+		}
+
+		$spent = self::get_spent( $job );
+
+		return null !== $spent && $spent >= (int) $job->args['budget'];
+	}
+
+	/**
+	 * Read the budget cap sent with a start, resume or retry request.
+	 *
+	 * Callers verify the nonce.
+	 *
+	 * @return int|null Cap in credits (0 for no cap), or null if none was sent.
+	 */
+	public static function get_requested_budget() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified by the calling handler.
+		return isset( $_POST['budget'] ) ? absint( $_POST['budget'] ) : null;
+	}
+
+	/**
+	 * Apply a budget cap sent with a resume or retry request.
+	 *
+	 * Sends a JSON error and exits if the job would stop again straight away.
+	 *
+	 * @param object $job Job record. Its args are updated in place.
+	 */
+	private static function apply_requested_budget( $job ) {
+		$budget = self::get_requested_budget();
+
+		if ( null !== $budget ) {
+			$job->args['budget'] = $budget;
+		}
+
+		if ( self::budget_reached( $job ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'This run has already used its budget. Raise or clear the budget cap to continue.', 'visionati' ) ) );
+		}
+	}
+
+	/**
+	 * Get the next pending items for a job.
+	 *
+	 * Items waiting out a retry delay are left for a later batch.
+	 * Only the lock holder calls this, so no further locking is needed.
+	 * Items being retried (automatically or with the Retry button) come
+	 * with the result of their last attempt.
+	 *
+	 * @param int $job_id Job ID.
+	 * @param int $limit  Maximum number of items.
+	 * @return array Associative array of object_id => array with item row 'id',
+	 *               'attempts' and 'previous' (last result, or empty).
+	 */
+	private static function claim_pending( $job_id, $limit ) {
+		global $wpdb;
+
+		$items_table = self::items_table();
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		$rows = $wpdb->get_results(
+			$wpdb->prepare(
+				"SELECT id, object_id, attempts, result FROM {$items_table}
+				WHERE job_id = %d AND status = 'pending' AND retry_at <= %d
+				ORDER BY id ASC LIMIT %d",
+				$job_id,
+				time(),
+				$limit
+			)
+		);
+		// phpcs:enable
+
+		$items = array();
+		foreach ( $rows as $row ) {
+			$previous = $row->result ? json_decode( $row->result, true ) : null;
+
+			$items[ (int) $row->object_id ] = array(
+				'id'       => (int) $row->id,
+				'attempts' => (int) $row->attempts,
+				'previous' => is_array( $previous ) ? $previous : array(),
+			);
+		}
+
+		return $items;
+	}
+
+	/**
+	 * Carry the fields an earlier attempt saved into a retry's result.
+	 *
+	 * The retry skipped those fields, so without this the item would be
+	 * reported as skipped, or lose them from the run report.
+	 *
+	 * @param array $previous Result stored when the item was requeued.
+	 * @param array $result   Result of the retry.
+	 * @return array Merged result.
+	 */
+	private static function merge_previous_result( $previous, $result ) {
+		foreach ( $previous['fields'] as $field ) {
+			if ( ! isset( $result[ $field ] ) && isset( $previous[ $field ] ) ) {
+				$result[ $field ] = $previous[ $field ];
+			}
+		}
+
+		$result['fields'] = array_values( array_unique( array_merge(
+			$previous['fields'],
+			isset( $result['fields'] ) ? (array) $result['fields'] : array()
+		) ) );
+
+		if ( 'skipped' === $result['status'] ) {
+			$result['status']  = 'generated';
+			$result['message'] = '';
+		}
+
+		if ( ! isset( $result['credits'] ) && isset( $previous['credits'] ) ) {
+			$result['credits'] = $previous['credits'];
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get when the earliest item waiting to be retried is due.
+	 *
+	 * @param int $job_id Job ID.
+	 * @return int Unix time, or 0 if no item is waiting.
+	 */
+	private static function get_next_retry( $job_id ) {
+		global $wpdb;
+
+		$items_table = self::items_table();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (int) $wpdb->get_var( $wpdb->prepare( "SELECT MIN(retry_at) FROM {$items_table} WHERE job_id = %d AND status = 'pending'", $job_id ) );
+	}
+
+	/**
+	 * Put an item that hit a transient error back in the queue.
+	 *
+	 * The delay doubles with each attempt (RETRY_DELAY, 2x, 4x, ...). The
+	 * result is stored with a new sequence number so the log shows the retry.
+	 *
+	 * @param int   $item_id Item row ID.
+	 * @param array $result  Failed result from the process callback.
+	 * @param int   $seq     Log sequence number.
+	 * @param int   $attempt Retry number, starting at 1.
+	 */
+	private static function requeue_item( $item_id, $result, $seq, $attempt ) {
+		global $wpdb;
+
+		$delay = self::RETRY_DELAY * pow( 2, $attempt - 1 );
+
+		unset( $result['status'], $result['retryable'] );
+		$result['retry']       = $attempt;
+		$result['max_retries'] = self::MAX_RETRIES;
+		$result['retry_in']    = $delay;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Custom table.
+		$wpdb->update(
+			self::items_table(),
+			array(
+				'status'     => 'pending',
+				'seq'        => $seq,
+				'attempts'   => $attempt,
+				'retry_at'   => time() + $delay,
+				'result'     => wp_json_encode( $result ),
+				'updated_at' => current_time( 'mysql', true ),
+			),
+			array( 'id' => $item_id ),
+			array( '%s', '%d', '%d', '%d', '%s', '%s' ),
+			array( '%d' )
+		);
+
+		Visionati_API::debug_log( 'jobs: item requeued for retry', array(
+			'item_id' => $item_id,
+			'attempt' => $attempt,
+			'delay'   => $delay,
+			'message' => isset( $result['message'] ) ? $result['message'] : '',
+		) );
+	}
+
+	/**
+	 * Get the highest log sequence number used by a job.
+	 *
+	 * @param int $job_id Job ID.
+	 * @return int
+	 */
+	private static function get_max_seq( $job_id ) {
+		global $wpdb;
+
+		$items_table = self::items_table();
+
+		// phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
+		return (int) $wpdb->get_var( $wpdb->prepare( "SELECT MAX(seq) FROM {$items_table} WHERE job_id = %d", $job_id ) );
+	}
+
+	/**
+	 * Store a processed item's result.
+	 *
+	 * @param int   $item_id Item row ID.
+	 * @param array $result  Result array from the process callback.
+	 * @param int   $seq     Log sequence number.
+	 */
+	private static function save_item_result( $item_id, $result, $seq ) {
+		global $wpdb;
+
+		$status = isset( $result['status'] ) && in_array( $result['status'], array( 'generated', 'skipped', 'failed' ), true )
+			? $result['status']
+			: 'failed';
+		unset( $result['status'] );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Custom table.
+		$wpdb->update(
+			self::items_table(),
+			array(
+				'status'     => $status,
+				'seq'        => $seq,
+				'result'     => wp_json_encode( $result ),
+				'updated_at' => current_time( 'mysql', true ),
+			),
+			array( 'id' => $item_id ),
+			array( '%s', '%d', '%s', '%s' ),
+			array( '%d' )
+		);
+	}
+
+	/**
+	 * Run a slice inline if a running job has made no progress for a while.
+	 *
+	 * Fallback for sites where scheduled events never fire. The bulk page
+	 * keeps polling, so an open page still finishes the job.
+	 *
+	 * @param object $job Job record.
+	 */
+	private function maybe_run_stalled( $job ) {
+		if ( 'running' !== $job->status || (int) $job->locked_until >= time() ) {
+			return;
+		}
+
+		if ( time() - strtotime( $job->updated_at . ' UTC' ) < self::STALL_SECONDS ) {
+			return;
+		}
+
+		Visionati_API::debug_log( 'jobs: job stalled, running a slice inline', array( 'job_id' => $job->id ) );
+		$this->run_job( $job->id );
+	}
+
+	// -------------------------------------------------------------------------
+	// AJAX Handlers
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Load the job referenced by the request and check permissions.
+	 *
+	 * Accepts either a job_id, or a type to look up that type's active job.
+	 * Sends a JSON error and exits on failure.
+	 *
+	 * @return object|null The job, or null when a type was given and no job is active.
+	 */
+	private function get_requested_job() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		// Read from the request so GET downloads (export) work too.
+		$job_id = isset( $_REQUEST['job_id'] ) ? absint( $_REQUEST['job_id'] ) : 0;
+		$type   = isset( $_REQUEST['type'] ) ? sanitize_key( $_REQUEST['type'] ) : '';
+
+		if ( $job_id ) {
+			$job = self::get( $job_id );
+			if ( ! $job ) {
+				Visionati_API::send_json_error( array( 'message' => __( 'Job not found.', 'visionati' ) ) );
+			}
+			$type = $job->type;
+		} else {
+			$job = null;
+		}
+
+		if ( ! isset( self::$types[ $type ] ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Unknown job type.', 'visionati' ) ) );
+		}
+
+		if ( ! current_user_can( self::$types[ $type ]['capability'] ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		return $job ? $job : self::get_active( $type );
+	}
+
+	/**
+	 * AJAX handler: return a job's progress and new log entries.
+	 */
+	public function ajax_status() {
+		$job = $this->get_requested_job();
+
+		if ( ! $job ) {
+			Visionati_API::send_json_success( array( 'job' => null ) );
+		}
+
+		$this->maybe_run_stalled( $job );
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Missing -- Verified in get_requested_job().
+		$since = isset( $_POST['since'] ) ? absint( $_POST['since'] ) : 0;
+
+		Visionati_API::send_json_success( array( 'job' => self::get_status( self::get( $job->id ), $since ) ) );
+	}
+
+	/**
+	 * AJAX handler: pause a running job.
+	 */
+	public function ajax_pause() {
+		$job = $this->get_requested_job();
+
+		if ( ! $job || 'running' !== $job->status ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Job is not running.', 'visionati' ) ) );
+		}
+
+		self::update( $job->id, array( 'status' => 'paused' ) );
+
+		Visionati_API::send_json_success( array( 'job' => self::get_status( self::get( $job->id ), PHP_INT_MAX ) ) );
+	}
+
+	/**
+	 * AJAX handler: resume a paused or stopped job.
+	 */
+	public function ajax_resume() {
+		$job = $this->get_requested_job();
+
+		if ( ! $job || ! in_array( $job->status, array( 'paused', 'stopped' ), true ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Job cannot be resumed.', 'visionati' ) ) );
+		}
+
+		self::apply_requested_budget( $job );
+
+		self::update( $job->id, array(
+			'status'  => 'running',
+			'message' => '',
+			'args'    => wp_json_encode( $job->args ),
+		) );
+		self::schedule( $job->id );
+
+		Visionati_API::send_json_success( array( 'job' => self::get_status( self::get( $job->id ), PHP_INT_MAX ) ) );
+	}
+
+	/**
+	 * AJAX handler: cancel a job. Items already processed keep their results.
+	 */
+	public function ajax_cancel() {
+		$job = $this->get_requested_job();
+
+		if ( ! $job || ! in_array( $job->status, self::ACTIVE_STATUSES, true ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Job is not active.', 'visionati' ) ) );
+		}
+
+		self::update( $job->id, array( 'status' => 'cancelled' ) );
+
+		Visionati_API::send_json_success( array( 'job' => self::get_status( self::get( $job->id ), PHP_INT_MAX ) ) );
+	}
+
+	/**
+	 * AJAX handler: requeue a job's failed items and run it again.
+	 */
+	public function ajax_retry() {
+		global $wpdb;
+
+		$job = $this->get_requested_job();
+
+		if ( ! $job ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Job not found.', 'visionati' ) ) );
+		}
+
+		if ( 'running' === $job->status || (int) $job->locked_until >= time() ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Job is still running.', 'visionati' ) ) );
+		}
+
+		$active = self::get_active( $job->type );
+		if ( $active && $active->id !== $job->id ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'A bulk job is already in progress. Wait for it to finish or cancel it first.', 'visionati' ) ) );
+		}
+
+		self::apply_requested_budget( $job );
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Custom table.
+		$requeued = $wpdb->update(
+			self::items_table(),
+			array(
+				'status'   => 'pending',
+				'attempts' => 0,
+				'retry_at' => 0,
+			),
+			array(
+				'job_id' => $job->id,
+				'status' => 'failed',
+			),
+			array( '%s', '%d', '%d' ),
+			array( '%d', '%s' )
+		);
+
+		if ( ! $requeued ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'No failed items to retry.', 'visionati' ) ) );
+		}
+
+		// Writes from the retry can be reverted again.
+		$args = $job->args;
+		unset( $args['reverted'] );
+
+		self::update( $job->id, array(
+			'status'  => 'running',
+			'message' => '',
+			'args'    => wp_json_encode( $args ),
+		) );
+		self::schedule( $job->id );
+
+		Visionati_API::debug_log( 'jobs: failed items requeued', array(
+			'job_id' => $job->id,
+			'items'  => $requeued,
+		) );
+
+		Visionati_API::send_json_success( array( 'job' => self::get_status( self::get( $job->id ), PHP_INT_MAX ) ) );
+	}
+
+	/**
+	 * AJAX handler: revert every field a job wrote.
+	 *
+	 * An unfinished job is cancelled first so it cannot write again after
+	 * the revert. Fields edited since the run are left untouched.
+	 */
+	public function ajax_revert() {
+		$job = $this->get_requested_job();
+
+		if ( ! $job ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Job not found.', 'visionati' ) ) );
+		}
+
+		if ( 'running' === $job->status || (int) $job->locked_until >= time() ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Pause the job and wait for the current batch to finish before reverting.', 'visionati' ) ) );
+		}
+
+		if ( ! empty( $job->args['reverted'] ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'This run has already been reverted.', 'visionati' ) ) );
+		}
+
+		$data = array( 'args' => wp_json_encode( array_merge( $job->args, array( 'reverted' => true ) ) ) );
+		if ( in_array( $job->status, self::ACTIVE_STATUSES, true ) ) {
+			$data['status'] = 'cancelled';
+		}
+		self::update( $job->id, $data );
+
+		$counts = Visionati_History::revert_job( $job->id );
+
+		Visionati_API::send_json_success( array_merge( $counts, array(
+			'job' => self::get_status( self::get( $job->id ), PHP_INT_MAX ),
+		) ) );
+	}
+
+	/**
+	 * AJAX handler: download the run report as CSV or JSON.
+	 *
+	 * Requested with GET from an Export link, so the response is a file
+	 * rather than a JSON envelope.
+	 */
+	public function ajax_export() {
+		$job = $this->get_requested_job();
+
+		if ( ! $job ) {
+			wp_die( esc_html__( 'Job not found.', 'visionati' ), '', array( 'response' => 404 ) );
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Verified in get_requested_job().
+		$format   = isset( $_GET['format'] ) && 'json' === $_GET['format'] ? 'json' : 'csv';
+		$rows     = self::get_report( $job );
+		$filename = sprintf( 'visionati-%s-run-%d.%s', $job->type, $job->id, $format );
+
+		Visionati_API::debug_log( 'jobs: report exported', array(
+			'job_id' => $job->id,
+			'format' => $format,
+			'rows'   => count( $rows ),
+		) );
+
+		nocache_headers();
+		header( 'Content-Type: ' . ( 'json' === $format ? 'application/json' : 'text/csv' ) . '; charset=utf-8' );
+		header( 'Content-Disposition: attachment; filename="' . $filename . '"' );
+
+		if ( 'json' === $format ) {
+			echo wp_json_encode(
+				array(
+					'job'   => array(
+						'id'         => $job->id,
+						'type'       => $job->type,
+						'status'     => $job->status,
+						'created_at' => $job->created_at,
+						'updated_at' => $job->updated_at,
+					),
+					'items' => $rows,
+				),
+				JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE
+			);
+			exit;
+		}
+
+		$labels = Visionati_History::get_fields();
+
+		// phpcs:disable WordPress.WP.AlternativeFunctions.file_system_operations_fopen, WordPress.WP.AlternativeFunctions.file_system_operations_fwrite, WordPress.WP.AlternativeFunctions.file_system_operations_fclose -- Streaming to php://output.
+		$output = fopen( 'php://output', 'w' );
+
+		// UTF-8 BOM so spreadsheet apps detect the encoding.
+		fwrite( $output, "\xEF\xBB\xBF" );
+		fputcsv( $output, array( 'ID', 'Name', 'Status', 'Fields', 'Generated text', 'Error', 'Credits remaining' ) );
+
+		foreach ( $rows as $row ) {
+			$text = array();
+			foreach ( $row['text'] as $field => $value ) {
+				$label  = isset( $labels[ $field ] ) ? $labels[ $field ] : $field;
+				$text[] = $label . ': ' . $value;
+			}
+
+			fputcsv( $output, array_map( array( __CLASS__, 'csv_cell' ), array(
+				$row['id'],
+				$row['name'],
+				$row['status'],
+				implode( ', ', $row['fields'] ),
+				implode( "\n\n", $text ),
+				'failed' === $row['status'] || 'skipped' === $row['status'] ? $row['message'] : '',
+				null === $row['credits'] ? '' : $row['credits'],
+			) ) );
+		}
+
+		fclose( $output );
+		// phpcs:enable
+		exit;
+	}
+
+	/**
+	 * Neutralise spreadsheet formulas in a CSV cell.
+	 *
+	 * Generated text and filenames are user-influenced, so a leading
+	 * =, +, - or @ is escaped to stop spreadsheet apps evaluating it.
+	 *
+	 * @param mixed $value Cell value.
+	 * @return string
+	 */
+	private static function csv_cell( $value ) {
+		$value = (string) $value;
+
+		if ( '' !== $value && in_array( $value[0], array( '=', '+', '-', '@' ), true ) ) {
+			$value = "'" . $value;
+		}
+
+		return $value;
+	}
+}
\ No newline at end of file
@@ -0,0 +1,339 @@
+<?php
+/**
+ * Visionati Media Library Status
+ *
+ * Adds a Visionati column to the Media Library list view with the alt
+ * text, caption, and description status of each image and a button to
+ * generate the missing ones, plus an alt text filter for the list and
+ * grid views (the grid filter is added in initAttachmentFilters() in
+ * admin.js).
+ *
+ * A field counts as "generated by Visionati" while it still holds the
+ * text Visionati last generated for it. An MD5 of that text is kept in
+ * post meta on every save, so the filter can compare it in SQL.
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Visionati_Media_List {
+
+	/**
+	 * Post meta key prefix for the hash of the generated value, per field.
+	 *
+	 * @var string
+	 */
+	const GENERATED_META_PREFIX = '_visionati_generated_';
+
+	/**
+	 * Query var / request key for the alt text filter.
+	 *
+	 * @var string
+	 */
+	const FILTER_VAR = 'visionati_alt';
+
+	/**
+	 * Constructor. Register hooks.
+	 */
+	public function __construct() {
+		add_action( 'visionati_field_saved', array( $this, 'track_generated_field' ), 10, 5 );
+		add_filter( 'manage_media_columns', array( $this, 'add_column' ) );
+		add_action( 'manage_media_custom_column', array( $this, 'render_column' ), 10, 2 );
+		add_action( 'restrict_manage_posts', array( $this, 'render_filter' ) );
+		add_action( 'pre_get_posts', array( $this, 'filter_list_query' ) );
+		add_filter( 'ajax_query_attachments_args', array( $this, 'filter_grid_query' ) );
+		add_filter( 'posts_clauses', array( $this, 'filter_clauses' ), 10, 2 );
+		add_action( 'wp_ajax_visionati_media_column', array( $this, 'ajax_get_column' ) );
+	}
+
+	/**
+	 * Get the alt text filter options.
+	 *
+	 * @return array Associative array of value => label.
+	 */
+	public static function get_filters() {
+		return array(
+			'missing'   => __( 'Missing alt text', 'visionati' ),
+			'generated' => __( 'Generated by Visionati', 'visionati' ),
+			'manual'    => __( 'Manually edited', 'visionati' ),
+		);
+	}
+
+	/**
+	 * Get the status of an attachment field.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $field         'alt_text', 'caption', or 'description'.
+	 * @return string 'missing', 'generated' (still the text Visionati generated), or 'manual'.
+	 */
+	public static function get_field_status( $attachment_id, $field ) {
+		$value = Visionati_History::get_value( $attachment_id, $field );
+
+		if ( '' === trim( wp_strip_all_tags( $value ) ) ) {
+			return 'missing';
+		}
+
+		$hash = get_post_meta( $attachment_id, self::GENERATED_META_PREFIX . $field, true );
+
+		// Fields generated before the hash was kept: look them up in history once.
+		if ( '' === $hash && self::was_generated( $attachment_id, $field, $value ) ) {
+			$hash = md5( $value );
+			update_post_meta( $attachment_id, self::GENERATED_META_PREFIX . $field, $hash );
+		}
+
+		return md5( $value ) === $hash ? 'generated' : 'manual';
+	}
+
+	/**
+	 * Check whether Visionati ever generated a value for a field.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $field         Field slug.
+	 * @param string $value         Value to look for.
+	 * @return bool
+	 */
+	private static function was_generated( $attachment_id, $field, $value ) {
+		foreach ( Visionati_History::get_entries( $attachment_id ) as $entry ) {
+			if ( $entry['field'] === $field && 'generate' === $entry['action'] && $entry['new'] === $value ) {
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Keep the generated-value hash in sync when Visionati saves a field.
+	 *
+	 * Restores and reverts keep the hash only when they put back text
+	 * Visionati generated earlier.
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $field   Field slug.
+	 * @param string $new     Value after the write.
+	 * @param string $old     Value before the write.
+	 * @param array  $source  Where the value came from.
+	 */
+	public function track_generated_field( $post_id, $field, $new, $old, $source ) {
+		if ( 'attachment' !== get_post_type( $post_id ) || ! in_array( $field, Visionati_Media::get_valid_contexts(), true ) ) {
+			return;
+		}
+
+		$action = isset( $source['action'] ) ? $source['action'] : 'generate';
+
+		if ( '' !== $new && ( 'generate' === $action || self::was_generated( $post_id, $field, $new ) ) ) {
+			update_post_meta( $post_id, self::GENERATED_META_PREFIX . $field, md5( $new ) );
+		} else {
+			delete_post_meta( $post_id, self::GENERATED_META_PREFIX . $field );
+		}
+	}
+
+	// -------------------------------------------------------------------------
+	// List view column
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Add the Visionati column to the Media Library list view.
+	 *
+	 * @param array $columns Column slug => title.
+	 * @return array
+	 */
+	public function add_column( $columns ) {
+		$columns['visionati'] = __( 'Visionati', 'visionati' );
+		return $columns;
+	}
+
+	/**
+	 * Render the Visionati column for an attachment.
+	 *
+	 * @param string $column_name   Column slug.
+	 * @param int    $attachment_id Attachment ID.
+	 */
+	public function render_column( $column_name, $attachment_id ) {
+		if ( 'visionati' !== $column_name ) {
+			return;
+		}
+
+		echo self::get_column_html( $attachment_id ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Escaped in get_column_html().
+	}
+
+	/**
+	 * Build the Visionati column markup for an attachment.
+	 *
+	 * @param int $attachment_id Attachment ID.
+	 * @return string
+	 */
+	public static function get_column_html( $attachment_id ) {
+		if ( ! Visionati_API::is_supported_image( $attachment_id ) ) {
+			return '<span aria-hidden="true">&mdash;</span>';
+		}
+
+		$labels   = Visionati_History::get_fields();
+		$statuses = array(
+			'missing'   => array( 'dashicons-warning', __( 'Missing', 'visionati' ) ),
+			'generated' => array( 'dashicons-yes-alt', __( 'Visionati', 'visionati' ) ),
+			'manual'    => array( 'dashicons-edit', __( 'Manual', 'visionati' ) ),
+		);
+		$missing  = array();
+
+		$html = '<ul class="visionati-column-status">';
+		foreach ( Visionati_Media::get_valid_contexts() as $field ) {
+			$status = self::get_field_status( $attachment_id, $field );
+
+			if ( 'missing' === $status ) {
+				$missing[] = $field;
+			}
+
+			$html .= sprintf(
+				'<li class="is-%1$s"><span class="dashicons %2$s" aria-hidden="true"></span> %3$s: %4$s</li>',
+				esc_attr( $status ),
+				esc_attr( $statuses[ $status ][0] ),
+				esc_html( $labels[ $field ] ),
+				esc_html( $statuses[ $status ][1] )
+			);
+		}
+		$html .= '</ul>';
+
+		if ( $missing && current_user_can( 'edit_post', $attachment_id ) && get_option( 'visionati_api_key', '' ) ) {
+			$html .= sprintf(
+				'<button type="button" class="button button-small visionati-column-generate" data-attachment-id="%1$d" data-contexts="%2$s">%3$s</button> <span class="visionati-status" role="status"></span>',
+				absint( $attachment_id ),
+				esc_attr( implode( ',', $missing ) ),
+				esc_html__( 'Generate missing', 'visionati' )
+			);
+		}
+
+		return $html;
+	}
+
+	/**
+	 * AJAX handler: get the Visionati column markup after generating.
+	 */
+	public function ajax_get_column() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		$attachment_id = isset( $_POST['attachment_id'] ) ? absint( $_POST['attachment_id'] ) : 0;
+
+		if ( ! current_user_can( 'upload_files' ) || ! current_user_can( 'edit_post', $attachment_id ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		Visionati_API::send_json_success( array( 'html' => self::get_column_html( $attachment_id ) ) );
+	}
+
+	// -------------------------------------------------------------------------
+	// Filters
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Render the alt text filter dropdown in the list view.
+	 *
+	 * @param string $post_type Post type of the list table.
+	 */
+	public function render_filter( $post_type ) {
+		if ( 'attachment' !== $post_type ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only list filter.
+		$current = isset( $_GET[ self::FILTER_VAR ] ) ? sanitize_key( $_GET[ self::FILTER_VAR ] ) : '';
+		?>
+		<label for="visionati-alt-filter" class="screen-reader-text"><?php esc_html_e( 'Filter by alt text', 'visionati' ); ?></label>
+		<select name="<?php echo esc_attr( self::FILTER_VAR ); ?>" id="visionati-alt-filter">
+			<option value=""><?php esc_html_e( 'All alt text', 'visionati' ); ?></option>
+			<?php foreach ( self::get_filters() as $value => $label ) : ?>
+				<option value="<?php echo esc_attr( $value ); ?>" <?php selected( $current, $value ); ?>><?php echo esc_html( $label ); ?></option>
+			<?php endforeach; ?>
+		</select>
+		<?php
+	}
+
+	/**
+	 * Apply the alt text filter to the list view query.
+	 *
+	 * @param WP_Query $query The query.
+	 */
+	public function filter_list_query( $query ) {
+		global $pagenow;
+
+		if ( ! is_admin() || 'upload.php' !== $pagenow || ! $query->is_main_query() ) {
+			return;
+		}
+
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only list filter.
+		$filter = isset( $_GET[ self::FILTER_VAR ] ) ? sanitize_key( $_GET[ self::FILTER_VAR ] ) : '';
+
+		if ( isset( self::get_filters()[ $filter ] ) ) {
+			$query->set( self::FILTER_VAR, $filter );
+			if ( ! $query->get( 'post_mime_type' ) ) {
+				$query->set( 'post_mime_type', Visionati_API::get_supported_mime_types() );
+			}
+		}
+	}
+
+	/**
+	 * Apply the alt text filter to the grid view query.
+	 *
+	 * The grid sends it as a query prop, which core drops from the args.
+	 *
+	 * @param array $args WP_Query args for the attachments request.
+	 * @return array
+	 */
+	public function filter_grid_query( $args ) {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only filter on core's query-attachments request.
+		$filter = isset( $_REQUEST['query'][ self::FILTER_VAR ] ) ? sanitize_key( wp_unslash( $_REQUEST['query'][ self::FILTER_VAR ] ) ) : '';
+
+		if ( isset( self::get_filters()[ $filter ] ) ) {
+			$args[ self::FILTER_VAR ] = $filter;
+			if ( empty( $args['post_mime_type'] ) ) {
+				$args['post_mime_type'] = Visionati_API::get_supported_mime_types();
+			}
+		}
+
+		return $args;
+	}
+
+	/**
+	 * Add the SQL for the alt text filter.
+	 *
+	 * @param array    $clauses Query clauses.
+	 * @param WP_Query $query   The query.
+	 * @return array
+	 */
+	public function filter_clauses( $clauses, $query ) {
+		global $wpdb;
+
+		$filter = $query->get( self::FILTER_VAR );
+
+		if ( ! $filter || ! isset( self::get_filters()[ $filter ] ) ) {
+			return $clauses;
+		}
+
+		$clauses['join'] .= $wpdb->prepare(
+			" LEFT JOIN {$wpdb->postmeta} visionati_alt ON visionati_alt.post_id = {$wpdb->posts}.ID AND visionati_alt.meta_key = %s",
+			'_wp_attachment_image_alt'
+		);
+
+		if ( 'missing' === $filter ) {
+			$clauses['where'] .= " AND ( visionati_alt.meta_value IS NULL OR visionati_alt.meta_value = '' )";
+			return $clauses;
+		}
+
+		$clauses['join'] .= $wpdb->prepare(
+			" LEFT JOIN {$wpdb->postmeta} visionati_gen ON visionati_gen.post_id = {$wpdb->posts}.ID AND visionati_gen.meta_key = %s",
+			self::GENERATED_META_PREFIX . 'alt_text'
+		);
+		$clauses['where'] .= " AND visionati_alt.meta_value <> ''";
+
+		if ( 'generated' === $filter ) {
+			$clauses['where'] .= ' AND MD5( visionati_alt.meta_value ) = visionati_gen.meta_value';
+		} else {
+			$clauses['where'] .= ' AND ( visionati_gen.meta_value IS NULL OR MD5( visionati_alt.meta_value ) <> visionati_gen.meta_value )';
+		}
+
+		return $clauses;
+	}
+}
\ No newline at end of file
@@ -15,6 +15,51 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 class Visionati_Media {
 
+	/**
+	 * Default number of images a bulk job processes in parallel.
+	 *
+	 * @var int
+	 */
+	const DEFAULT_BULK_CONCURRENCY = 3;
+
+	/**
+	 * Maximum number of images a bulk job processes in parallel.
+	 *
+	 * The background runner submits this many images per batch and polls
+	 * them together, so this caps the burst of API requests per batch.
+	 *
+	 * @var int
+	 */
+	const MAX_BULK_CONCURRENCY = 5;
+
+	/**
+	 * Minimum number of backends in a model comparison.
+	 *
+	 * @var int
+	 */
+	const MIN_COMPARE_BACKENDS = 2;
+
+	/**
+	 * Maximum number of backends in a model comparison.
+	 *
+	 * @var int
+	 */
+	const MAX_COMPARE_BACKENDS = 4;
+
+	/**
+	 * Post meta key holding an attachment's auto-generate status.
+	 *
+	 * @var string
+	 */
+	const AUTO_GENERATE_META_KEY = '_visionati_auto_generate';
+
+	/**
+	 * How long the media grid shows a finished auto-generate result.
+	 *
+	 * @var int
+	 */
+	const AUTO_GENERATE_BADGE_SECONDS = 600;
+
 	/**
 	 * Constructor. Register hooks.
 	 */
@@ -22,14 +67,37 @@ class Visionati_Media {
 		add_filter( 'attachment_fields_to_edit', array( $this, 'add_generate_button' ), 10, 2 );
 		add_action( 'wp_ajax_visionati_analyze', array( $this, 'ajax_analyze' ) );
 		add_action( 'wp_ajax_visionati_apply_field', array( $this, 'ajax_apply_field' ) );
+		add_action( 'wp_ajax_visionati_compare', array( $this, 'ajax_compare' ) );
 		add_action( 'wp_ajax_visionati_bulk_analyze', array( $this, 'ajax_bulk_analyze' ) );
 		add_action( 'wp_ajax_visionati_get_images', array( $this, 'ajax_get_images' ) );
+		add_action( 'wp_ajax_visionati_bulk_start', array( $this, 'ajax_bulk_start' ) );
+		add_action( 'wp_ajax_visionati_bulk_get_stats', array( $this, 'ajax_get_stats' ) );
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
 		add_action( 'add_attachment', array( $this, 'auto_generate_on_upload' ) );
+		add_action( 'visionati_bulk_item_processed', array( $this, 'finish_auto_generate' ), 10, 3 );
+		add_filter( 'wp_prepare_attachment_for_js', array( $this, 'add_auto_generate_status_to_js' ), 10, 2 );
+		add_action( 'wp_ajax_visionati_auto_generate_status', array( $this, 'ajax_auto_generate_status' ) );
 		add_action( 'admin_menu', array( $this, 'register_bulk_page' ) );
 		add_filter( 'bulk_actions-upload', array( $this, 'register_bulk_action' ) );
 		add_filter( 'handle_bulk_actions-upload', array( $this, 'handle_bulk_action' ), 10, 3 );
 		add_action( 'admin_notices', array( $this, 'bulk_action_notice' ) );
 		add_action( 'admin_notices', array( $this, 'auto_generate_error_notice' ) );
+
+		Visionati_Jobs::register_type( 'media', array(
+			'capability' => 'upload_files',
+			'process'    => array( $this, 'process_job_batch' ),
+		) );
+
+		Visionati_Jobs::register_type( 'auto', array(
+			'capability'   => 'upload_files',
+			'process'      => array( $this, 'process_auto_generate_batch' ),
+			'fail_on_stop' => true,
+		) );
+
+		Visionati_Review::register_type( 'attachment', array(
+			'capability' => 'upload_files',
+			'apply'      => array( $this, 'apply_field' ),
+		) );
 	}
 
 	/**
@@ -60,6 +128,9 @@ class Visionati_Media {
 			'<button type="button" class="button" data-attachment-id="%d" data-context="alt_text">%s</button>' .
 			'<button type="button" class="button" data-attachment-id="%d" data-context="caption">%s</button>' .
 			'<button type="button" class="button" data-attachment-id="%d" data-context="description">%s</button>' .
+			'<button type="button" class="button visionati-media-compare-btn" data-attachment-id="%d">%s</button>' .
+			'<button type="button" class="button visionati-history-btn" data-post-id="%d">%s</button>' .
+			'<label class="visionati-media-variants-toggle"><input type="checkbox" class="visionati-media-variants" /> %s</label>' .
 			'</div>' .
 			'<div class="visionati-media-previews" data-attachment-id="%d"></div>',
 			$attachment_id,
@@ -68,6 +139,15 @@ class Visionati_Media {
 			esc_html__( 'Caption', 'visionati' ),
 			$attachment_id,
 			esc_html__( 'Description', 'visionati' ),
+			$attachment_id,
+			esc_html__( 'Compare models', 'visionati' ),
+			$attachment_id,
+			esc_html__( 'History', 'visionati' ),
+			esc_html( sprintf(
+				/* translators: %d: number of candidate descriptions */
+				__( 'Generate %d options', 'visionati' ),
+				Visionati_API::VARIANT_COUNT
+			) ),
 			$attachment_id
 		);
 
@@ -85,6 +165,7 @@ class Visionati_Media {
 	 *
 	 * Returns the generated description for preview. The JS displays it
 	 * and the user clicks Apply or Discard. Saving happens via ajax_apply_field.
+	 * With 'variants' set, several candidates are returned to pick from.
 	 */
 	public function ajax_analyze() {
 		check_ajax_referer( 'visionati_nonce', 'nonce' );
@@ -94,39 +175,79 @@ class Visionati_Media {
 		}
 
 		$attachment_id = isset( $_POST['attachment_id'] ) ? absint( $_POST['attachment_id'] ) : 0;
+		$context       = isset( $_POST['context'] ) ? sanitize_key( $_POST['context'] ) : 'alt_text';
 
-		if ( ! $attachment_id ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'No attachment ID provided.', 'visionati' ) ) );
+		$result = $this->preview_field( $attachment_id, $context, ! empty( $_POST['variants'] ) );
+
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
 		}
 
-		$valid_contexts = array( 'alt_text', 'caption', 'description' );
-		$context        = isset( $_POST['context'] ) ? sanitize_key( $_POST['context'] ) : 'alt_text';
+		Visionati_API::send_json_success( $result );
+	}
 
-		if ( ! in_array( $context, $valid_contexts, true ) ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'Invalid context.', 'visionati' ) ) );
+	/**
+	 * Generate a preview of one field for an attachment. Nothing is saved.
+	 *
+	 * Shared by ajax_analyze() and the REST analyze route.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $context       'alt_text', 'caption', or 'description'.
+	 * @param bool   $variants      Return several candidates to pick from.
+	 * @return array|WP_Error Preview data, or error.
+	 */
+	public function preview_field( $attachment_id, $context, $variants = false ) {
+		if ( ! $attachment_id ) {
+			return new WP_Error( 'visionati_missing_attachment', __( 'No attachment ID provided.', 'visionati' ), array( 'status' => 400 ) );
+		}
+
+		if ( ! in_array( $context, self::get_valid_contexts(), true ) ) {
+			return new WP_Error( 'visionati_invalid_context', __( 'Invalid context.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
 		$api     = new Visionati_API();
-		$options = $this->get_options_for_context( $context );
+		$options = $this->get_options_for_context( $context, $attachment_id );
 
-		Visionati_API::debug_log( 'ajax_analyze: preview request', array(
+		Visionati_API::debug_log( 'preview_field: preview request', array(
 			'attachment_id' => $attachment_id,
 			'context'       => $context,
 			'role'          => isset( $options['role'] ) ? $options['role'] : '(default)',
+			'variants'      => $variants,
 		) );
 
+		// "Generate 3 options" mode: return every distinct candidate so the
+		// user can pick one. The first is also sent as 'description'.
+		if ( $variants ) {
+			$candidates = $api->analyze_attachment_variants( $attachment_id, $options );
+
+			if ( is_wp_error( $candidates ) ) {
+				return $candidates;
+			}
+
+			$result = array(
+				'attachment_id' => $attachment_id,
+				'context'       => $context,
+				'description'   => $candidates['descriptions'][0]['text'],
+				'descriptions'  => $candidates['descriptions'],
+			);
+
+			if ( null !== $candidates['credits'] ) {
+				$result['credits'] = $candidates['credits'];
+			}
+
+			return $result;
+		}
+
 		$response = $api->analyze_attachment( $attachment_id, $options );
 
 		if ( is_wp_error( $response ) ) {
-			Visionati_API::send_json_error( array( 'message' => $response->get_error_message() ) );
+			return $response;
 		}
 
 		$description = Visionati_API::get_first_description( $response );
 
 		if ( empty( $description ) ) {
-			Visionati_API::send_json_error( array(
-				'message' => __( 'No description returned from the API.', 'visionati' ),
-			) );
+			return new WP_Error( 'visionati_no_description', __( 'No description returned from the API.', 'visionati' ) );
 		}
 
 		$credits = Visionati_API::extract_credits( $response );
@@ -141,14 +262,83 @@ class Visionati_Media {
 			$result['credits'] = $credits;
 		}
 
-		Visionati_API::send_json_success( $result );
+		return $result;
+	}
+
+	/**
+	 * AJAX handler: generate one field with several backends side by side.
+	 *
+	 * Preview only, like ajax_analyze. Each result can be applied with
+	 * ajax_apply_field.
+	 */
+	public function ajax_compare() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$attachment_id = isset( $_POST['attachment_id'] ) ? absint( $_POST['attachment_id'] ) : 0;
+
+		if ( ! $attachment_id ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'No attachment ID provided.', 'visionati' ) ) );
+		}
+
+		$context = isset( $_POST['context'] ) ? sanitize_key( $_POST['context'] ) : 'alt_text';
+
+		if ( ! in_array( $context, self::get_valid_contexts(), true ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Invalid context.', 'visionati' ) ) );
+		}
+
+		$backends = isset( $_POST['backends'] ) ? array_map( 'sanitize_key', (array) $_POST['backends'] ) : array();
+		$backends = array_values( array_unique( array_intersect( $backends, array_keys( Visionati_API::get_description_backends() ) ) ) );
+
+		if ( count( $backends ) < self::MIN_COMPARE_BACKENDS || count( $backends ) > self::MAX_COMPARE_BACKENDS ) {
+			Visionati_API::send_json_error( array(
+				'message' => sprintf(
+					/* translators: 1: minimum number of models, 2: maximum number of models */
+					__( 'Select %1$d to %2$d models to compare.', 'visionati' ),
+					self::MIN_COMPARE_BACKENDS,
+					self::MAX_COMPARE_BACKENDS
+				),
+			) );
+		}
+
+		Visionati_API::debug_log( 'ajax_compare: request', array(
+			'attachment_id' => $attachment_id,
+			'context'       => $context,
+			'backends'      => $backends,
+		) );
+
+		$api     = new Visionati_API();
+		$results = $api->compare_backends( $attachment_id, $this->get_options_for_context( $context, $attachment_id ), $backends );
+
+		// Lowest balance seen is the most recent.
+		$credits = null;
+		foreach ( $results as $result ) {
+			if ( isset( $result['credits'] ) && null !== $result['credits'] && ( null === $credits || $result['credits'] < $credits ) ) {
+				$credits = $result['credits'];
+			}
+		}
+
+		$response = array(
+			'attachment_id' => $attachment_id,
+			'context'       => $context,
+			'results'       => $results,
+		);
+
+		if ( null !== $credits ) {
+			$response['credits'] = $credits;
+		}
+
+		Visionati_API::send_json_success( $response );
 	}
 
 	/**
 	 * AJAX handler: apply a previewed description to an attachment field.
 	 *
-	 * Saves text that was already generated and previewed by the user.
-	 * No API calls are made.
+	 * Saves text that was already generated and previewed by the user,
+	 * including any edits made in the preview. No API calls are made.
 	 */
 	public function ajax_apply_field() {
 		check_ajax_referer( 'visionati_nonce', 'nonce' );
@@ -158,47 +348,83 @@ class Visionati_Media {
 		}
 
 		$attachment_id = isset( $_POST['attachment_id'] ) ? absint( $_POST['attachment_id'] ) : 0;
+		$context       = isset( $_POST['context'] ) ? sanitize_key( $_POST['context'] ) : '';
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized per field in apply_field().
+		$description = isset( $_POST['description'] ) ? wp_unslash( $_POST['description'] ) : '';
+		$backend     = isset( $_POST['backend'] ) ? sanitize_key( $_POST['backend'] ) : '';
+
+		$result = $this->apply_field( $attachment_id, $context, $description, $backend );
+
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
 
+	/**
+	 * Save previewed text to one field of an attachment.
+	 *
+	 * Shared by ajax_apply_field() and the REST field route. The text is
+	 * sanitized here, so callers pass it unslashed but otherwise raw.
+	 *
+	 * @param int    $attachment_id Attachment ID.
+	 * @param string $context       'alt_text', 'caption', or 'description'.
+	 * @param string $description   Text to save.
+	 * @param string $backend       Model that wrote the text, if known (comparison columns send it).
+	 * @return array|WP_Error Saved fields and the stored value, or error.
+	 */
+	public function apply_field( $attachment_id, $context, $description, $backend = '' ) {
 		if ( ! $attachment_id ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'No attachment ID provided.', 'visionati' ) ) );
+			return new WP_Error( 'visionati_missing_attachment', __( 'No attachment ID provided.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
 		if ( ! get_post( $attachment_id ) ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'Attachment not found.', 'visionati' ) ) );
+			return new WP_Error( 'visionati_not_found', __( 'Attachment not found.', 'visionati' ), array( 'status' => 404 ) );
 		}
 
-		$valid_contexts = array( 'alt_text', 'caption', 'description' );
-		$context        = isset( $_POST['context'] ) ? sanitize_key( $_POST['context'] ) : '';
-
-		if ( ! in_array( $context, $valid_contexts, true ) ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'Invalid context.', 'visionati' ) ) );
+		if ( ! in_array( $context, self::get_valid_contexts(), true ) ) {
+			return new WP_Error( 'visionati_invalid_context', __( 'Invalid context.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
-		$description = isset( $_POST['description'] ) ? sanitize_textarea_field( wp_unslash( $_POST['description'] ) ) : '';
+		// The description preview is a rich editor, so keep its HTML; alt text
+		// and caption previews are plain textareas.
+		if ( 'description' === $context ) {
+			$description = wp_kses_post( (string) $description );
+		} else {
+			$description = sanitize_textarea_field( (string) $description );
+		}
 
-		if ( empty( $description ) ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'No description to apply.', 'visionati' ) ) );
+		if ( '' === trim( wp_strip_all_tags( $description ) ) ) {
+			return new WP_Error( 'visionati_empty_description', __( 'No description to apply.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
-		Visionati_API::debug_log( 'ajax_apply_field: saving', array(
+		Visionati_API::debug_log( 'apply_field: saving', array(
 			'attachment_id' => $attachment_id,
 			'context'       => $context,
 			'length'        => mb_strlen( $description ),
 		) );
 
-		$updated_fields = $this->update_attachment_fields( $attachment_id, $description, $context, true );
+		if ( ! array_key_exists( $backend, Visionati_API::get_description_backends() ) ) {
+			$backend = '';
+		}
+
+		$updated_fields = $this->update_attachment_fields( $attachment_id, $description, $context, true, array( 'backend' => $backend ) );
 
-		Visionati_API::send_json_success( array(
+		return array(
 			'attachment_id' => $attachment_id,
 			'context'       => $context,
 			'fields'        => $updated_fields,
-		) );
+			'value'         => Visionati_History::get_value( $attachment_id, $context ),
+		);
 	}
 
 	/**
-	 * AJAX handler: analyze a single attachment during bulk processing.
-	 * Processes one image per request for each selected context.
-	 * The JS client loops through the queue.
+	 * AJAX handler: generate the selected fields for one attachment.
+	 *
+	 * Used by the Generate link in the Media Library list column. Bulk
+	 * Generate no longer calls this: it runs as a background job (see
+	 * ajax_bulk_start()) and the page polls visionati_job_status.
 	 */
 	public function ajax_bulk_analyze() {
 		check_ajax_referer( 'visionati_nonce', 'nonce' );
@@ -287,10 +513,6 @@ class Visionati_Media {
 
 	/**
 	 * AJAX handler: get image attachment IDs for bulk processing.
-	 *
-	 * Uses a single SQL query to return only images that actually need
-	 * work for the selected contexts. If overwrite is enabled for any
-	 * selected context, all images are returned for that context.
 	 */
 	public function ajax_get_images() {
 		check_ajax_referer( 'visionati_nonce', 'nonce' );
@@ -299,9 +521,25 @@ class Visionati_Media {
 			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
 		}
 
-		$valid_contexts = array( 'alt_text', 'caption', 'description' );
-		$contexts       = isset( $_POST['contexts'] ) ? array_map( 'sanitize_key', (array) $_POST['contexts'] ) : array( 'alt_text' );
-		$contexts       = array_intersect( $contexts, $valid_contexts );
+		$contexts = isset( $_POST['contexts'] ) ? array_map( 'sanitize_key', (array) $_POST['contexts'] ) : array( 'alt_text' );
+
+		Visionati_API::send_json_success( $this->get_images_needing_work( $contexts, self::get_bulk_filters() ) );
+	}
+
+	/**
+	 * List the images that need work for the selected contexts.
+	 *
+	 * Uses a single SQL query to return only images that actually need
+	 * work for the selected contexts. If overwrite is enabled for any
+	 * selected context, all images are returned for that context.
+	 * Shared by ajax_get_images() and the REST images route.
+	 *
+	 * @param string[] $contexts Selected contexts. Invalid ones are dropped.
+	 * @param array    $filters  Bulk filters from get_bulk_filters().
+	 * @return array IDs, total, and cost estimate.
+	 */
+	public function get_images_needing_work( $contexts, $filters ) {
+		$contexts = array_intersect( $contexts, self::get_valid_contexts() );
 
 		if ( empty( $contexts ) ) {
 			$contexts = array( 'alt_text' );
@@ -322,14 +560,458 @@ class Visionati_Media {
 			}
 		}
 
-		$ids = $this->query_image_ids( $contexts, $needs_all );
+		$ids = $this->query_image_ids( $contexts, $needs_all, $filters );
+
+		return array(
+			'ids'      => $ids,
+			'total'    => count( $ids ),
+			'estimate' => $this->estimate_bulk_cost( $contexts, $filters ),
+		);
+	}
+
+	/**
+	 * Estimate the credits a bulk run for the selected fields will use.
+	 *
+	 * One request per image per field that needs work, priced at the
+	 * model configured for that field.
+	 *
+	 * @param string[] $contexts Selected contexts.
+	 * @param array    $filters  Bulk filters from get_bulk_filters().
+	 * @return array See Visionati_API::build_estimate().
+	 */
+	private function estimate_bulk_cost( $contexts, $filters ) {
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+		if ( ! is_array( $overwrite_fields ) ) {
+			$overwrite_fields = array();
+		}
+
+		$counts = $this->count_missing_fields( $filters );
+		$labels = Visionati_History::get_fields();
+		$lines  = array();
+
+		foreach ( $contexts as $context ) {
+			$options = $this->get_options_for_context( $context );
+			$lines[] = array(
+				'label'   => $labels[ $context ],
+				'count'   => in_array( $context, $overwrite_fields, true ) ? $counts['total'] : $counts[ $context ],
+				'backend' => isset( $options['backends'] ) ? $options['backends'] : get_option( 'visionati_backends', 'gemini' ),
+			);
+		}
+
+		return Visionati_API::build_estimate( $lines );
+	}
+
+	/**
+	 * AJAX handler: return missing-field stats for the current Bulk Generate filters.
+	 */
+	public function ajax_get_stats() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		Visionati_API::send_json_success( $this->count_missing_fields( self::get_bulk_filters() ) );
+	}
 
-		Visionati_API::send_json_success( array(
-			'ids'   => $ids,
-			'total' => count( $ids ),
+	/**
+	 * AJAX handler: start a background bulk job for the selected fields.
+	 *
+	 * Queries the images that need work (same rules as ajax_get_images)
+	 * and stores them as a job. Processing happens in the background;
+	 * the Bulk Generate page polls visionati_job_status for progress.
+	 */
+	public function ajax_bulk_start() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$contexts = isset( $_POST['contexts'] ) ? array_map( 'sanitize_key', (array) $_POST['contexts'] ) : array( 'alt_text' );
+		$contexts = array_values( array_intersect( $contexts, self::get_valid_contexts() ) );
+
+		if ( empty( $contexts ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'No fields selected.', 'visionati' ) ) );
+		}
+
+		$concurrency = isset( $_POST['concurrency'] ) ? absint( $_POST['concurrency'] ) : self::DEFAULT_BULK_CONCURRENCY;
+		$concurrency = min( max( 1, $concurrency ), self::MAX_BULK_CONCURRENCY );
+
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+		if ( ! is_array( $overwrite_fields ) ) {
+			$overwrite_fields = array();
+		}
+
+		$needs_all = (bool) array_intersect( $contexts, $overwrite_fields );
+		$filters   = self::get_bulk_filters();
+		$ids       = $this->query_image_ids( $contexts, $needs_all, $filters );
+
+		$job_id = Visionati_Jobs::create( 'media', $ids, array(
+			'contexts'    => $contexts,
+			'concurrency' => $concurrency,
+			'filters'     => $filters,
+			'budget'      => Visionati_Jobs::get_requested_budget(),
+			'review'      => ! empty( $_POST['review'] ),
+		) );
+
+		if ( is_wp_error( $job_id ) ) {
+			Visionati_API::send_json_error( array( 'message' => $job_id->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( array( 'job' => Visionati_Jobs::get_status( Visionati_Jobs::get( $job_id ) ) ) );
+	}
+
+	/**
+	 * Background job callback: process a batch of attachments.
+	 *
+	 * @param int[] $attachment_ids Attachment IDs claimed by the runner.
+	 * @param array $args           Job args with 'contexts' and 'review'.
+	 * @param array $done           Optional. Attachment ID => fields saved by earlier attempts.
+	 * @return array Associative array of attachment_id => result. See process_attachments().
+	 */
+	public function process_job_batch( $attachment_ids, $args, $done = array() ) {
+		$contexts = isset( $args['contexts'] ) ? array_intersect( (array) $args['contexts'], self::get_valid_contexts() ) : array();
+
+		if ( empty( $contexts ) ) {
+			$contexts = array( 'alt_text' );
+		}
+
+		return $this->process_attachments( $attachment_ids, $contexts, ! empty( $args['review'] ), $done );
+	}
+
+	/**
+	 * Generate the selected fields for several attachments in parallel.
+	 *
+	 * Every attachment/context pair that needs work is submitted first,
+	 * then all response URIs are polled in one round-robin loop, so a
+	 * batch of N images takes roughly the wall time of one. Fields that
+	 * already have content are skipped unless overwrite is on for them.
+	 * In review mode the text is queued as suggestions instead of saved.
+	 * On a retry, fields an earlier attempt saved are not generated again.
+	 *
+	 * @param int[]    $attachment_ids Attachment IDs.
+	 * @param string[] $contexts       Context slugs to generate.
+	 * @param bool     $review         Optional. Queue suggestions instead of saving. Default false.
+	 * @param array    $done           Optional. Attachment ID => fields saved by earlier
+	 *                                 attempts, left out of this one. Default empty.
+	 * @return array Associative array of attachment_id => result array with
+	 *               status ('generated', 'skipped' or 'failed'), fields,
+	 *               skipped_fields, message, credits (when known), and the
+	 *               filename/thumb display metadata.
+	 */
+	private function process_attachments( $attachment_ids, $contexts, $review = false, $done = array() ) {
+		$api     = new Visionati_API();
+		$results = array();
+		$pending = array();
+
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+		if ( ! is_array( $overwrite_fields ) ) {
+			$overwrite_fields = array();
+		}
+
+		// Phase 1: Submit every attachment/context pair that needs work.
+		foreach ( $attachment_ids as $attachment_id ) {
+			$results[ $attachment_id ] = array_merge( self::get_attachment_meta( $attachment_id ), array(
+				'attachment_id'  => $attachment_id,
+				'fields'         => array(),
+				'skipped_fields' => array(),
+				'message'        => '',
+				'credits'        => null,
+			) );
+
+			foreach ( $contexts as $context ) {
+				if ( isset( $done[ $attachment_id ] ) && in_array( $context, $done[ $attachment_id ], true ) ) {
+					continue;
+				}
+
+				if ( ! in_array( $context, $overwrite_fields, true ) && self::field_has_content( $attachment_id, $context ) ) {
+					$results[ $attachment_id ]['skipped_fields'][] = $context;
+					continue;
+				}
+
+				$submitted = $api->submit_attachment( $attachment_id, $this->get_options_for_context( $context, $attachment_id ) );
+
+				if ( is_wp_error( $submitted ) ) {
+					// Validation errors (missing file, unsupported format) apply to every context.
+					$results[ $attachment_id ]['message']   = $submitted->get_error_message();
+					$results[ $attachment_id ]['retryable'] = Visionati_API::is_retryable_error( $submitted );
+					break;
+				}
+
+				if ( ! empty( $submitted['response_uri'] ) ) {
+					$pending[ $attachment_id . ':' . $context ] = $submitted['response_uri'];
+				} elseif ( ! empty( $submitted['all']['assets'] ) ) {
+					$this->apply_batch_response( $results[ $attachment_id ], $attachment_id, $context, $submitted, $review );
+				}
+			}
+		}
+
+		Visionati_API::debug_log( 'process_attachments: submitted', array(
+			'attachments' => count( $attachment_ids ),
+			'requests'    => count( $pending ),
+		) );
+
+		// Phase 2: Poll all response URIs in one round-robin loop.
+		if ( ! empty( $pending ) ) {
+			$responses = $api->poll_multiple( $pending );
+
+			foreach ( $responses as $key => $response ) {
+				list( $attachment_id, $context ) = explode( ':', $key );
+				$attachment_id = absint( $attachment_id );
+
+				if ( is_wp_error( $response ) ) {
+					if ( empty( $results[ $attachment_id ]['message'] ) ) {
+						$results[ $attachment_id ]['message']   = $response->get_error_message();
+						$results[ $attachment_id ]['retryable'] = Visionati_API::is_retryable_error( $response );
+					}
+					continue;
+				}
+
+				$this->apply_batch_response( $results[ $attachment_id ], $attachment_id, $context, $response, $review );
+			}
+		}
+
+		foreach ( $results as $attachment_id => $result ) {
+			if ( ! empty( $result['message'] ) ) {
+				$results[ $attachment_id ]['status'] = 'failed';
+			} elseif ( ! empty( $result['fields'] ) ) {
+				$results[ $attachment_id ]['status'] = 'generated';
+			} else {
+				$results[ $attachment_id ]['status']  = 'skipped';
+				$results[ $attachment_id ]['message'] = __( 'All selected fields already exist.', 'visionati' );
+			}
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Save one API response from a batch and record it in the item result.
+	 *
+	 * @param array  $result        Item result array, updated in place.
+	 * @param int    $attachment_id The attachment post ID.
+	 * @param string $context       The generation context.
+	 * @param array  $response      Parsed API response.
+	 * @param bool   $review        Optional. Queue a suggestion instead of saving. Default false.
+	 */
+	private function apply_batch_response( &$result, $attachment_id, $context, $response, $review = false ) {
+		$description = Visionati_API::get_first_description( $response );
+
+		if ( empty( $description ) ) {
+			if ( empty( $result['message'] ) ) {
+				$result['message'] = __( 'No description returned from the API.', 'visionati' );
+			}
+			return;
+		}
+
+		if ( $review ) {
+			$suggested = $this->add_suggestion( $attachment_id, $context, $description );
+			$updated   = false === $suggested ? array() : array( $context );
+
+			if ( false !== $suggested ) {
+				$result[ $context ] = $suggested;
+			}
+		} else {
+			$updated = $this->update_attachment_fields( $attachment_id, $description, $context );
+
+			// Keep the saved text for the run report.
+			foreach ( $updated as $field ) {
+				$result[ $field ] = Visionati_History::get_value( $attachment_id, $field );
+			}
+		}
+
+		$result['fields'] = array_values( array_unique( array_merge( $result['fields'], $updated ) ) );
+
+		// Balances only go down, so the lowest value seen is the most recent.
+		$credits = Visionati_API::extract_credits( $response );
+		if ( null !== $credits && ( null === $result['credits'] || $credits < $result['credits'] ) ) {
+			$result['credits'] = $credits;
+		}
+	}
+
+	/**
+	 * Register the visionati/v1 REST routes for attachments.
+	 *
+	 * These mirror the visionati_analyze, visionati_apply_field, and
+	 * visionati_get_images AJAX actions. Any authentication WordPress
+	 * accepts works, including application passwords.
+	 */
+	public function register_rest_routes() {
+		register_rest_route( Visionati_API::REST_NAMESPACE, '/attachments/(?P<id>\d+)/analyze', array(
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => array( $this, 'rest_analyze' ),
+			'permission_callback' => array( $this, 'rest_attachment_permissions' ),
+			'args'                => array(
+				'id'       => array(
+					'description' => __( 'Attachment ID.', 'visionati' ),
+					'type'        => 'integer',
+				),
+				'context'  => array(
+					'description' => __( 'Field to generate.', 'visionati' ),
+					'type'        => 'string',
+					'enum'        => self::get_valid_contexts(),
+					'default'     => 'alt_text',
+				),
+				'variants' => array(
+					'description' => __( 'Return several candidates to pick from.', 'visionati' ),
+					'type'        => 'boolean',
+					'default'     => false,
+				),
+			),
+		) );
+
+		register_rest_route( Visionati_API::REST_NAMESPACE, '/attachments/(?P<id>\d+)/fields/(?P<context>alt_text|caption|description)', array(
+			'methods'             => WP_REST_Server::EDITABLE,
+			'callback'            => array( $this, 'rest_apply_field' ),
+			'permission_callback' => array( $this, 'rest_attachment_permissions' ),
+			'args'                => array(
+				'id'      => array(
+					'description' => __( 'Attachment ID.', 'visionati' ),
+					'type'        => 'integer',
+				),
+				'context' => array(
+					'description' => __( 'Field to save.', 'visionati' ),
+					'type'        => 'string',
+					'enum'        => self::get_valid_contexts(),
+				),
+				'value'   => array(
+					'description' => __( 'Text to save. Descriptions may contain HTML.', 'visionati' ),
+					'type'        => 'string',
+					'required'    => true,
+				),
+				'backend' => array(
+					'description' => __( 'Model that wrote the text.', 'visionati' ),
+					'type'        => 'string',
+					'enum'        => array_keys( Visionati_API::get_description_backends() ),
+				),
+			),
+		) );
+
+		register_rest_route( Visionati_API::REST_NAMESPACE, '/images', array(
+			'methods'             => WP_REST_Server::READABLE,
+			'callback'            => array( $this, 'rest_get_images' ),
+			'permission_callback' => array( $this, 'rest_upload_permissions' ),
+			'args'                => array(
+				'contexts'    => array(
+					'description' => __( 'Fields to check.', 'visionati' ),
+					'type'        => 'array',
+					'items'       => array(
+						'type' => 'string',
+						'enum' => self::get_valid_contexts(),
+					),
+					'default'     => array( 'alt_text' ),
+				),
+				'date_from'   => array(
+					'description' => __( 'Only images uploaded on or after this date (Y-m-d).', 'visionati' ),
+					'type'        => 'string',
+					'pattern'     => '^\d{4}-\d{2}-\d{2}$',
+				),
+				'date_to'     => array(
+					'description' => __( 'Only images uploaded on or before this date (Y-m-d).', 'visionati' ),
+					'type'        => 'string',
+					'pattern'     => '^\d{4}-\d{2}-\d{2}$',
+				),
+				'mime_type'   => array(
+					'description' => __( 'Only images of this type.', 'visionati' ),
+					'type'        => 'string',
+					'enum'        => Visionati_API::get_supported_mime_types(),
+				),
+				'parent_type' => array(
+					'description' => __( "Only images attached to this post type, or 'unattached'.", 'visionati' ),
+					'type'        => 'string',
+				),
+				'parent_id'   => array(
+					'description' => __( 'Only images attached to this post.', 'visionati' ),
+					'type'        => 'integer',
+					'minimum'     => 1,
+				),
+				'ids'         => array(
+					'description' => __( 'Only these attachment IDs.', 'visionati' ),
+					'type'        => 'array',
+					'items'       => array(
+						'type'    => 'integer',
+						'minimum' => 1,
+					),
+				),
+			),
 		) );
 	}
 
+	/**
+	 * REST permission check: the user can upload files.
+	 *
+	 * @return bool
+	 */
+	public function rest_upload_permissions() {
+		return current_user_can( 'upload_files' );
+	}
+
+	/**
+	 * REST permission check: the user can upload files and edit this attachment.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return bool|WP_Error
+	 */
+	public function rest_attachment_permissions( $request ) {
+		if ( ! current_user_can( 'upload_files' ) ) {
+			return false;
+		}
+
+		$attachment = get_post( (int) $request['id'] );
+
+		if ( ! $attachment || 'attachment' !== $attachment->post_type ) {
+			return new WP_Error( 'visionati_not_found', __( 'Attachment not found.', 'visionati' ), array( 'status' => 404 ) );
+		}
+
+		return current_user_can( 'edit_post', $attachment->ID );
+	}
+
+	/**
+	 * REST handler: POST /attachments/{id}/analyze. Preview only, no saving.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_analyze( $request ) {
+		return Visionati_API::rest_response(
+			$this->preview_field( (int) $request['id'], $request['context'], (bool) $request['variants'] )
+		);
+	}
+
+	/**
+	 * REST handler: POST /attachments/{id}/fields/{context}.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_apply_field( $request ) {
+		return Visionati_API::rest_response(
+			$this->apply_field( (int) $request['id'], $request['context'], $request['value'], (string) $request['backend'] )
+		);
+	}
+
+	/**
+	 * REST handler: GET /images. Lists images that need work.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_get_images( $request ) {
+		return Visionati_API::rest_response(
+			$this->get_images_needing_work( $request['contexts'], self::get_bulk_filters( $request->get_params() ) )
+		);
+	}
+
+	/**
+	 * Get the attachment field contexts Visionati can generate.
+	 *
+	 * @return array
+	 */
+	public static function get_valid_contexts() {
+		return array( 'alt_text', 'caption', 'description' );
+	}
+
 	/**
 	 * Query image attachment IDs that need processing for the given contexts.
 	 *
@@ -339,14 +1021,18 @@ class Visionati_Media {
 	 *
 	 * @param array $contexts   Array of context slugs: 'alt_text', 'caption', 'description'.
 	 * @param bool  $return_all Whether to return all images regardless of existing content.
+	 * @param array $filters    Optional. Bulk filters from get_bulk_filters().
 	 * @return array Array of attachment IDs.
 	 */
-	private function query_image_ids( $contexts, $return_all = false ) {
+	public function query_image_ids( $contexts, $return_all = false, $filters = array() ) {
 		global $wpdb;
 
 		$mime_types   = Visionati_API::get_supported_mime_types();
 		$placeholders = implode( ', ', array_fill( 0, count( $mime_types ), '%s' ) );
 
+		list( $filter_sql, $filter_values ) = self::get_filter_sql( $filters );
+		$values                             = array_merge( $mime_types, $filter_values );
+
 		if ( $return_all ) {
 			// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 			$ids = $wpdb->get_col(
@@ -356,8 +1042,9 @@ class Visionati_Media {
 					WHERE p.post_type = 'attachment'
 						AND p.post_status = 'inherit'
 						AND p.post_mime_type IN ($placeholders)
+						{$filter_sql}
 					ORDER BY p.ID ASC",
-					...$mime_types
+					...$values
 				)
 			);
 			// phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
@@ -385,7 +1072,8 @@ class Visionati_Media {
 		$needs_alt_join = in_array( 'alt_text', $contexts, true );
 
 		if ( $needs_alt_join ) {
-			// $missing_clause is built from hardcoded string literals above — no user input.
+			// $missing_clause is built from hardcoded string literals above and $filter_sql only
+			// holds placeholders — no user input is interpolated.
 			// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter
 			$ids = $wpdb->get_col(
 				$wpdb->prepare(
@@ -396,14 +1084,16 @@ class Visionati_Media {
 					WHERE p.post_type = 'attachment'
 						AND p.post_status = 'inherit'
 						AND p.post_mime_type IN ($placeholders)
+						{$filter_sql}
 						AND ($missing_clause)
 					ORDER BY p.ID ASC",
-					...$mime_types
+					...$values
 				)
 			);
 			// phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter
 		} else {
-			// $missing_clause is built from hardcoded string literals above — no user input.
+			// $missing_clause is built from hardcoded string literals above and $filter_sql only
+			// holds placeholders — no user input is interpolated.
 			// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter
 			$ids = $wpdb->get_col(
 				$wpdb->prepare(
@@ -412,24 +1102,123 @@ class Visionati_Media {
 					WHERE p.post_type = 'attachment'
 						AND p.post_status = 'inherit'
 						AND p.post_mime_type IN ($placeholders)
+						{$filter_sql}
 						AND ($missing_clause)
 					ORDER BY p.ID ASC",
-					...$mime_types
+					...$values
 				)
 			);
 			// phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, PluginCheck.Security.DirectDB.UnescapedDBParameter
 		}
 
-		return array_map( 'absint', $ids );
+		return array_map( 'absint', $ids );
+	}
+
+	/**
+	 * Read the Bulk Generate filters from the request.
+	 *
+	 * Invalid values are dropped rather than rejected, so a bad date or an
+	 * unknown post type just means that filter is not applied.
+	 *
+	 * @param array|null $input Optional. Unslashed parameters to read instead
+	 *                          of $_POST, e.g. from a REST request.
+	 * @return array Filters with any of: date_from, date_to (Y-m-d), mime_type,
+	 *               parent_type (post type slug or 'unattached'), parent_id, ids.
+	 */
+	private static function get_bulk_filters( $input = null ) {
+		if ( null === $input ) {
+			// phpcs:ignore WordPress.Security.NonceVerification.Missing, WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Callers verify the nonce; each value is sanitized below.
+			$input = wp_unslash( $_POST );
+		}
+
+		$ids = isset( $input['ids'] ) ? $input['ids'] : array();
+
+		$filters = array(
+			'date_from'   => isset( $input['date_from'] ) ? sanitize_text_field( $input['date_from'] ) : '',
+			'date_to'     => isset( $input['date_to'] ) ? sanitize_text_field( $input['date_to'] ) : '',
+			'mime_type'   => isset( $input['mime_type'] ) ? sanitize_mime_type( $input['mime_type'] ) : '',
+			'parent_type' => isset( $input['parent_type'] ) ? sanitize_key( $input['parent_type'] ) : '',
+			'parent_id'   => isset( $input['parent_id'] ) ? absint( $input['parent_id'] ) : 0,
+			'ids'         => wp_parse_id_list( is_array( $ids ) ? $ids : sanitize_text_field( $ids ) ),
+		);
+
+		foreach ( array( 'date_from', 'date_to' ) as $key ) {
+			if ( ! preg_match( '/^\d{4}-\d{2}-\d{2}$/', $filters[ $key ] ) ) {
+				$filters[ $key ] = '';
+			}
+		}
+
+		if ( ! in_array( $filters['mime_type'], Visionati_API::get_supported_mime_types(), true ) ) {
+			$filters['mime_type'] = '';
+		}
+
+		if ( 'unattached' !== $filters['parent_type'] && ! post_type_exists( $filters['parent_type'] ) ) {
+			$filters['parent_type'] = '';
+		}
+
+		$filters['ids'] = array_values( array_filter( $filters['ids'] ) );
+
+		return array_filter( $filters );
+	}
+
+	/**
+	 * Build the SQL for the Bulk Generate filters.
+	 *
+	 * Returns a fragment of "AND ..." conditions on the attachment alias p,
+	 * using placeholders only, plus the values to prepare it with.
+	 *
+	 * @param array $filters Filters from get_bulk_filters().
+	 * @return array Two elements: SQL fragment and array of values.
+	 */
+	private static function get_filter_sql( $filters ) {
+		global $wpdb;
+
+		$sql    = '';
+		$values = array();
+
+		if ( ! empty( $filters['date_from'] ) ) {
+			$sql     .= ' AND p.post_date >= %s';
+			$values[] = $filters['date_from'] . ' 00:00:00';
+		}
+
+		if ( ! empty( $filters['date_to'] ) ) {
+			$sql     .= ' AND p.post_date <= %s';
+			$values[] = $filters['date_to'] . ' 23:59:59';
+		}
+
+		if ( ! empty( $filters['mime_type'] ) ) {
+			$sql     .= ' AND p.post_mime_type = %s';
+			$values[] = $filters['mime_type'];
+		}
+
+		// A specific parent post wins over the parent post type.
+		if ( ! empty( $filters['parent_id'] ) ) {
+			$sql     .= ' AND p.post_parent = %d';
+			$values[] = $filters['parent_id'];
+		} elseif ( ! empty( $filters['parent_type'] ) && 'unattached' === $filters['parent_type'] ) {
+			$sql .= ' AND p.post_parent = 0';
+		} elseif ( ! empty( $filters['parent_type'] ) ) {
+			$sql     .= " AND p.post_parent IN (SELECT parent.ID FROM {$wpdb->posts} parent WHERE parent.post_type = %s)";
+			$values[] = $filters['parent_type'];
+		}
+
+		if ( ! empty( $filters['ids'] ) ) {
+			$sql   .= ' AND p.ID IN (' . implode( ', ', array_fill( 0, count( $filters['ids'] ), '%d' ) ) . ')';
+			$values = array_merge( $values, $filters['ids'] );
+		}
+
+		return array( $sql, $values );
 	}
 
 	/**
-	 * Auto-generate fields on image upload.
+	 * Queue auto-generation for a newly uploaded image.
 	 *
-	 * Runs synchronously on the add_attachment hook. All enabled fields
-	 * are submitted to the API concurrently, then polled in a single
-	 * round-robin loop. This means 3 fields take roughly the same wall
-	 * time as 1 field (~8-10s) instead of 3x as long.
+	 * Runs on the add_attachment hook. The work is done by the background
+	 * job runner (see process_auto_generate_batch()), so uploads return
+	 * straight away; every upload joins the active 'auto' job. If that job
+	 * stops (e.g. out of credits), its remaining uploads are marked failed
+	 * rather than left queued. The status is kept in post meta for the
+	 * media grid badges.
 	 *
 	 * @param int $attachment_id The newly uploaded attachment ID.
 	 */
@@ -449,84 +1238,241 @@ class Visionati_Media {
 			return;
 		}
 
-		$api     = new Visionati_API();
-		$pending = array();
-		$errors  = array();
+		self::set_auto_generate_status( $attachment_id, 'queued' );
 
-		// Phase 1: Submit all fields concurrently.
-		// Each submit returns almost instantly with a response_uri.
-		foreach ( $fields as $context ) {
-			$options   = $this->get_options_for_context( $context );
-			$submitted = $api->submit_attachment( $attachment_id, $options );
+		$job_id = Visionati_Jobs::enqueue( 'auto', array( $attachment_id ), array(
+			'concurrency' => self::DEFAULT_BULK_CONCURRENCY,
+		) );
 
-			if ( is_wp_error( $submitted ) ) {
-				$errors[] = sprintf( '%s: %s', $context, $submitted->get_error_message() );
-				continue;
-			}
+		if ( is_wp_error( $job_id ) ) {
+			self::set_auto_generate_status( $attachment_id, 'failed', $job_id->get_error_message() );
+			$this->add_auto_generate_error( $attachment_id, $job_id->get_error_message() );
+		}
+	}
 
-			if ( ! empty( $submitted['response_uri'] ) ) {
-				$pending[ $context ] = $submitted['response_uri'];
-			} elseif ( ! empty( $submitted['all']['assets'] ) ) {
-				// Direct response (unlikely with base64, but handle it).
-				$this->apply_auto_generate_result( $attachment_id, $context, $submitted );
+	/**
+	 * Background job callback: auto-generate fields for uploaded images.
+	 *
+	 * Uses the fields and review setting current at processing time, and
+	 * the same rules as a bulk run: fields that already have content are
+	 * skipped unless overwrite is on for them. Each image is processed as
+	 * the user who uploaded it, so saves and history are attributed to them.
+	 *
+	 * @param int[] $attachment_ids Attachment IDs claimed by the runner.
+	 * @param array $args           Job args (unused).
+	 * @param array $done           Optional. Attachment ID => fields saved by earlier attempts.
+	 * @return array Associative array of attachment_id => result. See process_attachments().
+	 */
+	public function process_auto_generate_batch( $attachment_ids, $args, $done = array() ) {
+		$fields = get_option( 'visionati_auto_generate_fields', array() );
+		$fields = array_values( array_intersect( (array) $fields, self::get_valid_contexts() ) );
+
+		if ( empty( $fields ) ) {
+			$results = array();
+			foreach ( $attachment_ids as $attachment_id ) {
+				$results[ $attachment_id ] = array(
+					'status'  => 'skipped',
+					'message' => __( 'Auto-generate is turned off.', 'visionati' ),
+				);
 			}
+			return $results;
 		}
 
-		if ( ! empty( $pending ) ) {
-			// Phase 2: Poll all response URIs in one round-robin loop.
-			// Cap at 10 rounds (~20s) to stay within PHP's max_execution_time
-			// on shared hosting (typically 30s). Normal responses resolve in 4-5 rounds.
-			$results = $api->poll_multiple( $pending, 10 );
+		$by_author = array();
+		foreach ( $attachment_ids as $attachment_id ) {
+			self::set_auto_generate_status( $attachment_id, 'generating' );
+			$by_author[ (int) get_post_field( 'post_author', $attachment_id ) ][] = $attachment_id;
+		}
 
-			foreach ( $results as $context => $response ) {
-				if ( is_wp_error( $response ) ) {
-					$errors[] = sprintf( '%s: %s', $context, $response->get_error_message() );
-				} else {
-					$this->apply_auto_generate_result( $attachment_id, $context, $response );
-				}
+		$review  = (bool) get_option( 'visionati_auto_generate_review', false );
+		$runner  = get_current_user_id();
+		$results = array();
+
+		foreach ( $by_author as $author_id => $ids ) {
+			if ( $author_id && get_current_user_id() !== $author_id ) {
+				wp_set_current_user( $author_id );
 			}
+			$results += $this->process_attachments( $ids, $fields, $review, $done );
 		}
 
-		// Surface failures as an admin notice so users get feedback.
-		if ( ! empty( $errors ) ) {
-			$filename = basename( get_attached_file( $attachment_id ) );
-			$message  = sprintf(
-				/* translators: 1: file name, 2: error details */
-				__( 'Visionati auto-generate failed for %1$s: %2$s', 'visionati' ),
-				$filename,
-				implode( '; ', $errors )
-			);
-			error_log( 'Visionati: ' . $message ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
-
-			$user_id   = get_current_user_id();
-			if ( $user_id ) {
-				$transient = 'visionati_auto_gen_errors_' . $user_id;
-				$existing  = get_transient( $transient );
-				$notices   = is_array( $existing ) ? $existing : array();
-				$notices[] = $message;
-				set_transient( $transient, $notices, 5 * MINUTE_IN_SECONDS );
-			}
+		if ( get_current_user_id() !== $runner ) {
+			wp_set_current_user( $runner );
 		}
+
+		return $results;
 	}
 
 	/**
-	 * Apply an auto-generated result to an attachment field.
+	 * Record the outcome of an auto-generate item for the media grid.
 	 *
-	 * Extracts the first description from the API response and updates
-	 * the appropriate attachment field (alt text, caption, or description).
+	 * Hooked to visionati_bulk_item_processed, which only fires once an
+	 * item is finished (not for attempts queued for a retry). Failures are
+	 * also shown as an admin notice.
 	 *
 	 * @param int    $attachment_id The attachment post ID.
-	 * @param string $context       The generation context.
-	 * @param array  $response      Parsed API response.
+	 * @param array  $result        Item result. See process_attachments().
+	 * @param string $type          Job type.
 	 */
-	private function apply_auto_generate_result( $attachment_id, $context, $response ) {
-		$description = Visionati_API::get_first_description( $response );
-
-		if ( empty( $description ) ) {
+	public function finish_auto_generate( $attachment_id, $result, $type ) {
+		if ( 'auto' !== $type ) {
 			return;
 		}
 
-		$this->update_attachment_fields( $attachment_id, $description, $context );
+		$message = isset( $result['message'] ) ? $result['message'] : '';
+
+		if ( 'generated' === $result['status'] && get_option( 'visionati_auto_generate_review', false ) ) {
+			self::set_auto_generate_status( $attachment_id, 'review', $message );
+		} else {
+			self::set_auto_generate_status( $attachment_id, $result['status'], $message );
+		}
+
+		if ( 'failed' === $result['status'] ) {
+			$this->add_auto_generate_error( $attachment_id, $message );
+		}
+	}
+
+	/**
+	 * Store an attachment's auto-generate status.
+	 *
+	 * @param int    $attachment_id The attachment post ID.
+	 * @param string $status        'queued', 'generating', 'generated', 'review', 'skipped' or 'failed'.
+	 * @param string $message       Optional. Error or skip reason.
+	 */
+	private static function set_auto_generate_status( $attachment_id, $status, $message = '' ) {
+		update_post_meta( $attachment_id, self::AUTO_GENERATE_META_KEY, array(
+			'status'  => $status,
+			'message' => $message,
+			'time'    => time(),
+		) );
+	}
+
+	/**
+	 * Get an attachment's auto-generate status for the media grid.
+	 *
+	 * Finished statuses are only reported for AUTO_GENERATE_BADGE_SECONDS,
+	 * so the badge shows the result of a recent upload and then goes away.
+	 *
+	 * @param int $attachment_id The attachment post ID.
+	 * @return array|null Array with status and message, or null for no badge.
+	 */
+	public static function get_auto_generate_status( $attachment_id ) {
+		$status = get_post_meta( $attachment_id, self::AUTO_GENERATE_META_KEY, true );
+
+		if ( ! is_array( $status ) || empty( $status['status'] ) ) {
+			return null;
+		}
+
+		$pending = in_array( $status['status'], array( 'queued', 'generating' ), true );
+
+		if ( ! $pending && time() - (int) $status['time'] > self::AUTO_GENERATE_BADGE_SECONDS ) {
+			return null;
+		}
+
+		return array(
+			'status'  => $status['status'],
+			'message' => $status['message'],
+		);
+	}
+
+	/**
+	 * Add the auto-generate status to attachment data for the media grid.
+	 *
+	 * @param array   $response   Attachment data for JS.
+	 * @param WP_Post $attachment The attachment post.
+	 * @return array
+	 */
+	public function add_auto_generate_status_to_js( $response, $attachment ) {
+		$status = self::get_auto_generate_status( $attachment->ID );
+
+		if ( $status ) {
+			$response['visionatiAutoGenerate'] = $status;
+		}
+
+		return $response;
+	}
+
+	/**
+	 * AJAX handler: get the auto-generate status of attachments.
+	 *
+	 * Polled by the media grid while badges show "Generating…". Finished
+	 * items also return their alt text, caption and description so the
+	 * attachment details can be refreshed without a reload.
+	 */
+	public function ajax_auto_generate_status() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'upload_files' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$ids      = isset( $_POST['ids'] ) ? array_filter( array_map( 'absint', (array) $_POST['ids'] ) ) : array();
+		$statuses = array();
+
+		foreach ( array_slice( $ids, 0, 100 ) as $attachment_id ) {
+			if ( ! current_user_can( 'edit_post', $attachment_id ) ) {
+				continue;
+			}
+
+			$status = self::get_auto_generate_status( $attachment_id );
+
+			if ( $status && ! in_array( $status['status'], array( 'queued', 'generating' ), true ) ) {
+				$status['attributes'] = array(
+					'alt'         => Visionati_History::get_value( $attachment_id, 'alt_text' ),
+					'caption'     => Visionati_History::get_value( $attachment_id, 'caption' ),
+					'description' => Visionati_History::get_value( $attachment_id, 'description' ),
+				);
+			}
+
+			$statuses[ $attachment_id ] = $status;
+		}
+
+		Visionati_API::send_json_success( array( 'statuses' => $statuses ) );
+	}
+
+	/**
+	 * Store an auto-generate failure for the admin notice.
+	 *
+	 * @param int    $attachment_id The attachment post ID.
+	 * @param string $error         Error details.
+	 */
+	private function add_auto_generate_error( $attachment_id, $error ) {
+		$message = sprintf(
+			/* translators: 1: file name, 2: error details */
+			__( 'Visionati auto-generate failed for %1$s: %2$s', 'visionati' ),
+			basename( get_attached_file( $attachment_id ) ),
+			$error
+		);
+		error_log( 'Visionati: ' . $message ); // phpcs:ignore WordPress.PHP.DevelopmentFunctions.error_log_error_log
+
+		// Tell the uploader, not whoever the background runner is running as.
+		$user_id = (int) get_post_field( 'post_author', $attachment_id );
+		if ( ! $user_id ) {
+			$user_id = get_current_user_id();
+		}
+		if ( $user_id ) {
+			$transient = 'visionati_auto_gen_errors_' . $user_id;
+			$existing  = get_transient( $transient );
+			$notices   = is_array( $existing ) ? $existing : array();
+			$notices[] = $message;
+			set_transient( $transient, $notices, 5 * MINUTE_IN_SECONDS );
+		}
+	}
+
+	/**
+	 * Queue generated text as a review suggestion for an attachment field.
+	 *
+	 * @param int    $attachment_id The attachment post ID.
+	 * @param string $context       The field: 'alt_text', 'caption', or 'description'.
+	 * @param string $description   Generated text.
+	 * @return string|false The queued text, or false when it was empty.
+	 */
+	private function add_suggestion( $attachment_id, $context, $description ) {
+		$options = $this->get_options_for_context( $context );
+
+		return Visionati_Review::add( $attachment_id, $context, $description, array(
+			'backend' => isset( $options['backends'] ) ? $options['backends'] : get_option( 'visionati_backends', 'gemini' ),
+			'role'    => $options['role'],
+		) );
 	}
 
 	/**
@@ -586,8 +1532,8 @@ class Visionati_Media {
 	 * Handle the Media Library bulk action.
 	 *
 	 * Instead of processing synchronously (which would timeout on shared
-	 * hosting with more than a few images), store the selected IDs in a
-	 * transient and redirect to the AJAX-powered Bulk Generate page.
+	 * hosting with more than a few images), queue the selected IDs as a
+	 * background job and redirect to the Bulk Generate page to follow it.
 	 *
 	 * @param string $redirect_url The redirect URL.
 	 * @param string $action       The action being taken.
@@ -615,11 +1561,17 @@ class Visionati_Media {
 			), $redirect_url );
 		}
 
-		// Store IDs in a user-scoped transient for the Bulk Generate page to consume.
-		$user_id = get_current_user_id();
-		set_transient( 'visionati_bulk_queue_' . $user_id, $image_ids, 5 * MINUTE_IN_SECONDS );
+		// Queue the selection as a background job (alt text, the Bulk Generate
+		// page default) and show its progress on the Bulk Generate page.
+		$job_id = Visionati_Jobs::create( 'media', $image_ids, array(
+			'contexts'    => array( 'alt_text' ),
+			'concurrency' => self::DEFAULT_BULK_CONCURRENCY,
+		) );
+
+		if ( is_wp_error( $job_id ) ) {
+			return admin_url( 'upload.php?page=visionati-bulk-generate&visionati_job_busy=1' );
+		}
 
-		// Redirect to the AJAX-powered Bulk Generate page.
 		return admin_url( 'upload.php?page=visionati-bulk-generate&queued=1' );
 	}
 
@@ -695,8 +1647,14 @@ class Visionati_Media {
 					</p>
 				</div>
 			<?php else : ?>
+				<?php if ( isset( $_GET['visionati_job_busy'] ) ) : // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- read-only flag from post-redirect-GET. ?>
+					<div class="notice notice-warning is-dismissible">
+						<p><?php esc_html_e( 'A bulk job is already in progress. Wait for it to finish or cancel it before queuing more images.', 'visionati' ); ?></p>
+					</div>
+				<?php endif; ?>
+
 				<div class="visionati-bulk-stats">
-					<p>
+					<p id="visionati-bulk-stats">
 						<?php
 						printf(
 							/* translators: 1: images missing alt text, 2: missing captions, 3: missing descriptions, 4: total */
@@ -711,6 +1669,50 @@ class Visionati_Media {
 				</div>
 
 				<div class="visionati-bulk-controls">
+					<fieldset class="visionati-bulk-filters">
+						<legend class="screen-reader-text"><?php esc_html_e( 'Images to include', 'visionati' ); ?></legend>
+						<label>
+							<?php esc_html_e( 'Uploaded from', 'visionati' ); ?>
+							<input type="date" name="visionati_bulk_filter" data-filter="date_from" />
+						</label>
+						<label>
+							<?php esc_html_e( 'to', 'visionati' ); ?>
+							<input type="date" name="visionati_bulk_filter" data-filter="date_to" />
+						</label>
+						<label>
+							<?php esc_html_e( 'Type', 'visionati' ); ?>
+							<select name="visionati_bulk_filter" data-filter="mime_type">
+								<option value=""><?php esc_html_e( 'All image types', 'visionati' ); ?></option>
+								<?php foreach ( Visionati_API::get_supported_mime_types() as $mime_type ) : ?>
+									<option value="<?php echo esc_attr( $mime_type ); ?>"><?php echo esc_html( strtoupper( str_replace( 'image/', '', $mime_type ) ) ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</label>
+						<label>
+							<?php esc_html_e( 'Attached to', 'visionati' ); ?>
+							<select name="visionati_bulk_filter" data-filter="parent_type">
+								<option value=""><?php esc_html_e( 'Anything', 'visionati' ); ?></option>
+								<option value="unattached"><?php esc_html_e( 'Unattached', 'visionati' ); ?></option>
+								<?php foreach ( get_post_types( array( 'show_ui' => true ), 'objects' ) as $post_type ) : ?>
+									<?php
+									if ( 'attachment' === $post_type->name ) {
+										continue;
+									}
+									?>
+									<option value="<?php echo esc_attr( $post_type->name ); ?>"><?php echo esc_html( $post_type->labels->singular_name ); ?></option>
+								<?php endforeach; ?>
+							</select>
+						</label>
+						<label>
+							<?php esc_html_e( 'Parent post ID', 'visionati' ); ?>
+							<input type="number" min="1" class="small-text" name="visionati_bulk_filter" data-filter="parent_id" />
+						</label>
+						<label class="visionati-bulk-filter-ids">
+							<?php esc_html_e( 'Only these IDs', 'visionati' ); ?>
+							<input type="text" class="regular-text" name="visionati_bulk_filter" data-filter="ids" placeholder="<?php esc_attr_e( 'e.g. 12, 15, 40', 'visionati' ); ?>" />
+						</label>
+					</fieldset>
+
 					<fieldset class="visionati-bulk-fields">
 						<legend class="screen-reader-text"><?php esc_html_e( 'Fields to generate', 'visionati' ); ?></legend>
 						<label style="display:inline-block !important;margin-right:16px !important">
@@ -728,13 +1730,42 @@ class Visionati_Media {
 					</fieldset>
 
 					<div class="visionati-bulk-actions">
+						<label for="visionati-bulk-concurrency" class="visionati-context-label">
+							<?php esc_html_e( 'Concurrent requests:', 'visionati' ); ?>
+						</label>
+						<select id="visionati-bulk-concurrency">
+							<?php for ( $i = 1; $i <= self::MAX_BULK_CONCURRENCY; $i++ ) : ?>
+								<option value="<?php echo absint( $i ); ?>" <?php selected( $i, self::DEFAULT_BULK_CONCURRENCY ); ?>><?php echo absint( $i ); ?></option>
+							<?php endfor; ?>
+						</select>
+						<label for="visionati-bulk-budget" class="visionati-context-label">
+							<?php esc_html_e( 'Budget cap (credits):', 'visionati' ); ?>
+						</label>
+						<input type="number" id="visionati-bulk-budget" class="small-text" min="1" step="1" placeholder="<?php esc_attr_e( 'None', 'visionati' ); ?>" />
+						<label for="visionati-bulk-review" class="visionati-context-label">
+							<input type="checkbox" id="visionati-bulk-review" />
+							<?php esc_html_e( 'Generate for review', 'visionati' ); ?>
+						</label>
 						<button type="button" class="button button-primary" id="visionati-bulk-start">
 							<?php esc_html_e( 'Start', 'visionati' ); ?>
 						</button>
 						<button type="button" class="button" id="visionati-bulk-stop" disabled>
-							<?php esc_html_e( 'Stop', 'visionati' ); ?>
+							<?php esc_html_e( 'Pause', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-bulk-cancel" disabled>
+							<?php esc_html_e( 'Cancel', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-bulk-retry" style="display: none;">
+							<?php esc_html_e( 'Retry failed items', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-bulk-revert" style="display: none;">
+							<?php esc_html_e( 'Revert this run', 'visionati' ); ?>
 						</button>
 					</div>
+					<p class="description">
+						<?php esc_html_e( 'Bulk jobs run in the background. You can leave this page and come back to check progress.', 'visionati' ); ?>
+						<?php esc_html_e( 'With "Generate for review" on, generated text waits under Media > Review Suggestions until you approve it.', 'visionati' ); ?>
+					</p>
 				</div>
 
 				<div class="visionati-bulk-progress" style="display: none;">
@@ -742,11 +1773,11 @@ class Visionati_Media {
 						<div class="visionati-progress-bar" role="progressbar" aria-valuenow="0" aria-valuemin="0" aria-valuemax="100" aria-label="<?php esc_attr_e( 'Bulk generation progress', 'visionati' ); ?>" style="width: 0%;"></div>
 					</div>
 					<p class="visionati-progress-text">
-						<span id="visionati-bulk-current">0</span>
+						<span class="visionati-bulk-current">0</span>
 						<?php esc_html_e( 'of', 'visionati' ); ?>
-						<span id="visionati-bulk-total">0</span>
+						<span class="visionati-bulk-total">0</span>
 						&mdash;
-						<span id="visionati-bulk-percent">0</span>%
+						<span class="visionati-bulk-percent">0</span>%
 					</p>
 					<p class="visionati-progress-summary" tabindex="-1">
 						<span class="visionati-summary-generated">0</span> <?php esc_html_e( 'generated', 'visionati' ); ?>,
@@ -754,11 +1785,21 @@ class Visionati_Media {
 						<span class="visionati-summary-errors">0</span> <?php esc_html_e( 'errors', 'visionati' ); ?>
 					</p>
 					<p class="visionati-credits-remaining" style="display: none;"></p>
+					<p class="visionati-budget-status" style="display: none;"></p>
+					<p class="visionati-review-link" style="display: none;">
+						<?php esc_html_e( 'This run queues suggestions instead of saving them.', 'visionati' ); ?>
+						<a href="<?php echo esc_url( admin_url( 'upload.php?page=visionati-review' ) ); ?>"><?php esc_html_e( 'Review suggestions', 'visionati' ); ?></a>
+					</p>
 				</div>
 
 				<div class="visionati-bulk-log" style="display: none;">
 					<h3><?php esc_html_e( 'Results', 'visionati' ); ?></h3>
 					<div id="visionati-bulk-log-entries" role="log" aria-live="polite"></div>
+					<p class="visionati-bulk-export">
+						<?php esc_html_e( 'Export results:', 'visionati' ); ?>
+						<a href="#" class="button" data-format="csv">CSV</a>
+						<a href="#" class="button" data-format="json">JSON</a>
+					</p>
 				</div>
 			<?php endif; ?>
 		</div>
@@ -774,10 +1815,10 @@ class Visionati_Media {
 	 *                                True for explicit single-image clicks, false for bulk/auto.
 	 * @return array|WP_Error Result array on success, WP_Error on failure.
 	 */
-	private function generate_for_attachment( $attachment_id, $context = 'alt_text', $force_overwrite = false ) {
+	public function generate_for_attachment( $attachment_id, $context = 'alt_text', $force_overwrite = false ) {
 		$api = new Visionati_API();
 
-		$options = $this->get_options_for_context( $context );
+		$options = $this->get_options_for_context( $context, $attachment_id );
 
 		Visionati_API::debug_log( 'generate_for_attachment: starting', array(
 			'attachment_id'   => $attachment_id,
@@ -846,10 +1887,17 @@ class Visionati_Media {
 	/**
 	 * Get API options for a specific generation context.
 	 *
-	 * @param string $context The generation context.
+	 * With an attachment ID, placeholders in the custom prompt are expanded
+	 * from the post the image is attached to. When "Media post context" is
+	 * on, a custom prompt without placeholders gets that post's details
+	 * appended, and with no custom prompt a prompt with them is built
+	 * instead of relying on the role alone.
+	 *
+	 * @param string $context       The generation context.
+	 * @param int    $attachment_id Optional. The attachment being generated for.
 	 * @return array Options array for Visionati_API::analyze_attachment().
 	 */
-	private function get_options_for_context( $context ) {
+	public static function get_options_for_context( $context, $attachment_id = 0 ) {
 		$options = array(
 			'features' => array( 'descriptions' ),
 		);
@@ -877,6 +1925,18 @@ class Visionati_Media {
 
 		$options['role'] = $role;
 
+		if ( $attachment_id && ! empty( $prompt ) ) {
+			$expanded = self::expand_placeholders( $prompt, self::get_post_context( $attachment_id ) );
+
+			if ( $expanded === $prompt && get_option( 'visionati_media_include_context', false ) ) {
+				$prompt .= self::build_context_details( self::get_post_context( $attachment_id ) );
+			} else {
+				$prompt = $expanded;
+			}
+		} elseif ( $attachment_id && get_option( 'visionati_media_include_context', false ) ) {
+			$prompt = self::build_context_prompt( $context, self::get_post_context( $attachment_id ) );
+		}
+
 		if ( ! empty( $prompt ) ) {
 			$options['prompt'] = $prompt;
 		}
@@ -886,7 +1946,255 @@ class Visionati_Media {
 			$options['backends'] = $backend;
 		}
 
-		return $options;
+		/**
+		 * Filters the API options for an attachment field.
+		 *
+		 * @param array  $options       Options for Visionati_API::submit_attachment():
+		 *                              role, features, and optional prompt and backends.
+		 * @param string $context       'alt_text', 'caption', or 'description'.
+		 * @param int    $attachment_id Attachment being generated for, or 0 (e.g. cost estimates).
+		 */
+		return apply_filters( 'visionati_context_options', $options, $context, $attachment_id );
+	}
+
+	/**
+	 * Build a prompt from the post an image is attached to.
+	 *
+	 * Used when "Media post context" is on and no custom prompt is set for
+	 * the field. The prompt replaces the role, so it restates the task for
+	 * each field before adding the context.
+	 *
+	 * @param string $context      The generation context.
+	 * @param array  $post_context Post context from get_post_context().
+	 * @return string The prompt, or '' when the image is not used in a post.
+	 */
+	private static function build_context_prompt( $context, $post_context ) {
+		$details = self::build_context_details( $post_context );
+		if ( '' === $details ) {
+			return '';
+		}
+
+		$language = get_option( 'visionati_language', 'English' );
+
+		switch ( $context ) {
+			case 'alt_text':
+				/* translators: %s: output language, e.g. English */
+				$prompt = sprintf( __( 'Write alt text in %s for this image: one concise sentence under 125 characters that says what the image shows to someone who cannot see it. Do not start with "image of" or "picture of".', 'visionati' ), $language );
+				break;
+
+			case 'caption':
+				/* translators: %s: output language, e.g. English */
+				$prompt = sprintf( __( 'Write a one-sentence caption in %s for this image.', 'visionati' ), $language );
+				break;
+
+			case 'description':
+			default:
+				/* translators: %s: output language, e.g. English */
+				$prompt = sprintf( __( 'Write a detailed description in %s of this image.', 'visionati' ), $language );
+				break;
+		}
+
+		return $prompt . $details;
+	}
+
+	/**
+	 * Describe the post an image is attached to, for adding to a prompt.
+	 *
+	 * @param array $post_context Post context from get_post_context().
+	 * @return string Context sentences with a leading space, or '' when the
+	 *                image is not used in a post.
+	 */
+	private static function build_context_details( $post_context ) {
+		if ( '' === $post_context['post_title'] && '' === $post_context['surrounding_text'] ) {
+			return '';
+		}
+
+		$details = '';
+
+		if ( '' !== $post_context['post_title'] ) {
+			/* translators: 1: post type name, e.g. Post, 2: post title */
+			$details .= ' ' . sprintf( __( 'The image appears in the %1$s "%2$s".', 'visionati' ), $post_context['post_type'], $post_context['post_title'] );
+		}
+
+		if ( '' !== $post_context['post_excerpt'] ) {
+			/* translators: %s: post excerpt */
+			$details .= ' ' . sprintf( __( 'Summary: %s', 'visionati' ), $post_context['post_excerpt'] );
+		}
+
+		if ( '' !== $post_context['categories'] ) {
+			/* translators: %s: comma-separated category names */
+			$details .= ' ' . sprintf( __( 'Categories: %s.', 'visionati' ), $post_context['categories'] );
+		}
+
+		if ( '' !== $post_context['tags'] ) {
+			/* translators: %s: comma-separated tag names */
+			$details .= ' ' . sprintf( __( 'Tags: %s.', 'visionati' ), $post_context['tags'] );
+		}
+
+		if ( '' !== $post_context['surrounding_text'] ) {
+			/* translators: %s: text from the post next to the image */
+			$details .= ' ' . sprintf( __( 'Text next to the image: %s', 'visionati' ), $post_context['surrounding_text'] );
+		}
+
+		$details .= ' ' . __( 'Use this context to name the specific subject, place, or product when the image clearly shows it, but only describe what is visible. Use plain text with no markdown, emojis, or special characters.', 'visionati' );
+
+		return $details;
+	}
+
+	/**
+	 * Expand placeholders in a custom media prompt.
+	 *
+	 * Supported placeholders: {post_title}, {post_excerpt}, {categories},
+	 * {tags}, {surrounding_text}, {filename}, {site_name}, {focus_keyword}
+	 *
+	 * @param string $prompt       The prompt template with placeholders.
+	 * @param array  $post_context Post context from get_post_context().
+	 * @return string The prompt with placeholders replaced.
+	 */
+	private static function expand_placeholders( $prompt, $post_context ) {
+		$replacements = array();
+
+		foreach ( array( 'post_title', 'post_excerpt', 'categories', 'tags', 'surrounding_text', 'filename', 'site_name', 'focus_keyword' ) as $key ) {
+			$replacements[ '{' . $key . '}' ] = $post_context[ $key ];
+		}
+
+		return str_replace( array_keys( $replacements ), array_values( $replacements ), $prompt );
+	}
+
+	/**
+	 * Collect details about the post an image is attached to.
+	 *
+	 * The post is the attachment's parent. Fields are empty strings when
+	 * the image is unattached or the detail is missing.
+	 *
+	 * @param int $attachment_id The attachment post ID.
+	 * @return array Associative array with post_title, post_type, post_excerpt,
+	 *               categories, tags, surrounding_text, filename, site_name
+	 *               and focus_keyword.
+	 */
+	public static function get_post_context( $attachment_id ) {
+		$attachment = get_post( $attachment_id );
+		$parent     = $attachment && $attachment->post_parent ? get_post( $attachment->post_parent ) : null;
+		$file       = get_attached_file( $attachment_id );
+
+		$post_context = array(
+			'post_title'       => '',
+			'post_type'        => '',
+			'post_excerpt'     => '',
+			'categories'       => '',
+			'tags'             => '',
+			'surrounding_text' => '',
+			'filename'         => $file ? basename( $file ) : '',
+			'site_name'        => wp_specialchars_decode( get_bloginfo( 'name' ), ENT_QUOTES ),
+			'focus_keyword'    => '',
+		);
+
+		if ( $parent && 'trash' !== $parent->post_status ) {
+			$type    = get_post_type_object( $parent->post_type );
+			$excerpt = '' !== trim( $parent->post_excerpt )
+				? $parent->post_excerpt
+				: wp_trim_words( excerpt_remove_blocks( strip_shortcodes( $parent->post_content ) ), 40, '…' );
+
+			$post_context['post_title']       = wp_strip_all_tags( $parent->post_title );
+			$post_context['post_type']        = $type ? $type->labels->singular_name : $parent->post_type;
+			$post_context['post_excerpt']     = trim( wp_strip_all_tags( $excerpt ) );
+			$post_context['categories']       = self::get_term_names( $parent->ID, 'category' );
+			$post_context['tags']             = self::get_term_names( $parent->ID, 'post_tag' );
+			$post_context['surrounding_text'] = self::get_surrounding_text( $parent->post_content, $attachment_id );
+			$post_context['focus_keyword']    = self::get_focus_keyword( $parent->ID );
+		}
+
+		/**
+		 * Filters the post details added to media prompts.
+		 *
+		 * @param array        $post_context  Post details. See Visionati_Media::get_post_context().
+		 * @param int          $attachment_id Attachment ID.
+		 * @param WP_Post|null $parent        The post the image is attached to, if any.
+		 */
+		return apply_filters( 'visionati_post_context', $post_context, $attachment_id, $parent );
+	}
+
+	/**
+	 * Get a post's term names in a taxonomy as a comma-separated list.
+	 *
+	 * @param int    $post_id  Post ID.
+	 * @param string $taxonomy Taxonomy name.
+	 * @return string
+	 */
+	private static function get_term_names( $post_id, $taxonomy ) {
+		$terms = get_the_terms( $post_id, $taxonomy );
+
+		if ( empty( $terms ) || is_wp_error( $terms ) ) {
+			return '';
+		}
+
+		return implode( ', ', wp_list_pluck( $terms, 'name' ) );
+	}
+
+	/**
+	 * Get the paragraphs before and after an image in post content.
+	 *
+	 * Finds the image by its wp-image-{id} class, falling back to its
+	 * file URL (without extension, so resized copies match too).
+	 *
+	 * @param string $content       Post content.
+	 * @param int    $attachment_id The attachment post ID.
+	 * @return string Plain text, at most 600 characters.
+	 */
+	private static function get_surrounding_text( $content, $attachment_id ) {
+		$position = false;
+
+		if ( preg_match( '/\bwp-image-' . absint( $attachment_id ) . '\b/', $content, $match, PREG_OFFSET_CAPTURE ) ) {
+			$position = $match[0][1];
+		} else {
+			$url = wp_get_attachment_url( $attachment_id );
+			if ( $url ) {
+				$position = strpos( $content, preg_replace( '/\.[^.\/]+$/', '', $url ) );
+			}
+		}
+
+		if ( false === $position || ! preg_match_all( '#<p\b[^>]*>(.*?)</p>#is', $content, $matches, PREG_OFFSET_CAPTURE ) ) {
+			return '';
+		}
+
+		$before = '';
+		$after  = '';
+
+		foreach ( $matches[1] as $paragraph ) {
+			$text = trim( wp_strip_all_tags( $paragraph[0] ) );
+
+			if ( '' === $text ) {
+				continue;
+			}
+
+			if ( $paragraph[1] < $position ) {
+				$before = $text;
+			} else {
+				$after = $text;
+				break;
+			}
+		}
+
+		return Visionati_API::truncate( trim( $before . ' ' . $after ), 600 );
+	}
+
+	/**
+	 * Get the focus keyword an SEO plugin stores for a post.
+	 *
+	 * Supports Yoast SEO and Rank Math (first keyword only).
+	 *
+	 * @param int $post_id Post ID.
+	 * @return string
+	 */
+	private static function get_focus_keyword( $post_id ) {
+		$keyword = (string) get_post_meta( $post_id, '_yoast_wpseo_focuskw', true );
+
+		if ( '' === $keyword ) {
+			$keywords = explode( ',', (string) get_post_meta( $post_id, 'rank_math_focus_keyword', true ) );
+			$keyword  = $keywords[0];
+		}
+
+		return trim( $keyword );
 	}
 
 	/**
@@ -897,9 +2205,11 @@ class Visionati_Media {
 	 * @param string $context         The generation context.
 	 * @param bool   $force_overwrite Whether to overwrite existing content regardless of settings.
 	 *                                True for explicit single-image clicks, false for bulk/auto.
+	 * @param array  $source          Optional. History source overrides ('backend', 'role').
+	 *                                Defaults to the context's configured model and role.
 	 * @return array List of fields that were updated.
 	 */
-	private function update_attachment_fields( $attachment_id, $description, $context, $force_overwrite = false ) {
+	private function update_attachment_fields( $attachment_id, $description, $context, $force_overwrite = false, $source = array() ) {
 		$updated  = array();
 		$skipped  = array();
 		$errors   = array();
@@ -908,6 +2218,19 @@ class Visionati_Media {
 			$overwrite_fields = array();
 		}
 
+		/**
+		 * Filters text before it is saved to an attachment field.
+		 *
+		 * Applies to generated text and to previews applied by the user.
+		 * The result is still sanitized for the field afterwards, and alt
+		 * text is cut to 125 characters.
+		 *
+		 * @param string $description   Text to save.
+		 * @param int    $attachment_id Attachment ID.
+		 * @param string $context       'alt_text', 'caption', 'description', or 'all'.
+		 */
+		$description = (string) apply_filters( 'visionati_description', $description, $attachment_id, $context );
+
 		Visionati_API::debug_log( 'update_attachment_fields: starting', array(
 			'attachment_id'   => $attachment_id,
 			'context'         => $context,
@@ -922,6 +2245,7 @@ class Visionati_Media {
 			if ( empty( $existing_alt ) || $force_overwrite || in_array( 'alt_text', $overwrite_fields, true ) ) {
 				$alt_text = Visionati_API::truncate( wp_strip_all_tags( $description ), 125 );
 				update_post_meta( $attachment_id, '_wp_attachment_image_alt', sanitize_text_field( $alt_text ) );
+				$this->record_history( $attachment_id, 'alt_text', $existing_alt, $source );
 				$updated[] = 'alt_text';
 				Visionati_API::debug_log( 'update_attachment_fields: alt_text saved', array(
 					'attachment_id' => $attachment_id,
@@ -961,6 +2285,7 @@ class Visionati_Media {
 				// plugin hooks can cause wp_update_post to report failure even when the
 				// data was written. If it truly failed, the debug log has the details.
 				clean_post_cache( $attachment_id );
+				$this->record_history( $attachment_id, 'caption', $post->post_excerpt, $source );
 				$updated[] = 'caption';
 			} else {
 				$skipped[] = 'caption';
@@ -993,6 +2318,7 @@ class Visionati_Media {
 				}
 				// Always report as updated and clean cache (see caption comment above).
 				clean_post_cache( $attachment_id );
+				$this->record_history( $attachment_id, 'description', $post->post_content, $source );
 				$updated[] = 'description';
 			} else {
 				$skipped[] = 'description';
@@ -1016,6 +2342,27 @@ class Visionati_Media {
 		return $updated;
 	}
 
+	/**
+	 * Record a field write in the attachment's history.
+	 *
+	 * @param int    $attachment_id The attachment post ID.
+	 * @param string $field         The field written: 'alt_text', 'caption', or 'description'.
+	 * @param string $old           The value before the write.
+	 * @param array  $source        History source overrides ('backend', 'role').
+	 */
+	private function record_history( $attachment_id, $field, $old, $source ) {
+		$options = $this->get_options_for_context( $field );
+		$source  = array_merge(
+			array(
+				'backend' => isset( $options['backends'] ) ? $options['backends'] : get_option( 'visionati_backends', 'gemini' ),
+				'role'    => $options['role'],
+			),
+			array_filter( $source )
+		);
+
+		Visionati_History::record( $attachment_id, $field, $old, Visionati_History::get_value( $attachment_id, $field ), $source );
+	}
+
 	/**
 	 * Check whether an attachment field already has content.
 	 *
@@ -1047,14 +2394,17 @@ class Visionati_Media {
 	 * Uses a LEFT JOIN on wp_postmeta for alt text and checks
 	 * post_excerpt/post_content directly. One query, no iteration.
 	 *
+	 * @param array $filters Optional. Bulk filters from get_bulk_filters().
 	 * @return array Associative array with keys: alt_text, caption, description, total.
 	 */
-	private function count_missing_fields() {
+	private function count_missing_fields( $filters = array() ) {
 		global $wpdb;
 
 		$mime_types    = Visionati_API::get_supported_mime_types();
 		$placeholders  = implode( ', ', array_fill( 0, count( $mime_types ), '%s' ) );
 
+		list( $filter_sql, $filter_values ) = self::get_filter_sql( $filters );
+
 		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
 		$row = $wpdb->get_row(
 			$wpdb->prepare(
@@ -1068,8 +2418,9 @@ class Visionati_Media {
 					ON p.ID = pm.post_id AND pm.meta_key = '_wp_attachment_image_alt'
 				WHERE p.post_type = 'attachment'
 					AND p.post_status = 'inherit'
-					AND p.post_mime_type IN ($placeholders)",
-				...$mime_types
+					AND p.post_mime_type IN ($placeholders)
+					{$filter_sql}",
+				...array_merge( $mime_types, $filter_values )
 			)
 		);
 		// phpcs:enable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching
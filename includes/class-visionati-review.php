@@ -0,0 +1,459 @@
+<?php
+/**
+ * Visionati Review Queue
+ *
+ * In "Generate for review" mode, bulk runs and auto-generate on upload
+ * store generated text as pending suggestions instead of writing it to
+ * the fields. Media > Review Suggestions lists them with the current
+ * value next to the proposed one; approving writes the (optionally
+ * edited) text through the same save path as applying a preview, so
+ * history and hooks behave the same.
+ *
+ * Suggestions are stored per post in the _visionati_suggestions meta key,
+ * one per field. Post types register how to apply them with register_type().
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+class Visionati_Review {
+
+	/**
+	 * Post meta key holding the pending suggestions.
+	 *
+	 * @var string
+	 */
+	const META_KEY = '_visionati_suggestions';
+
+	/**
+	 * Posts listed per page on the Review screen.
+	 *
+	 * @var int
+	 */
+	const PER_PAGE = 20;
+
+	/**
+	 * Registered post types, keyed by post type.
+	 *
+	 * @var array
+	 */
+	private static $types = array();
+
+	/**
+	 * Constructor. Register hooks.
+	 */
+	public function __construct() {
+		add_action( 'admin_menu', array( $this, 'register_page' ) );
+		add_action( 'wp_ajax_visionati_review_decide', array( $this, 'ajax_decide' ) );
+	}
+
+	/**
+	 * Register a post type whose fields can receive suggestions.
+	 *
+	 * @param string $post_type Post type.
+	 * @param array  $args {
+	 *     @type string   $capability Capability required to review, on top of edit_post.
+	 *     @type callable $apply      Saves an approved value: ( $post_id, $field, $value, $backend ),
+	 *                                returns array|WP_Error.
+	 * }
+	 */
+	public static function register_type( $post_type, $args ) {
+		self::$types[ $post_type ] = $args;
+	}
+
+	/**
+	 * Store generated text as a pending suggestion for a field.
+	 *
+	 * Replaces any earlier suggestion for the same field. The text is
+	 * prepared the way the field would store it, so the Review screen
+	 * shows what approving will save.
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $field   Field slug. See Visionati_History::get_fields().
+	 * @param string $value   Generated text.
+	 * @param array  $source  Optional. 'backend' and 'role' used for the request.
+	 * @return string|false The stored text, or false when it was empty.
+	 */
+	public static function add( $post_id, $field, $value, $source = array() ) {
+		$value = self::prepare_value( $field, $value );
+
+		if ( '' === trim( wp_strip_all_tags( $value ) ) ) {
+			return false;
+		}
+
+		$suggestions           = self::get( $post_id );
+		$suggestions[ $field ] = array(
+			'value'   => $value,
+			'old'     => Visionati_History::get_value( $post_id, $field ),
+			'backend' => isset( $source['backend'] ) ? $source['backend'] : '',
+			'role'    => isset( $source['role'] ) ? $source['role'] : '',
+			'job_id'  => Visionati_History::get_job(),
+			'time'    => time(),
+		);
+
+		update_post_meta( $post_id, self::META_KEY, wp_slash( $suggestions ) );
+
+		return $value;
+	}
+
+	/**
+	 * Get a post's pending suggestions.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return array Associative array of field => suggestion.
+	 */
+	public static function get( $post_id ) {
+		$suggestions = get_post_meta( $post_id, self::META_KEY, true );
+		return is_array( $suggestions ) ? $suggestions : array();
+	}
+
+	/**
+	 * Remove a pending suggestion.
+	 *
+	 * @param int    $post_id Post ID.
+	 * @param string $field   Field slug.
+	 */
+	public static function remove( $post_id, $field ) {
+		$suggestions = self::get( $post_id );
+		unset( $suggestions[ $field ] );
+
+		if ( empty( $suggestions ) ) {
+			delete_post_meta( $post_id, self::META_KEY );
+		} else {
+			update_post_meta( $post_id, self::META_KEY, wp_slash( $suggestions ) );
+		}
+	}
+
+	/**
+	 * Count the posts with pending suggestions.
+	 *
+	 * @return int
+	 */
+	public static function count_pending() {
+		global $wpdb;
+
+		// phpcs:ignore WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching -- Cheap indexed count for the menu badge.
+		return (int) $wpdb->get_var(
+			$wpdb->prepare( "SELECT COUNT(*) FROM {$wpdb->postmeta} WHERE meta_key = %s", self::META_KEY )
+		);
+	}
+
+	/**
+	 * Save a suggestion to its field and remove it from the queue.
+	 *
+	 * @param int         $post_id Post ID.
+	 * @param string      $field   Field slug.
+	 * @param string|null $value   Edited text, or null to save the suggestion as generated.
+	 * @return array|WP_Error Array with the saved 'value', or WP_Error.
+	 */
+	public static function approve( $post_id, $field, $value = null ) {
+		$suggestions = self::get( $post_id );
+		$type        = get_post_type( $post_id );
+
+		if ( ! isset( $suggestions[ $field ] ) ) {
+			return new WP_Error( 'visionati_suggestion_not_found', __( 'Suggestion not found.', 'visionati' ) );
+		}
+
+		if ( ! isset( self::$types[ $type ] ) ) {
+			return new WP_Error( 'visionati_suggestion_invalid_type', __( 'This item can no longer be updated.', 'visionati' ) );
+		}
+
+		$suggestion = $suggestions[ $field ];
+
+		// Tag the write with the run that generated it, so "Revert this run" covers it.
+		Visionati_History::set_job( $suggestion['job_id'] );
+		$saved = call_user_func(
+			self::$types[ $type ]['apply'],
+			$post_id,
+			$field,
+			null === $value ? $suggestion['value'] : $value,
+			$suggestion['backend']
+		);
+		Visionati_History::set_job( 0 );
+
+		if ( is_wp_error( $saved ) ) {
+			return $saved;
+		}
+
+		self::remove( $post_id, $field );
+
+		return array( 'value' => Visionati_History::get_value( $post_id, $field ) );
+	}
+
+	/**
+	 * Check whether the current user can review a post's suggestions.
+	 *
+	 * @param int $post_id Post ID.
+	 * @return bool
+	 */
+	public static function can_review( $post_id ) {
+		$type = get_post_type( $post_id );
+
+		return isset( self::$types[ $type ] )
+			&& current_user_can( self::$types[ $type ]['capability'] )
+			&& current_user_can( 'edit_post', $post_id );
+	}
+
+	/**
+	 * Prepare generated text the way its field stores it.
+	 *
+	 * @param string $field Field slug.
+	 * @param string $value Generated text.
+	 * @return string
+	 */
+	private static function prepare_value( $field, $value ) {
+		switch ( $field ) {
+			case 'alt_text':
+				return sanitize_text_field( Visionati_API::truncate( wp_strip_all_tags( $value ), 125 ) );
+
+			case 'caption':
+			case 'short_description':
+				return sanitize_text_field( wp_strip_all_tags( $value ) );
+
+			case 'seo_title':
+			case 'seo_description':
+			case 'focus_keyword':
+				return Visionati_Woo::prepare_seo_value( $field, $value );
+
+			case 'product_tags':
+				return sanitize_text_field( $value );
+
+			case 'product_attributes':
+				return sanitize_textarea_field( $value );
+
+			default:
+				return wp_kses_post( $value );
+		}
+	}
+
+	// -------------------------------------------------------------------------
+	// Admin Page
+	// -------------------------------------------------------------------------
+
+	/**
+	 * Register Media > Review Suggestions, with a count of pending items.
+	 */
+	public function register_page() {
+		$count = self::count_pending();
+		$title = __( 'Review Suggestions', 'visionati' );
+
+		add_media_page(
+			$title,
+			$count ? sprintf( '%s <span class="awaiting-mod">%s</span>', esc_html( $title ), number_format_i18n( $count ) ) : $title,
+			'upload_files',
+			'visionati-review',
+			array( $this, 'render_page' )
+		);
+	}
+
+	/**
+	 * Render the Review Suggestions page.
+	 */
+	public function render_page() {
+		// phpcs:ignore WordPress.Security.NonceVerification.Recommended -- Read-only pagination.
+		$paged = isset( $_GET['paged'] ) ? max( 1, absint( $_GET['paged'] ) ) : 1;
+		$query = new WP_Query( array(
+			'post_type'      => array_keys( self::$types ),
+			'post_status'    => 'any',
+			'posts_per_page' => self::PER_PAGE,
+			'paged'          => $paged,
+			'orderby'        => 'ID',
+			'order'          => 'DESC',
+			'fields'         => 'ids',
+			// phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_meta_key -- Only posts with suggestions.
+			'meta_key'       => self::META_KEY,
+		) );
+
+		$fields   = Visionati_History::get_fields();
+		$backends = Visionati_API::get_description_backends();
+		$rows     = 0;
+		?>
+		<div class="wrap visionati-review">
+			<h1><?php esc_html_e( 'Review Suggestions', 'visionati' ); ?></h1>
+			<p class="description">
+				<?php esc_html_e( 'Text generated in "Generate for review" mode waits here instead of being saved. Edit a suggestion if needed, then approve it to save it to the field, or reject it.', 'visionati' ); ?>
+			</p>
+
+			<?php if ( ! $query->have_posts() ) : ?>
+				<p><?php esc_html_e( 'There are no suggestions waiting for review.', 'visionati' ); ?></p>
+			<?php else : ?>
+				<div class="visionati-review-batch">
+					<button type="button" class="button button-primary visionati-review-approve-selected" disabled>
+						<?php esc_html_e( 'Approve selected', 'visionati' ); ?>
+					</button>
+					<button type="button" class="button visionati-review-reject-selected" disabled>
+						<?php esc_html_e( 'Reject selected', 'visionati' ); ?>
+					</button>
+					<span class="visionati-review-batch-status" role="status"></span>
+				</div>
+
+				<table class="wp-list-table widefat striped visionati-review-table">
+					<thead>
+						<tr>
+							<td class="check-column">
+								<label class="screen-reader-text" for="visionati-review-select-all"><?php esc_html_e( 'Select all', 'visionati' ); ?></label>
+								<input type="checkbox" id="visionati-review-select-all" />
+							</td>
+							<th scope="col"><?php esc_html_e( 'Item', 'visionati' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Field', 'visionati' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Current', 'visionati' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Suggested', 'visionati' ); ?></th>
+							<th scope="col"><?php esc_html_e( 'Actions', 'visionati' ); ?></th>
+						</tr>
+					</thead>
+					<tbody>
+						<?php
+						foreach ( $query->posts as $post_id ) :
+							if ( ! self::can_review( $post_id ) ) {
+								continue;
+							}
+
+							$thumb = 'attachment' === get_post_type( $post_id )
+								? wp_get_attachment_image( $post_id, array( 60, 60 ) )
+								: get_the_post_thumbnail( $post_id, array( 60, 60 ) );
+
+							// Variations are edited on their parent product's screen.
+							$edit_id = 'product_variation' === get_post_type( $post_id ) ? wp_get_post_parent_id( $post_id ) : $post_id;
+
+							foreach ( self::get( $post_id ) as $field => $suggestion ) :
+								$current = Visionati_History::get_value( $post_id, $field );
+								$input   = 'visionati-review-' . $post_id . '-' . $field;
+								++$rows;
+								?>
+								<tr data-post-id="<?php echo absint( $post_id ); ?>" data-field="<?php echo esc_attr( $field ); ?>">
+									<th scope="row" class="check-column">
+										<input type="checkbox" class="visionati-review-select" aria-label="<?php esc_attr_e( 'Select suggestion', 'visionati' ); ?>" />
+									</th>
+									<td class="visionati-review-item">
+										<?php echo $thumb; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- Core image markup. ?>
+										<a href="<?php echo esc_url( get_edit_post_link( $edit_id ) ); ?>"><?php echo esc_html( get_the_title( $post_id ) ); ?></a>
+									</td>
+									<td><?php echo esc_html( isset( $fields[ $field ] ) ? $fields[ $field ] : $field ); ?></td>
+									<td class="visionati-review-current">
+										<?php if ( '' === $current ) : ?>
+											<em><?php esc_html_e( '(empty)', 'visionati' ); ?></em>
+										<?php else : ?>
+											<?php echo esc_html( wp_strip_all_tags( $current ) ); ?>
+										<?php endif; ?>
+										<?php if ( $current !== $suggestion['old'] ) : ?>
+											<p class="visionati-review-changed"><?php esc_html_e( 'Changed since this suggestion was generated.', 'visionati' ); ?></p>
+										<?php endif; ?>
+									</td>
+									<td class="visionati-review-suggested">
+										<label class="screen-reader-text" for="<?php echo esc_attr( $input ); ?>"><?php esc_html_e( 'Suggested text', 'visionati' ); ?></label>
+										<textarea id="<?php echo esc_attr( $input ); ?>" class="visionati-review-value" rows="<?php echo in_array( $field, array( 'description', 'long_description' ), true ) ? 6 : 3; ?>"><?php echo esc_textarea( $suggestion['value'] ); ?></textarea>
+										<p class="description">
+											<?php
+											echo esc_html( sprintf(
+												/* translators: 1: AI model, 2: date */
+												__( '%1$s, %2$s', 'visionati' ),
+												isset( $backends[ $suggestion['backend'] ] ) ? $backends[ $suggestion['backend'] ] : $suggestion['backend'],
+												wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $suggestion['time'] )
+											) );
+											?>
+										</p>
+									</td>
+									<td class="visionati-review-actions">
+										<button type="button" class="button button-primary visionati-review-approve"><?php esc_html_e( 'Approve', 'visionati' ); ?></button>
+										<button type="button" class="button visionati-review-reject"><?php esc_html_e( 'Reject', 'visionati' ); ?></button>
+										<span class="visionati-review-status" role="status"></span>
+									</td>
+								</tr>
+								<?php
+							endforeach;
+						endforeach;
+						?>
+					</tbody>
+				</table>
+
+				<?php if ( ! $rows ) : ?>
+					<p><?php esc_html_e( 'There are no suggestions you can review.', 'visionati' ); ?></p>
+				<?php endif; ?>
+
+				<?php
+				$pagination = paginate_links( array(
+					'base'    => add_query_arg( 'paged', '%#%' ),
+					'format'  => '',
+					'current' => $paged,
+					'total'   => $query->max_num_pages,
+				) );
+
+				if ( $pagination ) {
+					echo '<div class="tablenav"><div class="tablenav-pages">' . wp_kses_post( $pagination ) . '</div></div>';
+				}
+				?>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	// -------------------------------------------------------------------------
+	// AJAX Handlers
+	// -------------------------------------------------------------------------
+
+	/**
+	 * AJAX handler: approve or reject one or more suggestions.
+	 *
+	 * Expects 'decision' ('approve' or 'reject') and 'items', a list of
+	 * post_id, field and, for approvals, the (possibly edited) value.
+	 * Each item succeeds or fails on its own.
+	 */
+	public function ajax_decide() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		$decision = isset( $_POST['decision'] ) ? sanitize_key( $_POST['decision'] ) : '';
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Each item is sanitized below.
+		$items = isset( $_POST['items'] ) && is_array( $_POST['items'] ) ? wp_unslash( $_POST['items'] ) : array();
+
+		if ( ! in_array( $decision, array( 'approve', 'reject' ), true ) || empty( $items ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Nothing to do.', 'visionati' ) ) );
+		}
+
+		$results = array();
+
+		foreach ( $items as $item ) {
+			if ( ! is_array( $item ) ) {
+				continue;
+			}
+
+			$post_id = isset( $item['post_id'] ) ? absint( $item['post_id'] ) : 0;
+			$field   = isset( $item['field'] ) ? sanitize_key( $item['field'] ) : '';
+			$result  = array(
+				'post_id' => $post_id,
+				'field'   => $field,
+				'success' => false,
+			);
+
+			if ( ! $post_id || ! self::can_review( $post_id ) ) {
+				$result['message'] = __( 'Permission denied.', 'visionati' );
+			} elseif ( 'reject' === $decision ) {
+				self::remove( $post_id, $field );
+				$result['success'] = true;
+			} else {
+				$approved = self::approve( $post_id, $field, isset( $item['value'] ) ? (string) $item['value'] : null );
+
+				if ( is_wp_error( $approved ) ) {
+					$result['message'] = $approved->get_error_message();
+				} else {
+					$result['success'] = true;
+					$result['value']   = $approved['value'];
+				}
+			}
+
+			$results[] = $result;
+		}
+
+		Visionati_API::debug_log( 'review: ' . $decision, array(
+			'items'     => count( $results ),
+			'succeeded' => count( wp_list_filter( $results, array( 'success' => true ) ) ),
+		) );
+
+		Visionati_API::send_json_success( array(
+			'results' => $results,
+			'pending' => self::count_pending(),
+		) );
+	}
+}
\ No newline at end of file
@@ -0,0 +1,285 @@
+<?php
+/**
+ * Visionati WP-CLI Commands for WooCommerce
+ *
+ * Runs the Bulk Descriptions flow from the shell. Shares output and
+ * exit code handling with Visionati_CLI.
+ *
+ * @package Visionati
+ */
+
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Generate WooCommerce product descriptions with Visionati.
+ */
+class Visionati_Woo_CLI {
+
+	/**
+	 * Product statuses a bulk run can include.
+	 *
+	 * @var array
+	 */
+	const STATUSES = array( 'publish', 'draft', 'pending', 'private' );
+
+	/**
+	 * WooCommerce integration that does the generating.
+	 *
+	 * @var Visionati_Woo
+	 */
+	private $woo;
+
+	/**
+	 * Constructor.
+	 *
+	 * @param Visionati_Woo $woo WooCommerce integration instance.
+	 */
+	public function __construct( $woo ) {
+		$this->woo = $woo;
+	}
+
+	/**
+	 * Generate descriptions for every product that needs them.
+	 *
+	 * Selects and processes products the same way as Products > Bulk
+	 * Descriptions: products with a featured image that are missing a
+	 * short or long description or an enabled SEO field (every such product
+	 * when overwrite is on for descriptions). Featured and gallery image alt
+	 * text is generated if missing. With --variations, variations with their
+	 * own image get a description (and image alt text) too. With --tags,
+	 * the tags and attribute values found in the featured image of
+	 * products without tags are queued for review.
+	 *
+	 * ## OPTIONS
+	 *
+	 * [--status=<statuses>]
+	 * : Comma-separated product statuses: publish, draft, pending, private.
+	 * ---
+	 * default: publish,draft,pending,private
+	 * ---
+	 *
+	 * [--variations]
+	 * : Also generate descriptions for variations with their own image.
+	 *
+	 * [--tags]
+	 * : Also queue suggested tags and attribute values for products without tags for review.
+	 *
+	 * [--limit=<number>]
+	 * : Process at most this many products.
+	 *
+	 * [--dry-run]
+	 * : List the products and fields that would be generated, with a credit estimate, without calling the API.
+	 *
+	 * [--format=<format>]
+	 * : Output format.
+	 * ---
+	 * default: table
+	 * options:
+	 *   - table
+	 *   - json
+	 *   - csv
+	 * ---
+	 *
+	 * ## EXAMPLES
+	 *
+	 *     wp visionati woo bulk --status=publish
+	 *     wp visionati woo bulk --status=draft,pending --limit=20 --dry-run
+	 *     wp visionati woo bulk --variations
+	 *     wp visionati woo bulk --tags --dry-run
+	 *
+	 * @param array $args       Positional arguments.
+	 * @param array $assoc_args Associative arguments.
+	 */
+	public function bulk( $args, $assoc_args ) {
+		$statuses = isset( $assoc_args['status'] ) ? wp_parse_list( $assoc_args['status'] ) : self::STATUSES;
+		$format   = Visionati_CLI::get_format( $assoc_args );
+
+		if ( empty( $statuses ) || array_diff( $statuses, self::STATUSES ) ) {
+			WP_CLI::error( sprintf(
+				/* translators: %s: list of product statuses */
+				__( 'Invalid status. Use any of: %s.', 'visionati' ),
+				implode( ', ', self::STATUSES )
+			) );
+		}
+
+		$tags = (bool) \WP_CLI\Utils\get_flag_value( $assoc_args, 'tags', false );
+		$ids  = $this->woo->query_product_ids(
+			in_array( 'description', Visionati_CLI::get_overwrite_fields(), true ),
+			$statuses,
+			\WP_CLI\Utils\get_flag_value( $assoc_args, 'variations', false ),
+			$tags
+		);
+		$ids = Visionati_CLI::apply_limit( $ids, $assoc_args );
+
+		if ( empty( $ids ) ) {
+			Visionati_CLI::finish( array(), $format, 0 );
+			return;
+		}
+
+		if ( \WP_CLI\Utils\get_flag_value( $assoc_args, 'dry-run', false ) ) {
+			$this->dry_run( $ids, $format, $tags );
+			return;
+		}
+
+		$rows     = array();
+		$progress = \WP_CLI\Utils\make_progress_bar( __( 'Generating', 'visionati' ), count( $ids ) );
+
+		foreach ( $ids as $product_id ) {
+			$result = $this->woo->bulk_generate_product( $product_id, false, $tags );
+
+			/** This action is documented in includes/class-visionati-jobs.php */
+			do_action( 'visionati_bulk_item_processed', $product_id, $result, 'woo', 0 );
+
+			$rows[] = Visionati_CLI::format_row( $product_id, $result, $result );
+			$progress->tick();
+
+			if ( 'failed' === $result['status'] && Visionati_API::is_credit_error( $result['message'] ) ) {
+				break;
+			}
+		}
+
+		$progress->finish();
+
+		Visionati_CLI::finish( $rows, $format, count( $ids ) );
+	}
+
+	/**
+	 * Print the fields a bulk run would generate, and what it would cost.
+	 *
+	 * Mirrors the rules in Visionati_Woo::bulk_generate_product().
+	 *
+	 * @param int[]  $ids    Product IDs.
+	 * @param string $format Output format.
+	 * @param bool   $tags   Whether products without tags get tags and attribute values.
+	 */
+	private function dry_run( $ids, $format, $tags ) {
+		$overwrite_fields = Visionati_CLI::get_overwrite_fields();
+		$overwrite_desc   = in_array( 'description', $overwrite_fields, true );
+		$overwrite_alt    = in_array( 'alt_text', $overwrite_fields, true );
+
+		$rows   = array();
+		$counts = array(
+			'short_description'     => 0,
+			'long_description'      => 0,
+			'variation_description' => 0,
+			'alt_text'              => 0,
+			'product_tags'          => 0,
+			'gallery_images'        => 0,
+		);
+		foreach ( Visionati_Woo::SEO_FIELDS as $field ) {
+			$counts[ $field ] = 0;
+		}
+
+		foreach ( $ids as $product_id ) {
+			$product = wc_get_product( $product_id );
+
+			if ( ! $product || ! $product->get_image_id( 'edit' ) ) {
+				continue;
+			}
+
+			$fields = array();
+
+			if ( $product->is_type( 'variation' ) ) {
+				if ( $overwrite_desc || Visionati_Woo::is_content_empty( $product->get_description( 'edit' ) ) ) {
+					$fields[] = 'variation_description';
+				}
+
+				$image_id  = $product->get_image_id( 'edit' );
+				$alt_count = $fields && ( $overwrite_alt || '' === (string) get_post_meta( $image_id, '_wp_attachment_image_alt', true ) ) ? 1 : 0;
+			} else {
+				if ( $overwrite_desc || Visionati_Woo::is_content_empty( $product->get_short_description() ) ) {
+					$fields[] = 'short_description';
+				}
+				if ( $overwrite_desc || Visionati_Woo::is_content_empty( $product->get_description() ) ) {
+					$fields[] = 'long_description';
+				}
+
+				$fields = array_merge( $fields, Visionati_Woo::get_missing_seo_fields( $product_id, $overwrite_desc ) );
+
+				// Gallery images go with every description and SEO request.
+				$counts['gallery_images'] += count( $fields ) * count( Visionati_Woo::get_description_gallery_ids( $product ) );
+
+				if ( $tags && empty( $product->get_tag_ids() ) ) {
+					$fields[] = 'product_tags';
+				}
+
+				$alt_count = $fields ? count( Visionati_Woo::get_alt_text_image_ids( $product, $overwrite_alt ) ) : 0;
+			}
+
+			if ( $alt_count ) {
+				$fields[] = 'alt_text';
+			}
+
+			foreach ( $fields as $field ) {
+				$counts[ $field ] += 'alt_text' === $field ? $alt_count : 1;
+			}
+
+			$rows[] = array(
+				'ID'       => $product_id,
+				'filename' => $product->get_name(),
+				'fields'   => implode( ',', $fields ),
+			);
+		}
+
+		$global      = get_option( 'visionati_backends', 'gemini' );
+		$woo_backend = get_option( 'visionati_backend_woocommerce', '' );
+		$alt_backend = get_option( 'visionati_backend_alt_text', '' );
+		$woo_backend = ! empty( $woo_backend ) ? $woo_backend : $global;
+
+		$lines = array(
+			array(
+				'label'   => __( 'Short description', 'visionati' ),
+				'count'   => $counts['short_description'],
+				'backend' => $woo_backend,
+			),
+			array(
+				'label'   => __( 'Long description', 'visionati' ),
+				'count'   => $counts['long_description'],
+				'backend' => $woo_backend,
+			),
+			array(
+				'label'   => __( 'Variation description', 'visionati' ),
+				'count'   => $counts['variation_description'],
+				'backend' => $woo_backend,
+			),
+		);
+
+		$lines[] = array(
+			'label'   => __( 'Gallery images', 'visionati' ),
+			'count'   => $counts['gallery_images'],
+			'backend' => $woo_backend,
+		);
+
+		$labels = Visionati_History::get_fields();
+		foreach ( Visionati_Woo::SEO_FIELDS as $field ) {
+			if ( $counts[ $field ] ) {
+				$lines[] = array(
+					'label'   => $labels[ $field ],
+					'count'   => $counts[ $field ],
+					'backend' => $woo_backend,
+				);
+			}
+		}
+
+		if ( $tags ) {
+			$lines[] = array(
+				'label'   => __( 'Tags and attributes', 'visionati' ),
+				'count'   => $counts['product_tags'],
+				'backend' => Visionati_Woo::get_tag_backend(),
+			);
+		}
+
+		$lines[] = array(
+			'label'   => __( 'Alt Text', 'visionati' ),
+			'count'   => $counts['alt_text'],
+			'backend' => ! empty( $alt_backend ) ? $alt_backend : $global,
+		);
+
+		$estimate = Visionati_API::build_estimate( $lines );
+
+		\WP_CLI\Utils\format_items( $format, $rows, array( 'ID', 'filename', 'fields' ) );
+		Visionati_CLI::print_estimate( $estimate, $format );
+	}
+}
\ No newline at end of file
@@ -28,7 +28,7 @@ class Visionati_Woo {
 	 * @param string $content The content to check.
 	 * @return bool True if the content is empty or contains only HTML/whitespace.
 	 */
-	private static function is_content_empty( $content ) {
+	public static function is_content_empty( $content ) {
 		if ( empty( $content ) ) {
 			return true;
 		}
@@ -46,6 +46,372 @@ class Visionati_Woo {
 	 */
 	const PROMPT_BOILERPLATE = 'The response should use affirmative language with no ambiguous words such as might, should, or may. Include relevant keywords for SEO. Do not attempt to name the product in the image.';
 
+	/**
+	 * Maximum number of gallery images sent with the featured image.
+	 *
+	 * Every image is sent base64 encoded in the same request, so this
+	 * keeps the payload size reasonable.
+	 *
+	 * @var int
+	 */
+	const MAX_GALLERY_IMAGES = 4;
+
+	/**
+	 * Product SEO fields that can be generated alongside the descriptions.
+	 *
+	 * @var string[]
+	 */
+	const SEO_FIELDS = array( 'seo_title', 'seo_description', 'focus_keyword' );
+
+	/**
+	 * Maximum SEO title length. Search results cut off longer titles.
+	 *
+	 * @var int
+	 */
+	const SEO_TITLE_LIMIT = 60;
+
+	/**
+	 * Maximum meta description length. Search results cut off longer snippets.
+	 *
+	 * @var int
+	 */
+	const SEO_DESCRIPTION_LIMIT = 160;
+
+	/**
+	 * Maximum number of product tags suggested from an image.
+	 *
+	 * @var int
+	 */
+	const MAX_TAG_SUGGESTIONS = 10;
+
+	/**
+	 * Default backend used to tag product images. Description models do not return tags.
+	 *
+	 * @var string
+	 */
+	const DEFAULT_TAG_BACKEND = 'googlevision';
+
+	/**
+	 * Heading tags a description template can use for its sections.
+	 *
+	 * @var string[]
+	 */
+	const TEMPLATE_HEADING_TAGS = array( 'h2', 'h3', 'h4' );
+
+	/**
+	 * Section formats a description template can use.
+	 *
+	 * @var string[]
+	 */
+	const TEMPLATE_SECTION_FORMATS = array( 'paragraph', 'list' );
+
+	/**
+	 * Get the active SEO plugin that product SEO fields are written to.
+	 *
+	 * @return string 'yoast', 'rankmath', 'seopress', or '' when none is active.
+	 */
+	public static function get_seo_plugin() {
+		if ( defined( 'WPSEO_VERSION' ) ) {
+			return 'yoast';
+		}
+
+		if ( class_exists( 'RankMath' ) ) {
+			return 'rankmath';
+		}
+
+		if ( defined( 'SEOPRESS_VERSION' ) ) {
+			return 'seopress';
+		}
+
+		return '';
+	}
+
+	/**
+	 * Get the backend used to tag product images.
+	 *
+	 * @return string Backend slug from the WooCommerce Tagging Model setting.
+	 */
+	public static function get_tag_backend() {
+		$backend = get_option( 'visionati_woo_tag_backend', self::DEFAULT_TAG_BACKEND );
+
+		return isset( Visionati_API::get_tagging_backends()[ $backend ] ) ? $backend : self::DEFAULT_TAG_BACKEND;
+	}
+
+	/**
+	 * Get the post meta keys product SEO fields are written to.
+	 *
+	 * @return array Associative array of SEO field slug => meta key. Empty
+	 *               when no supported SEO plugin is active.
+	 */
+	public static function get_seo_meta_keys() {
+		$plugin_keys = array(
+			'yoast'    => array(
+				'seo_title'       => '_yoast_wpseo_title',
+				'seo_description' => '_yoast_wpseo_metadesc',
+				'focus_keyword'   => '_yoast_wpseo_focuskw',
+			),
+			'rankmath' => array(
+				'seo_title'       => 'rank_math_title',
+				'seo_description' => 'rank_math_description',
+				'focus_keyword'   => 'rank_math_focus_keyword',
+			),
+			'seopress' => array(
+				'seo_title'       => '_seopress_titles_title',
+				'seo_description' => '_seopress_titles_desc',
+				'focus_keyword'   => '_seopress_analysis_target_kw',
+			),
+		);
+
+		$plugin = self::get_seo_plugin();
+		$keys   = isset( $plugin_keys[ $plugin ] ) ? $plugin_keys[ $plugin ] : array();
+
+		/**
+		 * Filters the post meta keys product SEO fields are written to.
+		 *
+		 * Return keys here to save the fields for an SEO plugin that is not
+		 * supported out of the box.
+		 *
+		 * @param array  $keys   SEO field slug => meta key.
+		 * @param string $plugin Active SEO plugin: 'yoast', 'rankmath', 'seopress', or ''.
+		 */
+		$keys = apply_filters( 'visionati_seo_meta_keys', $keys, $plugin );
+
+		return array_intersect_key( (array) $keys, array_flip( self::SEO_FIELDS ) );
+	}
+
+	/**
+	 * Tell the active SEO plugin that a product's SEO meta changed.
+	 *
+	 * The fields are written straight to post meta. Yoast SEO serves its
+	 * head tags from an indexable table that is only rebuilt when a post
+	 * is saved, so the product's indexable is rebuilt here; Rank Math and
+	 * SEOPress read the meta directly.
+	 *
+	 * @param int $product_id Product ID.
+	 */
+	public static function refresh_seo_plugin( $product_id ) {
+		if ( 'yoast' !== self::get_seo_plugin() || ! function_exists( 'YoastSEO' ) || ! class_exists( 'Yoast\WP\SEO\Builders\Indexable_Builder' ) ) {
+			return;
+		}
+
+		try {
+			$indexable = YoastSEO()->classes->get( 'Yoast\WP\SEO\Repositories\Indexable_Repository' )->find_by_id_and_type( $product_id, 'post', false );
+			YoastSEO()->classes->get( 'Yoast\WP\SEO\Builders\Indexable_Builder' )->build_for_id_and_type( $product_id, 'post', $indexable );
+		} catch ( Exception $e ) {
+			Visionati_API::debug_log( 'woo: yoast indexable refresh failed', array(
+				'product_id' => $product_id,
+				'error'      => $e->getMessage(),
+			) );
+		}
+	}
+
+	/**
+	 * Get the post meta key one product SEO field is written to.
+	 *
+	 * @param string $field SEO field slug.
+	 * @return string Meta key, or '' when the field cannot be saved.
+	 */
+	public static function get_seo_meta_key( $field ) {
+		$keys = self::get_seo_meta_keys();
+
+		return isset( $keys[ $field ] ) ? $keys[ $field ] : '';
+	}
+
+	/**
+	 * Get the SEO fields enabled in the "visionati_woo_seo_fields" option.
+	 *
+	 * @return string[] SEO field slugs.
+	 */
+	public static function get_seo_fields() {
+		$fields = get_option( 'visionati_woo_seo_fields', array() );
+
+		if ( ! is_array( $fields ) ) {
+			return array();
+		}
+
+		return array_values( array_intersect( self::SEO_FIELDS, $fields ) );
+	}
+
+	/**
+	 * Get the enabled SEO fields a bulk run fills in for a product.
+	 *
+	 * Only fields the active SEO plugin stores are included.
+	 *
+	 * @param int  $product_id Product ID.
+	 * @param bool $overwrite  Include fields that already have a value.
+	 * @return string[] SEO field slugs.
+	 */
+	public static function get_missing_seo_fields( $product_id, $overwrite ) {
+		$meta_keys = self::get_seo_meta_keys();
+		$fields    = array();
+
+		foreach ( self::get_seo_fields() as $field ) {
+			if ( isset( $meta_keys[ $field ] ) && ( $overwrite || '' === (string) get_post_meta( $product_id, $meta_keys[ $field ], true ) ) ) {
+				$fields[] = $field;
+			}
+		}
+
+		return $fields;
+	}
+
+	/**
+	 * Clean up generated SEO text the way the field stores it.
+	 *
+	 * Plain text without wrapping quotes, cut to the length search results
+	 * show. A focus keyword loses any trailing period.
+	 *
+	 * @param string $field SEO field slug.
+	 * @param string $value Generated text.
+	 * @return string
+	 */
+	public static function prepare_seo_value( $field, $value ) {
+		$value = trim( sanitize_text_field( wp_strip_all_tags( (string) $value ) ), " \"'" );
+
+		if ( 'seo_title' === $field ) {
+			return Visionati_API::truncate( $value, self::SEO_TITLE_LIMIT );
+		}
+
+		if ( 'seo_description' === $field ) {
+			return Visionati_API::truncate( $value, self::SEO_DESCRIPTION_LIMIT );
+		}
+
+		return rtrim( $value, '.' );
+	}
+
+	/**
+	 * Get the description templates defined in settings.
+	 *
+	 * A template has a name, long description sections (each a heading, a
+	 * 'paragraph' or 'list' format, and optional instructions), the heading
+	 * tag for the sections, word limits for the short and long descriptions
+	 * (0 for none), extra prompt instructions, and the product category IDs
+	 * it is used for.
+	 *
+	 * @return array Template slug => template, in settings order.
+	 */
+	public static function get_templates() {
+		$templates = get_option( 'visionati_woo_templates', array() );
+		if ( ! is_array( $templates ) ) {
+			return array();
+		}
+
+		$defaults = array(
+			'name'         => '',
+			'sections'     => array(),
+			'heading_tag'  => 'h3',
+			'short_words'  => 0,
+			'long_words'   => 0,
+			'instructions' => '',
+			'categories'   => array(),
+		);
+
+		foreach ( $templates as $slug => $template ) {
+			$templates[ $slug ] = wp_parse_args( (array) $template, $defaults );
+		}
+
+		return $templates;
+	}
+
+	/**
+	 * Get the description template used for a product.
+	 *
+	 * Without a slug, this is the first template assigned to one of the
+	 * product's categories or their parents.
+	 *
+	 * @param WC_Product $product The WooCommerce product.
+	 * @param string     $slug    Optional. Template slug, 'none' for no template,
+	 *                            or '' to choose by category. Default ''.
+	 * @return array|null Template (see get_templates()) with its 'slug', or null.
+	 */
+	public static function get_product_template( $product, $slug = '' ) {
+		$templates = self::get_templates();
+
+		if ( 'none' === $slug ) {
+			return null;
+		}
+
+		if ( '' !== $slug ) {
+			return isset( $templates[ $slug ] ) ? array_merge( $templates[ $slug ], array( 'slug' => $slug ) ) : null;
+		}
+
+		$category_ids = array_map( 'intval', $product->get_category_ids() );
+		foreach ( $category_ids as $category_id ) {
+			$category_ids = array_merge( $category_ids, get_ancestors( $category_id, 'product_cat', 'taxonomy' ) );
+		}
+
+		foreach ( $templates as $template_slug => $template ) {
+			if ( array_intersect( array_map( 'intval', $template['categories'] ), $category_ids ) ) {
+				return array_merge( $template, array( 'slug' => $template_slug ) );
+			}
+		}
+
+		return null;
+	}
+
+	/**
+	 * Parse template sections from their settings text.
+	 *
+	 * One section per line: "Heading | format | instructions", where format
+	 * is 'paragraph' or 'list'. Format and instructions are optional, e.g.
+	 * "Overview", "Features | list" or "Materials & Care | Fabric and washing".
+	 *
+	 * @param string $text Section lines.
+	 * @return array List of sections with 'heading', 'format' and 'instructions'.
+	 */
+	public static function parse_template_sections( $text ) {
+		$sections = array();
+
+		foreach ( preg_split( '/\r\n|\r|\n/', (string) $text ) as $line ) {
+			$parts   = array_map( 'trim', explode( '|', $line, 3 ) );
+			$heading = sanitize_text_field( $parts[0] );
+			if ( '' === $heading ) {
+				continue;
+			}
+
+			$format       = 'paragraph';
+			$instructions = '';
+
+			if ( 3 === count( $parts ) ) {
+				$format       = strtolower( $parts[1] );
+				$instructions = $parts[2];
+			} elseif ( 2 === count( $parts ) ) {
+				if ( in_array( strtolower( $parts[1] ), self::TEMPLATE_SECTION_FORMATS, true ) ) {
+					$format = strtolower( $parts[1] );
+				} else {
+					$instructions = $parts[1];
+				}
+			}
+
+			$sections[] = array(
+				'heading'      => $heading,
+				'format'       => in_array( $format, self::TEMPLATE_SECTION_FORMATS, true ) ? $format : 'paragraph',
+				'instructions' => sanitize_text_field( $instructions ),
+			);
+		}
+
+		return $sections;
+	}
+
+	/**
+	 * Format template sections as settings text. See parse_template_sections().
+	 *
+	 * @param array $sections Sections.
+	 * @return string Section lines.
+	 */
+	public static function format_template_sections( $sections ) {
+		$lines = array();
+
+		foreach ( (array) $sections as $section ) {
+			$line = $section['heading'] . ' | ' . $section['format'];
+			if ( '' !== $section['instructions'] ) {
+				$line .= ' | ' . $section['instructions'];
+			}
+			$lines[] = $line;
+		}
+
+		return implode( "\n", $lines );
+	}
+
 	/**
 	 * Constructor. Register hooks.
 	 */
@@ -57,9 +423,31 @@ class Visionati_Woo {
 		add_action( 'wp_ajax_visionati_woo_bulk_generate', array( $this, 'ajax_bulk_generate_single' ) );
 		add_action( 'wp_ajax_visionati_woo_get_products', array( $this, 'ajax_get_products' ) );
 		add_action( 'wp_ajax_visionati_woo_get_stats', array( $this, 'ajax_get_stats' ) );
+		add_action( 'wp_ajax_visionati_woo_bulk_start', array( $this, 'ajax_bulk_start' ) );
+		add_action( 'wp_ajax_visionati_woo_variation_generate', array( $this, 'ajax_generate_variation' ) );
+		add_action( 'wp_ajax_visionati_woo_variation_apply', array( $this, 'ajax_apply_variation' ) );
+		add_action( 'wp_ajax_visionati_woo_suggest_terms', array( $this, 'ajax_suggest_terms' ) );
+		add_action( 'wp_ajax_visionati_woo_assign_terms', array( $this, 'ajax_assign_terms' ) );
+		add_action( 'woocommerce_product_after_variable_attributes', array( $this, 'render_variation_panel' ), 10, 3 );
+		add_action( 'rest_api_init', array( $this, 'register_rest_routes' ) );
 		add_filter( 'bulk_actions-edit-product', array( $this, 'register_bulk_action' ) );
 		add_filter( 'handle_bulk_actions-edit-product', array( $this, 'handle_bulk_action' ), 10, 3 );
 		add_action( 'admin_notices', array( $this, 'bulk_action_notice' ) );
+
+		Visionati_Jobs::register_type( 'woo', array(
+			'capability' => 'edit_products',
+			'process'    => array( $this, 'process_job_batch' ),
+		) );
+
+		Visionati_Review::register_type( 'product', array(
+			'capability' => 'edit_products',
+			'apply'      => array( $this, 'apply_suggestion' ),
+		) );
+
+		Visionati_Review::register_type( 'product_variation', array(
+			'capability' => 'edit_products',
+			'apply'      => array( $this, 'apply_suggestion' ),
+		) );
 	}
 
 	/**
@@ -88,6 +476,12 @@ class Visionati_Woo {
 	 */
 	public function render_meta_box( $post ) {
 		$thumbnail_id = get_post_thumbnail_id( $post->ID );
+		$seo_fields   = self::get_seo_fields();
+		$seo_keys     = self::get_seo_meta_keys();
+		$labels       = Visionati_History::get_fields();
+		$templates    = self::get_templates();
+		$product      = $templates ? wc_get_product( $post->ID ) : false;
+		$default      = $product ? self::get_product_template( $product ) : null;
 		?>
 		<div class="visionati-woo-meta-box">
 			<?php if ( empty( $thumbnail_id ) ) : ?>
@@ -102,12 +496,47 @@ class Visionati_Woo {
 					<button type="button" class="button button-primary visionati-woo-generate-btn" data-product-id="<?php echo absint( $post->ID ); ?>">
 						<?php esc_html_e( 'Generate Descriptions', 'visionati' ); ?>
 					</button>
+					<button type="button" class="button visionati-history-btn" data-post-id="<?php echo absint( $post->ID ); ?>">
+						<?php esc_html_e( 'History', 'visionati' ); ?>
+					</button>
 					<span class="visionati-woo-status"></span>
 				</div>
+				<label class="visionati-woo-variants-toggle">
+					<input type="checkbox" class="visionati-woo-variants" />
+					<?php
+					printf(
+						/* translators: %d: number of candidate descriptions */
+						esc_html__( 'Generate %d options', 'visionati' ),
+						absint( Visionati_API::VARIANT_COUNT )
+					);
+					?>
+				</label>
+				<?php if ( $templates ) : ?>
+					<p class="visionati-woo-template-field">
+						<label for="visionati-woo-template"><?php esc_html_e( 'Description template:', 'visionati' ); ?></label>
+						<select id="visionati-woo-template" class="visionati-woo-template">
+							<option value="">
+								<?php
+								echo esc_html(
+									$default
+										/* translators: %s: description template name */
+										? sprintf( __( 'By category (%s)', 'visionati' ), $default['name'] )
+										: __( 'By category (none)', 'visionati' )
+								);
+								?>
+							</option>
+							<option value="none"><?php esc_html_e( 'No template', 'visionati' ); ?></option>
+							<?php foreach ( $templates as $slug => $template ) : ?>
+								<option value="<?php echo esc_attr( $slug ); ?>"><?php echo esc_html( $template['name'] ); ?></option>
+							<?php endforeach; ?>
+						</select>
+					</p>
+				<?php endif; ?>
 				<div class="visionati-woo-results" style="display: none;">
 					<h4><?php esc_html_e( 'Preview', 'visionati' ); ?></h4>
 					<div class="visionati-woo-preview-short">
 						<strong><?php esc_html_e( 'Short description:', 'visionati' ); ?></strong>
+						<div class="visionati-woo-options" data-field="short"></div>
 						<div class="visionati-woo-preview-text" id="visionati-woo-short-preview"></div>
 						<button type="button" class="button visionati-woo-apply-single-btn" data-product-id="<?php echo absint( $post->ID ); ?>" data-field="short">
 							<?php esc_html_e( 'Apply', 'visionati' ); ?>
@@ -116,12 +545,30 @@ class Visionati_Woo {
 					</div>
 					<div class="visionati-woo-preview-long">
 						<strong><?php esc_html_e( 'Long description:', 'visionati' ); ?></strong>
+						<div class="visionati-woo-options" data-field="long"></div>
 						<div class="visionati-woo-preview-text" id="visionati-woo-long-preview"></div>
 						<button type="button" class="button visionati-woo-apply-single-btn" data-product-id="<?php echo absint( $post->ID ); ?>" data-field="long">
 							<?php esc_html_e( 'Apply', 'visionati' ); ?>
 						</button>
 						<span class="visionati-woo-field-status"></span>
 					</div>
+					<?php if ( ! empty( $seo_fields ) && empty( $seo_keys ) ) : ?>
+						<p class="visionati-woo-notice visionati-woo-preview-seo-notice">
+							<?php esc_html_e( 'No supported SEO plugin is active, so the SEO fields below cannot be applied. Copy them into your SEO settings instead.', 'visionati' ); ?>
+						</p>
+					<?php endif; ?>
+					<?php foreach ( $seo_fields as $field ) : ?>
+						<div class="visionati-woo-preview-seo" data-field="<?php echo esc_attr( $field ); ?>">
+							<strong><?php echo esc_html( $labels[ $field ] ); ?>:</strong>
+							<div class="visionati-woo-preview-text"></div>
+							<?php if ( isset( $seo_keys[ $field ] ) ) : ?>
+								<button type="button" class="button visionati-woo-apply-single-btn" data-product-id="<?php echo absint( $post->ID ); ?>" data-field="<?php echo esc_attr( $field ); ?>">
+									<?php esc_html_e( 'Apply', 'visionati' ); ?>
+								</button>
+							<?php endif; ?>
+							<span class="visionati-woo-field-status"></span>
+						</div>
+					<?php endforeach; ?>
 					<div class="visionati-woo-apply-actions">
 						<button type="button" class="button visionati-woo-apply-btn" data-product-id="<?php echo absint( $post->ID ); ?>">
 							<?php esc_html_e( 'Apply to Product', 'visionati' ); ?>
@@ -131,6 +578,23 @@ class Visionati_Woo {
 						</button>
 					</div>
 				</div>
+				<div class="visionati-woo-terms-actions">
+					<button type="button" class="button visionati-woo-suggest-terms-btn" data-product-id="<?php echo absint( $post->ID ); ?>">
+						<?php esc_html_e( 'Suggest Tags and Attributes', 'visionati' ); ?>
+					</button>
+					<span class="visionati-status"></span>
+				</div>
+				<div class="visionati-woo-terms" style="display: none;">
+					<div class="visionati-woo-terms-list"></div>
+					<div class="visionati-woo-apply-actions">
+						<button type="button" class="button visionati-woo-assign-terms-btn" data-product-id="<?php echo absint( $post->ID ); ?>">
+							<?php esc_html_e( 'Assign Selected', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button visionati-woo-terms-discard-btn">
+							<?php esc_html_e( 'Discard', 'visionati' ); ?>
+						</button>
+					</div>
+				</div>
 			<?php endif; ?>
 		</div>
 		<?php
@@ -147,28 +611,56 @@ class Visionati_Woo {
 		}
 
 		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		$template   = isset( $_POST['template'] ) ? sanitize_key( wp_unslash( $_POST['template'] ) ) : '';
+		$result     = $this->preview_descriptions( $product_id, ! empty( $_POST['variants'] ), $template );
 
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * Generate short and long descriptions for a product. Nothing is saved.
+	 *
+	 * Shared by ajax_generate_description() and the REST generate route.
+	 * The SEO fields enabled in settings are generated too.
+	 *
+	 * @param int    $product_id Product ID.
+	 * @param bool   $variants   Return several candidates for each description.
+	 * @param string $template   Optional. Description template slug, 'none' for no
+	 *                           template, or '' to choose by category. Default ''.
+	 * @return array|WP_Error Generated descriptions, or error.
+	 */
+	public function preview_descriptions( $product_id, $variants = false, $template = '' ) {
 		if ( ! $product_id ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'No product ID provided.', 'visionati' ) ) );
+			return new WP_Error( 'visionati_missing_product', __( 'No product ID provided.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
 		$product = wc_get_product( $product_id );
 		if ( ! $product ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'Product not found.', 'visionati' ) ) );
+			return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ), array( 'status' => 404 ) );
 		}
 
 		$thumbnail_id = $product->get_image_id();
 		if ( empty( $thumbnail_id ) ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'Product has no featured image.', 'visionati' ) ) );
+			return new WP_Error( 'visionati_no_image', __( 'Product has no featured image.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
-		$result = $this->generate_product_descriptions( $product, $thumbnail_id, array(), true );
-
-		if ( is_wp_error( $result ) ) {
-			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		if ( '' !== $template && 'none' !== $template && ! array_key_exists( $template, self::get_templates() ) ) {
+			return new WP_Error( 'visionati_invalid_template', __( 'Description template not found.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
-		Visionati_API::send_json_success( $result );
+		return $this->generate_product_descriptions(
+			$product,
+			$thumbnail_id,
+			array(),
+			true,
+			$variants ? Visionati_API::VARIANT_COUNT : 1,
+			self::get_seo_fields(),
+			self::get_product_template( $product, $template )
+		);
 	}
 
 	/**
@@ -184,169 +676,1441 @@ class Visionati_Woo {
 			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
 		}
 
-		$product_id        = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
-		$short_description = isset( $_POST['short_description'] ) ? sanitize_text_field( wp_unslash( $_POST['short_description'] ) ) : '';
-		$long_description  = isset( $_POST['long_description'] ) ? wp_kses_post( wp_unslash( $_POST['long_description'] ) ) : '';
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		// phpcs:disable WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized in apply_descriptions().
+		$short_description = isset( $_POST['short_description'] ) ? wp_unslash( $_POST['short_description'] ) : '';
+		$long_description  = isset( $_POST['long_description'] ) ? wp_unslash( $_POST['long_description'] ) : '';
+		$seo               = array();
+		foreach ( self::SEO_FIELDS as $field ) {
+			$seo[ $field ] = isset( $_POST[ $field ] ) ? wp_unslash( $_POST[ $field ] ) : '';
+		}
+		// phpcs:enable
+
+		$result = $this->apply_descriptions( $product_id, $short_description, $long_description, $seo );
+
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * Save previewed descriptions to a product.
+	 *
+	 * Shared by ajax_apply_descriptions() and the REST descriptions route.
+	 * The text is sanitized here, so callers pass it unslashed but otherwise
+	 * raw. An empty description is left unchanged, and SEO fields the active
+	 * SEO plugin does not store are ignored.
+	 *
+	 * @param int    $product_id        Product ID.
+	 * @param string $short_description Short description (plain text).
+	 * @param string $long_description  Long description (may contain HTML).
+	 * @param array  $seo               Optional. SEO field slug => text. Default empty.
+	 * @return array|WP_Error Saved fields and values, or error.
+	 */
+	public function apply_descriptions( $product_id, $short_description, $long_description, $seo = array() ) {
+		$short_description = sanitize_text_field( (string) $short_description );
+		$long_description  = wp_kses_post( (string) $long_description );
+		$seo_keys          = self::get_seo_meta_keys();
+		$seo_values        = array();
+
+		foreach ( self::SEO_FIELDS as $field ) {
+			$value = ! empty( $seo[ $field ] ) && isset( $seo_keys[ $field ] ) ? self::prepare_seo_value( $field, $seo[ $field ] ) : '';
+			if ( '' !== $value ) {
+				$seo_values[ $field ] = $value;
+			}
+		}
 
-		Visionati_API::debug_log( 'ajax_apply_descriptions: received POST data', array(
+		Visionati_API::debug_log( 'apply_descriptions: received data', array(
 			'product_id'   => $product_id,
 			'short_length' => mb_strlen( $short_description ),
 			'long_length'  => mb_strlen( $long_description ),
 			'short_empty'  => empty( $short_description ),
 			'long_empty'   => empty( $long_description ),
+			'seo_fields'   => array_keys( $seo_values ),
 		) );
 
 		if ( ! $product_id ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'No product ID provided.', 'visionati' ) ) );
+			return new WP_Error( 'visionati_missing_product', __( 'No product ID provided.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
 		$product = wc_get_product( $product_id );
 		if ( ! $product ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'Product not found.', 'visionati' ) ) );
+			return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ), array( 'status' => 404 ) );
 		}
 
-		if ( empty( $short_description ) && empty( $long_description ) ) {
-			Visionati_API::debug_log( 'ajax_apply_descriptions: both descriptions empty after sanitization, aborting' );
-			Visionati_API::send_json_error( array( 'message' => __( 'No descriptions to apply.', 'visionati' ) ) );
+		if ( empty( $short_description ) && empty( $long_description ) && empty( $seo_values ) ) {
+			Visionati_API::debug_log( 'apply_descriptions: all fields empty after sanitization, aborting' );
+			return new WP_Error( 'visionati_empty_description', __( 'No descriptions to apply.', 'visionati' ), array( 'status' => 400 ) );
 		}
 
 		$fields = $this->save_product_descriptions( $product, $short_description, $long_description );
 
 		if ( is_wp_error( $fields ) ) {
-			Visionati_API::send_json_error( array( 'message' => $fields->get_error_message() ) );
+			return $fields;
 		}
 
-		Visionati_API::send_json_success( array(
+		$fields = array_merge( $fields, $this->save_seo_fields( $product_id, $seo_values ) );
+
+		return array_merge( array(
 			'product_id'        => $product_id,
 			'status'            => 'applied',
 			'fields'            => $fields,
 			'short_description' => $short_description,
 			'long_description'  => $long_description,
-		) );
+		), $seo_values );
 	}
 
 	/**
-	 * AJAX handler: generate descriptions for a single product during bulk processing.
+	 * Save SEO fields to the active SEO plugin's post meta.
 	 *
-	 * Unlike the meta box flow (generate → preview → apply), bulk processing
-	 * generates and saves in one step. Also generates alt text for the featured
-	 * image if missing.
+	 * No API calls. Each change is recorded in history, and the SEO plugin
+	 * is told about it (see refresh_seo_plugin()).
+	 *
+	 * @param int   $product_id Product ID.
+	 * @param array $values     SEO field slug => prepared text. See prepare_seo_value().
+	 * @return string[] SEO field slugs that were saved.
 	 */
-	public function ajax_bulk_generate_single() {
-		check_ajax_referer( 'visionati_nonce', 'nonce' );
+	private function save_seo_fields( $product_id, $values ) {
+		$meta_keys = self::get_seo_meta_keys();
+		$source    = self::get_history_source();
+		$fields    = array();
 
-		if ( ! current_user_can( 'edit_products' ) ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
-		}
+		foreach ( $values as $field => $value ) {
+			if ( '' === $value || ! isset( $meta_keys[ $field ] ) ) {
+				continue;
+			}
 
-		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+			$old = (string) get_post_meta( $product_id, $meta_keys[ $field ], true );
+			update_post_meta( $product_id, $meta_keys[ $field ], $value );
+			Visionati_History::record( $product_id, $field, $old, $value, $source );
 
-		if ( ! $product_id ) {
-			Visionati_API::send_json_error( array( 'message' => __( 'No product ID provided.', 'visionati' ) ) );
+			$fields[] = $field;
 		}
 
-		$product = wc_get_product( $product_id );
-		if ( ! $product ) {
-			Visionati_API::send_json_error( array(
-				'product_id' => $product_id,
-				'message'    => __( 'Product not found.', 'visionati' ),
-			) );
+		if ( $fields ) {
+			self::refresh_seo_plugin( $product_id );
 		}
 
-		$meta = self::get_product_meta( $product );
+		return $fields;
+	}
 
-		$thumbnail_id = $product->get_image_id();
-		if ( empty( $thumbnail_id ) ) {
-			Visionati_API::send_json_success( array_merge( $meta, array(
-				'product_id' => $product_id,
-				'status'     => 'skipped',
-				'message'    => __( 'No featured image.', 'visionati' ),
-			) ) );
-			return;
+	/**
+	 * Review queue callback: save an approved description suggestion.
+	 *
+	 * @param int    $product_id Product or variation ID.
+	 * @param string $field      'short_description', 'long_description', 'variation_description',
+	 *                           'product_tags', 'product_attributes' (see get_terms_value()),
+	 *                           or an SEO field (see SEO_FIELDS).
+	 * @param string $value      Approved text.
+	 * @param string $backend    Model that generated it (unused; history uses the WooCommerce model).
+	 * @return array|WP_Error See apply_descriptions(), apply_variation_description() and assign_terms().
+	 */
+	public function apply_suggestion( $product_id, $field, $value, $backend ) {
+		if ( 'variation_description' === $field ) {
+			return $this->apply_variation_description( $product_id, $value );
 		}
 
-		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
-		if ( ! is_array( $overwrite_fields ) ) {
-			$overwrite_fields = array();
+		if ( 'short_description' === $field ) {
+			return $this->apply_descriptions( $product_id, $value, '' );
 		}
 
-		// Check if both fields already have content.
-		$overwrite_desc = in_array( 'description', $overwrite_fields, true );
-		if ( ! $overwrite_desc ) {
-			$has_short = ! self::is_content_empty( $product->get_short_description() );
-			$has_long  = ! self::is_content_empty( $product->get_description() );
+		if ( 'long_description' === $field ) {
+			return $this->apply_descriptions( $product_id, '', $value );
+		}
 
-			if ( $has_short && $has_long ) {
-				Visionati_API::send_json_success( array_merge( $meta, array(
-					'product_id' => $product_id,
-					'status'     => 'skipped',
+		if ( in_array( $field, self::SEO_FIELDS, true ) ) {
+			return $this->apply_descriptions( $product_id, '', '', array( $field => $value ) );
+		}
+
+		if ( 'product_tags' === $field ) {
+			return $this->assign_terms( $product_id, self::parse_tags_value( $value ), array() );
+		}
+
+		if ( 'product_attributes' === $field ) {
+			return $this->assign_terms( $product_id, array(), self::parse_attributes_value( $value ) );
+		}
+
+		return new WP_Error( 'visionati_invalid_field', __( 'Invalid field.', 'visionati' ), array( 'status' => 400 ) );
+	}
+
+	/**
+	 * Register the visionati/v1 REST routes for products.
+	 *
+	 * These mirror the visionati_woo_generate and visionati_woo_apply AJAX
+	 * actions. Any authentication WordPress accepts works, including
+	 * application passwords.
+	 */
+	public function register_rest_routes() {
+		register_rest_route( Visionati_API::REST_NAMESPACE, '/products/(?P<id>\d+)/generate', array(
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => array( $this, 'rest_generate' ),
+			'permission_callback' => array( $this, 'rest_product_permissions' ),
+			'args'                => array(
+				'id'       => array(
+					'description' => __( 'Product ID.', 'visionati' ),
+					'type'        => 'integer',
+				),
+				'variants' => array(
+					'description' => __( 'Return several candidates for each description.', 'visionati' ),
+					'type'        => 'boolean',
+					'default'     => false,
+				),
+				'template' => array(
+					'description' => __( 'Description template slug, or "none" for no template. Leave empty to use the template assigned to the product\'s categories.', 'visionati' ),
+					'type'        => 'string',
+					'default'     => '',
+				),
+			),
+		) );
+
+		register_rest_route( Visionati_API::REST_NAMESPACE, '/products/(?P<id>\d+)/descriptions', array(
+			'methods'             => WP_REST_Server::EDITABLE,
+			'callback'            => array( $this, 'rest_apply' ),
+			'permission_callback' => array( $this, 'rest_product_permissions' ),
+			'args'                => array(
+				'id'                => array(
+					'description' => __( 'Product ID.', 'visionati' ),
+					'type'        => 'integer',
+				),
+				'short_description' => array(
+					'description' => __( 'Short description to save. Leave empty to keep the current one.', 'visionati' ),
+					'type'        => 'string',
+					'default'     => '',
+				),
+				'long_description'  => array(
+					'description' => __( 'Long description to save (may contain HTML). Leave empty to keep the current one.', 'visionati' ),
+					'type'        => 'string',
+					'default'     => '',
+				),
+				'seo_title'         => array(
+					'description' => __( 'SEO title to save to the active SEO plugin. Leave empty to keep the current one.', 'visionati' ),
+					'type'        => 'string',
+					'default'     => '',
+				),
+				'seo_description'   => array(
+					'description' => __( 'Meta description to save to the active SEO plugin. Leave empty to keep the current one.', 'visionati' ),
+					'type'        => 'string',
+					'default'     => '',
+				),
+				'focus_keyword'     => array(
+					'description' => __( 'Focus keyword to save to the active SEO plugin. Leave empty to keep the current one.', 'visionati' ),
+					'type'        => 'string',
+					'default'     => '',
+				),
+			),
+		) );
+	}
+
+	/**
+	 * REST permission check: the user can edit products and this product.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return bool|WP_Error
+	 */
+	public function rest_product_permissions( $request ) {
+		if ( ! current_user_can( 'edit_products' ) ) {
+			return false;
+		}
+
+		$product = get_post( (int) $request['id'] );
+
+		if ( ! $product || 'product' !== $product->post_type ) {
+			return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ), array( 'status' => 404 ) );
+		}
+
+		return current_user_can( 'edit_post', $product->ID );
+	}
+
+	/**
+	 * REST handler: POST /products/{id}/generate. Preview only, no saving.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_generate( $request ) {
+		return Visionati_API::rest_response( $this->preview_descriptions( (int) $request['id'], (bool) $request['variants'], sanitize_key( $request['template'] ) ) );
+	}
+
+	/**
+	 * REST handler: POST /products/{id}/descriptions.
+	 *
+	 * @param WP_REST_Request $request Request.
+	 * @return WP_REST_Response|WP_Error
+	 */
+	public function rest_apply( $request ) {
+		return Visionati_API::rest_response(
+			$this->apply_descriptions( (int) $request['id'], $request['short_description'], $request['long_description'], array(
+				'seo_title'       => $request['seo_title'],
+				'seo_description' => $request['seo_description'],
+				'focus_keyword'   => $request['focus_keyword'],
+			) )
+		);
+	}
+
+	/**
+	 * AJAX handler: generate descriptions for a single product during bulk processing.
+	 *
+	 * Unlike the meta box flow (generate → preview → apply), bulk processing
+	 * generates and saves in one step. Also generates alt text for the featured
+	 * and gallery images if missing.
+	 */
+	public function ajax_bulk_generate_single() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_products' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+
+		if ( ! $product_id ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'No product ID provided.', 'visionati' ) ) );
+		}
+
+		$result = $this->bulk_generate_product( $product_id );
+
+		if ( 'failed' === $result['status'] ) {
+			unset( $result['status'] );
+			Visionati_API::send_json_error( $result );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * Background job callback: process a batch of products.
+	 *
+	 * Products are handled one at a time; each one already sends its
+	 * short description, long description, and image alt text in parallel.
+	 *
+	 * @param int[] $product_ids Product IDs claimed by the runner.
+	 * @param array $args        Job args with 'review' and 'tags'.
+	 * @return array Associative array of product_id => result. See bulk_generate_product().
+	 */
+	public function process_job_batch( $product_ids, $args ) {
+		$results = array();
+
+		foreach ( $product_ids as $product_id ) {
+			$results[ $product_id ] = $this->bulk_generate_product( $product_id, ! empty( $args['review'] ), ! empty( $args['tags'] ) );
+		}
+
+		return $results;
+	}
+
+	/**
+	 * Generate and save descriptions (and featured and gallery image alt text) for one product.
+	 *
+	 * Enabled SEO fields without a value are filled in too, and with $tags,
+	 * a product without tags gets the tags and attribute values suggested
+	 * for its featured image queued for review. In review mode the text is
+	 * queued as suggestions instead of saved too. Variation IDs get a variation
+	 * description and image alt text instead.
+	 *
+	 * @param int  $product_id The product ID.
+	 * @param bool $review     Optional. Queue suggestions instead of saving. Default false.
+	 * @param bool $tags       Optional. Queue tags and attribute values for a product
+	 *                         without tags for review. Default false.
+	 * @return array Result with status ('generated', 'skipped' or 'failed'),
+	 *               product_id, message, fields, credits (when known), alt_text
+	 *               (featured image) and gallery_alt_text (attachment ID => text)
+	 *               when generated, and the name/thumb display metadata.
+	 */
+	public function bulk_generate_product( $product_id, $review = false, $tags = false ) {
+		$product = wc_get_product( $product_id );
+		if ( ! $product ) {
+			return array(
+				'product_id' => $product_id,
+				'status'     => 'failed',
+				'message'    => __( 'Product not found.', 'visionati' ),
+			);
+		}
+
+		if ( $product->is_type( 'variation' ) ) {
+			return $this->bulk_generate_variation( $product, $review );
+		}
+
+		$meta = self::get_product_meta( $product );
+
+		$thumbnail_id = $product->get_image_id();
+		if ( empty( $thumbnail_id ) ) {
+			return array_merge( $meta, array(
+				'product_id' => $product_id,
+				'status'     => 'skipped',
+				'message'    => __( 'No featured image.', 'visionati' ),
+			) );
+		}
+
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+		if ( ! is_array( $overwrite_fields ) ) {
+			$overwrite_fields = array();
+		}
+
+		// Check if both fields and the enabled SEO fields already have content.
+		$overwrite_desc = in_array( 'description', $overwrite_fields, true );
+		$seo_fields     = self::get_missing_seo_fields( $product_id, $overwrite_desc );
+		$need_terms     = $tags && empty( $product->get_tag_ids() );
+		if ( ! $overwrite_desc ) {
+			$has_short = ! self::is_content_empty( $product->get_short_description() );
+			$has_long  = ! self::is_content_empty( $product->get_description() );
+
+			if ( $has_short && $has_long && empty( $seo_fields ) && ! $need_terms ) {
+				return array_merge( $meta, array(
+					'product_id' => $product_id,
+					'status'     => 'skipped',
 					'message'    => __( 'Descriptions already exist.', 'visionati' ),
-				) ) );
-				return;
+				) );
+			}
+		}
+
+		// Build extra submissions for alt text if needed (included in same parallel batch),
+		// one per featured or gallery image without alt text.
+		$alt_ids = self::get_alt_text_image_ids( $product, in_array( 'alt_text', $overwrite_fields, true ) );
+		$extra   = $this->build_alt_text_submissions( $alt_ids );
+
+		if ( $need_terms ) {
+			$extra['terms'] = $this->get_term_options( $product );
+		}
+
+		// Generate descriptions + alt text in parallel (no saving).
+		$result = $this->generate_product_descriptions( $product, $thumbnail_id, $extra, false, 1, $seo_fields, self::get_product_template( $product ) );
+
+		if ( is_wp_error( $result ) ) {
+			return array_merge( $meta, array(
+				'product_id' => $product_id,
+				'status'     => 'failed',
+				'message'    => $result->get_error_message(),
+				'retryable'  => Visionati_API::is_retryable_error( $result ),
+			) );
+		}
+
+		// Save descriptions and SEO fields to the product, or queue them for review.
+		$short = isset( $result['short_description'] ) ? $result['short_description'] : '';
+		$long  = isset( $result['long_description'] ) ? $result['long_description'] : '';
+		$seo   = array();
+		foreach ( $seo_fields as $field ) {
+			if ( ! empty( $result[ $field ] ) ) {
+				$seo[ $field ] = $result[ $field ];
+			}
+		}
+
+		if ( $review ) {
+			$fields = array();
+
+			foreach ( array_merge( array( 'short_description' => $short, 'long_description' => $long ), $seo ) as $field => $value ) {
+				$suggested = empty( $value ) ? false : Visionati_Review::add( $product_id, $field, $value, self::get_history_source() );
+
+				if ( false !== $suggested ) {
+					$fields[]         = $field;
+					$result[ $field ] = $suggested;
+				}
+			}
+		} else {
+			$fields = $this->save_product_descriptions( $product, $short, $long );
+		}
+
+		if ( is_wp_error( $fields ) ) {
+			return array_merge( $meta, array(
+				'product_id' => $product_id,
+				'status'     => 'failed',
+				'message'    => $fields->get_error_message(),
+			) );
+		}
+
+		if ( ! $review ) {
+			$fields = array_merge( $fields, $this->save_seo_fields( $product_id, $seo ) );
+		}
+
+		$result['fields'] = $fields;
+
+		// Save alt text for each image it was generated for in the same batch.
+		$result = $this->save_alt_text_results( $result, $alt_ids, $thumbnail_id, $review );
+
+		if ( isset( $result['terms'] ) ) {
+			$result = $this->save_term_results( $result, $product );
+		}
+
+		$result['status'] = 'generated';
+
+		return array_merge( $meta, $result );
+	}
+
+	/**
+	 * Queue the tags and attribute values from a bulk batch for review.
+	 *
+	 * Always queued, even when the run saves its text directly: tagging
+	 * backends list anything they see, and nobody picks among the
+	 * suggestions as in the meta box.
+	 *
+	 * @param array      $result  Generation result with the raw tagging response under 'terms'.
+	 * @param WC_Product $product The product.
+	 * @return array The result without 'terms', with 'product_tags' and
+	 *               'product_attributes' and their fields added when any were queued.
+	 */
+	private function save_term_results( $result, $product ) {
+		$suggestions = $this->build_term_suggestions( $product, $result['terms'] );
+		unset( $result['terms'] );
+
+		$tags       = wp_list_pluck( $suggestions['tags'], 'name' );
+		$attributes = array();
+		$lines      = array();
+
+		foreach ( $suggestions['attributes'] as $attribute ) {
+			$attributes[ $attribute['taxonomy'] ] = wp_list_pluck( $attribute['terms'], 'id' );
+			$lines[] = $attribute['taxonomy'] . ': ' . implode( ', ', wp_list_pluck( $attribute['terms'], 'name' ) );
+		}
+
+		if ( empty( $tags ) && empty( $attributes ) ) {
+			return $result;
+		}
+
+		$values = array(
+			'product_tags'       => implode( ', ', $tags ),
+			'product_attributes' => implode( "\n", $lines ),
+		);
+
+		foreach ( $values as $field => $value ) {
+			$suggested = '' === $value ? false : Visionati_Review::add( $product->get_id(), $field, $value, array( 'backend' => self::get_tag_backend() ) );
+			if ( false !== $suggested ) {
+				$result['fields'][] = $field;
+				$result[ $field ]   = $suggested;
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Build the alt text submissions sent alongside a description request.
+	 *
+	 * @param int[] $image_ids Attachment IDs that need alt text.
+	 * @return array Extra submissions keyed 'alt_text_{id}'.
+	 */
+	private function build_alt_text_submissions( $image_ids ) {
+		$options = $this->get_alt_text_options();
+		$extra   = array();
+
+		foreach ( $image_ids as $image_id ) {
+			$extra[ 'alt_text_' . $image_id ] = array_merge( $options, array( 'attachment_id' => $image_id ) );
+		}
+
+		return $extra;
+	}
+
+	/**
+	 * Get the API options for alt text requests in bulk runs.
+	 *
+	 * @return array Options for submit_attachment().
+	 */
+	private function get_alt_text_options() {
+		$options = array(
+			'role'     => get_option( 'visionati_role_alt_text', 'alttext' ),
+			'features' => array( 'descriptions' ),
+		);
+
+		$prompt  = get_option( 'visionati_prompt_alt_text', '' );
+		$backend = get_option( 'visionati_backend_alt_text', '' );
+
+		if ( ! empty( $prompt ) ) {
+			$options['prompt'] = $prompt;
+		}
+		if ( ! empty( $backend ) ) {
+			$options['backends'] = $backend;
+		}
+
+		return $options;
+	}
+
+	/**
+	 * Save (or queue for review) the alt text generated alongside descriptions.
+	 *
+	 * Takes the 'alt_text_{id}' responses out of the result and adds
+	 * 'alt_text' to its fields when any were saved. The featured image's
+	 * text is returned as 'alt_text', any others as 'gallery_alt_text'
+	 * (attachment ID => text).
+	 *
+	 * @param array $result      Result from generate_product_descriptions().
+	 * @param int[] $image_ids   Attachment IDs alt text was requested for.
+	 * @param int   $featured_id Featured image attachment ID.
+	 * @param bool  $review      Queue suggestions instead of saving.
+	 * @return array The result.
+	 */
+	private function save_alt_text_results( $result, $image_ids, $featured_id, $review ) {
+		$options = $this->get_alt_text_options();
+		$source  = array(
+			'backend' => isset( $options['backends'] ) ? $options['backends'] : get_option( 'visionati_backends', 'gemini' ),
+			'role'    => $options['role'],
+		);
+
+		foreach ( $image_ids as $image_id ) {
+			$key = 'alt_text_' . $image_id;
+
+			if ( ! isset( $result[ $key ] ) ) {
+				continue;
+			}
+
+			$alt_text = Visionati_API::get_first_description( $result[ $key ] );
+			unset( $result[ $key ] );
+
+			if ( empty( $alt_text ) ) {
+				continue;
+			}
+
+			if ( $review ) {
+				$alt_text = Visionati_Review::add( $image_id, 'alt_text', $alt_text, $source );
+				if ( false === $alt_text ) {
+					continue;
+				}
+			} else {
+				$existing_alt = get_post_meta( $image_id, '_wp_attachment_image_alt', true );
+				$alt_text     = Visionati_API::truncate( wp_strip_all_tags( $alt_text ), 125 );
+				update_post_meta( $image_id, '_wp_attachment_image_alt', sanitize_text_field( $alt_text ) );
+				Visionati_History::record(
+					$image_id,
+					'alt_text',
+					$existing_alt,
+					Visionati_History::get_value( $image_id, 'alt_text' ),
+					$source
+				);
+			}
+
+			if ( ! in_array( 'alt_text', $result['fields'], true ) ) {
+				$result['fields'][] = 'alt_text';
+			}
+
+			if ( (int) $image_id === (int) $featured_id ) {
+				$result['alt_text'] = $alt_text;
+			} else {
+				$result['gallery_alt_text'][ $image_id ] = $alt_text;
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Render Visionati buttons in a variation's panel on the product edit screen.
+	 *
+	 * @param int     $loop           Position of the variation in the list.
+	 * @param array   $variation_data Variation data (unused).
+	 * @param WP_Post $variation      The variation post.
+	 */
+	public function render_variation_panel( $loop, $variation_data, $variation ) {
+		if ( empty( get_option( 'visionati_api_key', '' ) ) ) {
+			return;
+		}
+
+		$image_id = (int) get_post_meta( $variation->ID, '_thumbnail_id', true );
+		?>
+		<div class="form-row form-row-full visionati-woo-variation" data-variation-id="<?php echo absint( $variation->ID ); ?>" data-loop="<?php echo absint( $loop ); ?>">
+			<strong><?php esc_html_e( 'Visionati', 'visionati' ); ?></strong>
+			<?php if ( ! $image_id ) : ?>
+				<span class="visionati-woo-notice"><?php esc_html_e( 'Set a variation image to generate a description.', 'visionati' ); ?></span>
+			<?php else : ?>
+				<button type="button" class="button visionati-woo-variation-generate" data-field="variation_description">
+					<?php esc_html_e( 'Generate description', 'visionati' ); ?>
+				</button>
+				<button type="button" class="button visionati-woo-variation-generate" data-field="alt_text" data-attachment-id="<?php echo absint( $image_id ); ?>">
+					<?php esc_html_e( 'Generate alt text', 'visionati' ); ?>
+				</button>
+				<span class="visionati-status" role="status"></span>
+				<div class="visionati-woo-variation-previews"></div>
+			<?php endif; ?>
+		</div>
+		<?php
+	}
+
+	/**
+	 * AJAX handler: generate a description for a variation (preview only, no saving).
+	 */
+	public function ajax_generate_variation() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_products' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$variation_id = isset( $_POST['variation_id'] ) ? absint( $_POST['variation_id'] ) : 0;
+		$variation    = $this->get_variation( $variation_id );
+		if ( ! is_wp_error( $variation ) && ! current_user_can( 'edit_post', $variation->get_parent_id() ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+		$result       = $this->preview_variation_description( $variation_id, ! empty( $_POST['variants'] ) );
+
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: save a previewed description to a variation.
+	 */
+	public function ajax_apply_variation() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_products' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$variation_id = isset( $_POST['variation_id'] ) ? absint( $_POST['variation_id'] ) : 0;
+		$variation    = $this->get_variation( $variation_id );
+		if ( ! is_wp_error( $variation ) && ! current_user_can( 'edit_post', $variation->get_parent_id() ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+		// phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized in apply_variation_description().
+		$description = isset( $_POST['description'] ) ? wp_unslash( $_POST['description'] ) : '';
+
+		$result = $this->apply_variation_description( $variation_id, $description );
+
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * Generate a description for a variation from its own image. Nothing is saved.
+	 *
+	 * @param int  $variation_id Variation ID.
+	 * @param bool $variants     Return several candidates.
+	 * @return array|WP_Error Generated description, or error.
+	 */
+	public function preview_variation_description( $variation_id, $variants = false ) {
+		$variation = $this->get_variation( $variation_id );
+		if ( is_wp_error( $variation ) ) {
+			return $variation;
+		}
+
+		if ( ! $variation->get_image_id( 'edit' ) ) {
+			return new WP_Error( 'visionati_no_image', __( 'Variation has no image.', 'visionati' ), array( 'status' => 400 ) );
+		}
+
+		$result = $this->generate_variation_description( $variation, array(), $variants ? Visionati_API::VARIANT_COUNT : 1 );
+		if ( is_wp_error( $result ) ) {
+			return $result;
+		}
+
+		if ( empty( $result['variation_description'] ) ) {
+			return new WP_Error( 'visionati_empty_description', __( 'No description was generated.', 'visionati' ) );
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Save a previewed description to a variation.
+	 *
+	 * @param int    $variation_id Variation ID.
+	 * @param string $description  Description (may contain HTML), unslashed.
+	 * @return array|WP_Error Saved field and value, or error.
+	 */
+	public function apply_variation_description( $variation_id, $description ) {
+		$variation = $this->get_variation( $variation_id );
+		if ( is_wp_error( $variation ) ) {
+			return $variation;
+		}
+
+		$description = wp_kses_post( (string) $description );
+		if ( self::is_content_empty( $description ) ) {
+			return new WP_Error( 'visionati_empty_description', __( 'No descriptions to apply.', 'visionati' ), array( 'status' => 400 ) );
+		}
+
+		$fields = $this->save_variation_description( $variation, $description );
+		if ( is_wp_error( $fields ) ) {
+			return $fields;
+		}
+
+		return array(
+			'product_id'            => $variation->get_id(),
+			'status'                => 'applied',
+			'fields'                => $fields,
+			'variation_description' => $variation->get_description( 'edit' ),
+		);
+	}
+
+	/**
+	 * Generate and save a description (and image alt text) for one variation.
+	 *
+	 * Called by bulk_generate_product() for variation IDs.
+	 *
+	 * @param WC_Product_Variation $variation The variation.
+	 * @param bool                 $review    Queue suggestions instead of saving.
+	 * @return array See bulk_generate_product().
+	 */
+	private function bulk_generate_variation( $variation, $review ) {
+		$variation_id = $variation->get_id();
+		$meta         = self::get_product_meta( $variation );
+		$image_id     = (int) $variation->get_image_id( 'edit' );
+
+		if ( ! $image_id ) {
+			return array_merge( $meta, array(
+				'product_id' => $variation_id,
+				'status'     => 'skipped',
+				'message'    => __( 'Variation has no image.', 'visionati' ),
+			) );
+		}
+
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+		if ( ! is_array( $overwrite_fields ) ) {
+			$overwrite_fields = array();
+		}
+
+		if ( ! in_array( 'description', $overwrite_fields, true ) && ! self::is_content_empty( $variation->get_description( 'edit' ) ) ) {
+			return array_merge( $meta, array(
+				'product_id' => $variation_id,
+				'status'     => 'skipped',
+				'message'    => __( 'Descriptions already exist.', 'visionati' ),
+			) );
+		}
+
+		$alt_ids = array();
+		if ( in_array( 'alt_text', $overwrite_fields, true ) || '' === (string) get_post_meta( $image_id, '_wp_attachment_image_alt', true ) ) {
+			$alt_ids[] = $image_id;
+		}
+
+		$result = $this->generate_variation_description( $variation, $this->build_alt_text_submissions( $alt_ids ) );
+
+		if ( is_wp_error( $result ) ) {
+			return array_merge( $meta, array(
+				'product_id' => $variation_id,
+				'status'     => 'failed',
+				'message'    => $result->get_error_message(),
+				'retryable'  => Visionati_API::is_retryable_error( $result ),
+			) );
+		}
+
+		$description = isset( $result['variation_description'] ) ? $result['variation_description'] : '';
+		$fields      = array();
+
+		if ( self::is_content_empty( $description ) ) {
+			unset( $result['variation_description'] );
+		} elseif ( $review ) {
+			$suggested = Visionati_Review::add( $variation_id, 'variation_description', $description, self::get_history_source() );
+			if ( false !== $suggested ) {
+				$fields                          = array( 'variation_description' );
+				$result['variation_description'] = $suggested;
+			}
+		} else {
+			$fields = $this->save_variation_description( $variation, $description );
+		}
+
+		if ( is_wp_error( $fields ) ) {
+			return array_merge( $meta, array(
+				'product_id' => $variation_id,
+				'status'     => 'failed',
+				'message'    => $fields->get_error_message(),
+			) );
+		}
+
+		$result['fields'] = $fields;
+		$result           = $this->save_alt_text_results( $result, $alt_ids, $image_id, $review );
+		$result['status'] = 'generated';
+
+		return array_merge( $meta, $result );
+	}
+
+	/**
+	 * Generate a description for a variation from its own image.
+	 *
+	 * Works like generate_product_descriptions(), with one description
+	 * request instead of two. The variation's attribute values are added to
+	 * the prompt. Does NOT save anything.
+	 *
+	 * @param WC_Product_Variation $variation         The variation.
+	 * @param array                $extra_submissions Optional additional submissions. See generate_product_descriptions().
+	 * @param int                  $variants          Number of candidates to request. Above 1, the
+	 *                                                result also has a 'variation_options' list.
+	 * @return array|WP_Error Result array on success, WP_Error on failure.
+	 */
+	private function generate_variation_description( $variation, $extra_submissions = array(), $variants = 1 ) {
+		$api         = new Visionati_API();
+		$image_id    = (int) $variation->get_image_id( 'edit' );
+		$woo_backend = get_option( 'visionati_backend_woocommerce', '' );
+		$pending     = array();
+		$result      = array(
+			'product_id' => $variation->get_id(),
+			'status'     => 'generated',
+			'fields'     => array(),
+		);
+
+		$options = array(
+			'role'     => get_option( 'visionati_role_woocommerce', 'ecommerce' ),
+			'prompt'   => $this->build_prompt( 'variation', $this->get_variation_context( $variation ) ),
+			'features' => array( 'descriptions' ),
+		);
+		if ( ! empty( $woo_backend ) ) {
+			$options['backends'] = $woo_backend;
+		}
+
+		$submitted = $api->submit_attachment( $image_id, $options );
+		if ( is_wp_error( $submitted ) ) {
+			return $submitted;
+		}
+		if ( ! empty( $submitted['response_uri'] ) ) {
+			$pending['variation'] = $submitted['response_uri'];
+		} elseif ( ! empty( $submitted['all']['assets'] ) ) {
+			$result['variation_description'] = wp_kses_post( Visionati_API::get_first_description( $submitted ) );
+		}
+
+		// Extra candidates for the pick-one preview.
+		for ( $i = 2; $i <= $variants; $i++ ) {
+			$submitted = $api->submit_attachment( $image_id, $options );
+			if ( ! is_wp_error( $submitted ) && ! empty( $submitted['response_uri'] ) ) {
+				$pending[ 'variation_' . $i ] = $submitted['response_uri'];
 			}
 		}
 
-		// Build extra submissions for alt text if needed (included in same parallel batch).
-		$extra = array();
-		$overwrite_alt = in_array( 'alt_text', $overwrite_fields, true );
-		$existing_alt  = get_post_meta( $thumbnail_id, '_wp_attachment_image_alt', true );
+		foreach ( $extra_submissions as $key => $extra_options ) {
+			$extra_image_id = isset( $extra_options['attachment_id'] ) ? $extra_options['attachment_id'] : $image_id;
+			unset( $extra_options['attachment_id'] );
 
-		if ( empty( $existing_alt ) || $overwrite_alt ) {
-			$alt_options = array(
-				'role'     => get_option( 'visionati_role_alt_text', 'alttext' ),
-				'features' => array( 'descriptions' ),
+			$submitted = $api->submit_attachment( $extra_image_id, $extra_options );
+			if ( ! is_wp_error( $submitted ) && ! empty( $submitted['response_uri'] ) ) {
+				$pending[ $key ] = $submitted['response_uri'];
+			}
+		}
+
+		if ( empty( $pending ) ) {
+			return $result;
+		}
+
+		$responses = $api->poll_multiple( $pending );
+
+		if ( isset( $responses['variation'] ) ) {
+			if ( is_wp_error( $responses['variation'] ) ) {
+				return $responses['variation'];
+			}
+			$result['variation_description'] = wp_kses_post( Visionati_API::get_first_description( $responses['variation'] ) );
+			$credits                         = Visionati_API::extract_credits( $responses['variation'] );
+			if ( null !== $credits ) {
+				$result['credits'] = $credits;
+			}
+		}
+
+		if ( $variants > 1 ) {
+			$result['variation_options'] = $this->collect_variant_options( $responses, 'variation', $variants, 'wp_kses_post' );
+		}
+
+		foreach ( $extra_submissions as $key => $extra_options ) {
+			if ( isset( $responses[ $key ] ) && ! is_wp_error( $responses[ $key ] ) ) {
+				$result[ $key ] = $responses[ $key ];
+			}
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Save a description to a variation and record it in history.
+	 *
+	 * @param WC_Product_Variation $variation   The variation.
+	 * @param string               $description Description (may contain HTML).
+	 * @return array|WP_Error Array with 'variation_description', or error.
+	 */
+	private function save_variation_description( $variation, $description ) {
+		$old = $variation->get_description( 'edit' );
+
+		$variation->set_description( wp_kses_post( $description ) );
+
+		try {
+			$variation->save();
+		} catch ( Exception $e ) {
+			return new WP_Error(
+				'visionati_save_failed',
+				sprintf(
+					/* translators: %s: error message */
+					__( 'Failed to save product: %s', 'visionati' ),
+					$e->getMessage()
+				)
+			);
+		}
+
+		Visionati_History::record( $variation->get_id(), 'variation_description', $old, $variation->get_description( 'edit' ), self::get_history_source() );
+
+		return array( 'variation_description' );
+	}
+
+	/**
+	 * Load a variation by ID.
+	 *
+	 * @param int $variation_id Variation ID.
+	 * @return WC_Product_Variation|WP_Error
+	 */
+	private function get_variation( $variation_id ) {
+		if ( ! $variation_id ) {
+			return new WP_Error( 'visionati_missing_product', __( 'No product ID provided.', 'visionati' ), array( 'status' => 400 ) );
+		}
+
+		$variation = wc_get_product( $variation_id );
+		if ( ! $variation || ! $variation->is_type( 'variation' ) ) {
+			return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ), array( 'status' => 404 ) );
+		}
+
+		return $variation;
+	}
+
+	/**
+	 * AJAX handler: suggest product tags and attribute values from the featured image.
+	 *
+	 * Preview only; nothing is assigned until the user confirms.
+	 */
+	public function ajax_suggest_terms() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_products' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		if ( $product_id && ! current_user_can( 'edit_post', $product_id ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$result = $this->suggest_terms( $product_id );
+
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * AJAX handler: assign the tags and attribute values the user selected.
+	 */
+	public function ajax_assign_terms() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_products' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$product_id = isset( $_POST['product_id'] ) ? absint( $_POST['product_id'] ) : 0;
+		if ( $product_id && ! current_user_can( 'edit_post', $product_id ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		// phpcs:disable WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- Sanitized in assign_terms().
+		$tags       = isset( $_POST['tags'] ) ? wp_unslash( (array) $_POST['tags'] ) : array();
+		$attributes = isset( $_POST['attributes'] ) ? wp_unslash( (array) $_POST['attributes'] ) : array();
+		// phpcs:enable
+
+		$result = $this->assign_terms( $product_id, $tags, $attributes );
+
+		if ( is_wp_error( $result ) ) {
+			Visionati_API::send_json_error( array( 'message' => $result->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( $result );
+	}
+
+	/**
+	 * Suggest product tags and attribute values for a product. Nothing is saved.
+	 *
+	 * @param int $product_id Product ID.
+	 * @return array|WP_Error See build_term_suggestions(), plus product_id and
+	 *                        credits (when known), or error.
+	 */
+	public function suggest_terms( $product_id ) {
+		if ( ! $product_id ) {
+			return new WP_Error( 'visionati_missing_product', __( 'No product ID provided.', 'visionati' ), array( 'status' => 400 ) );
+		}
+
+		$product = wc_get_product( $product_id );
+		if ( ! $product || $product->is_type( 'variation' ) ) {
+			return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ), array( 'status' => 404 ) );
+		}
+
+		$thumbnail_id = $product->get_image_id();
+		if ( empty( $thumbnail_id ) ) {
+			return new WP_Error( 'visionati_no_image', __( 'Product has no featured image.', 'visionati' ), array( 'status' => 400 ) );
+		}
+
+		$api      = new Visionati_API();
+		$response = $api->analyze_attachment( $thumbnail_id, $this->get_term_options( $product ) );
+
+		if ( is_wp_error( $response ) ) {
+			return $response;
+		}
+
+		$result = array_merge(
+			array( 'product_id' => $product->get_id() ),
+			$this->build_term_suggestions( $product, $response )
+		);
+
+		$credits = Visionati_API::extract_credits( $response );
+		if ( null !== $credits ) {
+			$result['credits'] = $credits;
+		}
+
+		return $result;
+	}
+
+	/**
+	 * Get the API options used to tag a product image.
+	 *
+	 * Tags and colors come from an image tagging backend, not the
+	 * description model.
+	 *
+	 * @param WC_Product $product The product.
+	 * @return array Options for submit_attachment().
+	 */
+	private function get_term_options( $product ) {
+		$options = array(
+			'role'     => get_option( 'visionati_role_woocommerce', 'ecommerce' ),
+			'features' => array( 'tags', 'colors' ),
+			'backends' => self::get_tag_backend(),
+		);
+
+		/**
+		 * Filters the API options used to suggest product tags and attribute values.
+		 *
+		 * @param array      $options Options: role, features, backends.
+		 * @param WC_Product $product The product.
+		 */
+		return apply_filters( 'visionati_product_tag_options', $options, $product );
+	}
+
+	/**
+	 * Turn a tagging response into tag and attribute value suggestions.
+	 *
+	 * Tags the product already has are left out. Attribute values are only
+	 * suggested for existing global attribute terms (e.g. a "Blue" term of
+	 * pa_color) that match a tag or color name, and never for attributes
+	 * used for variations.
+	 *
+	 * @param WC_Product $product  The product.
+	 * @param array      $response Parsed API response with tags and colors.
+	 * @return array {
+	 *     @type array $tags       List of arrays with 'name' and 'exists' (the tag
+	 *                             is already used on other products).
+	 *     @type array $attributes List of arrays with 'taxonomy', 'label', and
+	 *                             'terms' (arrays with 'id' and 'name').
+	 * }
+	 */
+	private function build_term_suggestions( $product, $response ) {
+		$tags    = Visionati_API::extract_tags( $response, 'tags' );
+		$colors  = Visionati_API::extract_tags( $response, 'colors' );
+		$current = array_map( 'mb_strtolower', wp_get_post_terms( $product->get_id(), 'product_tag', array( 'fields' => 'names' ) ) );
+
+		$tag_suggestions = array();
+		foreach ( $tags as $tag ) {
+			if ( count( $tag_suggestions ) >= self::MAX_TAG_SUGGESTIONS ) {
+				break;
+			}
+			if ( in_array( mb_strtolower( $tag['name'] ), $current, true ) ) {
+				continue;
+			}
+			$tag_suggestions[] = array(
+				'name'   => $tag['name'],
+				'exists' => (bool) term_exists( $tag['name'], 'product_tag' ),
 			);
+		}
+
+		$names      = array_map( 'mb_strtolower', wp_list_pluck( array_merge( $tags, $colors ), 'name' ) );
+		$attributes = $product->get_attributes();
+		$suggested  = array();
+
+		foreach ( wc_get_attribute_taxonomies() as $attribute_taxonomy ) {
+			$taxonomy = wc_attribute_taxonomy_name( $attribute_taxonomy->attribute_name );
+			$assigned = array();
+
+			if ( isset( $attributes[ $taxonomy ] ) ) {
+				if ( $attributes[ $taxonomy ]->get_variation() ) {
+					continue;
+				}
+				$assigned = array_map( 'absint', $attributes[ $taxonomy ]->get_options() );
+			}
+
+			$terms = get_terms( array(
+				'taxonomy'   => $taxonomy,
+				'hide_empty' => false,
+			) );
+
+			if ( is_wp_error( $terms ) ) {
+				continue;
+			}
+
+			$matches = array();
+			foreach ( $terms as $term ) {
+				if ( ! in_array( (int) $term->term_id, $assigned, true ) && in_array( mb_strtolower( $term->name ), $names, true ) ) {
+					$matches[] = array(
+						'id'   => (int) $term->term_id,
+						'name' => $term->name,
+					);
+				}
+			}
+
+			if ( $matches ) {
+				$suggested[] = array(
+					'taxonomy' => $taxonomy,
+					'label'    => wc_attribute_label( $taxonomy ),
+					'terms'    => $matches,
+				);
+			}
+		}
+
+		return array(
+			'tags'       => $tag_suggestions,
+			'attributes' => $suggested,
+		);
+	}
+
+	/**
+	 * Add tags and global attribute values to a product.
+	 *
+	 * Existing tags and values are kept. New tag names create tags; attribute
+	 * values must be existing terms of a global attribute. Both changes are
+	 * recorded in history.
+	 *
+	 * @param int   $product_id Product ID.
+	 * @param array $tags       Tag names.
+	 * @param array $attributes Attribute taxonomy (e.g. 'pa_color') => term IDs.
+	 * @return array|WP_Error Result with product_id, status, fields, product_tags
+	 *                        and product_attributes (see get_terms_value()), or error.
+	 */
+	public function assign_terms( $product_id, $tags, $attributes ) {
+		$product = $product_id ? wc_get_product( $product_id ) : false;
+		if ( ! $product || $product->is_type( 'variation' ) ) {
+			return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ), array( 'status' => 404 ) );
+		}
+
+		$tags       = array_values( array_filter( array_map( 'sanitize_text_field', array_map( 'strval', (array) $tags ) ) ) );
+		$attributes = self::sanitize_attribute_terms( $attributes );
+
+		if ( empty( $tags ) && empty( $attributes ) ) {
+			return new WP_Error( 'visionati_empty_terms', __( 'No tags or attributes selected.', 'visionati' ), array( 'status' => 400 ) );
+		}
+
+		$source = array( 'backend' => self::get_tag_backend() );
+		$fields = array();
+
+		// Attributes first: saving the product writes its cached tag IDs back.
+		if ( $attributes ) {
+			$old   = self::get_terms_value( $product->get_id(), 'product_attributes' );
+			$saved = self::set_attribute_terms( $product, $attributes, false );
+			if ( is_wp_error( $saved ) ) {
+				return $saved;
+			}
+			Visionati_History::record( $product->get_id(), 'product_attributes', $old, self::get_terms_value( $product->get_id(), 'product_attributes' ), $source );
+			$fields[] = 'product_attributes';
+		}
+
+		if ( $tags ) {
+			$old    = self::get_terms_value( $product->get_id(), 'product_tags' );
+			$result = wp_set_object_terms( $product->get_id(), $tags, 'product_tag', true );
+			if ( is_wp_error( $result ) ) {
+				return $result;
+			}
+			Visionati_History::record( $product->get_id(), 'product_tags', $old, self::get_terms_value( $product->get_id(), 'product_tags' ), $source );
+			$fields[] = 'product_tags';
+		}
+
+		wc_delete_product_transients( $product->get_id() );
+
+		return array(
+			'product_id'         => $product->get_id(),
+			'status'             => 'applied',
+			'fields'             => $fields,
+			'product_tags'       => self::get_terms_value( $product->get_id(), 'product_tags' ),
+			'product_attributes' => self::get_terms_value( $product->get_id(), 'product_attributes' ),
+		);
+	}
+
+	/**
+	 * Read a product's tags or global attribute values as text.
+	 *
+	 * Tags are comma separated. Attributes are one line per global
+	 * attribute not used for variations, e.g. "pa_color: Blue, Red". This is
+	 * the form history and the review queue store them in.
+	 *
+	 * @param int    $product_id Product ID.
+	 * @param string $field      'product_tags' or 'product_attributes'.
+	 * @return string
+	 */
+	public static function get_terms_value( $product_id, $field ) {
+		if ( 'product_tags' === $field ) {
+			$names = wp_get_post_terms( $product_id, 'product_tag', array( 'fields' => 'names' ) );
+			return is_wp_error( $names ) ? '' : implode( ', ', $names );
+		}
+
+		$product = wc_get_product( $product_id );
+		if ( ! $product ) {
+			return '';
+		}
+
+		$lines = array();
+		foreach ( $product->get_attributes() as $taxonomy => $attribute ) {
+			if ( ! $attribute->is_taxonomy() || $attribute->get_variation() ) {
+				continue;
+			}
+
+			$names = array();
+			foreach ( $attribute->get_options() as $term_id ) {
+				$term = get_term( $term_id, $taxonomy );
+				if ( $term && ! is_wp_error( $term ) ) {
+					$names[] = $term->name;
+				}
+			}
+
+			if ( $names ) {
+				$lines[] = $taxonomy . ': ' . implode( ', ', $names );
+			}
+		}
+
+		return implode( "\n", $lines );
+	}
+
+	/**
+	 * Replace a product's tags or global attribute values with a text value.
+	 *
+	 * Used by history to restore a value from get_terms_value(). Attributes
+	 * used for variations are left alone.
+	 *
+	 * @param int    $product_id Product ID.
+	 * @param string $field      'product_tags' or 'product_attributes'.
+	 * @param string $value      Value in the get_terms_value() format.
+	 * @return true|WP_Error
+	 */
+	public static function set_terms_value( $product_id, $field, $value ) {
+		if ( 'product_tags' === $field ) {
+			$result = wp_set_object_terms( $product_id, self::parse_tags_value( $value ), 'product_tag', false );
+			return is_wp_error( $result ) ? $result : true;
+		}
+
+		$product = wc_get_product( $product_id );
+		if ( ! $product ) {
+			return new WP_Error( 'visionati_not_found', __( 'Product not found.', 'visionati' ) );
+		}
+
+		return self::set_attribute_terms( $product, self::parse_attributes_value( $value ), true );
+	}
+
+	/**
+	 * Parse a comma separated tags value.
+	 *
+	 * @param string $value Tag names, comma separated.
+	 * @return string[]
+	 */
+	public static function parse_tags_value( $value ) {
+		return array_values( array_filter( array_map( 'trim', explode( ',', sanitize_text_field( (string) $value ) ) ) ) );
+	}
+
+	/**
+	 * Parse an attributes value into term IDs.
+	 *
+	 * Lines name a global attribute taxonomy and existing term names, e.g.
+	 * "pa_color: Blue, Red". Unknown attributes and terms are skipped.
+	 *
+	 * @param string $value Attribute lines.
+	 * @return array Attribute taxonomy => term IDs.
+	 */
+	public static function parse_attributes_value( $value ) {
+		$attributes = array();
+
+		foreach ( preg_split( '/\r\n|\r|\n/', (string) $value ) as $line ) {
+			$parts = explode( ':', $line, 2 );
+			if ( 2 !== count( $parts ) ) {
+				continue;
+			}
 
-			$alt_prompt  = get_option( 'visionati_prompt_alt_text', '' );
-			$alt_backend = get_option( 'visionati_backend_alt_text', '' );
+			$taxonomy = sanitize_key( $parts[0] );
+			if ( ! taxonomy_is_product_attribute( $taxonomy ) ) {
+				continue;
+			}
 
-			if ( ! empty( $alt_prompt ) ) {
-				$alt_options['prompt'] = $alt_prompt;
+			foreach ( self::parse_tags_value( $parts[1] ) as $name ) {
+				$term = get_term_by( 'name', $name, $taxonomy );
+				if ( $term ) {
+					$attributes[ $taxonomy ][] = (int) $term->term_id;
+				}
 			}
-			if ( ! empty( $alt_backend ) ) {
-				$alt_options['backends'] = $alt_backend;
+		}
+
+		return $attributes;
+	}
+
+	/**
+	 * Keep only existing terms of global attribute taxonomies.
+	 *
+	 * @param array $attributes Attribute taxonomy => term IDs.
+	 * @return array Attribute taxonomy => term IDs.
+	 */
+	private static function sanitize_attribute_terms( $attributes ) {
+		$sanitized = array();
+
+		foreach ( (array) $attributes as $taxonomy => $term_ids ) {
+			$taxonomy = sanitize_key( $taxonomy );
+			if ( ! taxonomy_is_product_attribute( $taxonomy ) ) {
+				continue;
 			}
 
-			$extra['alt_text_response'] = $alt_options;
+			foreach ( array_map( 'absint', (array) $term_ids ) as $term_id ) {
+				$term = get_term( $term_id, $taxonomy );
+				if ( $term && ! is_wp_error( $term ) ) {
+					$sanitized[ $taxonomy ][] = $term_id;
+				}
+			}
 		}
 
-		// Generate descriptions + alt text in parallel (no saving).
-		$result = $this->generate_product_descriptions( $product, $thumbnail_id, $extra );
+		return $sanitized;
+	}
+
+	/**
+	 * Set global attribute values on a product and save it.
+	 *
+	 * @param WC_Product $product    The product.
+	 * @param array      $attributes Attribute taxonomy => term IDs.
+	 * @param bool       $replace    Replace the values of every global attribute not used
+	 *                               for variations (removing those not listed) instead of
+	 *                               adding to them.
+	 * @return true|WP_Error
+	 */
+	private static function set_attribute_terms( $product, $attributes, $replace ) {
+		$current = $product->get_attributes();
 
-		if ( is_wp_error( $result ) ) {
-			Visionati_API::send_json_error( array_merge( $meta, array(
-				'product_id' => $product_id,
-				'message'    => $result->get_error_message(),
-			) ) );
+		if ( $replace ) {
+			foreach ( $current as $taxonomy => $attribute ) {
+				if ( $attribute->is_taxonomy() && ! $attribute->get_variation() && ! isset( $attributes[ $taxonomy ] ) ) {
+					unset( $current[ $taxonomy ] );
+				}
+			}
 		}
 
-		// Save descriptions to the product.
-		$short = isset( $result['short_description'] ) ? $result['short_description'] : '';
-		$long  = isset( $result['long_description'] ) ? $result['long_description'] : '';
-		$fields = $this->save_product_descriptions( $product, $short, $long );
+		foreach ( $attributes as $taxonomy => $term_ids ) {
+			if ( isset( $current[ $taxonomy ] ) ) {
+				$attribute = $current[ $taxonomy ];
+				if ( $attribute->get_variation() ) {
+					continue;
+				}
+				$options = $replace ? $term_ids : array_merge( array_map( 'absint', $attribute->get_options() ), $term_ids );
+			} else {
+				$attribute = new WC_Product_Attribute();
+				$attribute->set_id( wc_attribute_taxonomy_id_by_name( $taxonomy ) );
+				$attribute->set_name( $taxonomy );
+				$attribute->set_position( count( $current ) );
+				$attribute->set_visible( true );
+				$attribute->set_variation( false );
+				$options = $term_ids;
+			}
 
-		if ( is_wp_error( $fields ) ) {
-			Visionati_API::send_json_error( array_merge( $meta, array(
-				'product_id' => $product_id,
-				'message'    => $fields->get_error_message(),
-			) ) );
+			$attribute->set_options( array_values( array_unique( $options ) ) );
+			$current[ $taxonomy ] = $attribute;
 		}
 
-		$result['fields'] = $fields;
+		$product->set_attributes( $current );
 
-		// Save alt text if it was generated in the same batch.
-		if ( isset( $result['alt_text_response'] ) ) {
-			$alt_text = Visionati_API::get_first_description( $result['alt_text_response'] );
-			if ( ! empty( $alt_text ) ) {
-				$alt_text = Visionati_API::truncate( wp_strip_all_tags( $alt_text ), 125 );
-				update_post_meta( $thumbnail_id, '_wp_attachment_image_alt', sanitize_text_field( $alt_text ) );
-				$result['fields'][] = 'alt_text';
-				$result['alt_text'] = $alt_text;
-			}
-			unset( $result['alt_text_response'] );
+		try {
+			$product->save();
+		} catch ( Exception $e ) {
+			return new WP_Error( 'visionati_save_failed', $e->getMessage() );
 		}
 
-		Visionati_API::send_json_success( array_merge( $meta, $result ) );
+		return true;
 	}
 
 	/**
@@ -378,12 +2142,61 @@ class Visionati_Woo {
 			$statuses = $valid_statuses;
 		}
 
-		$ids = $this->query_product_ids( $overwrite_desc, $statuses );
+		$variations = ! empty( $_POST['variations'] );
+		$tags       = ! empty( $_POST['tags'] );
+		$ids        = $this->query_product_ids( $overwrite_desc, $statuses, $variations, $tags );
 
 		Visionati_API::send_json_success( array(
-			'ids'   => $ids,
-			'total' => count( $ids ),
+			'ids'      => $ids,
+			'total'    => count( $ids ),
+			'estimate' => $this->estimate_bulk_cost( $statuses, $variations, $tags ),
+		) );
+	}
+
+	/**
+	 * AJAX handler: start a background bulk job for the selected statuses.
+	 *
+	 * Queries the products that need work (same rules as ajax_get_products)
+	 * and stores them as a job. The Bulk Descriptions page polls
+	 * visionati_job_status for progress.
+	 */
+	public function ajax_bulk_start() {
+		check_ajax_referer( 'visionati_nonce', 'nonce' );
+
+		if ( ! current_user_can( 'edit_products' ) ) {
+			Visionati_API::send_json_error( array( 'message' => __( 'Permission denied.', 'visionati' ) ) );
+		}
+
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+		if ( ! is_array( $overwrite_fields ) ) {
+			$overwrite_fields = array();
+		}
+		$overwrite_desc = in_array( 'description', $overwrite_fields, true );
+
+		$valid_statuses = array( 'publish', 'draft', 'pending', 'private' );
+		$statuses       = isset( $_POST['statuses'] ) ? array_map( 'sanitize_key', (array) $_POST['statuses'] ) : $valid_statuses;
+		$statuses       = array_intersect( $statuses, $valid_statuses );
+
+		if ( empty( $statuses ) ) {
+			$statuses = $valid_statuses;
+		}
+
+		$variations = ! empty( $_POST['variations'] );
+		$tags       = ! empty( $_POST['tags'] );
+
+		$job_id = Visionati_Jobs::create( 'woo', $this->query_product_ids( $overwrite_desc, $statuses, $variations, $tags ), array(
+			'statuses'   => array_values( $statuses ),
+			'variations' => $variations,
+			'tags'       => $tags,
+			'budget'     => Visionati_Jobs::get_requested_budget(),
+			'review'     => ! empty( $_POST['review'] ),
 		) );
+
+		if ( is_wp_error( $job_id ) ) {
+			Visionati_API::send_json_error( array( 'message' => $job_id->get_error_message() ) );
+		}
+
+		Visionati_API::send_json_success( array( 'job' => Visionati_Jobs::get_status( Visionati_Jobs::get( $job_id ) ) ) );
 	}
 
 	/**
@@ -404,7 +2217,7 @@ class Visionati_Woo {
 			$statuses = $valid_statuses;
 		}
 
-		$counts = $this->count_product_stats( $statuses );
+		$counts = $this->count_product_stats( $statuses, ! empty( $_POST['variations'] ), ! empty( $_POST['tags'] ) );
 
 		Visionati_API::send_json_success( $counts );
 	}
@@ -413,13 +2226,18 @@ class Visionati_Woo {
 	 * Query product IDs that need description processing in a single SQL query.
 	 *
 	 * When $return_all is true, returns all published products with featured images.
-	 * Otherwise, returns only products missing short or long descriptions.
+	 * Otherwise, returns only products missing short or long descriptions or
+	 * an enabled SEO field, or with $include_tags, without tags.
 	 * No per-product iteration or wc_get_product() calls.
 	 *
-	 * @param bool $return_all Whether to return all products regardless of existing content.
+	 * @param bool  $return_all         Whether to return all products regardless of existing content.
+	 * @param array $statuses           Optional post statuses to filter by.
+	 * @param bool  $include_variations Optional. Also return variations with their own image,
+	 *                                  after the products. Default false.
+	 * @param bool  $include_tags       Optional. Also return products without tags. Default false.
 	 * @return array Array of product IDs.
 	 */
-	private function query_product_ids( $return_all = false, $statuses = array() ) {
+	public function query_product_ids( $return_all = false, $statuses = array(), $include_variations = false, $include_tags = false ) {
 		global $wpdb;
 
 		if ( empty( $statuses ) ) {
@@ -444,6 +2262,8 @@ class Visionati_Woo {
 			);
 			// phpcs:enable
 		} else {
+			$missing_clause = $this->get_missing_clause( $include_tags );
+
 			// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
 			$ids = $wpdb->get_col(
 				$wpdb->prepare(
@@ -453,7 +2273,7 @@ class Visionati_Woo {
 						ON p.ID = pm.post_id AND pm.meta_key = '_thumbnail_id'
 					WHERE p.post_type = 'product'
 						AND p.post_status IN ($status_placeholders)
-						AND (p.post_excerpt IS NULL OR p.post_excerpt = '' OR p.post_content IS NULL OR p.post_content = '')
+						AND (p.post_excerpt IS NULL OR p.post_excerpt = '' OR p.post_content IS NULL OR p.post_content = ''$missing_clause)
 					ORDER BY p.ID ASC",
 					...$statuses
 				)
@@ -461,9 +2281,161 @@ class Visionati_Woo {
 			// phpcs:enable
 		}
 
+		if ( $include_variations ) {
+			$ids = array_merge( $ids, $this->query_variation_ids( $return_all, $statuses ) );
+		}
+
+		return array_map( 'absint', $ids );
+	}
+
+	/**
+	 * Build SQL conditions matching products with an empty enabled SEO field.
+	 *
+	 * Only fields the active SEO plugin stores are included. The products
+	 * table must be aliased p.
+	 *
+	 * @return array Associative array of SEO field slug => prepared SQL condition.
+	 */
+	private function get_missing_seo_conditions() {
+		global $wpdb;
+
+		$meta_keys  = self::get_seo_meta_keys();
+		$conditions = array();
+
+		foreach ( self::get_seo_fields() as $field ) {
+			if ( isset( $meta_keys[ $field ] ) ) {
+				$conditions[ $field ] = $wpdb->prepare(
+					"NOT EXISTS ( SELECT 1 FROM {$wpdb->postmeta} seo WHERE seo.post_id = p.ID AND seo.meta_key = %s AND seo.meta_value <> '' )",
+					$meta_keys[ $field ]
+				);
+			}
+		}
+
+		return $conditions;
+	}
+
+	/**
+	 * Build the SQL condition matching products without tags.
+	 *
+	 * The products table must be aliased p.
+	 *
+	 * @return string
+	 */
+	private function get_untagged_condition() {
+		global $wpdb;
+
+		return "NOT EXISTS ( SELECT 1 FROM {$wpdb->term_relationships} tr
+			INNER JOIN {$wpdb->term_taxonomy} tt ON tt.term_taxonomy_id = tr.term_taxonomy_id
+			WHERE tr.object_id = p.ID AND tt.taxonomy = 'product_tag' )";
+	}
+
+	/**
+	 * Build the SQL appended to a "missing descriptions" condition so
+	 * products missing an enabled SEO field (or, with $include_tags,
+	 * without tags) match too.
+	 *
+	 * @param bool $include_tags Optional. Match products without tags. Default false.
+	 * @return string ' OR ...', or '' when there is nothing else to generate.
+	 */
+	private function get_missing_clause( $include_tags = false ) {
+		$conditions = array_values( $this->get_missing_seo_conditions() );
+
+		if ( $include_tags ) {
+			$conditions[] = $this->get_untagged_condition();
+		}
+
+		return $conditions ? ' OR ' . implode( ' OR ', $conditions ) : '';
+	}
+
+	/**
+	 * Query variation IDs that need a description, in a single SQL query.
+	 *
+	 * Only variations with their own image count, since that is what the
+	 * description is generated from. The parent product's status is
+	 * filtered on; disabled (private) variations are included.
+	 *
+	 * @param bool  $return_all Whether to return all variations regardless of existing content.
+	 * @param array $statuses   Parent product statuses.
+	 * @return array Array of variation IDs.
+	 */
+	private function query_variation_ids( $return_all, $statuses ) {
+		global $wpdb;
+
+		$status_placeholders = implode( ', ', array_fill( 0, count( $statuses ), '%s' ) );
+		$missing_clause      = $return_all ? '' : "AND ( vd.meta_value IS NULL OR vd.meta_value = '' )";
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+		$ids = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT v.ID
+				FROM {$wpdb->posts} v
+				INNER JOIN {$wpdb->posts} p
+					ON p.ID = v.post_parent
+				INNER JOIN {$wpdb->postmeta} vm
+					ON v.ID = vm.post_id AND vm.meta_key = '_thumbnail_id' AND vm.meta_value > 0
+				LEFT JOIN {$wpdb->postmeta} vd
+					ON v.ID = vd.post_id AND vd.meta_key = '_variation_description'
+				WHERE v.post_type = 'product_variation'
+					AND v.post_status IN ( 'publish', 'private' )
+					AND p.post_type = 'product'
+					AND p.post_status IN ($status_placeholders)
+					$missing_clause
+				ORDER BY v.post_parent ASC, v.menu_order ASC, v.ID ASC",
+				...$statuses
+			)
+		);
+		// phpcs:enable
+
 		return array_map( 'absint', $ids );
 	}
 
+	/**
+	 * Count variations with their own image, and how many need work, in a single SQL query.
+	 *
+	 * @param array $statuses Parent product statuses.
+	 * @return array Associative array with keys: total, missing (no description),
+	 *               missing_alt (image without alt text), missing_both.
+	 */
+	private function count_variation_stats( $statuses ) {
+		global $wpdb;
+
+		$status_placeholders = implode( ', ', array_fill( 0, count( $statuses ), '%s' ) );
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT
+					COUNT(*) AS total,
+					SUM( CASE WHEN vd.meta_value IS NULL OR vd.meta_value = '' THEN 1 ELSE 0 END ) AS missing,
+					SUM( CASE WHEN alt.meta_value IS NULL OR alt.meta_value = '' THEN 1 ELSE 0 END ) AS missing_alt,
+					SUM( CASE WHEN ( alt.meta_value IS NULL OR alt.meta_value = '' )
+						AND ( vd.meta_value IS NULL OR vd.meta_value = '' ) THEN 1 ELSE 0 END ) AS missing_both
+				FROM {$wpdb->posts} v
+				INNER JOIN {$wpdb->posts} p
+					ON p.ID = v.post_parent
+				INNER JOIN {$wpdb->postmeta} vm
+					ON v.ID = vm.post_id AND vm.meta_key = '_thumbnail_id' AND vm.meta_value > 0
+				LEFT JOIN {$wpdb->postmeta} vd
+					ON v.ID = vd.post_id AND vd.meta_key = '_variation_description'
+				LEFT JOIN {$wpdb->postmeta} alt
+					ON alt.post_id = vm.meta_value AND alt.meta_key = '_wp_attachment_image_alt'
+				WHERE v.post_type = 'product_variation'
+					AND v.post_status IN ( 'publish', 'private' )
+					AND p.post_type = 'product'
+					AND p.post_status IN ($status_placeholders)",
+				...$statuses
+			)
+		);
+		// phpcs:enable
+
+		return array(
+			'total'        => $row ? (int) $row->total : 0,
+			'missing'      => $row ? (int) $row->missing : 0,
+			'missing_alt'  => $row ? (int) $row->missing_alt : 0,
+			'missing_both' => $row ? (int) $row->missing_both : 0,
+		);
+	}
+
 	/**
 	 * Register the Bulk Descriptions admin page under Products.
 	 */
@@ -507,6 +2479,12 @@ class Visionati_Woo {
 					</p>
 				</div>
 			<?php else : ?>
+				<?php if ( isset( $_GET['visionati_job_busy'] ) ) : // phpcs:ignore WordPress.Security.NonceVerification.Recommended -- read-only flag from post-redirect-GET. ?>
+					<div class="notice notice-warning is-dismissible">
+						<p><?php esc_html_e( 'A bulk job is already in progress. Wait for it to finish or cancel it before queuing more products.', 'visionati' ); ?></p>
+					</div>
+				<?php endif; ?>
+
 				<div class="visionati-bulk-stats">
 					<p id="visionati-woo-bulk-stats">
 						<?php
@@ -539,16 +2517,50 @@ class Visionati_Woo {
 							<input type="checkbox" name="visionati_woo_bulk_status" value="private" checked />
 							<?php esc_html_e( 'Private', 'visionati' ); ?>
 						</label>
+						<label style="display:inline-block !important;margin-right:16px !important">
+							<input type="checkbox" id="visionati-woo-bulk-variations" />
+							<?php esc_html_e( 'Include variations', 'visionati' ); ?>
+						</label>
+						<label style="display:inline-block !important;margin-right:16px !important">
+							<input type="checkbox" id="visionati-woo-bulk-tags" />
+							<?php esc_html_e( 'Suggest tags and attributes', 'visionati' ); ?>
+						</label>
 					</fieldset>
 
 					<div class="visionati-bulk-actions">
+						<label for="visionati-woo-bulk-budget" class="visionati-context-label">
+							<?php esc_html_e( 'Budget cap (credits):', 'visionati' ); ?>
+						</label>
+						<input type="number" id="visionati-woo-bulk-budget" class="small-text" min="1" step="1" placeholder="<?php esc_attr_e( 'None', 'visionati' ); ?>" />
+						<label for="visionati-woo-bulk-review" class="visionati-context-label">
+							<input type="checkbox" id="visionati-woo-bulk-review" />
+							<?php esc_html_e( 'Generate for review', 'visionati' ); ?>
+						</label>
 						<button type="button" class="button button-primary" id="visionati-woo-bulk-start">
 							<?php esc_html_e( 'Start', 'visionati' ); ?>
 						</button>
 						<button type="button" class="button" id="visionati-woo-bulk-stop" disabled>
-							<?php esc_html_e( 'Stop', 'visionati' ); ?>
+							<?php esc_html_e( 'Pause', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-woo-bulk-cancel" disabled>
+							<?php esc_html_e( 'Cancel', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-woo-bulk-retry" style="display: none;">
+							<?php esc_html_e( 'Retry failed items', 'visionati' ); ?>
+						</button>
+						<button type="button" class="button" id="visionati-woo-bulk-revert" style="display: none;">
+							<?php esc_html_e( 'Revert this run', 'visionati' ); ?>
 						</button>
 					</div>
+					<p class="description">
+						<?php esc_html_e( 'Bulk jobs run in the background. You can leave this page and come back to check progress.', 'visionati' ); ?>
+						<?php esc_html_e( 'With "Generate for review" on, generated text waits under Media > Review Suggestions until you approve it.', 'visionati' ); ?>
+						<?php esc_html_e( 'With "Include variations" on, variations with their own image also get a description, generated from that image.', 'visionati' ); ?>
+						<?php esc_html_e( 'With "Suggest tags and attributes" on, the tags and existing attribute values found in the featured image of products without tags wait under Media > Review Suggestions, even when the rest is saved directly.', 'visionati' ); ?>
+						<?php if ( $this->get_missing_seo_conditions() ) : ?>
+							<?php esc_html_e( 'The SEO fields enabled in settings are filled in where empty, so products that only miss SEO fields are processed too.', 'visionati' ); ?>
+						<?php endif; ?>
+					</p>
 				</div>
 
 				<div class="visionati-woo-bulk-progress" style="display: none;">
@@ -568,11 +2580,21 @@ class Visionati_Woo {
 						<span class="visionati-summary-errors">0</span> <?php esc_html_e( 'errors', 'visionati' ); ?>
 					</p>
 					<p class="visionati-credits-remaining" style="display: none;"></p>
+					<p class="visionati-budget-status" style="display: none;"></p>
+					<p class="visionati-review-link" style="display: none;">
+						<?php esc_html_e( 'This run queues suggestions instead of saving them.', 'visionati' ); ?>
+						<a href="<?php echo esc_url( admin_url( 'upload.php?page=visionati-review' ) ); ?>"><?php esc_html_e( 'Review suggestions', 'visionati' ); ?></a>
+					</p>
 				</div>
 
 				<div class="visionati-woo-bulk-log" style="display: none;">
 					<h3><?php esc_html_e( 'Results', 'visionati' ); ?></h3>
 					<div id="visionati-woo-bulk-log-entries" role="log" aria-live="polite"></div>
+					<p class="visionati-bulk-export">
+						<?php esc_html_e( 'Export results:', 'visionati' ); ?>
+						<a href="#" class="button" data-format="csv">CSV</a>
+						<a href="#" class="button" data-format="json">JSON</a>
+					</p>
 				</div>
 			<?php endif; ?>
 		</div>
@@ -597,8 +2619,8 @@ class Visionati_Woo {
 	 * Handle the Products list bulk action.
 	 *
 	 * Instead of processing synchronously (which would timeout with more
-	 * than a few products), store the selected IDs in a transient and
-	 * redirect to the AJAX-powered Bulk Descriptions page.
+	 * than a few products), queue the selected IDs as a background job and
+	 * redirect to the Bulk Descriptions page to follow it.
 	 *
 	 * @param string $redirect_url The redirect URL.
 	 * @param string $action       The action being taken.
@@ -639,11 +2661,14 @@ class Visionati_Woo {
 			), $redirect_url );
 		}
 
-		// Store IDs in a user-scoped transient for the Bulk Descriptions page to consume.
-		$user_id = get_current_user_id();
-		set_transient( 'visionati_woo_bulk_queue_' . $user_id, $product_ids, 5 * MINUTE_IN_SECONDS );
+		// Queue the selection as a background job and show its progress
+		// on the Bulk Descriptions page.
+		$job_id = Visionati_Jobs::create( 'woo', $product_ids );
+
+		if ( is_wp_error( $job_id ) ) {
+			return admin_url( 'edit.php?post_type=product&page=visionati-woo-bulk&visionati_job_busy=1' );
+		}
 
-		// Redirect to the AJAX-powered Bulk Descriptions page.
 		return admin_url( 'edit.php?post_type=product&page=visionati-woo-bulk&queued=1' );
 	}
 
@@ -662,87 +2687,377 @@ class Visionati_Woo {
 		$errors    = isset( $_GET['visionati_woo_errors'] ) ? absint( $_GET['visionati_woo_errors'] ) : 0;
 		// phpcs:enable WordPress.Security.NonceVerification.Recommended
 
-		$parts = array();
+		$parts = array();
+
+		if ( $processed > 0 ) {
+			$parts[] = sprintf(
+				/* translators: %d: number of products processed */
+				_n( '%d product updated.', '%d products updated.', $processed, 'visionati' ),
+				$processed
+			);
+		}
+		if ( $skipped > 0 ) {
+			$parts[] = sprintf(
+				/* translators: %d: number of items skipped */
+				_n( '%d skipped.', '%d skipped.', $skipped, 'visionati' ),
+				$skipped
+			);
+		}
+		if ( $errors > 0 ) {
+			$parts[] = sprintf(
+				/* translators: %d: number of errors */
+				_n( '%d error.', '%d errors.', $errors, 'visionati' ),
+				$errors
+			);
+		}
+
+		if ( ! empty( $parts ) ) {
+			$class = $errors > 0 ? 'notice-warning' : 'notice-success';
+			printf(
+				'<div class="notice %s is-dismissible"><p><strong>Visionati:</strong> %s</p></div>',
+				esc_attr( $class ),
+				esc_html( implode( ' ', $parts ) )
+			);
+		}
+	}
+
+	/**
+	 * Count products with images and how many are missing descriptions in a single SQL query.
+	 *
+	 * Uses an INNER JOIN on _thumbnail_id to filter to products with images,
+	 * and checks post_excerpt/post_content directly. One query, no iteration,
+	 * no wc_get_product() calls.
+	 *
+	 * @param array $statuses           Optional post statuses to filter by.
+	 * @param bool  $include_variations Optional. Also count variations with their own image. Default false.
+	 * @param bool  $include_tags       Optional. Also count products without tags. Default false.
+	 * @return array Associative array with keys: total, missing, plus
+	 *               variations_total and variations_missing with variations,
+	 *               and untagged with tags.
+	 */
+	private function count_product_stats( $statuses = array(), $include_variations = false, $include_tags = false ) {
+		global $wpdb;
+
+		if ( empty( $statuses ) ) {
+			$statuses = array( 'publish', 'draft', 'pending', 'private' );
+		}
+
+		$status_placeholders = implode( ', ', array_fill( 0, count( $statuses ), '%s' ) );
+		$untagged_column     = $include_tags ? ', SUM( CASE WHEN ' . $this->get_untagged_condition() . ' THEN 1 ELSE 0 END ) AS untagged' : '';
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT
+					COUNT(*) AS total,
+					SUM( CASE WHEN p.post_excerpt IS NULL OR p.post_excerpt = '' OR p.post_content IS NULL OR p.post_content = '' THEN 1 ELSE 0 END ) AS missing
+					$untagged_column
+				FROM {$wpdb->posts} p
+				INNER JOIN {$wpdb->postmeta} pm
+					ON p.ID = pm.post_id AND pm.meta_key = '_thumbnail_id'
+				WHERE p.post_type = 'product'
+					AND p.post_status IN ($status_placeholders)",
+				...$statuses
+			)
+		);
+		// phpcs:enable
+
+		$counts = array(
+			'total'   => $row ? (int) $row->total : 0,
+			'missing' => $row ? (int) $row->missing : 0,
+		);
+
+		if ( $include_tags ) {
+			$counts['untagged'] = $row ? (int) $row->untagged : 0;
+		}
+
+		if ( $include_variations ) {
+			$variation_counts             = $this->count_variation_stats( $statuses );
+			$counts['variations_total']   = $variation_counts['total'];
+			$counts['variations_missing'] = $variation_counts['missing'];
+		}
+
+		return $counts;
+	}
+
+	/**
+	 * Estimate the credits a bulk run over the given statuses will use.
+	 *
+	 * Mirrors bulk_generate_product(): one request per missing description
+	 * or enabled SEO field on the WooCommerce model, each also billing the
+	 * gallery images sent with it, plus one alt text request on the alt text
+	 * model for each featured or gallery image of a queued product that has
+	 * no alt text. With tags, each product without tags adds one request on
+	 * the tagging backend. Queued variations add one description request
+	 * each, plus one alt text request when their image has no alt text.
+	 *
+	 * @param array $statuses           Post statuses to include.
+	 * @param bool  $include_variations Optional. Include variations. Default false.
+	 * @param bool  $include_tags       Optional. Include tags for products without them. Default false.
+	 * @return array See Visionati_API::build_estimate().
+	 */
+	private function estimate_bulk_cost( $statuses, $include_variations = false, $include_tags = false ) {
+		global $wpdb;
+
+		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
+		if ( ! is_array( $overwrite_fields ) ) {
+			$overwrite_fields = array();
+		}
+		$overwrite_desc = in_array( 'description', $overwrite_fields, true );
+		$overwrite_alt  = in_array( 'alt_text', $overwrite_fields, true );
+
+		$status_placeholders = implode( ', ', array_fill( 0, count( $statuses ), '%s' ) );
+		$seo_conditions      = $this->get_missing_seo_conditions();
+		$missing_clause      = $this->get_missing_clause( $include_tags );
+
+		// One "missing_{field}" column per SEO field, and the products without tags.
+		$extra_columns = '';
+		foreach ( $seo_conditions as $field => $condition ) {
+			$extra_columns .= ", SUM( CASE WHEN $condition THEN 1 ELSE 0 END ) AS missing_$field";
+		}
+		if ( $include_tags ) {
+			$extra_columns .= ', SUM( CASE WHEN ' . $this->get_untagged_condition() . ' THEN 1 ELSE 0 END ) AS untagged';
+		}
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+		$row = $wpdb->get_row(
+			$wpdb->prepare(
+				"SELECT
+					COUNT(*) AS total,
+					SUM( CASE WHEN p.post_excerpt IS NULL OR p.post_excerpt = '' THEN 1 ELSE 0 END ) AS missing_short,
+					SUM( CASE WHEN p.post_content IS NULL OR p.post_content = '' THEN 1 ELSE 0 END ) AS missing_long,
+					SUM( CASE WHEN p.post_excerpt IS NULL OR p.post_excerpt = '' OR p.post_content IS NULL OR p.post_content = ''$missing_clause THEN 1 ELSE 0 END ) AS missing,
+					SUM( CASE WHEN alt.meta_value IS NULL OR alt.meta_value = '' THEN 1 ELSE 0 END ) AS missing_alt,
+					SUM( CASE WHEN ( alt.meta_value IS NULL OR alt.meta_value = '' )
+						AND ( p.post_excerpt IS NULL OR p.post_excerpt = '' OR p.post_content IS NULL OR p.post_content = ''$missing_clause ) THEN 1 ELSE 0 END ) AS missing_both
+					$extra_columns
+				FROM {$wpdb->posts} p
+				INNER JOIN {$wpdb->postmeta} pm
+					ON p.ID = pm.post_id AND pm.meta_key = '_thumbnail_id'
+				LEFT JOIN {$wpdb->postmeta} alt
+					ON alt.post_id = pm.meta_value AND alt.meta_key = '_wp_attachment_image_alt'
+				WHERE p.post_type = 'product'
+					AND p.post_status IN ($status_placeholders)",
+				...$statuses
+			)
+		);
+		// phpcs:enable
+
+		$total = $row ? (int) $row->total : 0;
+
+		if ( $overwrite_desc ) {
+			$short  = $total;
+			$long   = $total;
+			$queued = $total;
+			$alt    = $row ? (int) $row->missing_alt : 0;
+		} else {
+			$short  = $row ? (int) $row->missing_short : 0;
+			$long   = $row ? (int) $row->missing_long : 0;
+			$queued = $row ? (int) $row->missing : 0;
+			$alt    = $row ? (int) $row->missing_both : 0;
+		}
+
+		$alt = ( $overwrite_alt ? $queued : $alt ) + $this->count_gallery_alt_requests( $statuses, $overwrite_desc, $overwrite_alt, $include_tags );
+
+		$variation_count = 0;
+		if ( $include_variations ) {
+			$variations      = $this->count_variation_stats( $statuses );
+			$variation_count = $overwrite_desc ? $variations['total'] : $variations['missing'];
+
+			if ( $overwrite_alt ) {
+				$alt += $variation_count;
+			} else {
+				$alt += $overwrite_desc ? $variations['missing_alt'] : $variations['missing_both'];
+			}
+		}
+
+		$global      = get_option( 'visionati_backends', 'gemini' );
+		$woo_backend = get_option( 'visionati_backend_woocommerce', '' );
+		$alt_backend = get_option( 'visionati_backend_alt_text', '' );
+		$woo_backend = ! empty( $woo_backend ) ? $woo_backend : $global;
+
+		$lines = array(
+			array(
+				'label'   => __( 'Short description', 'visionati' ),
+				'count'   => $short,
+				'backend' => $woo_backend,
+			),
+			array(
+				'label'   => __( 'Long description', 'visionati' ),
+				'count'   => $long,
+				'backend' => $woo_backend,
+			),
+		);
 
-		if ( $processed > 0 ) {
-			$parts[] = sprintf(
-				/* translators: %d: number of products processed */
-				_n( '%d product updated.', '%d products updated.', $processed, 'visionati' ),
-				$processed
+		$labels = Visionati_History::get_fields();
+		foreach ( array_keys( $seo_conditions ) as $field ) {
+			$column  = 'missing_' . $field;
+			$lines[] = array(
+				'label'   => $labels[ $field ],
+				'count'   => $overwrite_desc ? $total : ( $row ? (int) $row->$column : 0 ),
+				'backend' => $woo_backend,
 			);
 		}
-		if ( $skipped > 0 ) {
-			$parts[] = sprintf(
-				/* translators: %d: number of items skipped */
-				_n( '%d skipped.', '%d skipped.', $skipped, 'visionati' ),
-				$skipped
+
+		$lines[] = array(
+			'label'   => __( 'Gallery images', 'visionati' ),
+			'count'   => $this->count_gallery_description_images( $statuses, $overwrite_desc, $seo_conditions ),
+			'backend' => $woo_backend,
+		);
+
+		if ( $include_tags ) {
+			$lines[] = array(
+				'label'   => __( 'Tags and attributes', 'visionati' ),
+				'count'   => $row ? (int) $row->untagged : 0,
+				'backend' => self::get_tag_backend(),
 			);
 		}
-		if ( $errors > 0 ) {
-			$parts[] = sprintf(
-				/* translators: %d: number of errors */
-				_n( '%d error.', '%d errors.', $errors, 'visionati' ),
-				$errors
+
+		if ( $include_variations ) {
+			$lines[] = array(
+				'label'   => __( 'Variation description', 'visionati' ),
+				'count'   => $variation_count,
+				'backend' => $woo_backend,
 			);
 		}
 
-		if ( ! empty( $parts ) ) {
-			$class = $errors > 0 ? 'notice-warning' : 'notice-success';
-			printf(
-				'<div class="notice %s is-dismissible"><p><strong>Visionati:</strong> %s</p></div>',
-				esc_attr( $class ),
-				esc_html( implode( ' ', $parts ) )
-			);
+		$lines[] = array(
+			'label'   => __( 'Alt Text', 'visionati' ),
+			'count'   => $alt,
+			'backend' => ! empty( $alt_backend ) ? $alt_backend : $global,
+		);
+
+		return Visionati_API::build_estimate( $lines );
+	}
+
+	/**
+	 * Count the gallery images a bulk run will generate alt text for.
+	 *
+	 * @param array $statuses       Post statuses to include.
+	 * @param bool  $overwrite_desc Whether products with descriptions are queued too.
+	 * @param bool  $overwrite_alt  Whether images with alt text are included.
+	 * @param bool  $include_tags   Optional. Whether products without tags are queued too. Default false.
+	 * @return int
+	 */
+	private function count_gallery_alt_requests( $statuses, $overwrite_desc, $overwrite_alt, $include_tags = false ) {
+		$image_ids = array();
+		foreach ( $this->query_product_galleries( $statuses, $overwrite_desc, $include_tags ) as $gallery ) {
+			$image_ids = array_merge( $image_ids, wp_parse_id_list( $gallery ) );
 		}
+
+		if ( $overwrite_alt || empty( $image_ids ) ) {
+			return count( $image_ids );
+		}
+
+		update_meta_cache( 'post', array_unique( $image_ids ) );
+
+		return count( array_filter( $image_ids, function ( $image_id ) {
+			return '' === (string) get_post_meta( $image_id, '_wp_attachment_image_alt', true );
+		} ) );
 	}
 
 	/**
-	 * Count products with images and how many are missing descriptions in a single SQL query.
+	 * Count the gallery images a bulk run will send with its description requests.
 	 *
-	 * Uses an INNER JOIN on _thumbnail_id to filter to products with images,
-	 * and checks post_excerpt/post_content directly. One query, no iteration,
-	 * no wc_get_product() calls.
+	 * See get_description_gallery_ids(). Each product's gallery images are
+	 * billed once per description or SEO request it makes. Products only
+	 * queued for tags generate no descriptions, so they are not counted.
 	 *
-	 * @param array $statuses Optional post statuses to filter by.
-	 * @return array Associative array with keys: total, missing.
+	 * @param array $statuses       Post statuses to include.
+	 * @param bool  $overwrite_desc Whether products with descriptions are queued too.
+	 * @param array $seo_conditions SEO field => SQL condition. See get_missing_seo_conditions().
+	 * @return int
 	 */
-	private function count_product_stats( $statuses = array() ) {
+	private function count_gallery_description_images( $statuses, $overwrite_desc, $seo_conditions ) {
 		global $wpdb;
 
-		if ( empty( $statuses ) ) {
-			$statuses = array( 'publish', 'draft', 'pending', 'private' );
+		$limit = min( absint( get_option( 'visionati_woo_gallery_images', 0 ) ), self::MAX_GALLERY_IMAGES );
+		if ( ! $limit ) {
+			return 0;
+		}
+
+		if ( $overwrite_desc ) {
+			$requests = (string) ( 2 + count( $seo_conditions ) );
+		} else {
+			$requests = "( CASE WHEN p.post_excerpt IS NULL OR p.post_excerpt = '' THEN 1 ELSE 0 END )
+				+ ( CASE WHEN p.post_content IS NULL OR p.post_content = '' THEN 1 ELSE 0 END )";
+			foreach ( $seo_conditions as $condition ) {
+				$requests .= " + ( CASE WHEN $condition THEN 1 ELSE 0 END )";
+			}
 		}
 
 		$status_placeholders = implode( ', ', array_fill( 0, count( $statuses ), '%s' ) );
 
 		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
-		$row = $wpdb->get_row(
+		$rows = $wpdb->get_results(
 			$wpdb->prepare(
-				"SELECT
-					COUNT(*) AS total,
-					SUM( CASE WHEN p.post_excerpt IS NULL OR p.post_excerpt = '' OR p.post_content IS NULL OR p.post_content = '' THEN 1 ELSE 0 END ) AS missing
+				"SELECT pg.meta_value AS gallery, $requests AS requests
 				FROM {$wpdb->posts} p
 				INNER JOIN {$wpdb->postmeta} pm
 					ON p.ID = pm.post_id AND pm.meta_key = '_thumbnail_id'
+				INNER JOIN {$wpdb->postmeta} pg
+					ON p.ID = pg.post_id AND pg.meta_key = '_product_image_gallery'
 				WHERE p.post_type = 'product'
-					AND p.post_status IN ($status_placeholders)",
+					AND p.post_status IN ($status_placeholders)
+					AND pg.meta_value <> ''",
 				...$statuses
 			)
 		);
 		// phpcs:enable
 
-		return array(
-			'total'   => $row ? (int) $row->total : 0,
-			'missing' => $row ? (int) $row->missing : 0,
+		$count = 0;
+		foreach ( $rows as $row ) {
+			$count += min( $limit, count( wp_parse_id_list( $row->gallery ) ) ) * (int) $row->requests;
+		}
+
+		return $count;
+	}
+
+	/**
+	 * Get the gallery meta of the products a bulk run will queue.
+	 *
+	 * @param array $statuses       Post statuses to include.
+	 * @param bool  $overwrite_desc Whether products with descriptions are queued too.
+	 * @param bool  $include_tags   Optional. Whether products without tags are queued too. Default false.
+	 * @return string[] Comma separated gallery attachment IDs, one per product with a gallery.
+	 */
+	private function query_product_galleries( $statuses, $overwrite_desc, $include_tags = false ) {
+		global $wpdb;
+
+		$status_placeholders = implode( ', ', array_fill( 0, count( $statuses ), '%s' ) );
+		$extra_clause        = $this->get_missing_clause( $include_tags );
+		$missing_clause      = $overwrite_desc ? '' : "AND ( p.post_excerpt IS NULL OR p.post_excerpt = '' OR p.post_content IS NULL OR p.post_content = ''$extra_clause )";
+
+		// phpcs:disable WordPress.DB.PreparedSQL.InterpolatedNotPrepared, WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.PreparedSQLPlaceholders.UnfinishedPrepare
+		$galleries = $wpdb->get_col(
+			$wpdb->prepare(
+				"SELECT pg.meta_value
+				FROM {$wpdb->posts} p
+				INNER JOIN {$wpdb->postmeta} pm
+					ON p.ID = pm.post_id AND pm.meta_key = '_thumbnail_id'
+				INNER JOIN {$wpdb->postmeta} pg
+					ON p.ID = pg.post_id AND pg.meta_key = '_product_image_gallery'
+				WHERE p.post_type = 'product'
+					AND p.post_status IN ($status_placeholders)
+					AND pg.meta_value <> ''
+					$missing_clause",
+				...$statuses
+			)
 		);
+		// phpcs:enable
+
+		return $galleries;
 	}
 
 	/**
 	 * Generate short and long descriptions for a product.
 	 *
-	 * Submits both requests in parallel using submit_attachment() +
+	 * Submits both requests in parallel using submit_attachments() +
 	 * poll_multiple(), so two descriptions take roughly the same wall
-	 * time as one (~8-10s instead of ~16-20s).
+	 * time as one (~8-10s instead of ~16-20s). Each description and SEO
+	 * request sends the featured image, plus the gallery images from
+	 * get_description_gallery_ids() in the same request, so the API sees
+	 * every view of the product together.
 	 * Does NOT save anything to the product. Callers are responsible for saving.
 	 *
 	 * @param WC_Product $product          The WooCommerce product object.
@@ -750,11 +3065,21 @@ class Visionati_Woo {
 	 * @param array      $extra_submissions Optional additional submissions to include
 	 *                                      in the same parallel poll. Associative array
 	 *                                      of key => options array for submit_attachment().
+	 *                                      An 'attachment_id' option sends that image
+	 *                                      instead of the featured one.
 	 * @param bool       $force_overwrite  Whether to generate regardless of existing content.
 	 *                                      True for explicit meta box clicks, false for bulk.
+	 * @param int        $variants         Number of candidates to request per description.
+	 *                                      Above 1, the result also has 'short_options' and
+	 *                                      'long_options' lists (see Visionati_API::collect_descriptions()).
+	 * @param string[]   $seo_fields       Optional SEO fields to generate in the same batch, one
+	 *                                      request each. The result is keyed by field slug. A
+	 *                                      failed SEO request leaves its field out.
+	 * @param array|null $template         Optional description template from get_product_template().
+	 *                                      Its slug is returned as 'template'.
 	 * @return array|WP_Error Result array on success, WP_Error on failure.
 	 */
-	private function generate_product_descriptions( $product, $thumbnail_id, $extra_submissions = array(), $force_overwrite = false ) {
+	private function generate_product_descriptions( $product, $thumbnail_id, $extra_submissions = array(), $force_overwrite = false, $variants = 1, $seo_fields = array(), $template = null ) {
 		$api       = new Visionati_API();
 		$overwrite_fields = get_option( 'visionati_overwrite_fields', array() );
 		if ( ! is_array( $overwrite_fields ) ) {
@@ -773,9 +3098,13 @@ class Visionati_Woo {
 		$woo_backend = get_option( 'visionati_backend_woocommerce', '' );
 		$pending     = array();
 
+		// Featured image first, so its description is the one read back.
+		$image_ids                 = array_merge( array( $thumbnail_id ), self::get_description_gallery_ids( $product ) );
+		$context['gallery_images'] = count( $image_ids ) - 1;
+
 		// Phase 1: Submit all requests. Each returns almost instantly.
 		if ( $need_short ) {
-			$short_prompt  = $this->build_prompt( 'short', $context );
+			$short_prompt  = $this->build_prompt( 'short', $context, $template );
 			$short_options = array(
 				'role'     => get_option( 'visionati_role_woocommerce', 'ecommerce' ),
 				'prompt'   => $short_prompt,
@@ -785,7 +3114,7 @@ class Visionati_Woo {
 				$short_options['backends'] = $woo_backend;
 			}
 
-			$submitted = $api->submit_attachment( $thumbnail_id, $short_options );
+			$submitted = $api->submit_attachments( $image_ids, $short_options );
 			if ( is_wp_error( $submitted ) ) {
 				return $submitted;
 			}
@@ -795,10 +3124,18 @@ class Visionati_Woo {
 				$short_text = Visionati_API::get_first_description( $submitted );
 				$result['short_description'] = wp_strip_all_tags( $short_text );
 			}
+
+			// Extra candidates for the pick-one preview.
+			for ( $i = 2; $i <= $variants; $i++ ) {
+				$submitted = $api->submit_attachments( $image_ids, $short_options );
+				if ( ! is_wp_error( $submitted ) && ! empty( $submitted['response_uri'] ) ) {
+					$pending[ 'short_' . $i ] = $submitted['response_uri'];
+				}
+			}
 		}
 
 		if ( $need_long ) {
-			$long_prompt  = $this->build_prompt( 'long', $context );
+			$long_prompt  = $this->build_prompt( 'long', $context, $template );
 			$long_options = array(
 				'role'     => get_option( 'visionati_role_woocommerce', 'ecommerce' ),
 				'prompt'   => $long_prompt,
@@ -808,7 +3145,7 @@ class Visionati_Woo {
 				$long_options['backends'] = $woo_backend;
 			}
 
-			$submitted = $api->submit_attachment( $thumbnail_id, $long_options );
+			$submitted = $api->submit_attachments( $image_ids, $long_options );
 			if ( is_wp_error( $submitted ) ) {
 				return $submitted;
 			}
@@ -818,11 +3155,42 @@ class Visionati_Woo {
 				$long_text = Visionati_API::get_first_description( $submitted );
 				$result['long_description'] = wp_kses_post( $long_text );
 			}
+
+			for ( $i = 2; $i <= $variants; $i++ ) {
+				$submitted = $api->submit_attachments( $image_ids, $long_options );
+				if ( ! is_wp_error( $submitted ) && ! empty( $submitted['response_uri'] ) ) {
+					$pending[ 'long_' . $i ] = $submitted['response_uri'];
+				}
+			}
+		}
+
+		foreach ( $seo_fields as $field ) {
+			$seo_options = array(
+				'role'     => get_option( 'visionati_role_woocommerce', 'ecommerce' ),
+				'prompt'   => $this->build_prompt( $field, $context ),
+				'features' => array( 'descriptions' ),
+			);
+			if ( ! empty( $woo_backend ) ) {
+				$seo_options['backends'] = $woo_backend;
+			}
+
+			$submitted = $api->submit_attachments( $image_ids, $seo_options );
+			if ( is_wp_error( $submitted ) ) {
+				continue;
+			}
+			if ( ! empty( $submitted['response_uri'] ) ) {
+				$pending[ $field ] = $submitted['response_uri'];
+			} elseif ( ! empty( $submitted['all']['assets'] ) ) {
+				$result[ $field ] = self::prepare_seo_value( $field, Visionati_API::get_first_description( $submitted ) );
+			}
 		}
 
 		// Submit any extra requests (e.g. alt text from bulk processing).
 		foreach ( $extra_submissions as $key => $options ) {
-			$submitted = $api->submit_attachment( $thumbnail_id, $options );
+			$image_id = isset( $options['attachment_id'] ) ? $options['attachment_id'] : $thumbnail_id;
+			unset( $options['attachment_id'] );
+
+			$submitted = $api->submit_attachment( $image_id, $options );
 			if ( is_wp_error( $submitted ) ) {
 				continue;
 			}
@@ -859,6 +3227,21 @@ class Visionati_Woo {
 				}
 			}
 
+			foreach ( $seo_fields as $field ) {
+				if ( isset( $responses[ $field ] ) && ! is_wp_error( $responses[ $field ] ) ) {
+					$result[ $field ] = self::prepare_seo_value( $field, Visionati_API::get_first_description( $responses[ $field ] ) );
+					$credits = Visionati_API::extract_credits( $responses[ $field ] );
+					if ( null !== $credits ) {
+						$result['credits'] = $credits;
+					}
+				}
+			}
+
+			if ( $variants > 1 ) {
+				$result['short_options'] = $this->collect_variant_options( $responses, 'short', $variants, 'wp_strip_all_tags' );
+				$result['long_options']  = $this->collect_variant_options( $responses, 'long', $variants, 'wp_kses_post' );
+			}
+
 			// Pass through any extra responses (keyed by their original key).
 			foreach ( $extra_submissions as $key => $options ) {
 				if ( isset( $responses[ $key ] ) && ! is_wp_error( $responses[ $key ] ) ) {
@@ -867,9 +3250,50 @@ class Visionati_Woo {
 			}
 		}
 
+		if ( $template ) {
+			$result['template'] = $template['slug'];
+
+			if ( isset( $result['long_description'] ) ) {
+				$result['long_description'] = self::clean_template_html( $result['long_description'], $template );
+			}
+
+			if ( ! empty( $result['long_options'] ) ) {
+				foreach ( $result['long_options'] as $index => $option ) {
+					$result['long_options'][ $index ]['text'] = self::clean_template_html( $option['text'], $template );
+				}
+			}
+		}
+
 		return $result;
 	}
 
+	/**
+	 * Gather the candidate descriptions for one field from a variants batch.
+	 *
+	 * @param array    $responses Poll results keyed 'short', 'short_2', ... / 'long', 'long_2', ...
+	 * @param string   $field     'short' or 'long'.
+	 * @param int      $variants  Number of candidates requested.
+	 * @param callable $sanitize  Sanitizer applied to each candidate text.
+	 * @return array Array of arrays with 'text' and 'source' keys.
+	 */
+	private function collect_variant_options( $responses, $field, $variants, $sanitize ) {
+		$field_responses = array();
+
+		for ( $i = 1; $i <= $variants; $i++ ) {
+			$key = 1 === $i ? $field : $field . '_' . $i;
+			if ( isset( $responses[ $key ] ) ) {
+				$field_responses[] = $responses[ $key ];
+			}
+		}
+
+		$options = Visionati_API::collect_descriptions( $field_responses );
+		foreach ( $options as $index => $option ) {
+			$options[ $index ]['text'] = call_user_func( $sanitize, $option['text'] );
+		}
+
+		return $options;
+	}
+
 	/**
 	 * Save short and long descriptions to a product.
 	 *
@@ -881,7 +3305,9 @@ class Visionati_Woo {
 	 * @return array|WP_Error List of field slugs that were saved, or WP_Error on failure.
 	 */
 	private function save_product_descriptions( $product, $short_description, $long_description ) {
-		$fields = array();
+		$fields    = array();
+		$old_short = $product->get_short_description();
+		$old_long  = $product->get_description();
 
 		Visionati_API::debug_log( 'save_product_descriptions: starting', array(
 			'product_id'   => $product->get_id(),
@@ -921,6 +3347,14 @@ class Visionati_Woo {
 			try {
 				$product->save();
 				Visionati_API::debug_log( 'save_product_descriptions: product->save() succeeded' );
+
+				$source = self::get_history_source();
+				if ( in_array( 'short_description', $fields, true ) ) {
+					Visionati_History::record( $product->get_id(), 'short_description', $old_short, $product->get_short_description(), $source );
+				}
+				if ( in_array( 'long_description', $fields, true ) ) {
+					Visionati_History::record( $product->get_id(), 'long_description', $old_long, $product->get_description(), $source );
+				}
 			} catch ( Exception $e ) {
 				Visionati_API::debug_log( 'save_product_descriptions: product->save() FAILED', array(
 					'error' => $e->getMessage(),
@@ -939,6 +3373,20 @@ class Visionati_Woo {
 		return $fields;
 	}
 
+	/**
+	 * Get the model and role recorded in history for product descriptions.
+	 *
+	 * @return array History source with 'backend' and 'role'.
+	 */
+	private static function get_history_source() {
+		$backend = get_option( 'visionati_backend_woocommerce', '' );
+
+		return array(
+			'backend' => ! empty( $backend ) ? $backend : get_option( 'visionati_backends', 'gemini' ),
+			'role'    => get_option( 'visionati_role_woocommerce', 'ecommerce' ),
+		);
+	}
+
 	/**
 	 * Build a prompt for a product description.
 	 *
@@ -947,22 +3395,55 @@ class Visionati_Woo {
 	 * 2. Auto-constructed prompt from product data
 	 * 3. Fallback prompt with no context
 	 *
-	 * @param string $type    Either 'short' or 'long'.
-	 * @param array  $context Product context from get_product_context().
+	 * SEO fields always use the auto-constructed prompt, since the custom
+	 * prompt is written for descriptions.
+	 *
+	 * A description template adds its instructions and length limits to the
+	 * short and long prompts, and its sections and HTML rules replace the
+	 * default long description formatting.
+	 *
+	 * @param string     $type     'short', 'long', 'variation', or an SEO field (see SEO_FIELDS).
+	 * @param array      $context  Product context from get_product_context() or get_variation_context().
+	 * @param array|null $template Optional description template from get_product_template().
 	 * @return string The constructed prompt.
 	 */
-	private function build_prompt( $type, $context ) {
+	private function build_prompt( $type, $context, $template = null ) {
 		$custom_prompt = get_option( 'visionati_prompt_woocommerce', '' );
 
+		if ( in_array( $type, self::SEO_FIELDS, true ) ) {
+			return $this->build_auto_prompt( $type, $context ) . self::get_gallery_prompt( $context ) . ' Respond with the text only, in plain text with no quotes, labels, HTML formatting, markdown, emojis, or special characters.';
+		}
+
 		if ( ! empty( $custom_prompt ) ) {
 			$prompt = $this->expand_placeholders( $custom_prompt, $context );
 		} else {
 			$prompt = $this->build_auto_prompt( $type, $context );
 		}
 
+		// The attribute values are what a variation is about, so they are
+		// always included, whatever the prompt or context setting.
+		if ( ! empty( $context['variation'] ) ) {
+			$prompt .= sprintf( ' This is the %s variation of the product.', $context['variation'] );
+		}
+
+		$prompt .= self::get_gallery_prompt( $context );
+
+		if ( $template && '' !== $template['instructions'] ) {
+			$prompt .= ' ' . $this->expand_placeholders( $template['instructions'], $context );
+		}
+
 		// Append type-specific formatting instructions.
-		if ( 'short' === $type ) {
-			$prompt .= ' Write 2-3 sentences maximum. Use plain text with no HTML formatting, markdown, emojis, or special characters.';
+		if ( 'variation' === $type ) {
+			$prompt .= ' Write 1-2 sentences about what sets this variation apart, such as its color, material, or size. Use plain text with no HTML formatting, markdown, emojis, or special characters.';
+		} elseif ( 'short' === $type ) {
+			if ( $template && $template['short_words'] ) {
+				$prompt .= sprintf( ' Write at most %d words.', $template['short_words'] );
+			} else {
+				$prompt .= ' Write 2-3 sentences maximum.';
+			}
+			$prompt .= ' Use plain text with no HTML formatting, markdown, emojis, or special characters.';
+		} elseif ( $template ) {
+			$prompt .= $this->build_template_rules( $template, $context );
 		} else {
 			$prompt .= ' Write a comprehensive description with multiple paragraphs covering features, materials, and use cases. Use HTML tags for formatting (bold, lists, paragraphs). Do not use markdown, emojis, or special characters.';
 		}
@@ -973,10 +3454,25 @@ class Visionati_Woo {
 		return $prompt;
 	}
 
+	/**
+	 * Explain the gallery images sent with the featured image.
+	 *
+	 * @param array $context Product context, with the number of 'gallery_images'
+	 *                       sent with the featured image.
+	 * @return string Prompt text with a leading space, or ''.
+	 */
+	private static function get_gallery_prompt( $context ) {
+		if ( empty( $context['gallery_images'] ) ) {
+			return '';
+		}
+
+		return ' The first image is the main product photo. The other images show the same product from other angles or in detail: use what they show too.';
+	}
+
 	/**
 	 * Build an automatic prompt from product context data.
 	 *
-	 * @param string $type    Either 'short' or 'long'.
+	 * @param string $type    'short', 'long', 'variation', or an SEO field (see SEO_FIELDS).
 	 * @param array  $context Product context.
 	 * @return string The prompt.
 	 */
@@ -984,7 +3480,29 @@ class Visionati_Woo {
 		$include_context = get_option( 'visionati_woo_include_context', true );
 		$language        = get_option( 'visionati_language', 'English' );
 
-		if ( 'short' === $type ) {
+		if ( 'seo_title' === $type ) {
+			$prompt = sprintf(
+				'Write an SEO title in %1$s for this product page, at most %2$d characters, that leads with what the product is.',
+				$language,
+				self::SEO_TITLE_LIMIT
+			);
+		} elseif ( 'seo_description' === $type ) {
+			$prompt = sprintf(
+				'Write an SEO meta description in %1$s for this product page, at most %2$d characters, that makes shoppers want to click.',
+				$language,
+				self::SEO_DESCRIPTION_LIMIT
+			);
+		} elseif ( 'focus_keyword' === $type ) {
+			$prompt = sprintf(
+				'Suggest one focus keyword or short keyphrase in %s that shoppers would search for to find this product.',
+				$language
+			);
+		} elseif ( 'variation' === $type ) {
+			$prompt = sprintf(
+				'Write a brief description in %s of one variation of a product.',
+				$language
+			);
+		} elseif ( 'short' === $type ) {
 			$prompt = sprintf(
 				'Write a brief, persuasive product description in %s.',
 				$language
@@ -1018,7 +3536,8 @@ class Visionati_Woo {
 	/**
 	 * Expand placeholders in a custom prompt with product context.
 	 *
-	 * Supported placeholders: {product_name}, {categories}, {price}
+	 * Supported placeholders: {product_name}, {categories}, {price}, {sku},
+	 * {attributes}, {brand}, {tags}, {regular_price}, {sale_price}
 	 *
 	 * @param string $prompt  The prompt template with placeholders.
 	 * @param array  $context Product context.
@@ -1026,44 +3545,230 @@ class Visionati_Woo {
 	 */
 	private function expand_placeholders( $prompt, $context ) {
 		$replacements = array(
-			'{product_name}' => ! empty( $context['name'] ) ? $context['name'] : '',
-			'{categories}'   => ! empty( $context['categories'] ) ? $context['categories'] : '',
-			'{price}'        => ! empty( $context['price'] ) ? $context['price'] : '',
+			'{product_name}'  => ! empty( $context['name'] ) ? $context['name'] : '',
+			'{categories}'    => ! empty( $context['categories'] ) ? $context['categories'] : '',
+			'{price}'         => ! empty( $context['price'] ) ? $context['price'] : '',
+			'{sku}'           => ! empty( $context['sku'] ) ? $context['sku'] : '',
+			'{attributes}'    => ! empty( $context['attributes'] ) ? $context['attributes'] : '',
+			'{brand}'         => ! empty( $context['brand'] ) ? $context['brand'] : '',
+			'{tags}'          => ! empty( $context['tags'] ) ? $context['tags'] : '',
+			'{regular_price}' => ! empty( $context['regular_price'] ) ? $context['regular_price'] : '',
+			'{sale_price}'    => ! empty( $context['sale_price'] ) ? $context['sale_price'] : '',
 		);
 
 		return str_replace( array_keys( $replacements ), array_values( $replacements ), $prompt );
 	}
 
+	/**
+	 * Build the long description instructions for a description template.
+	 *
+	 * @param array $template Description template from get_product_template().
+	 * @param array $context  Product context, for placeholders in section instructions.
+	 * @return string Instructions to append to the prompt, with a leading space.
+	 */
+	private function build_template_rules( $template, $context ) {
+		$tag = $template['heading_tag'];
+
+		if ( ! empty( $template['sections'] ) ) {
+			$sections = array();
+			foreach ( $template['sections'] as $section ) {
+				$text = sprintf(
+					'<%1$s>%2$s</%1$s> followed by %3$s',
+					$tag,
+					$section['heading'],
+					'list' === $section['format'] ? 'a <ul> list of short <li> points' : 'one or more <p> paragraphs'
+				);
+				if ( '' !== $section['instructions'] ) {
+					$text .= ' covering: ' . $this->expand_placeholders( $section['instructions'], $context );
+				}
+				$sections[] = $text;
+			}
+			$rules = ' Structure the description as these sections, in this order, with these exact headings: ' . implode( '; ', $sections ) . '.';
+		} else {
+			$rules = ' Write a comprehensive description with multiple paragraphs covering features, materials, and use cases.';
+		}
+
+		$rules .= sprintf( ' Use only these HTML tags: <%s>, <p>, <ul>, <li>, <strong>. Respond with the HTML only, with no markdown, code fences, emojis, or special characters.', $tag );
+
+		if ( $template['long_words'] ) {
+			$rules .= sprintf( ' Keep it under %d words.', $template['long_words'] );
+		}
+
+		return $rules;
+	}
+
+	/**
+	 * Clean a long description generated with a description template.
+	 *
+	 * Removes code fences some models wrap HTML in and any tag outside the
+	 * template's HTML rules.
+	 *
+	 * @param string $html     Generated description.
+	 * @param array  $template Description template from get_product_template().
+	 * @return string
+	 */
+	private static function clean_template_html( $html, $template ) {
+		$html    = preg_replace( '/^\s*```[a-z]*\s*|\s*```\s*$/i', '', (string) $html );
+		$allowed = array(
+			$template['heading_tag'] => array(),
+			'p'                      => array(),
+			'ul'                     => array(),
+			'li'                     => array(),
+			'strong'                 => array(),
+		);
+
+		return trim( wp_kses( $html, $allowed ) );
+	}
+
 	/**
 	 * Get display metadata for a product (name and thumbnail URL).
 	 *
-	 * @param WC_Product $product The WooCommerce product.
-	 * @return array Associative array with 'filename' and 'thumb' keys.
+	 * @param WC_Product $product The WooCommerce product or variation.
+	 * @return array Associative array with 'filename' and 'thumb' keys, plus
+	 *               'edit_id' (the parent product) for variations.
 	 */
 	public static function get_product_meta( $product ) {
 		$thumb_id = $product->get_image_id();
 		$thumb    = $thumb_id ? wp_get_attachment_image_url( $thumb_id, 'thumbnail' ) : '';
 
-		return array(
+		$meta = array(
 			'filename' => $product->get_name(),
 			'thumb'    => $thumb ? $thumb : '',
 		);
+
+		if ( $product->is_type( 'variation' ) ) {
+			$meta['edit_id'] = $product->get_parent_id();
+		}
+
+		return $meta;
 	}
 
 	/**
-	 * Extract context data from a WooCommerce product.
+	 * Get the gallery images of a product that can be analyzed.
 	 *
 	 * @param WC_Product $product The WooCommerce product.
-	 * @return array Associative array with name, categories, attributes, price.
+	 * @return int[] Attachment IDs in gallery order, without the featured image.
 	 */
-	private function get_product_context( $product ) {
-		$context = array(
-			'name'       => $product->get_name(),
+	public static function get_gallery_image_ids( $product ) {
+		$featured_id = (int) $product->get_image_id();
+		$image_ids   = array();
+
+		foreach ( $product->get_gallery_image_ids() as $image_id ) {
+			$image_id = (int) $image_id;
+			if ( $image_id !== $featured_id && Visionati_API::is_supported_image( $image_id ) ) {
+				$image_ids[] = $image_id;
+			}
+		}
+
+		return array_values( array_unique( $image_ids ) );
+	}
+
+	/**
+	 * Get the featured and gallery images that need alt text in a bulk run.
+	 *
+	 * @param WC_Product $product   The WooCommerce product.
+	 * @param bool       $overwrite Include images that already have alt text.
+	 * @return int[] Attachment IDs, featured image first.
+	 */
+	public static function get_alt_text_image_ids( $product, $overwrite ) {
+		$image_ids = array_merge( array( (int) $product->get_image_id() ), self::get_gallery_image_ids( $product ) );
+
+		if ( $overwrite ) {
+			return $image_ids;
+		}
+
+		return array_values( array_filter( $image_ids, function ( $image_id ) {
+			return '' === (string) get_post_meta( $image_id, '_wp_attachment_image_alt', true );
+		} ) );
+	}
+
+	/**
+	 * Get the gallery images sent with the featured image for a product's descriptions.
+	 *
+	 * Up to the number of gallery images set in the
+	 * "visionati_woo_gallery_images" option. They go in every description
+	 * and SEO request, and each one is billed as one image per request.
+	 *
+	 * @param WC_Product $product The WooCommerce product.
+	 * @return int[] Attachment IDs, without the featured image.
+	 */
+	public static function get_description_gallery_ids( $product ) {
+		$featured_id = (int) $product->get_image_id();
+		$limit       = min( absint( get_option( 'visionati_woo_gallery_images', 0 ) ), self::MAX_GALLERY_IMAGES );
+
+		$image_ids = array( $featured_id );
+		if ( $limit > 0 ) {
+			$image_ids = array_merge( $image_ids, array_slice( self::get_gallery_image_ids( $product ), 0, $limit ) );
+		}
+
+		/**
+		 * Filters the images used for WooCommerce descriptions.
+		 *
+		 * All of them are sent together in each description and SEO request.
+		 *
+		 * @param int[]      $image_ids Attachment IDs, featured image first.
+		 * @param WC_Product $product   The product.
+		 */
+		$image_ids = apply_filters( 'visionati_product_image_ids', $image_ids, $product );
+
+		return array_values( array_diff( array_unique( array_map( 'absint', (array) $image_ids ) ), array( $featured_id, 0 ) ) );
+	}
+
+	/**
+	 * Extract context data for a variation.
+	 *
+	 * The parent product's context, with the variation's price and its
+	 * attribute values (e.g. "Color: Blue, Size: Large") as 'variation'.
+	 *
+	 * @param WC_Product_Variation $variation The variation.
+	 * @return array See get_product_context(), plus 'variation'.
+	 */
+	private function get_variation_context( $variation ) {
+		$parent  = wc_get_product( $variation->get_parent_id() );
+		$context = $parent ? $this->get_product_context( $parent ) : array(
+			'name'       => $variation->get_name(),
 			'categories' => '',
 			'attributes' => '',
 			'price'      => '',
 		);
 
+		$price = $variation->get_price();
+		if ( ! empty( $price ) ) {
+			$context['price']         = html_entity_decode( wp_strip_all_tags( wc_price( $price ) ) );
+			$context['regular_price'] = html_entity_decode( wp_strip_all_tags( wc_price( $variation->get_regular_price() ) ) );
+			$context['sale_price']    = $variation->is_on_sale( 'edit' ) ? html_entity_decode( wp_strip_all_tags( wc_price( $variation->get_sale_price() ) ) ) : '';
+		}
+
+		$sku = $variation->get_sku( 'edit' );
+		if ( '' !== $sku ) {
+			$context['sku'] = $sku;
+		}
+
+		$context['variation'] = wc_get_formatted_variation( $variation, true, true );
+
+		return $context;
+	}
+
+	/**
+	 * Extract context data from a WooCommerce product.
+	 *
+	 * @param WC_Product $product The WooCommerce product.
+	 * @return array Associative array with name, categories, attributes, price,
+	 *               sku, brand, tags, regular_price, sale_price.
+	 */
+	private function get_product_context( $product ) {
+		$context = array(
+			'name'          => $product->get_name(),
+			'categories'    => '',
+			'attributes'    => '',
+			'price'         => '',
+			'sku'           => $product->get_sku(),
+			'brand'         => self::get_product_brand( $product ),
+			'tags'          => '',
+			'regular_price' => '',
+			'sale_price'    => '',
+		);
+
 		// Categories.
 		$category_ids = $product->get_category_ids();
 		if ( ! empty( $category_ids ) ) {
@@ -1106,12 +3811,53 @@ class Visionati_Woo {
 			$context['attributes'] = implode( '; ', $attr_strings );
 		}
 
-		// Price.
+		// Tags.
+		$tags = wp_get_post_terms( $product->get_id(), 'product_tag', array( 'fields' => 'names' ) );
+		if ( ! is_wp_error( $tags ) ) {
+			$context['tags'] = implode( ', ', $tags );
+		}
+
+		// Prices.
 		$price = $product->get_price();
 		if ( ! empty( $price ) ) {
 			$context['price'] = html_entity_decode( wp_strip_all_tags( wc_price( $price ) ) );
 		}
 
-		return $context;
+		$regular_price = $product->get_regular_price();
+		if ( ! empty( $regular_price ) ) {
+			$context['regular_price'] = html_entity_decode( wp_strip_all_tags( wc_price( $regular_price ) ) );
+		}
+
+		if ( $product->is_on_sale( 'edit' ) ) {
+			$context['sale_price'] = html_entity_decode( wp_strip_all_tags( wc_price( $product->get_sale_price() ) ) );
+		}
+
+		/**
+		 * Filters the product details added to WooCommerce prompts.
+		 *
+		 * @param array      $context Product details: name, categories, attributes, price,
+		 *                            sku, brand, tags, regular_price, sale_price.
+		 * @param WC_Product $product The product.
+		 */
+		return apply_filters( 'visionati_product_context', $context, $product );
+	}
+
+	/**
+	 * Get a product's brand names for prompts.
+	 *
+	 * Uses the WooCommerce Brands taxonomy when it exists, otherwise a
+	 * global "brand" attribute.
+	 *
+	 * @param WC_Product $product The WooCommerce product.
+	 * @return string Brand names, comma separated, or '' when none.
+	 */
+	private static function get_product_brand( $product ) {
+		if ( taxonomy_exists( 'product_brand' ) ) {
+			$brands = wp_get_post_terms( $product->get_id(), 'product_brand', array( 'fields' => 'names' ) );
+		} else {
+			$brands = taxonomy_exists( 'pa_brand' ) ? wc_get_product_terms( $product->get_id(), 'pa_brand', array( 'fields' => 'names' ) ) : array();
+		}
+
+		return is_wp_error( $brands ) ? '' : implode( ', ', $brands );
 	}
 }
\ No newline at end of file
@@ -2,7 +2,7 @@
 /**
  * Visionati Uninstall
  *
- * Removes all plugin options from the database when the plugin is deleted
+ * Removes all plugin options and tables from the database when the plugin is deleted
  * (not just deactivated). This ensures no orphaned data remains.
  *
  * @package Visionati
@@ -25,14 +25,23 @@ $visionati_options = array(
 	'visionati_backend_caption',
 	'visionati_backend_description',
 	'visionati_backend_woocommerce',
+	'visionati_woo_tag_backend',
 	'visionati_prompt_alt_text',
 	'visionati_prompt_caption',
 	'visionati_prompt_description',
 	'visionati_prompt_woocommerce',
 	'visionati_auto_generate_fields',
+	'visionati_auto_generate_review',
 	'visionati_overwrite_fields',
+	'visionati_media_include_context',
 	'visionati_woo_include_context',
+	'visionati_woo_gallery_images',
+	'visionati_woo_seo_fields',
+	'visionati_woo_templates',
 	'visionati_debug',
+	'visionati_db_version',
+	'visionati_last_credits',
+	'visionati_backend_costs',
 );
 
 foreach ( $visionati_options as $visionati_option ) {
@@ -46,4 +55,25 @@ $wpdb->query(
 	"DELETE FROM {$wpdb->options}
 	 WHERE option_name LIKE '\_transient\_visionati\_%'
 	    OR option_name LIKE '\_transient\_timeout\_visionati\_%'"
-);
\ No newline at end of file
+);
+
+// Drop the background job tables.
+// phpcs:disable WordPress.DB.DirectDatabaseQuery.DirectQuery, WordPress.DB.DirectDatabaseQuery.NoCaching, WordPress.DB.DirectDatabaseQuery.SchemaChange -- Removing the plugin's own tables.
+$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}visionati_job_items" );
+$wpdb->query( "DROP TABLE IF EXISTS {$wpdb->prefix}visionati_jobs" );
+// phpcs:enable
+
+// Remove field history.
+delete_post_meta_by_key( '_visionati_history' );
+delete_post_meta_by_key( '_visionati_history_job' );
+
+// Remove suggestions waiting for review.
+delete_post_meta_by_key( '_visionati_suggestions' );
+
+// Remove auto-generate status used by the media grid badges.
+delete_post_meta_by_key( '_visionati_auto_generate' );
+
+// Remove the generated-value hashes behind the Media Library status column.
+delete_post_meta_by_key( '_visionati_generated_alt_text' );
+delete_post_meta_by_key( '_visionati_generated_caption' );
+delete_post_meta_by_key( '_visionati_generated_description' );
\ No newline at end of file
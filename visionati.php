@@ -25,8 +25,15 @@ define( 'VISIONATI_PLUGIN_BASENAME', plugin_basename( __FILE__ ) );
 define( 'VISIONATI_API_BASE', 'https://api.visionati.com' );
 
 require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-api.php';
+require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-jobs.php';
+require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-history.php';
+require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-review.php';
 require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-admin.php';
 require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-media.php';
+require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-media-list.php';
+require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-block-editor.php';
+require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-alt-check.php';
+require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-content-alt.php';
 
 /**
  * Load WooCommerce integration after all plugins are loaded,
@@ -35,19 +42,41 @@ require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-media.php';
 function visionati_load_woo_integration() {
 	if ( class_exists( 'WooCommerce' ) ) {
 		require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-woo.php';
-		new Visionati_Woo();
+		$woo = new Visionati_Woo();
+
+		if ( defined( 'WP_CLI' ) && WP_CLI ) {
+			require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-woo-cli.php';
+			WP_CLI::add_command( 'visionati woo', new Visionati_Woo_CLI( $woo ) );
+		}
 	}
 }
 add_action( 'plugins_loaded', 'visionati_load_woo_integration' );
 
+/**
+ * Create or upgrade the background job tables when the schema changes.
+ */
+add_action( 'plugins_loaded', array( 'Visionati_Jobs', 'maybe_install' ) );
+
 /**
  * Initialize the plugin.
  */
 function visionati_init() {
 	if ( is_admin() ) {
 		new Visionati_Admin();
+		new Visionati_Block_Editor();
+		new Visionati_Alt_Check();
+		new Visionati_Content_Alt();
+	}
+	new Visionati_Jobs();
+	new Visionati_History();
+	new Visionati_Review();
+	$media = new Visionati_Media();
+	new Visionati_Media_List();
+
+	if ( defined( 'WP_CLI' ) && WP_CLI ) {
+		require_once VISIONATI_PLUGIN_DIR . 'includes/class-visionati-cli.php';
+		WP_CLI::add_command( 'visionati', new Visionati_CLI( $media ) );
 	}
-	new Visionati_Media();
 }
 add_action( 'init', 'visionati_init' );
 
@@ -126,6 +155,8 @@ function visionati_activate() {
 			add_option( $option, $value );
 		}
 	}
+
+	Visionati_Jobs::install();
 }
 register_activation_hook( __FILE__, 'visionati_activate' );
 
@@ -133,6 +164,10 @@ register_activation_hook( __FILE__, 'visionati_activate' );
  * Plugin deactivation hook.
  */
 function visionati_deactivate() {
+	// Stop background job runs. Job records are kept so a paused or
+	// unfinished job can be resumed after reactivation.
+	Visionati_Jobs::unschedule_all();
+
 	// Clean up any lingering bulk queue transients with a single query
 	// instead of loading every user ID in the system.
 	// Options are preserved so users don't lose settings.